@@ -0,0 +1,145 @@
+/**
+ * Chat Commands - Slash commands and @-mentions understood by the chat input
+ *
+ *   /review /tests /explain /spec /hive   at the start of a message
+ *   @file:path  @symbol:name  @selection  @agent:type   anywhere in it
+ */
+
+import { LLMTaskType } from '../llm/llmProvider';
+import { AgentType } from '../types';
+
+export type SlashCommandName = 'review' | 'tests' | 'explain' | 'spec' | 'hive';
+
+export interface SlashCommandDefinition {
+    name: SlashCommandName;
+    description: string;
+    usage: string;
+    taskType: LLMTaskType;
+    /** Instruction sent to the model in place of the command word */
+    instruction: string;
+    /** Attach the selection, or else the active file, when the message mentions no code */
+    attachActiveCode: boolean;
+}
+
+export const SLASH_COMMANDS: SlashCommandDefinition[] = [
+    {
+        name: 'review',
+        description: 'Review code for bugs, security and maintainability',
+        usage: '/review [focus] [@file:path]',
+        taskType: 'code_review',
+        instruction: 'Perform a comprehensive code review of the attached code. Point out bugs, security issues, performance problems and maintainability concerns, each with a concrete fix.',
+        attachActiveCode: true
+    },
+    {
+        name: 'tests',
+        description: 'Generate unit tests',
+        usage: '/tests [framework or focus] [@file:path]',
+        taskType: 'generate_tests',
+        instruction: 'Generate comprehensive unit tests for the attached code, covering normal cases, edge cases and error handling.',
+        attachActiveCode: true
+    },
+    {
+        name: 'explain',
+        description: 'Explain how code works',
+        usage: '/explain [question] [@symbol:name]',
+        taskType: 'explain_code',
+        instruction: 'Explain what the attached code does, how it works and any non-obvious design decisions.',
+        attachActiveCode: true
+    },
+    {
+        name: 'spec',
+        description: 'Generate a specification with tasks for the hive',
+        usage: '/spec <what to build>',
+        taskType: 'generate_specification',
+        instruction: '',
+        attachActiveCode: false
+    },
+    {
+        name: 'hive',
+        description: 'Generate a specification and let the hive mind execute it',
+        usage: '/hive <what to build>',
+        taskType: 'generate_specification',
+        instruction: '',
+        attachActiveCode: false
+    }
+];
+
+export type ChatMentionKind = 'file' | 'symbol' | 'selection' | 'agent';
+
+export interface ChatMention {
+    kind: ChatMentionKind;
+    /** Path, symbol name or agent type; empty for @selection */
+    value: string;
+    raw: string;
+}
+
+export const MENTION_KINDS: Array<{ kind: ChatMentionKind; trigger: string; description: string }> = [
+    { kind: 'file', trigger: '@file:', description: 'Attach a workspace file' },
+    { kind: 'symbol', trigger: '@symbol:', description: 'Attach a function, class or other symbol' },
+    { kind: 'selection', trigger: '@selection', description: 'Attach the current editor selection' },
+    { kind: 'agent', trigger: '@agent:', description: 'Route the message to a hive agent' }
+];
+
+/**
+ * Hive agent types a message can be routed to, with the task type whose
+ * model preference they use and the focus given to the model.
+ */
+export const CHAT_AGENT_ROLES: Record<AgentType, { taskType: LLMTaskType; focus: string }> = {
+    coordinator: { taskType: 'chat', focus: 'breaking work into tasks, sequencing them and resolving conflicts between agents' },
+    architect: { taskType: 'chat', focus: 'system design, architecture patterns and component boundaries' },
+    coder: { taskType: 'chat', focus: 'writing, fixing and refactoring production code' },
+    tester: { taskType: 'generate_tests', focus: 'test design, test automation and quality assurance' },
+    analyst: { taskType: 'analyze_file', focus: 'code analysis, metrics and performance characteristics' },
+    researcher: { taskType: 'chat', focus: 'researching solutions, libraries and documentation' },
+    reviewer: { taskType: 'code_review', focus: 'code review, security analysis and best practices' },
+    optimizer: { taskType: 'analyze_file', focus: 'performance and resource optimization' }
+};
+
+export interface ParsedChatInput {
+    command?: SlashCommandDefinition;
+    /** Message text without the command word, with mentions reduced to their names */
+    text: string;
+    mentions: ChatMention[];
+}
+
+const MENTION_PATTERN = /(^|\s)@(?:(file|symbol|agent):("[^"]+"|\S+)|(selection)\b)/g;
+
+export function parseChatInput(input: string): ParsedChatInput {
+    let text = input.trim();
+    let command: SlashCommandDefinition | undefined;
+
+    const commandMatch = /^\/(\w+)(?:\s+|$)/.exec(text);
+    if (commandMatch) {
+        command = SLASH_COMMANDS.find(definition => definition.name === commandMatch[1].toLowerCase());
+        if (command) {
+            text = text.slice(commandMatch[0].length);
+        }
+    }
+
+    // Mentions stay readable in the text; the attached content is added separately
+    const mentions: ChatMention[] = [];
+    text = text.replace(MENTION_PATTERN, (raw, leading: string, kind: string | undefined, value: string | undefined, selection: string | undefined) => {
+        const mention: ChatMention = {
+            kind: (kind || selection) as ChatMentionKind,
+            value: value ? value.replace(/^"|"$/g, '') : '',
+            raw: raw.trim()
+        };
+        mentions.push(mention);
+
+        switch (mention.kind) {
+            case 'file':
+            case 'symbol':
+                return `${leading}\`${mention.value}\``;
+            case 'selection':
+                return `${leading}the selected code`;
+            default:
+                return leading;
+        }
+    });
+
+    return {
+        command,
+        text: text.replace(/[ \t]{2,}/g, ' ').trim(),
+        mentions
+    };
+}
@@ -0,0 +1,242 @@
+/**
+ * Chat Context Resolver - Turns @-mentions into attached code and agent
+ * routing, and supplies the completions shown while typing them
+ */
+
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { AgentType } from '../types';
+import { CHAT_AGENT_ROLES, ChatMention, ChatMentionKind, ParsedChatInput } from './chatCommands';
+
+export interface ChatAttachment {
+    label: string;
+    content: string;
+}
+
+export interface ResolvedChatContext {
+    attachments: ChatAttachment[];
+    agentType?: AgentType;
+    /** Mentions that could not be resolved, reported back to the user */
+    warnings: string[];
+}
+
+export interface ChatCompletionItem {
+    label: string;
+    detail?: string;
+    insertText: string;
+}
+
+export class ChatContextResolver {
+    private static readonly maxCompletions = 20;
+    private static readonly excludeGlob = '**/{node_modules,.git,out,dist,build,coverage}/**';
+
+    async resolve(parsed: ParsedChatInput): Promise<ResolvedChatContext> {
+        const resolved: ResolvedChatContext = { attachments: [], warnings: [] };
+
+        for (const mention of parsed.mentions) {
+            try {
+                switch (mention.kind) {
+                    case 'file':
+                        resolved.attachments.push(await this._resolveFile(mention.value));
+                        break;
+                    case 'symbol':
+                        resolved.attachments.push(await this._resolveSymbol(mention.value));
+                        break;
+                    case 'selection':
+                        resolved.attachments.push(this._resolveSelection());
+                        break;
+                    case 'agent':
+                        resolved.agentType = this._resolveAgent(mention.value);
+                        break;
+                }
+            } catch (error) {
+                resolved.warnings.push(`${mention.raw}: ${error instanceof Error ? error.message : String(error)}`);
+            }
+        }
+
+        // Commands like /review fall back to what the user is looking at
+        const mentionsCode = parsed.mentions.some(mention => mention.kind !== 'agent');
+        if (parsed.command?.attachActiveCode && !mentionsCode) {
+            const active = this._resolveActiveCode();
+            if (active) {
+                resolved.attachments.push(active);
+            } else {
+                resolved.warnings.push(`/${parsed.command.name}: open a file, select code or mention one with @file: or @symbol:`);
+            }
+        }
+
+        return resolved;
+    }
+
+    async getCompletions(kind: ChatMentionKind, query: string): Promise<ChatCompletionItem[]> {
+        switch (kind) {
+            case 'file':
+                return this._completeFiles(query);
+            case 'symbol':
+                return this._completeSymbols(query);
+            case 'agent':
+                return (Object.keys(CHAT_AGENT_ROLES) as AgentType[])
+                    .filter(type => type.startsWith(query.toLowerCase()))
+                    .map(type => ({
+                        label: type,
+                        detail: CHAT_AGENT_ROLES[type].focus,
+                        insertText: `@agent:${type}`
+                    }));
+            default:
+                return [];
+        }
+    }
+
+    private async _resolveFile(filePath: string): Promise<ChatAttachment> {
+        const uri = await this._findFile(filePath);
+        if (!uri) {
+            throw new Error('file not found in the workspace');
+        }
+
+        // Open through VS Code so unsaved editor changes are included
+        const document = await vscode.workspace.openTextDocument(uri);
+        return {
+            label: `File ${vscode.workspace.asRelativePath(uri)}`,
+            content: document.getText()
+        };
+    }
+
+    private async _findFile(filePath: string): Promise<vscode.Uri | undefined> {
+        if (path.isAbsolute(filePath)) {
+            return this._exists(vscode.Uri.file(filePath));
+        }
+
+        for (const folder of vscode.workspace.workspaceFolders || []) {
+            const candidate = await this._exists(vscode.Uri.joinPath(folder.uri, filePath));
+            if (candidate) {
+                return candidate;
+            }
+        }
+
+        // Accept partial paths such as a bare file name
+        const matches = await vscode.workspace.findFiles(`**/${filePath}`, ChatContextResolver.excludeGlob, 1);
+        return matches[0];
+    }
+
+    private async _exists(uri: vscode.Uri): Promise<vscode.Uri | undefined> {
+        try {
+            const stat = await vscode.workspace.fs.stat(uri);
+            return stat.type & vscode.FileType.File ? uri : undefined;
+        } catch {
+            return undefined;
+        }
+    }
+
+    private async _resolveSymbol(name: string): Promise<ChatAttachment> {
+        const symbols = await vscode.commands.executeCommand<vscode.SymbolInformation[]>(
+            'vscode.executeWorkspaceSymbolProvider',
+            name
+        ) || [];
+        const symbol = symbols.find(candidate => candidate.name === name)
+            || symbols.find(candidate => candidate.name.toLowerCase() === name.toLowerCase());
+        if (!symbol) {
+            throw new Error('symbol not found in the workspace');
+        }
+
+        const document = await vscode.workspace.openTextDocument(symbol.location.uri);
+        const range = await this._symbolRange(document, symbol);
+
+        return {
+            label: `${vscode.SymbolKind[symbol.kind]} ${symbol.name} in ${vscode.workspace.asRelativePath(document.uri)}:${range.start.line + 1}`,
+            content: document.getText(range)
+        };
+    }
+
+    /**
+     * Workspace symbols may only cover the name, so the full body is taken
+     * from the document symbol that starts at the same place
+     */
+    private async _symbolRange(document: vscode.TextDocument, symbol: vscode.SymbolInformation): Promise<vscode.Range> {
+        const documentSymbols = await vscode.commands.executeCommand<vscode.DocumentSymbol[]>(
+            'vscode.executeDocumentSymbolProvider',
+            document.uri
+        ) || [];
+
+        const stack = [...documentSymbols];
+        while (stack.length > 0) {
+            const candidate = stack.pop()!;
+            if (candidate.name === symbol.name && candidate.range.contains(symbol.location.range.start)) {
+                return candidate.range;
+            }
+            if (candidate.children) {
+                stack.push(...candidate.children);
+            }
+        }
+
+        return symbol.location.range.isSingleLine
+            ? new vscode.Range(symbol.location.range.start.line, 0, Math.min(document.lineCount - 1, symbol.location.range.start.line + 40), 0)
+            : symbol.location.range;
+    }
+
+    private _resolveSelection(): ChatAttachment {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor || editor.selection.isEmpty) {
+            throw new Error('no text is selected in the active editor');
+        }
+
+        return {
+            label: `Selection from ${vscode.workspace.asRelativePath(editor.document.uri)}:${editor.selection.start.line + 1}`,
+            content: editor.document.getText(editor.selection)
+        };
+    }
+
+    private _resolveActiveCode(): ChatAttachment | undefined {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            return undefined;
+        }
+
+        if (!editor.selection.isEmpty) {
+            return this._resolveSelection();
+        }
+
+        return {
+            label: `File ${vscode.workspace.asRelativePath(editor.document.uri)}`,
+            content: editor.document.getText()
+        };
+    }
+
+    private _resolveAgent(type: string): AgentType {
+        const agentType = type.toLowerCase() as AgentType;
+        if (!Object.prototype.hasOwnProperty.call(CHAT_AGENT_ROLES, agentType)) {
+            throw new Error(`unknown agent type, expected one of ${Object.keys(CHAT_AGENT_ROLES).join(', ')}`);
+        }
+        return agentType;
+    }
+
+    private async _completeFiles(query: string): Promise<ChatCompletionItem[]> {
+        const pattern = query ? `**/*${query.replace(/[[\]{}*?]/g, '')}*` : '**/*';
+        const uris = await vscode.workspace.findFiles(pattern, ChatContextResolver.excludeGlob, ChatContextResolver.maxCompletions);
+
+        return uris.map(uri => {
+            const relativePath = vscode.workspace.asRelativePath(uri);
+            return {
+                label: path.basename(relativePath),
+                detail: relativePath,
+                insertText: `@file:${/\s/.test(relativePath) ? `"${relativePath}"` : relativePath}`
+            };
+        });
+    }
+
+    private async _completeSymbols(query: string): Promise<ChatCompletionItem[]> {
+        if (!query) {
+            return [];
+        }
+
+        const symbols = await vscode.commands.executeCommand<vscode.SymbolInformation[]>(
+            'vscode.executeWorkspaceSymbolProvider',
+            query
+        ) || [];
+
+        return symbols.slice(0, ChatContextResolver.maxCompletions).map(symbol => ({
+            label: symbol.name,
+            detail: `${vscode.SymbolKind[symbol.kind]} · ${vscode.workspace.asRelativePath(symbol.location.uri)}`,
+            insertText: `@symbol:${symbol.name}`
+        }));
+    }
+}
@@ -0,0 +1,420 @@
+/**
+ * Chat Edit Service - Finds file edits in assistant replies, previews them in
+ * the diff editor and applies them as a single undoable WorkspaceEdit
+ *
+ * Two reply formats are recognized:
+ *   ```ts src/utils/file.ts        complete new content of the file
+ *   ```diff                        unified diff with ---/+++ headers, one or more files
+ */
+
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { ChatMessage } from '../webview/lmStudioChat';
+
+export type ChatEditKind = 'replace' | 'patch';
+
+export interface ProposedFileEdit {
+    /** Position of the edit in the reply; stable as long as the reply is unchanged */
+    index: number;
+    path: string;
+    kind: ChatEditKind;
+    /** New file content for 'replace', diff hunks for 'patch' */
+    body: string;
+    /** The diff creates the file (--- /dev/null) */
+    createsFile?: boolean;
+}
+
+/** What the webview needs to render the actions of an edit */
+export interface ChatEditSummary {
+    index: number;
+    path: string;
+    kind: ChatEditKind;
+    isNewFile: boolean;
+    warning?: string;
+    applied?: boolean;
+}
+
+interface DiffHunk {
+    oldStart: number;
+    oldLines: string[];
+    newLines: string[];
+}
+
+/** Instruction added to chat system prompts so replies use a format the service understands */
+export const FILE_EDIT_INSTRUCTIONS = `When you propose changes to workspace files, either put the complete new content of each file in its own fenced code block whose info string is the language followed by the workspace-relative path (for example \`\`\`ts src/utils/helpers.ts), or use a \`\`\`diff block with unified diff headers (--- a/path, +++ b/path). Never abbreviate file content with placeholders in a complete-file block.`;
+
+export class ChatEditService implements vscode.Disposable {
+    public static readonly scheme = 'ruv-swarm-proposed';
+
+    private _proposedContent = new Map<string, string>();
+    private _registration: vscode.Disposable;
+
+    constructor() {
+        this._registration = vscode.workspace.registerTextDocumentContentProvider(ChatEditService.scheme, {
+            provideTextDocumentContent: uri => this._proposedContent.get(uri.toString()) ?? ''
+        });
+    }
+
+    /**
+     * Finds the file edits in a reply. Code blocks without a recognizable
+     * path are left alone since they are usually just examples.
+     */
+    extractEdits(content: string): ProposedFileEdit[] {
+        const edits: ProposedFileEdit[] = [];
+        const fence = /^```([^\n]*)\n([\s\S]*?)^```[ \t]*$/gm;
+        let match: RegExpExecArray | null;
+
+        while ((match = fence.exec(content)) !== null) {
+            const info = match[1].trim();
+            const body = match[2];
+
+            if (/^(diff|patch)\b/.test(info) || /^--- \S+.*\n\+\+\+ \S+/m.test(body)) {
+                for (const filePatch of this._splitDiff(body)) {
+                    edits.push({ index: edits.length, kind: 'patch', ...filePatch });
+                }
+                continue;
+            }
+
+            const filePath = this._pathFromInfo(info) || this._pathFromPrecedingLine(content.slice(0, match.index));
+            if (filePath) {
+                edits.push({ index: edits.length, path: filePath, kind: 'replace', body });
+            }
+        }
+
+        return edits;
+    }
+
+    /**
+     * Summaries for the chat UI, with a warning when an edit is unlikely to apply cleanly
+     */
+    async describeEdits(content: string): Promise<ChatEditSummary[]> {
+        const summaries: ChatEditSummary[] = [];
+
+        for (const edit of this.extractEdits(content)) {
+            const uri = this.resolveUri(edit.path);
+            const existing = uri ? await this._readCurrent(uri) : undefined;
+            const summary: ChatEditSummary = {
+                index: edit.index,
+                path: edit.path,
+                kind: edit.kind,
+                isNewFile: existing === undefined
+            };
+
+            if (!uri) {
+                summary.warning = 'Outside the workspace';
+            } else if (edit.kind === 'replace' && existing !== undefined && this._looksPartial(existing, edit.body)) {
+                summary.warning = 'Much shorter than the current file, it may be a fragment';
+            } else {
+                try {
+                    this.computeNewContent(edit, existing);
+                } catch (error) {
+                    summary.warning = error instanceof Error ? error.message : String(error);
+                }
+            }
+
+            summaries.push(summary);
+        }
+
+        return summaries;
+    }
+
+    resolveUri(filePath: string): vscode.Uri | undefined {
+        const folder = vscode.workspace.workspaceFolders?.[0];
+        if (path.isAbsolute(filePath)) {
+            const uri = vscode.Uri.file(filePath);
+            return vscode.workspace.getWorkspaceFolder(uri) ? uri : undefined;
+        }
+
+        if (!folder) {
+            return undefined;
+        }
+
+        const normalized = path.posix.normalize(filePath.replace(/\\/g, '/'));
+        if (normalized.startsWith('../')) {
+            return undefined;
+        }
+
+        return vscode.Uri.joinPath(folder.uri, normalized);
+    }
+
+    computeNewContent(edit: ProposedFileEdit, current: string | undefined): string {
+        if (edit.kind === 'replace') {
+            return edit.body;
+        }
+
+        if (current === undefined) {
+            if (!edit.createsFile) {
+                throw new Error(`${edit.path} does not exist`);
+            }
+            return this._applyHunks('', this._parseHunks(edit.body), edit.path);
+        }
+
+        return this._applyHunks(current, this._parseHunks(edit.body), edit.path);
+    }
+
+    async previewEdit(edit: ProposedFileEdit): Promise<void> {
+        const uri = this._requireUri(edit.path);
+        const current = await this._readCurrent(uri);
+        const proposed = this.computeNewContent(edit, current);
+
+        const proposedUri = vscode.Uri.from({ scheme: ChatEditService.scheme, path: uri.path, query: `edit=${Date.now()}` });
+        this._proposedContent.set(proposedUri.toString(), proposed);
+
+        // New files are compared against an empty document
+        let originalUri = uri;
+        if (current === undefined) {
+            originalUri = vscode.Uri.from({ scheme: ChatEditService.scheme, path: uri.path, query: 'empty' });
+            this._proposedContent.set(originalUri.toString(), '');
+        }
+
+        await vscode.commands.executeCommand(
+            'vscode.diff',
+            originalUri,
+            proposedUri,
+            `${path.basename(uri.fsPath)} ↔ AI suggestion`
+        );
+    }
+
+    /**
+     * Applies all edits as one WorkspaceEdit so a single undo reverts the set.
+     * Every edit is computed first; nothing is changed if any of them fails.
+     */
+    async applyEdits(edits: ProposedFileEdit[]): Promise<vscode.Uri[]> {
+        const workspaceEdit = new vscode.WorkspaceEdit();
+        const changed: vscode.Uri[] = [];
+
+        for (const edit of edits) {
+            const uri = this._requireUri(edit.path);
+            const current = await this._readCurrent(uri);
+            const proposed = this.computeNewContent(edit, current);
+
+            if (current === undefined) {
+                workspaceEdit.createFile(uri, { ignoreIfExists: true });
+                workspaceEdit.insert(uri, new vscode.Position(0, 0), proposed);
+            } else {
+                const document = await vscode.workspace.openTextDocument(uri);
+                const fullRange = new vscode.Range(document.positionAt(0), document.positionAt(document.getText().length));
+                workspaceEdit.replace(uri, fullRange, proposed);
+            }
+            changed.push(uri);
+        }
+
+        const applied = await vscode.workspace.applyEdit(workspaceEdit);
+        if (!applied) {
+            throw new Error('Failed to apply edits: VS Code rejected the workspace edit');
+        }
+
+        return changed;
+    }
+
+    async previewMessageEdit(message: ChatMessage, index: number): Promise<void> {
+        const edit = this.extractEdits(message.content).find(candidate => candidate.index === index);
+        if (!edit) {
+            throw new Error(`Edit ${index + 1} no longer exists in this message`);
+        }
+        await this.previewEdit(edit);
+    }
+
+    /**
+     * Applies the edits of a chat message (all of them unless indices are
+     * given) and marks their summaries as applied so the UI can show it
+     */
+    async applyMessageEdits(message: ChatMessage, indices?: number[]): Promise<vscode.Uri[]> {
+        const edits = this.extractEdits(message.content)
+            .filter(edit => !indices || indices.includes(edit.index));
+        if (edits.length === 0) {
+            throw new Error('Failed to apply edits: the message contains no file edits');
+        }
+
+        const changed = await this.applyEdits(edits);
+        for (const summary of message.metadata?.edits || []) {
+            if (edits.some(edit => edit.index === summary.index)) {
+                summary.applied = true;
+            }
+        }
+
+        return changed;
+    }
+
+    dispose(): void {
+        this._registration.dispose();
+        this._proposedContent.clear();
+    }
+
+    private _requireUri(filePath: string): vscode.Uri {
+        const uri = this.resolveUri(filePath);
+        if (!uri) {
+            throw new Error(`Cannot edit ${filePath}: it is outside the workspace`);
+        }
+        return uri;
+    }
+
+    /**
+     * Current text including unsaved editor changes, or undefined for new files
+     */
+    private async _readCurrent(uri: vscode.Uri): Promise<string | undefined> {
+        const open = vscode.workspace.textDocuments.find(document => document.uri.toString() === uri.toString());
+        if (open) {
+            return open.getText();
+        }
+
+        try {
+            return Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+        } catch {
+            return undefined;
+        }
+    }
+
+    private _pathFromInfo(info: string): string | undefined {
+        const attribute = /(?:title|file|path|filename)=["']?([^"'\s]+)/.exec(info);
+        if (attribute) {
+            return attribute[1];
+        }
+
+        // ```ts src/a.ts, ```ts:src/a.ts or ```src/a.ts
+        return info.split(/[\s:]+/).find(token => this._looksLikePath(token));
+    }
+
+    private _pathFromPrecedingLine(before: string): string | undefined {
+        const lines = before.split('\n');
+        // The fence itself ends `before` with an empty segment; look at the line above it
+        for (let i = lines.length - 2; i >= Math.max(0, lines.length - 3); i--) {
+            const line = lines[i].trim();
+            if (!line) {
+                continue;
+            }
+            const match = /^(?:#+\s*|[-*]\s*)?(?:\*\*|__)?(?:File:\s*|Path:\s*)?`?([\w./\\-]+\.\w+)`?(?:\*\*|__)?:?$/i.exec(line);
+            return match && this._looksLikePath(match[1]) ? match[1] : undefined;
+        }
+        return undefined;
+    }
+
+    private _looksLikePath(token: string): boolean {
+        // A name with an extension, but not a version number like 1.2.3
+        return /^[\w.\\/-]+\.[A-Za-z0-9]+$/.test(token) && !/^[\d.]+$/.test(token);
+    }
+
+    private _looksPartial(current: string, proposed: string): boolean {
+        const currentLines = current.split('\n').length;
+        return currentLines > 20 && proposed.split('\n').length < currentLines * 0.5;
+    }
+
+    private _splitDiff(body: string): Array<{ path: string; body: string; createsFile?: boolean }> {
+        const files: Array<{ path: string; body: string; createsFile?: boolean }> = [];
+        const lines = body.split('\n');
+        let current: { path: string; lines: string[]; createsFile?: boolean } | undefined;
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+                if (current) {
+                    files.push({ path: current.path, body: current.lines.join('\n'), createsFile: current.createsFile });
+                }
+
+                const oldPath = this._stripDiffPath(line.slice(4));
+                const newPath = this._stripDiffPath(lines[i + 1].slice(4));
+                current = {
+                    path: newPath === '/dev/null' ? oldPath : newPath,
+                    lines: [],
+                    createsFile: oldPath === '/dev/null'
+                };
+                i++;
+                continue;
+            }
+
+            current?.lines.push(line);
+        }
+
+        if (current) {
+            files.push({ path: current.path, body: current.lines.join('\n'), createsFile: current.createsFile });
+        }
+
+        return files;
+    }
+
+    private _stripDiffPath(header: string): string {
+        const filePath = header.split('\t')[0].trim();
+        return filePath === '/dev/null' ? filePath : filePath.replace(/^[ab]\//, '');
+    }
+
+    private _parseHunks(body: string): DiffHunk[] {
+        const hunks: DiffHunk[] = [];
+        let hunk: DiffHunk | undefined;
+
+        for (const line of body.split('\n')) {
+            const header = /^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/.exec(line);
+            if (header) {
+                hunk = { oldStart: parseInt(header[1], 10), oldLines: [], newLines: [] };
+                hunks.push(hunk);
+            } else if (!hunk || line.startsWith('\\')) {
+                continue;
+            } else if (line.startsWith('-')) {
+                hunk.oldLines.push(line.slice(1));
+            } else if (line.startsWith('+')) {
+                hunk.newLines.push(line.slice(1));
+            } else {
+                // Context lines; models often drop the leading space on empty ones
+                const text = line.startsWith(' ') ? line.slice(1) : line;
+                hunk.oldLines.push(text);
+                hunk.newLines.push(text);
+            }
+        }
+
+        // A trailing newline in the fence produces one empty context line too many
+        for (const entry of hunks) {
+            while (entry.oldLines.length > 0 && entry.newLines.length > 0 &&
+                entry.oldLines[entry.oldLines.length - 1] === '' && entry.newLines[entry.newLines.length - 1] === '') {
+                entry.oldLines.pop();
+                entry.newLines.pop();
+            }
+        }
+
+        if (hunks.length === 0) {
+            throw new Error('The diff contains no hunks');
+        }
+
+        return hunks;
+    }
+
+    /**
+     * Applies hunks by matching their context rather than trusting line
+     * numbers, which models rarely get right. Trailing whitespace is ignored.
+     */
+    private _applyHunks(current: string, hunks: DiffHunk[], filePath: string): string {
+        const eol = current.includes('\r\n') ? '\r\n' : '\n';
+        const lines = current.length > 0 ? current.split(/\r?\n/) : [];
+        let offset = 0;
+
+        hunks.forEach((hunk, hunkIndex) => {
+            const expected = Math.max(0, hunk.oldStart - 1 + offset);
+            const position = this._findBlock(lines, hunk.oldLines, expected);
+            if (position < 0) {
+                throw new Error(`Hunk ${hunkIndex + 1} does not match the current ${filePath}`);
+            }
+
+            lines.splice(position, hunk.oldLines.length, ...hunk.newLines);
+            offset += hunk.newLines.length - hunk.oldLines.length;
+        });
+
+        return lines.join(eol);
+    }
+
+    private _findBlock(lines: string[], block: string[], expected: number): number {
+        if (block.length === 0) {
+            return Math.min(expected, lines.length);
+        }
+
+        const matchesAt = (start: number) => block.every((line, i) => lines[start + i]?.trimEnd() === line.trimEnd());
+
+        // Search outwards from the expected line so repeated code resolves to the nearest copy
+        for (let distance = 0; distance <= lines.length; distance++) {
+            for (const start of [expected - distance, expected + distance]) {
+                if (start >= 0 && start + block.length <= lines.length && matchesAt(start)) {
+                    return start;
+                }
+            }
+        }
+
+        return -1;
+    }
+}
@@ -0,0 +1,353 @@
+/**
+ * Chat Exporter - Writes conversation threads as JSON, Markdown or
+ * self-contained HTML, and imports previously exported JSON threads
+ */
+
+import * as vscode from 'vscode';
+import { ChatMessage, ToolCall } from '../webview/lmStudioChat';
+import { ChatThread, ChatThreadStore, ImportedChatThread } from './chatThreadStore';
+
+export type ChatExportFormat = 'json' | 'markdown' | 'html';
+
+/** Layout version of the JSON export; version 0 is the bare export of earlier releases */
+const EXPORT_VERSION = 1;
+
+/** Message and tool call ids end up in webview attributes and handlers */
+const IMPORTED_ID = /^[\w.-]{1,100}$/;
+
+const TOOL_CALL_STATUSES: Array<ToolCall['status']> = ['pending', 'running', 'completed', 'failed'];
+
+const ROLE_LABELS: Record<ChatMessage['role'], string> = {
+    user: '👤 User',
+    assistant: '🤖 Assistant',
+    system: '⚠️ System'
+};
+
+const FORMAT_OPTIONS: Array<{ format: ChatExportFormat; label: string; description: string; extension: string; filter: string }> = [
+    { format: 'markdown', label: 'Markdown', description: 'Readable transcript for PRs and docs', extension: 'md', filter: 'Markdown Files' },
+    { format: 'html', label: 'HTML', description: 'Self-contained page with styling', extension: 'html', filter: 'HTML Files' },
+    { format: 'json', label: 'JSON', description: 'Full thread that can be imported again', extension: 'json', filter: 'JSON Files' }
+];
+
+export class ChatExporter {
+    private _threadStore: ChatThreadStore;
+
+    constructor(threadStore: ChatThreadStore) {
+        this._threadStore = threadStore;
+    }
+
+    /**
+     * Asks for a format (unless given) and a target file, then writes the thread
+     */
+    async exportThread(thread: ChatThread = this._threadStore.activeThread, format?: ChatExportFormat): Promise<void> {
+        if (thread.messages.length === 0) {
+            vscode.window.showWarningMessage('This chat thread has no messages to export');
+            return;
+        }
+
+        const option = format
+            ? FORMAT_OPTIONS.find(entry => entry.format === format)
+            : await vscode.window.showQuickPick(FORMAT_OPTIONS, { placeHolder: `Export "${thread.title}" as...` });
+        if (!option) {
+            return;
+        }
+
+        const fileName = `chat-${this._slugify(thread.title)}.${option.extension}`;
+        const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+        const uri = await vscode.window.showSaveDialog({
+            defaultUri: workspaceFolder ? vscode.Uri.joinPath(workspaceFolder.uri, fileName) : vscode.Uri.file(fileName),
+            filters: {
+                [option.filter]: [option.extension],
+                'All Files': ['*']
+            }
+        });
+        if (!uri) {
+            return;
+        }
+
+        try {
+            await vscode.workspace.fs.writeFile(uri, Buffer.from(this.render(thread, option.format), 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to export chat thread: ${error instanceof Error ? error.message : String(error)}`);
+        }
+
+        const action = await vscode.window.showInformationMessage(`Chat exported to ${uri.fsPath}`, 'Open');
+        if (action === 'Open') {
+            await vscode.window.showTextDocument(uri);
+        }
+    }
+
+    /**
+     * Loads an exported JSON thread as a new thread and makes it active
+     */
+    async importThread(): Promise<ChatThread | undefined> {
+        const uris = await vscode.window.showOpenDialog({
+            canSelectMany: false,
+            openLabel: 'Import Chat',
+            filters: {
+                'JSON Files': ['json'],
+                'All Files': ['*']
+            }
+        });
+        if (!uris || uris.length === 0) {
+            return undefined;
+        }
+
+        const content = Buffer.from(await vscode.workspace.fs.readFile(uris[0])).toString('utf8');
+        const thread = await this._threadStore.importThread(this.parseExport(content));
+
+        await vscode.commands.executeCommand('ruv-swarm.chat.focus');
+        vscode.window.showInformationMessage(`Imported "${thread.title}" with ${thread.messages.length} message(s)`);
+
+        return thread;
+    }
+
+    render(thread: ChatThread, format: ChatExportFormat): string {
+        switch (format) {
+            case 'markdown':
+                return this.toMarkdown(thread);
+            case 'html':
+                return this.toHtml(thread);
+            case 'json':
+            default:
+                return this.toJson(thread);
+        }
+    }
+
+    toJson(thread: ChatThread): string {
+        return JSON.stringify({
+            version: EXPORT_VERSION,
+            title: thread.title,
+            createdAt: thread.createdAt,
+            timestamp: new Date().toISOString(),
+            messages: thread.messages,
+            metadata: {
+                totalMessages: thread.messages.length,
+                exportedBy: 'RUV-Swarm Chat'
+            }
+        }, null, 2);
+    }
+
+    toMarkdown(thread: ChatThread): string {
+        const lines: string[] = [
+            `# ${thread.title}`,
+            '',
+            `_Exported from RUV-Swarm on ${new Date().toLocaleString()} · ${thread.messages.length} message(s)_`,
+            ''
+        ];
+
+        for (const message of thread.messages) {
+            lines.push(`## ${ROLE_LABELS[message.role]} · ${this._formatTime(message.timestamp)}${message.metadata?.model ? ` · ${message.metadata.model}` : ''}`, '');
+
+            // Model output is already Markdown, so code fences carry over as-is
+            lines.push(message.role === 'system'
+                ? message.content.split('\n').map(line => `> ${line}`).join('\n')
+                : message.content, '');
+
+            if (message.toolCalls && message.toolCalls.length > 0) {
+                lines.push('<details>', `<summary>🔧 Tool calls (${message.toolCalls.length})</summary>`, '');
+                for (const toolCall of message.toolCalls) {
+                    lines.push(`- \`${toolCall.name}\` · ${this._describeToolCall(toolCall)}`, '');
+                    lines.push('  ```json', ...JSON.stringify(toolCall.arguments, null, 2).split('\n').map(line => `  ${line}`), '  ```', '');
+                }
+                lines.push('</details>', '');
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    toHtml(thread: ChatThread): string {
+        const messages = thread.messages.map(message => {
+            const toolCalls = message.toolCalls && message.toolCalls.length > 0
+                ? `
+        <details class="tool-calls">
+            <summary>🔧 Tool calls (${message.toolCalls.length})</summary>
+            ${message.toolCalls.map(toolCall => `
+            <div class="tool-call">
+                <code>${this._escapeHtml(toolCall.name)}</code> · ${this._escapeHtml(this._describeToolCall(toolCall))}
+                <pre><code>${this._escapeHtml(JSON.stringify(toolCall.arguments, null, 2))}</code></pre>
+            </div>`).join('')}
+        </details>`
+                : '';
+
+            return `
+    <section class="message ${message.role}">
+        <header>${ROLE_LABELS[message.role]} · ${this._escapeHtml(this._formatTime(message.timestamp))}${message.metadata?.model ? ` · ${this._escapeHtml(message.metadata.model)}` : ''}</header>
+        <div class="content">${this._renderMarkdown(message.content)}</div>${toolCalls}
+    </section>`;
+        }).join('\n');
+
+        // Everything is inlined so the file can be attached to a PR or mailed on its own
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${this._escapeHtml(thread.title)}</title>
+    <style>
+        :root { color-scheme: light dark; --border: #d0d7de; --muted: #57606a; --code-bg: #f6f8fa; --user-bg: #ddf4ff; }
+        @media (prefers-color-scheme: dark) {
+            :root { --border: #30363d; --muted: #8b949e; --code-bg: #161b22; --user-bg: #0c2d48; }
+        }
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif; max-width: 860px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+        h1 { margin-bottom: 0.25rem; }
+        .subtitle { color: var(--muted); margin-top: 0; }
+        .message { border: 1px solid var(--border); border-radius: 6px; padding: 0.75rem 1rem; margin: 1rem 0; }
+        .message.user { background: var(--user-bg); }
+        .message.system { border-color: #cf222e; }
+        .message header { font-size: 0.85rem; color: var(--muted); margin-bottom: 0.5rem; }
+        pre { background: var(--code-bg); padding: 0.75rem; border-radius: 6px; overflow-x: auto; }
+        code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 0.9em; }
+        :not(pre) > code { background: var(--code-bg); padding: 0.1em 0.3em; border-radius: 4px; }
+        .tool-calls { margin-top: 0.5rem; font-size: 0.9rem; }
+        .tool-call { margin: 0.5rem 0; }
+    </style>
+</head>
+<body>
+    <h1>${this._escapeHtml(thread.title)}</h1>
+    <p class="subtitle">Exported from RUV-Swarm on ${this._escapeHtml(new Date().toLocaleString())} · ${thread.messages.length} message(s)</p>
+${messages}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Validates an exported JSON thread. Accepts the current layout, the bare
+     * { messages } export of earlier releases and a raw messages array.
+     */
+    parseExport(content: string): ImportedChatThread {
+        let data: any;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Failed to import chat thread: ${error instanceof Error ? error.message : String(error)}`);
+        }
+
+        const rawMessages = Array.isArray(data) ? data : data?.messages;
+        if (!Array.isArray(rawMessages)) {
+            throw new Error('Failed to import chat thread: no messages array found');
+        }
+
+        const messages: ChatMessage[] = rawMessages.map((raw: any, index: number) => {
+            if (!raw || !['user', 'assistant', 'system'].includes(raw.role) || typeof raw.content !== 'string') {
+                throw new Error(`Failed to import chat thread: message ${index + 1} is not a valid chat message`);
+            }
+            return this._importMessage(raw, index);
+        });
+
+        return {
+            title: typeof data?.title === 'string' ? data.title : undefined,
+            createdAt: [data?.createdAt, data?.timestamp].find(value => typeof value === 'string'),
+            messages
+        };
+    }
+
+    /**
+     * Copies only the known message fields; edits and token budgets refer to
+     * the exporting session and are dropped
+     */
+    private _importMessage(raw: any, index: number): ChatMessage {
+        const message: ChatMessage = {
+            id: typeof raw.id === 'string' && IMPORTED_ID.test(raw.id) ? raw.id : `msg_${Date.now()}_${index}`,
+            role: raw.role,
+            content: raw.content,
+            timestamp: this._importDate(raw.timestamp) ?? new Date()
+        };
+
+        if (Array.isArray(raw.toolCalls)) {
+            message.toolCalls = raw.toolCalls
+                .filter((toolCall: any) => toolCall && typeof toolCall.name === 'string')
+                .map((toolCall: any, toolIndex: number): ToolCall => ({
+                    id: typeof toolCall.id === 'string' && IMPORTED_ID.test(toolCall.id) ? toolCall.id : `tool_${index}_${toolIndex}`,
+                    name: toolCall.name,
+                    arguments: toolCall.arguments && typeof toolCall.arguments === 'object' ? toolCall.arguments : {},
+                    result: toolCall.result,
+                    status: TOOL_CALL_STATUSES.includes(toolCall.status) ? toolCall.status : 'completed',
+                    startTime: this._importDate(toolCall.startTime) ?? message.timestamp,
+                    endTime: this._importDate(toolCall.endTime)
+                }));
+        }
+
+        const metadata = raw.metadata;
+        if (metadata && typeof metadata === 'object') {
+            const strings = (value: any) => Array.isArray(value) ? value.filter((item: any) => typeof item === 'string') : undefined;
+            const count = (value: any) => typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+            message.metadata = {
+                model: typeof metadata.model === 'string' ? metadata.model : undefined,
+                tokens: count(metadata.tokens),
+                promptTokens: count(metadata.promptTokens),
+                completionTokens: count(metadata.completionTokens),
+                responseTime: count(metadata.responseTime),
+                attachments: strings(metadata.attachments),
+                agent: typeof metadata.agent === 'string' ? metadata.agent : undefined,
+                retrievedCode: strings(metadata.retrievedCode)
+            };
+        }
+
+        return message;
+    }
+
+    private _importDate(value: unknown): Date | undefined {
+        return (typeof value === 'string' || typeof value === 'number') && !isNaN(new Date(value).getTime())
+            ? new Date(value)
+            : undefined;
+    }
+
+    private _describeToolCall(toolCall: ToolCall): string {
+        const duration = toolCall.endTime
+            ? ` in ${new Date(toolCall.endTime).getTime() - new Date(toolCall.startTime).getTime()} ms`
+            : '';
+        return `${toolCall.status}${duration}`;
+    }
+
+    /**
+     * Minimal Markdown for exported HTML: fenced and inline code, bold and paragraphs
+     */
+    private _renderMarkdown(text: string): string {
+        const parts: string[] = [];
+        const fence = /```([\w+-]*)[^\n]*\n([\s\S]*?)(?:```|$)/g;
+        let lastIndex = 0;
+        let match: RegExpExecArray | null;
+
+        while ((match = fence.exec(text)) !== null) {
+            parts.push(this._renderParagraphs(text.slice(lastIndex, match.index)));
+            const language = match[1] ? ` class="language-${match[1]}"` : '';
+            parts.push(`<pre><code${language}>${this._escapeHtml(match[2].replace(/\n$/, ''))}</code></pre>`);
+            lastIndex = fence.lastIndex;
+        }
+        parts.push(this._renderParagraphs(text.slice(lastIndex)));
+
+        return parts.join('');
+    }
+
+    private _renderParagraphs(text: string): string {
+        return text
+            .split(/\n{2,}/)
+            .filter(paragraph => paragraph.trim())
+            .map(paragraph => `<p>${this._escapeHtml(paragraph.trim())
+                .replace(/`([^`\n]+)`/g, '<code>$1</code>')
+                .replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>')
+                .replace(/\n/g, '<br>')}</p>`)
+            .join('');
+    }
+
+    private _escapeHtml(text: string): string {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    private _formatTime(timestamp: Date | string): string {
+        const date = new Date(timestamp);
+        return isNaN(date.getTime()) ? 'unknown time' : date.toLocaleString();
+    }
+
+    private _slugify(title: string): string {
+        return title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50) || 'thread';
+    }
+}
@@ -0,0 +1,474 @@
+/**
+ * Chat Thread Store - Named conversation threads persisted in global storage
+ * Threads are scoped to the open workspace; each thread is one JSON file next
+ * to an index so the thread list loads without reading every conversation.
+ */
+
+import * as vscode from 'vscode';
+import * as path from 'path';
+import * as fs from 'fs/promises';
+import { createHash } from 'crypto';
+import { EventEmitter } from 'events';
+import { ChatMessage } from '../webview/lmStudioChat';
+
+export interface ChatThread {
+    id: string;
+    title: string;
+    /** Set once the user renames the thread so it is no longer titled from its first message */
+    customTitle: boolean;
+    createdAt: string;
+    updatedAt: string;
+    messages: ChatMessage[];
+}
+
+export interface ChatThreadSummary {
+    id: string;
+    title: string;
+    createdAt: string;
+    updatedAt: string;
+    messageCount: number;
+    preview: string;
+}
+
+export interface ChatSearchResult {
+    threadId: string;
+    threadTitle: string;
+    messageId?: string;
+    role?: ChatMessage['role'];
+    snippet: string;
+    timestamp: string;
+    score: number;
+}
+
+/** Thread content read back from an export; ids and timestamps of the thread are reassigned */
+export interface ImportedChatThread {
+    title?: string;
+    createdAt?: string;
+    messages: ChatMessage[];
+}
+
+interface ChatThreadIndex {
+    version: number;
+    workspace: string;
+    threads: ChatThreadSummary[];
+}
+
+const DEFAULT_THREAD_TITLE = 'New chat';
+/** Thread ids name files in global storage, so ids from the webview must not carry path segments */
+const THREAD_ID = /^thread_\w+$/;
+
+/**
+ * Emits 'threadsChanged' when the thread list changes and
+ * 'activeThreadChanged' when another thread becomes active.
+ */
+export class ChatThreadStore extends EventEmitter implements vscode.Disposable {
+    private static readonly indexVersion = 1;
+    private static readonly activeThreadKey = 'chatThreads.activeThreadId';
+    private static readonly legacyHistoryKey = 'chatHistory';
+    private static readonly titleLength = 60;
+    private static readonly snippetRadius = 60;
+
+    private _context: vscode.ExtensionContext;
+    private _outputChannel: vscode.OutputChannel;
+    private _storageDir: string;
+    private _workspaceLabel: string;
+    private _index: ChatThreadSummary[] = [];
+    private _threads = new Map<string, ChatThread>();
+    private _activeThreadId = '';
+    private _persistent = true;
+    private _writeQueue: Promise<void> = Promise.resolve();
+
+    constructor(context: vscode.ExtensionContext) {
+        super();
+        this._context = context;
+        this._outputChannel = vscode.window.createOutputChannel('RUV-Swarm Chat Threads');
+
+        const scope = this._resolveWorkspaceScope();
+        this._workspaceLabel = scope.label;
+        this._storageDir = path.join(context.globalStorageUri.fsPath, 'chat-threads', scope.key);
+    }
+
+    async initialize(): Promise<void> {
+        try {
+            await fs.mkdir(this._storageDir, { recursive: true });
+            this._index = await this._readIndex();
+            await this._migrateLegacyHistory();
+        } catch (error) {
+            // Keep chatting in memory rather than failing activation
+            this._persistent = false;
+            this._outputChannel.appendLine(`❌ Failed to load chat threads, history will not be saved: ${error}`);
+        }
+
+        const savedId = this._context.workspaceState.get<string>(ChatThreadStore.activeThreadKey);
+        const initialId = this._index.some(thread => thread.id === savedId)
+            ? savedId
+            : this._sortedIndex()[0]?.id;
+
+        if (initialId && await this._loadThread(initialId)) {
+            this._activeThreadId = initialId;
+        } else {
+            await this.createThread();
+        }
+
+        this._outputChannel.appendLine(`💬 Loaded ${this._index.length} chat thread(s) for ${this._workspaceLabel}`);
+    }
+
+    get threads(): ChatThreadSummary[] {
+        return this._sortedIndex();
+    }
+
+    get activeThread(): ChatThread {
+        const thread = this._threads.get(this._activeThreadId);
+        if (!thread) {
+            throw new Error('Chat thread store is not initialized');
+        }
+        return thread;
+    }
+
+    get activeThreadId(): string {
+        return this._activeThreadId;
+    }
+
+    async createThread(title?: string): Promise<ChatThread> {
+        const now = new Date().toISOString();
+        const thread: ChatThread = {
+            id: `thread_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            title: title?.trim() || DEFAULT_THREAD_TITLE,
+            customTitle: !!title?.trim(),
+            createdAt: now,
+            updatedAt: now,
+            messages: []
+        };
+
+        this._threads.set(thread.id, thread);
+        this._index.push(this._summarize(thread));
+        await this._persist(thread);
+        await this._setActiveThread(thread.id);
+
+        this.emit('threadsChanged', this.threads);
+        return thread;
+    }
+
+    async importThread(imported: ImportedChatThread): Promise<ChatThread> {
+        const thread = await this.createThread(imported.title);
+        thread.messages = imported.messages;
+        if (imported.createdAt && !isNaN(Date.parse(imported.createdAt))) {
+            thread.createdAt = new Date(imported.createdAt).toISOString();
+        }
+
+        await this.saveThread(thread);
+        this.emit('activeThreadChanged', thread);
+        return thread;
+    }
+
+    async switchThread(threadId: string): Promise<ChatThread> {
+        if (threadId === this._activeThreadId) {
+            return this.activeThread;
+        }
+
+        const thread = await this._loadThread(threadId);
+        if (!thread) {
+            throw new Error(`Chat thread ${threadId} not found`);
+        }
+
+        await this._setActiveThread(threadId);
+        return thread;
+    }
+
+    async renameThread(threadId: string, title: string): Promise<void> {
+        const thread = await this._loadThread(threadId);
+        if (!thread) {
+            throw new Error(`Chat thread ${threadId} not found`);
+        }
+
+        thread.title = title.trim() || DEFAULT_THREAD_TITLE;
+        thread.customTitle = !!title.trim();
+        await this._persist(thread);
+
+        this.emit('threadsChanged', this.threads);
+    }
+
+    async deleteThread(threadId: string): Promise<void> {
+        if (!THREAD_ID.test(threadId)) {
+            throw new Error(`Invalid chat thread id ${threadId}`);
+        }
+
+        this._threads.delete(threadId);
+        this._index = this._index.filter(thread => thread.id !== threadId);
+
+        if (this._persistent) {
+            await this._enqueueWrite(async () => {
+                await fs.rm(this._threadPath(threadId), { force: true });
+                await this._writeIndex();
+            });
+        }
+
+        // Never leave the chat without an active thread
+        if (threadId === this._activeThreadId) {
+            const next = this._sortedIndex()[0];
+            if (next && await this._loadThread(next.id)) {
+                await this._setActiveThread(next.id);
+            } else {
+                await this.createThread();
+                return;
+            }
+        }
+
+        this.emit('threadsChanged', this.threads);
+    }
+
+    /**
+     * Writes the thread after its messages changed. New threads take their
+     * title from the first user message until they are renamed.
+     */
+    async saveThread(thread: ChatThread = this.activeThread): Promise<void> {
+        thread.updatedAt = new Date().toISOString();
+
+        if (!thread.customTitle) {
+            const firstUserMessage = thread.messages.find(message => message.role === 'user');
+            thread.title = firstUserMessage
+                ? this._truncate(firstUserMessage.content, ChatThreadStore.titleLength)
+                : DEFAULT_THREAD_TITLE;
+        }
+
+        await this._persist(thread);
+        this.emit('threadsChanged', this.threads);
+    }
+
+    /**
+     * Case-insensitive full-text search over titles and messages of every
+     * thread in this workspace. All query terms must occur in a match.
+     */
+    async search(query: string, limit: number = 50): Promise<ChatSearchResult[]> {
+        const terms = query.toLowerCase().split(/\s+/).filter(term => term.length > 0);
+        if (terms.length === 0) {
+            return [];
+        }
+
+        const results: ChatSearchResult[] = [];
+
+        for (const summary of this._index) {
+            const thread = await this._loadThread(summary.id);
+            if (!thread) {
+                continue;
+            }
+
+            const titleScore = this._scoreText(thread.title, terms);
+            if (titleScore > 0) {
+                results.push({
+                    threadId: thread.id,
+                    threadTitle: thread.title,
+                    snippet: thread.title,
+                    timestamp: thread.updatedAt,
+                    // Title hits rank above single message hits
+                    score: titleScore * 2
+                });
+            }
+
+            for (const message of thread.messages) {
+                const score = this._scoreText(message.content, terms);
+                if (score > 0) {
+                    results.push({
+                        threadId: thread.id,
+                        threadTitle: thread.title,
+                        messageId: message.id,
+                        role: message.role,
+                        snippet: this._snippet(message.content, terms[0]),
+                        timestamp: this._toIsoString(message.timestamp) ?? thread.updatedAt,
+                        score
+                    });
+                }
+            }
+        }
+
+        return results
+            .sort((a, b) => b.score - a.score || b.timestamp.localeCompare(a.timestamp))
+            .slice(0, limit);
+    }
+
+    dispose(): void {
+        this.removeAllListeners();
+        this._outputChannel.dispose();
+    }
+
+    private _resolveWorkspaceScope(): { key: string; label: string } {
+        const workspaceUri = vscode.workspace.workspaceFile ?? vscode.workspace.workspaceFolders?.[0]?.uri;
+        if (!workspaceUri) {
+            return { key: 'no-workspace', label: 'no workspace' };
+        }
+
+        return {
+            key: createHash('sha1').update(workspaceUri.toString()).digest('hex').slice(0, 16),
+            label: vscode.workspace.name || workspaceUri.fsPath
+        };
+    }
+
+    private async _setActiveThread(threadId: string): Promise<void> {
+        this._activeThreadId = threadId;
+        await this._context.workspaceState.update(ChatThreadStore.activeThreadKey, threadId);
+        this.emit('activeThreadChanged', this.activeThread);
+    }
+
+    private async _loadThread(threadId: string): Promise<ChatThread | undefined> {
+        const cached = this._threads.get(threadId);
+        if (cached || !this._persistent || !THREAD_ID.test(threadId)) {
+            return cached;
+        }
+
+        try {
+            const thread: ChatThread = JSON.parse(await fs.readFile(this._threadPath(threadId), 'utf8'));
+            this._threads.set(threadId, thread);
+            return thread;
+        } catch (error) {
+            this._outputChannel.appendLine(`⚠️ Could not read chat thread ${threadId}: ${error}`);
+            return undefined;
+        }
+    }
+
+    private async _readIndex(): Promise<ChatThreadSummary[]> {
+        try {
+            const index: ChatThreadIndex = JSON.parse(await fs.readFile(this._indexPath(), 'utf8'));
+            return Array.isArray(index.threads) ? index.threads : [];
+        } catch (error: any) {
+            if (error?.code !== 'ENOENT') {
+                this._outputChannel.appendLine(`⚠️ Chat thread index unreadable, starting fresh: ${error}`);
+            }
+            return [];
+        }
+    }
+
+    /**
+     * Moves the single history kept in globalState by earlier versions into a thread
+     */
+    private async _migrateLegacyHistory(): Promise<void> {
+        const legacy = this._context.globalState.get<ChatMessage[]>(ChatThreadStore.legacyHistoryKey);
+        if (!legacy || legacy.length === 0) {
+            return;
+        }
+
+        const now = new Date().toISOString();
+        const thread: ChatThread = {
+            id: `thread_${Date.now()}_legacy`,
+            title: DEFAULT_THREAD_TITLE,
+            customTitle: false,
+            createdAt: this._toIsoString(legacy[0].timestamp) ?? now,
+            updatedAt: now,
+            messages: legacy
+        };
+
+        this._threads.set(thread.id, thread);
+        this._index.push(this._summarize(thread));
+        await this.saveThread(thread);
+        await this._context.globalState.update(ChatThreadStore.legacyHistoryKey, undefined);
+
+        this._outputChannel.appendLine(`📦 Migrated ${legacy.length} message(s) from the previous chat history`);
+    }
+
+    private async _persist(thread: ChatThread): Promise<void> {
+        const summary = this._summarize(thread);
+        const position = this._index.findIndex(entry => entry.id === thread.id);
+        if (position >= 0) {
+            this._index[position] = summary;
+        } else {
+            this._index.push(summary);
+        }
+
+        if (!this._persistent) {
+            return;
+        }
+
+        const content = JSON.stringify(thread, null, 2);
+        await this._enqueueWrite(async () => {
+            await this._writeFileAtomic(this._threadPath(thread.id), content);
+            await this._writeIndex();
+        });
+    }
+
+    private async _writeIndex(): Promise<void> {
+        const index: ChatThreadIndex = {
+            version: ChatThreadStore.indexVersion,
+            workspace: this._workspaceLabel,
+            threads: this._index
+        };
+        await this._writeFileAtomic(this._indexPath(), JSON.stringify(index, null, 2));
+    }
+
+    private async _writeFileAtomic(filePath: string, content: string): Promise<void> {
+        const tempPath = `${filePath}.tmp`;
+        await fs.writeFile(tempPath, content, 'utf8');
+        await fs.rename(tempPath, filePath);
+    }
+
+    /**
+     * Serializes writes so a slow save never overwrites a newer one
+     */
+    private _enqueueWrite(write: () => Promise<void>): Promise<void> {
+        const next = this._writeQueue.then(write);
+        this._writeQueue = next.catch(error => {
+            this._outputChannel.appendLine(`❌ Failed to save chat threads: ${error}`);
+        });
+        return next;
+    }
+
+    private _summarize(thread: ChatThread): ChatThreadSummary {
+        const lastMessage = thread.messages[thread.messages.length - 1];
+
+        return {
+            id: thread.id,
+            title: thread.title,
+            createdAt: thread.createdAt,
+            updatedAt: thread.updatedAt,
+            messageCount: thread.messages.length,
+            preview: lastMessage ? this._truncate(lastMessage.content, 80) : ''
+        };
+    }
+
+    private _sortedIndex(): ChatThreadSummary[] {
+        return [...this._index].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    private _scoreText(text: string, terms: string[]): number {
+        const haystack = text.toLowerCase();
+        let score = 0;
+
+        for (const term of terms) {
+            const occurrences = haystack.split(term).length - 1;
+            if (occurrences === 0) {
+                return 0;
+            }
+            score += occurrences;
+        }
+
+        return score;
+    }
+
+    /** Older threads and legacy history may hold timestamps that do not parse */
+    private _toIsoString(timestamp: Date | string): string | undefined {
+        const date = new Date(timestamp);
+        return isNaN(date.getTime()) ? undefined : date.toISOString();
+    }
+
+    private _snippet(text: string, term: string): string {
+        const position = text.toLowerCase().indexOf(term);
+        const start = Math.max(0, position - ChatThreadStore.snippetRadius);
+        const end = Math.min(text.length, position + term.length + ChatThreadStore.snippetRadius);
+
+        return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+    }
+
+    private _truncate(text: string, length: number): string {
+        const line = text.replace(/\s+/g, ' ').trim();
+        return line.length > length ? `${line.slice(0, length - 1)}…` : line;
+    }
+
+    private _threadPath(threadId: string): string {
+        if (!THREAD_ID.test(threadId)) {
+            throw new Error(`Invalid chat thread id ${threadId}`);
+        }
+        return path.join(this._storageDir, `${threadId}.json`);
+    }
+
+    private _indexPath(): string {
+        return path.join(this._storageDir, 'threads.json');
+    }
+}
@@ -1,10 +1,13 @@
 import * as vscode from 'vscode';
-import { SwarmManager } from '../utils/swarmManager';
+import { SwarmCommandOptions, SwarmManager } from '../utils/swarmManager';
 import { DiagnosticsProvider } from '../providers/diagnosticsProvider';
 import { StatusBarManager } from '../utils/statusBarManager';
 import { CommandContext } from '../types';
 
 export class CommandManager {
+    /** Commands run from the palette show a cancellable notification with the CLI output */
+    private static readonly interactive: SwarmCommandOptions = { progress: 'notification' };
+
     private swarmManager: SwarmManager;
     private diagnosticsProvider: DiagnosticsProvider;
     private statusBarManager: StatusBarManager;
@@ -23,12 +26,15 @@ export class CommandManager {
         try {
             this.statusBarManager.updateStatus('initializing', 'Initializing Swarm...');
             
-            await this.swarmManager.initializeSwarm();
+            await this.swarmManager.initializeSwarm(undefined, CommandManager.interactive);
             
             this.statusBarManager.updateStatus('ready', 'RUV-Swarm Ready');
             vscode.window.showInformationMessage('🧠 RUV-Swarm initialized successfully!');
             
         } catch (error) {
+            if (this.wasCancelled(error)) {
+                return;
+            }
             this.statusBarManager.updateStatus('error', 'Initialization Failed');
             const errorMessage = error instanceof Error ? error.message : String(error);
             vscode.window.showErrorMessage(`Failed to initialize swarm: ${errorMessage}`);
@@ -42,13 +48,17 @@ export class CommandManager {
             const agentId = await this.swarmManager.spawnAgent(
                 'coder',
                 'vscode-assistant',
-                ['code_analysis', 'refactoring', 'optimization']
+                ['code_analysis', 'refactoring', 'optimization'],
+                CommandManager.interactive
             );
             
             this.statusBarManager.updateStatus('ready', 'Agent Ready');
             vscode.window.showInformationMessage(`🤖 Coding agent spawned: ${agentId}`);
             
         } catch (error) {
+            if (this.wasCancelled(error)) {
+                return;
+            }
             this.statusBarManager.updateStatus('error', 'Agent Spawn Failed');
             const errorMessage = error instanceof Error ? error.message : String(error);
             vscode.window.showErrorMessage(`Failed to spawn agent: ${errorMessage}`);
@@ -68,7 +78,7 @@ export class CommandManager {
             const filePath = context.activeEditor.filePath;
             const description = `Analyze ${filePath} for improvements, bugs, and optimization opportunities`;
             
-            const result = await this.swarmManager.executeTask(description, 'analysis', filePath);
+            const result = await this.swarmManager.executeTask(description, 'analysis', filePath, CommandManager.interactive);
             
             // Parse and display results
             await this.diagnosticsProvider.processAnalysisResult(filePath, result);
@@ -77,6 +87,9 @@ export class CommandManager {
             vscode.window.showInformationMessage('🔍 File analysis completed!');
             
         } catch (error) {
+            if (this.wasCancelled(error)) {
+                return;
+            }
             this.statusBarManager.updateStatus('error', 'Analysis Failed');
             const errorMessage = error instanceof Error ? error.message : String(error);
             vscode.window.showErrorMessage(`Analysis failed: ${errorMessage}`);
@@ -96,7 +109,7 @@ export class CommandManager {
             const filePath = context.activeEditor.filePath;
             const description = `Generate comprehensive unit tests for ${filePath} including edge cases and mocking`;
             
-            const result = await this.swarmManager.executeTask(description, 'generation', filePath);
+            const result = await this.swarmManager.executeTask(description, 'generation', filePath, CommandManager.interactive);
             
             // Create test file
             await this.createTestFile(filePath, result);
@@ -105,6 +118,9 @@ export class CommandManager {
             vscode.window.showInformationMessage('🧪 Tests generated successfully!');
             
         } catch (error) {
+            if (this.wasCancelled(error)) {
+                return;
+            }
             this.statusBarManager.updateStatus('error', 'Test Generation Failed');
             const errorMessage = error instanceof Error ? error.message : String(error);
             vscode.window.showErrorMessage(`Test generation failed: ${errorMessage}`);
@@ -123,7 +139,7 @@ export class CommandManager {
             
             const description = `Perform comprehensive code review of ${workspaceFolder.uri.fsPath} focusing on security, performance, and maintainability`;
             
-            const result = await this.swarmManager.executeTask(description, 'review');
+            const result = await this.swarmManager.executeTask(description, 'review', undefined, CommandManager.interactive);
             
             // Show results in webview
             await this.showCodeReviewResults(result);
@@ -132,6 +148,9 @@ export class CommandManager {
             vscode.window.showInformationMessage('👥 Code review completed!');
             
         } catch (error) {
+            if (this.wasCancelled(error)) {
+                return;
+            }
             this.statusBarManager.updateStatus('error', 'Review Failed');
             const errorMessage = error instanceof Error ? error.message : String(error);
             vscode.window.showErrorMessage(`Code review failed: ${errorMessage}`);
@@ -151,7 +170,7 @@ export class CommandManager {
             const filePath = context.activeEditor.filePath;
             const description = `Analyze ${filePath} for performance bottlenecks and suggest optimizations`;
             
-            const result = await this.swarmManager.executeTask(description, 'optimization', filePath);
+            const result = await this.swarmManager.executeTask(description, 'optimization', filePath, CommandManager.interactive);
             
             // Show optimization suggestions
             await this.showOptimizationResults(result);
@@ -160,6 +179,9 @@ export class CommandManager {
             vscode.window.showInformationMessage('⚡ Performance optimization completed!');
             
         } catch (error) {
+            if (this.wasCancelled(error)) {
+                return;
+            }
             this.statusBarManager.updateStatus('error', 'Optimization Failed');
             const errorMessage = error instanceof Error ? error.message : String(error);
             vscode.window.showErrorMessage(`Performance optimization failed: ${errorMessage}`);
@@ -179,7 +201,7 @@ export class CommandManager {
             const filePath = context.activeEditor.filePath;
             const description = `Perform security analysis of ${filePath} and identify vulnerabilities`;
             
-            const result = await this.swarmManager.executeTask(description, 'analysis', filePath);
+            const result = await this.swarmManager.executeTask(description, 'analysis', filePath, CommandManager.interactive);
             
             // Process security findings
             await this.diagnosticsProvider.processSecurityAnalysis(filePath, result);
@@ -188,6 +210,9 @@ export class CommandManager {
             vscode.window.showInformationMessage('🔒 Security analysis completed!');
             
         } catch (error) {
+            if (this.wasCancelled(error)) {
+                return;
+            }
             this.statusBarManager.updateStatus('error', 'Security Scan Failed');
             const errorMessage = error instanceof Error ? error.message : String(error);
             vscode.window.showErrorMessage(`Security analysis failed: ${errorMessage}`);
@@ -208,7 +233,7 @@ export class CommandManager {
             const selectedText = context.activeEditor.text || '';
             const description = `Explain the following code with detailed comments and documentation:\n\n${selectedText}`;
             
-            const result = await this.swarmManager.executeTask(description, 'explanation', filePath);
+            const result = await this.swarmManager.executeTask(description, 'explanation', filePath, CommandManager.interactive);
             
             // Show explanation in output channel
             await this.showCodeExplanation(result);
@@ -217,6 +242,9 @@ export class CommandManager {
             vscode.window.showInformationMessage('📖 Code explanation completed!');
             
         } catch (error) {
+            if (this.wasCancelled(error)) {
+                return;
+            }
             this.statusBarManager.updateStatus('error', 'Explanation Failed');
             const errorMessage = error instanceof Error ? error.message : String(error);
             vscode.window.showErrorMessage(`Code explanation failed: ${errorMessage}`);
@@ -236,7 +264,7 @@ export class CommandManager {
             const filePath = context.activeEditor.filePath;
             const description = `Refactor ${filePath} to improve readability, maintainability, and performance`;
             
-            const result = await this.swarmManager.executeTask(description, 'refactoring', filePath);
+            const result = await this.swarmManager.executeTask(description, 'refactoring', filePath, CommandManager.interactive);
             
             // Show refactoring suggestions
             await this.showRefactoringResults(result);
@@ -245,6 +273,9 @@ export class CommandManager {
             vscode.window.showInformationMessage('🔧 Code refactoring completed!');
             
         } catch (error) {
+            if (this.wasCancelled(error)) {
+                return;
+            }
             this.statusBarManager.updateStatus('error', 'Refactoring Failed');
             const errorMessage = error instanceof Error ? error.message : String(error);
             vscode.window.showErrorMessage(`Code refactoring failed: ${errorMessage}`);
@@ -254,11 +285,14 @@ export class CommandManager {
     async monitorSwarm(): Promise<void> {
         try {
             const description = 'Monitor swarm performance and agent status';
-            await this.swarmManager.executeTask(description, 'analysis');
+            await this.swarmManager.executeTask(description, 'analysis', undefined, CommandManager.interactive);
             
             vscode.window.showInformationMessage('📊 Swarm monitoring started!');
             
         } catch (error) {
+            if (this.wasCancelled(error)) {
+                return;
+            }
             const errorMessage = error instanceof Error ? error.message : String(error);
             vscode.window.showErrorMessage(`Monitoring failed: ${errorMessage}`);
         }
@@ -269,7 +303,7 @@ export class CommandManager {
             this.statusBarManager.updateStatus('benchmarking', 'Running Benchmarks...');
             
             const description = 'Run comprehensive performance benchmarks';
-            const result = await this.swarmManager.executeTask(description, 'analysis');
+            const result = await this.swarmManager.executeTask(description, 'analysis', undefined, CommandManager.interactive);
             
             // Show benchmark results
             await this.showBenchmarkResults(result);
@@ -278,12 +312,26 @@ export class CommandManager {
             vscode.window.showInformationMessage('🏃 Performance benchmarks completed!');
             
         } catch (error) {
+            if (this.wasCancelled(error)) {
+                return;
+            }
             this.statusBarManager.updateStatus('error', 'Benchmarks Failed');
             const errorMessage = error instanceof Error ? error.message : String(error);
             vscode.window.showErrorMessage(`Benchmarks failed: ${errorMessage}`);
         }
     }
 
+    /**
+     * Cancelling from the progress notification is not a failure
+     */
+    private wasCancelled(error: unknown): boolean {
+        if (error instanceof vscode.CancellationError) {
+            this.statusBarManager.updateStatus('ready', 'Cancelled');
+            return true;
+        }
+        return false;
+    }
+
     private getCommandContext(): CommandContext {
         const activeEditor = vscode.window.activeTextEditor;
         const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
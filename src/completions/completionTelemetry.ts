@@ -0,0 +1,122 @@
+/**
+ * Completion Telemetry - Records which inline completions were shown and
+ * accepted in the local SQLite memory bank. Nothing leaves the machine; when
+ * SQLite is unavailable the counts are kept for the session only.
+ */
+
+import * as vscode from 'vscode';
+import { createHash } from 'crypto';
+import { CompletionEventRecord, CompletionStats, SQLiteMemoryBank } from '../hive/sqliteMemoryBank';
+
+interface SessionCounts {
+    shown: number;
+    accepted: number;
+    totalLatencyMs: number;
+    acceptedChars: number;
+}
+
+export interface CompletionStatsReport {
+    stats: CompletionStats[];
+    /** False when only this session's counts are available */
+    persistent: boolean;
+}
+
+export class CompletionTelemetry implements vscode.Disposable {
+    private static readonly maxPendingEvents = 200;
+
+    private _outputChannel: vscode.OutputChannel;
+    private _memoryBank?: SQLiteMemoryBank;
+    private _workspaceId: string;
+    private _sessionCounts = new Map<string, SessionCounts>();
+    /** Recently shown completions, so an acceptance can be attributed to its language */
+    private _pendingEvents = new Map<string, { languageId: string; completionChars: number }>();
+
+    constructor(outputChannel: vscode.OutputChannel, memoryBank?: SQLiteMemoryBank) {
+        this._outputChannel = outputChannel;
+        this._memoryBank = memoryBank;
+        this._workspaceId = this._resolveWorkspaceId();
+    }
+
+    async initialize(): Promise<void> {
+        if (!this._memoryBank) {
+            this._outputChannel.appendLine('⚠️ Completion statistics are kept for this session only: the memory bank is unavailable');
+        }
+    }
+
+    recordShown(event: Omit<CompletionEventRecord, 'workspaceId'>): void {
+        const counts = this._countsFor(event.languageId);
+        counts.shown++;
+        counts.totalLatencyMs += event.latencyMs;
+
+        this._pendingEvents.set(event.id, { languageId: event.languageId, completionChars: event.completionChars });
+        if (this._pendingEvents.size > CompletionTelemetry.maxPendingEvents) {
+            this._pendingEvents.delete(this._pendingEvents.keys().next().value!);
+        }
+
+        this._memoryBank?.storeCompletionEvent({ ...event, workspaceId: this._workspaceId }).catch(error => {
+            this._outputChannel.appendLine(`⚠️ Failed to record completion: ${error}`);
+        });
+    }
+
+    recordAccepted(id: string): void {
+        const event = this._pendingEvents.get(id);
+        if (!event) {
+            return;
+        }
+        this._pendingEvents.delete(id);
+
+        const counts = this._countsFor(event.languageId);
+        counts.accepted++;
+        counts.acceptedChars += event.completionChars;
+
+        this._memoryBank?.markCompletionAccepted(id).catch(error => {
+            this._outputChannel.appendLine(`⚠️ Failed to record completion acceptance: ${error}`);
+        });
+    }
+
+    /**
+     * Acceptance per language in this workspace, from the memory bank when available
+     */
+    async getStats(): Promise<CompletionStatsReport> {
+        if (this._memoryBank) {
+            return {
+                stats: await this._memoryBank.getCompletionStats(this._workspaceId),
+                persistent: true
+            };
+        }
+
+        return {
+            stats: [...this._sessionCounts.entries()]
+                .map(([languageId, counts]) => ({
+                    languageId,
+                    shown: counts.shown,
+                    accepted: counts.accepted,
+                    averageLatencyMs: counts.shown > 0 ? Math.round(counts.totalLatencyMs / counts.shown) : 0,
+                    acceptedChars: counts.acceptedChars
+                }))
+                .sort((a, b) => b.shown - a.shown),
+            persistent: false
+        };
+    }
+
+    private _countsFor(languageId: string): SessionCounts {
+        let counts = this._sessionCounts.get(languageId);
+        if (!counts) {
+            counts = { shown: 0, accepted: 0, totalLatencyMs: 0, acceptedChars: 0 };
+            this._sessionCounts.set(languageId, counts);
+        }
+        return counts;
+    }
+
+    private _resolveWorkspaceId(): string {
+        const workspaceUri = vscode.workspace.workspaceFile ?? vscode.workspace.workspaceFolders?.[0]?.uri;
+        return workspaceUri
+            ? createHash('sha1').update(workspaceUri.toString()).digest('hex').slice(0, 16)
+            : 'no-workspace';
+    }
+
+    dispose(): void {
+        this._pendingEvents.clear();
+        this._sessionCounts.clear();
+    }
+}
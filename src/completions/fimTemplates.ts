@@ -0,0 +1,70 @@
+/**
+ * FIM Templates - Fill-in-the-middle prompt formats of common code models
+ * Each model family is trained on its own sentinel tokens; sending the wrong
+ * ones makes the model continue the prompt as plain text.
+ */
+
+export type FimTemplateName = 'qwen' | 'starcoder' | 'codellama' | 'deepseek' | 'codestral';
+
+export type CompletionTemplateSetting = 'auto' | 'chat' | FimTemplateName;
+
+export interface FimTemplate {
+    name: FimTemplateName;
+    build(prefix: string, suffix: string): string;
+    /** Tokens that end the middle section */
+    stop: string[];
+}
+
+export const FIM_TEMPLATES: Record<FimTemplateName, FimTemplate> = {
+    qwen: {
+        name: 'qwen',
+        build: (prefix, suffix) => `<|fim_prefix|>${prefix}<|fim_suffix|>${suffix}<|fim_middle|>`,
+        stop: ['<|endoftext|>', '<|fim_prefix|>', '<|fim_suffix|>', '<|fim_middle|>', '<|file_separator|>', '<|im_end|>']
+    },
+    starcoder: {
+        name: 'starcoder',
+        build: (prefix, suffix) => `<fim_prefix>${prefix}<fim_suffix>${suffix}<fim_middle>`,
+        stop: ['<|endoftext|>', '<fim_prefix>', '<fim_suffix>', '<fim_middle>', '<file_sep>']
+    },
+    codellama: {
+        name: 'codellama',
+        build: (prefix, suffix) => `<PRE> ${prefix} <SUF>${suffix} <MID>`,
+        stop: ['<EOT>', '<PRE>', '<SUF>', '<MID>']
+    },
+    deepseek: {
+        name: 'deepseek',
+        build: (prefix, suffix) => `<｜fim▁begin｜>${prefix}<｜fim▁hole｜>${suffix}<｜fim▁end｜>`,
+        stop: ['<｜fim▁begin｜>', '<｜fim▁hole｜>', '<｜fim▁end｜>', '<｜end▁of▁sentence｜>', '<|EOT|>']
+    },
+    codestral: {
+        name: 'codestral',
+        build: (prefix, suffix) => `[SUFFIX]${suffix}[PREFIX]${prefix}`,
+        stop: ['[PREFIX]', '[SUFFIX]', '[MIDDLE]', '</s>']
+    }
+};
+
+const MODEL_FAMILIES: Array<{ pattern: RegExp; template: FimTemplateName }> = [
+    { pattern: /qwen.*coder|codegemma/i, template: 'qwen' },
+    { pattern: /starcoder|santacoder|stable-?code|granite.*code|refact/i, template: 'starcoder' },
+    { pattern: /code-?llama/i, template: 'codellama' },
+    { pattern: /deepseek.*coder/i, template: 'deepseek' },
+    { pattern: /codestral/i, template: 'codestral' }
+];
+
+/**
+ * Template for a model; 'auto' recognizes the family from the model name and
+ * returns undefined for models without FIM training, which are prompted
+ * through chat instead
+ */
+export function resolveFimTemplate(setting: CompletionTemplateSetting, model: string): FimTemplate | undefined {
+    if (setting === 'chat') {
+        return undefined;
+    }
+
+    if (setting !== 'auto') {
+        return FIM_TEMPLATES[setting];
+    }
+
+    const family = MODEL_FAMILIES.find(candidate => candidate.pattern.test(model));
+    return family ? FIM_TEMPLATES[family.template] : undefined;
+}
@@ -0,0 +1,388 @@
+/**
+ * Inline Completion Provider - Ghost text completions from the local model
+ * Sends the code around the cursor as a fill-in-the-middle prompt, widened
+ * with neighbouring chunks of the same file from the code understanding
+ * pipeline. Models without FIM training are prompted through chat instead.
+ */
+
+import * as vscode from 'vscode';
+import { LLMProvider } from '../llm/llmProvider';
+import { CodeChunk, CodeUnderstandingPipeline } from '../pipelines/codeUnderstandingPipeline';
+import { SQLiteMemoryBank } from '../hive/sqliteMemoryBank';
+import { CompletionTemplateSetting, resolveFimTemplate } from './fimTemplates';
+import { CompletionTelemetry } from './completionTelemetry';
+
+export interface InlineCompletionConfig {
+    enabled: boolean;
+    /** Language id to enabled; '*' applies to languages not listed */
+    languages: Record<string, boolean>;
+    debounceMs: number;
+    maxTokens: number;
+    temperature: number;
+    maxLines: number;
+    prefixLines: number;
+    suffixLines: number;
+    /** Characters of neighbouring chunks added outside the prefix/suffix window */
+    contextChars: number;
+    template: CompletionTemplateSetting;
+}
+
+interface CompletionPrompt {
+    prefix: string;
+    suffix: string;
+    /** Text between the cursor and the end of its line */
+    restOfLine: string;
+    linePrefix: string;
+}
+
+interface CachedCompletion {
+    uri: string;
+    textBeforeCursor: string;
+    text: string;
+    id: string;
+}
+
+const CHAT_SYSTEM_PROMPT = 'You are a code completion engine. Reply with only the code to insert at <CURSOR>: '
+    + 'no explanations, no markdown fences and nothing that already follows the cursor.';
+
+export class LocalInlineCompletionProvider implements vscode.InlineCompletionItemProvider, vscode.Disposable {
+    private _llmProvider: LLMProvider;
+    private _pipeline: CodeUnderstandingPipeline;
+    private _telemetry: CompletionTelemetry;
+    private _outputChannel: vscode.OutputChannel;
+    private _config: InlineCompletionConfig;
+    private _cache?: CachedCompletion;
+    private _chunkCache?: { uri: string; version: number; chunks: CodeChunk[] };
+    private _lastError?: string;
+    private _nextId = 0;
+    private _disposables: vscode.Disposable[] = [];
+
+    constructor(llmProvider: LLMProvider, pipeline: CodeUnderstandingPipeline, memoryBank?: SQLiteMemoryBank) {
+        this._llmProvider = llmProvider;
+        this._pipeline = pipeline;
+        this._outputChannel = vscode.window.createOutputChannel('RUV-Swarm Completions');
+        this._telemetry = new CompletionTelemetry(this._outputChannel, memoryBank);
+        this._config = this._loadConfiguration();
+
+        this._disposables.push(vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('ruv-swarm.completions')) {
+                this._config = this._loadConfiguration();
+                this._cache = undefined;
+            }
+        }));
+    }
+
+    get telemetry(): CompletionTelemetry {
+        return this._telemetry;
+    }
+
+    async initialize(): Promise<void> {
+        await this._telemetry.initialize();
+    }
+
+    isEnabledFor(languageId: string): boolean {
+        const languages = this._config.languages;
+        return this._config.enabled && (languages[languageId] ?? languages['*'] ?? true);
+    }
+
+    /**
+     * Turns completions on or off for one language in the user settings
+     */
+    async toggleLanguage(languageId: string): Promise<boolean> {
+        const enabled = !this.isEnabledFor(languageId);
+        const config = vscode.workspace.getConfiguration('ruv-swarm.completions');
+        await config.update('languages', { ...this._config.languages, [languageId]: enabled }, vscode.ConfigurationTarget.Global);
+        if (enabled && !this._config.enabled) {
+            await config.update('enabled', true, vscode.ConfigurationTarget.Global);
+        }
+        return enabled;
+    }
+
+    /**
+     * Called through the command attached to each completion item
+     */
+    handleAccepted(id: string): void {
+        this._telemetry.recordAccepted(id);
+        this._cache = undefined;
+    }
+
+    async provideInlineCompletionItems(
+        document: vscode.TextDocument,
+        position: vscode.Position,
+        context: vscode.InlineCompletionContext,
+        token: vscode.CancellationToken
+    ): Promise<vscode.InlineCompletionItem[] | undefined> {
+        // The suggest widget has its own selection; ghost text would fight with it
+        if (!this.isEnabledFor(document.languageId) || !this._llmProvider.isConnected || context.selectedCompletionInfo) {
+            return undefined;
+        }
+
+        const textBeforeCursor = document.getText(new vscode.Range(new vscode.Position(0, 0), position));
+        const cached = this._fromCache(document, position, textBeforeCursor);
+        if (cached) {
+            return [cached];
+        }
+
+        if (context.triggerKind === vscode.InlineCompletionTriggerKind.Automatic && !await this._debounce(token)) {
+            return undefined;
+        }
+
+        const startTime = Date.now();
+        const prompt = await this._buildPrompt(document, position);
+        const model = this._llmProvider.resolveModel({ taskType: 'code_completion' });
+        const template = resolveFimTemplate(this._config.template, model);
+        const singleLine = prompt.restOfLine.trim().length > 0;
+
+        try {
+            const options = {
+                taskType: 'code_completion' as const,
+                maxTokens: this._config.maxTokens,
+                temperature: this._config.temperature,
+                cancellationToken: token
+            };
+
+            const raw = template
+                ? (await this._llmProvider.completeText(template.build(prompt.prefix, prompt.suffix), {
+                    ...options,
+                    stopSequences: singleLine ? [...template.stop, '\n'] : template.stop
+                })).content
+                : (await this._llmProvider.chat([
+                    { role: 'system', content: CHAT_SYSTEM_PROMPT },
+                    {
+                        role: 'user',
+                        content: `Language: ${document.languageId}\nFile: ${vscode.workspace.asRelativePath(document.uri)}\n\n${prompt.prefix}<CURSOR>${prompt.suffix}`
+                    }
+                ], options)).content;
+
+            if (token.isCancellationRequested) {
+                return undefined;
+            }
+
+            const text = this._cleanCompletion(raw, prompt, singleLine, !template);
+            this._lastError = undefined;
+            if (!text) {
+                return undefined;
+            }
+
+            const id = `completion-${Date.now()}-${this._nextId++}`;
+            this._cache = { uri: document.uri.toString(), textBeforeCursor, text, id };
+            this._telemetry.recordShown({
+                id,
+                languageId: document.languageId,
+                model,
+                template: template?.name || 'chat',
+                prefixChars: prompt.prefix.length,
+                completionChars: text.length,
+                completionLines: text.split('\n').length,
+                latencyMs: Date.now() - startTime
+            });
+
+            return [this._createItem(text, position, id)];
+
+        } catch (error) {
+            if (!(error instanceof vscode.CancellationError) && !token.isCancellationRequested) {
+                // Report each distinct failure once rather than on every keystroke
+                const message = error instanceof Error ? error.message : String(error);
+                if (message !== this._lastError) {
+                    this._lastError = message;
+                    this._outputChannel.appendLine(`❌ Inline completion with ${model} failed: ${message}`);
+                }
+            }
+            return undefined;
+        }
+    }
+
+    /**
+     * While the user types what the last completion suggested, the rest of it
+     * is offered again without another request
+     */
+    private _fromCache(document: vscode.TextDocument, position: vscode.Position, textBeforeCursor: string): vscode.InlineCompletionItem | undefined {
+        const cache = this._cache;
+        if (!cache || cache.uri !== document.uri.toString() || !textBeforeCursor.startsWith(cache.textBeforeCursor)) {
+            return undefined;
+        }
+
+        const typed = textBeforeCursor.slice(cache.textBeforeCursor.length);
+        if (typed.length === 0 || typed.length >= cache.text.length || !cache.text.startsWith(typed)) {
+            return undefined;
+        }
+
+        return this._createItem(cache.text.slice(typed.length), position, cache.id);
+    }
+
+    private _createItem(text: string, position: vscode.Position, id: string): vscode.InlineCompletionItem {
+        return new vscode.InlineCompletionItem(text, new vscode.Range(position, position), {
+            command: 'ruv-swarm.acceptInlineCompletion',
+            title: 'Accept Inline Completion',
+            arguments: [id]
+        });
+    }
+
+    /**
+     * Resolves true after the debounce delay, or false as soon as the request is cancelled
+     */
+    private _debounce(token: vscode.CancellationToken): Promise<boolean> {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                listener.dispose();
+                resolve(!token.isCancellationRequested);
+            }, this._config.debounceMs);
+
+            const listener = token.onCancellationRequested(() => {
+                clearTimeout(timer);
+                listener.dispose();
+                resolve(false);
+            });
+        });
+    }
+
+    /**
+     * Prefix and suffix windows around the cursor. Chunks outside the windows
+     * (the file header first, then the nearest ones) are added in file order,
+     * so the model sees imports and related declarations.
+     */
+    private async _buildPrompt(document: vscode.TextDocument, position: vscode.Position): Promise<CompletionPrompt> {
+        const windowStart = Math.max(0, position.line - this._config.prefixLines);
+        const windowEnd = Math.min(document.lineCount - 1, position.line + this._config.suffixLines);
+        const cursorLine = document.lineAt(position.line).text;
+
+        const prefix = document.getText(new vscode.Range(windowStart, 0, position.line, position.character));
+        const suffix = document.getText(new vscode.Range(position, document.lineAt(windowEnd).range.end));
+
+        const above: CodeChunk[] = [];
+        const below: CodeChunk[] = [];
+        let remaining = this._config.contextChars;
+
+        // Chunk lines are 1-based and inclusive; the window lines are 0-based
+        const candidates = (await this._chunksFor(document))
+            .filter(chunk => chunk.endLine <= windowStart || chunk.startLine > windowEnd + 1)
+            .map(chunk => ({
+                chunk,
+                distance: chunk.startLine === 1
+                    ? -1
+                    : chunk.endLine <= windowStart ? windowStart + 1 - chunk.endLine : chunk.startLine - windowEnd - 1
+            }))
+            .sort((a, b) => a.distance - b.distance);
+
+        for (const { chunk } of candidates) {
+            if (chunk.content.length > remaining) {
+                continue;
+            }
+            remaining -= chunk.content.length;
+            (chunk.endLine <= windowStart ? above : below).push(chunk);
+        }
+
+        const before = this._joinChunks(document, above);
+        const after = this._joinChunks(document, below);
+
+        return {
+            prefix: before ? `${before}\n${prefix}` : prefix,
+            suffix: after ? `${suffix}\n${after}` : suffix,
+            restOfLine: cursorLine.slice(position.character),
+            linePrefix: cursorLine.slice(0, position.character)
+        };
+    }
+
+    private async _chunksFor(document: vscode.TextDocument): Promise<CodeChunk[]> {
+        if (this._config.contextChars <= 0) {
+            return [];
+        }
+
+        const uri = document.uri.toString();
+        if (this._chunkCache?.uri === uri && this._chunkCache.version === document.version) {
+            return this._chunkCache.chunks;
+        }
+
+        const version = document.version;
+        const chunks = await this._pipeline.chunkContent(document.uri.fsPath, document.getText());
+        this._chunkCache = { uri, version, chunks };
+        return chunks;
+    }
+
+    /**
+     * Document lines covered by the chunks, in file order; chunks overlap, so
+     * their ranges are merged rather than their contents concatenated
+     */
+    private _joinChunks(document: vscode.TextDocument, chunks: CodeChunk[]): string {
+        const ranges = chunks
+            .map(chunk => [chunk.startLine - 1, Math.min(chunk.endLine, document.lineCount) - 1])
+            .sort((a, b) => a[0] - b[0]);
+
+        const merged: number[][] = [];
+        for (const range of ranges) {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1] + 1) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push([...range]);
+            }
+        }
+
+        return merged
+            .map(([start, end]) => document.getText(new vscode.Range(start, 0, end, document.lineAt(end).text.length)))
+            .join('\n');
+    }
+
+    private _cleanCompletion(raw: string, prompt: CompletionPrompt, singleLine: boolean, fromChat: boolean): string {
+        let text = raw.replace(/\r\n/g, '\n');
+
+        if (fromChat) {
+            const fenced = /```[\w+-]*\n([\s\S]*?)(?:```|$)/.exec(text);
+            text = (fenced ? fenced[1] : text).replace('<CURSOR>', '');
+
+            // Chat models tend to repeat the start of the cursor line, or its indentation
+            const lineStart = prompt.linePrefix.trim();
+            if (lineStart && text.trimStart().startsWith(lineStart)) {
+                text = text.trimStart().slice(lineStart.length);
+            } else if (!lineStart && prompt.linePrefix && text.startsWith(prompt.linePrefix)) {
+                text = text.slice(prompt.linePrefix.length);
+            }
+        }
+
+        let lines = text.split('\n');
+        if (singleLine) {
+            lines = lines.slice(0, 1);
+        }
+
+        // Stop where the model starts repeating the code after the cursor
+        const nextLine = prompt.suffix.split('\n').slice(1).map(line => line.trim()).find(line => line.length > 0);
+        if (nextLine) {
+            const repeated = lines.findIndex((line, index) => index > 0 && line.trim() === nextLine);
+            if (repeated > 0) {
+                lines = lines.slice(0, repeated);
+            }
+        }
+
+        text = lines.slice(0, this._config.maxLines).join('\n').trimEnd();
+
+        const restOfLine = prompt.restOfLine.trim();
+        if (restOfLine && text.endsWith(restOfLine)) {
+            text = text.slice(0, -restOfLine.length);
+        }
+
+        return text.trim() ? text : '';
+    }
+
+    private _loadConfiguration(): InlineCompletionConfig {
+        const config = vscode.workspace.getConfiguration('ruv-swarm.completions');
+
+        return {
+            enabled: config.get('enabled', true),
+            languages: config.get('languages', { '*': true, plaintext: false, markdown: false, scminput: false }),
+            debounceMs: config.get('debounceMs', 300),
+            maxTokens: config.get('maxTokens', 128),
+            temperature: config.get('temperature', 0.2),
+            maxLines: config.get('maxLines', 10),
+            prefixLines: config.get('prefixLines', 60),
+            suffixLines: config.get('suffixLines', 20),
+            contextChars: config.get('contextChars', 2000),
+            template: config.get('template', 'auto')
+        };
+    }
+
+    dispose(): void {
+        this._disposables.forEach(disposable => disposable.dispose());
+        this._telemetry.dispose();
+        this._outputChannel.dispose();
+    }
+}
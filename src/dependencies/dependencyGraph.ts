@@ -0,0 +1,656 @@
+/**
+ * Dependency Graph - The resolved import graph of the workspace
+ * Every TypeScript, JavaScript and Python file is a module; its imports are
+ * resolved to workspace files or named installed packages. The graph is
+ * built on first use and kept current as files change, and answers the
+ * questions behind impact analysis: what a module imports, what imports it
+ * directly or transitively, which modules take part in import cycles and
+ * how many modules depend on each one (fan-in) or it depends on (fan-out).
+ */
+
+import * as vscode from 'vscode';
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { ImportExtractor, ImportLanguage, ImportReference, getImportLanguage } from './importExtractor';
+import { ModuleResolver, ResolvedImport } from './moduleResolver';
+
+export interface DependencyGraphConfig {
+    include: string;
+    exclude: string;
+    maxFiles: number;
+    maxFileSize: number;
+    /** Extra Python source roots, relative to the first workspace folder */
+    pythonPaths: string[];
+}
+
+export interface DependencyCycle {
+    /** Modules of the strongly connected component, sorted */
+    modules: string[];
+    /** One chain of imports through the component, ending where it started */
+    path: string[];
+}
+
+export interface ModuleMetrics {
+    filePath: string;
+    language: ImportLanguage;
+    /** Modules importing this one */
+    fanIn: number;
+    /** Workspace modules this one imports */
+    fanOut: number;
+    externalPackages: string[];
+    inCycle: boolean;
+}
+
+export interface DependencyGraphSnapshot {
+    nodes: Array<{
+        id: string;
+        label: string;
+        language?: ImportLanguage;
+        external: boolean;
+        fanIn: number;
+        fanOut: number;
+        inCycle: boolean;
+    }>;
+    edges: Array<{ from: string; to: string; typeOnly: boolean; inCycle: boolean }>;
+    cycles: DependencyCycle[];
+    unresolved: Array<{ filePath: string; specifier: string; line: number }>;
+}
+
+interface ModuleEntry {
+    language: ImportLanguage;
+    references: ImportReference[];
+    imports: ResolvedImport[];
+}
+
+/**
+ * Strongly connected components with Tarjan's algorithm, iteratively so deep
+ * import chains cannot overflow the stack
+ */
+export function findStronglyConnectedComponents(edges: Map<string, Set<string>>): string[][] {
+    const indices = new Map<string, number>();
+    const lowlinks = new Map<string, number>();
+    const onStack = new Set<string>();
+    const stack: string[] = [];
+    const components: string[][] = [];
+    let index = 0;
+
+    for (const start of edges.keys()) {
+        if (indices.has(start)) {
+            continue;
+        }
+
+        const work: Array<{ node: string; neighbours: Iterator<string> }> = [];
+        const open = (node: string): void => {
+            indices.set(node, index);
+            lowlinks.set(node, index);
+            index++;
+            stack.push(node);
+            onStack.add(node);
+            work.push({ node, neighbours: (edges.get(node) ?? new Set<string>()).values() });
+        };
+        open(start);
+
+        while (work.length > 0) {
+            const frame = work[work.length - 1];
+            const next = frame.neighbours.next();
+            if (!next.done) {
+                if (!indices.has(next.value)) {
+                    open(next.value);
+                } else if (onStack.has(next.value)) {
+                    lowlinks.set(frame.node, Math.min(lowlinks.get(frame.node)!, indices.get(next.value)!));
+                }
+                continue;
+            }
+
+            work.pop();
+            if (work.length > 0) {
+                const parent = work[work.length - 1].node;
+                lowlinks.set(parent, Math.min(lowlinks.get(parent)!, lowlinks.get(frame.node)!));
+            }
+            if (lowlinks.get(frame.node) === indices.get(frame.node)) {
+                const component: string[] = [];
+                let member: string;
+                do {
+                    member = stack.pop()!;
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== frame.node);
+                components.push(component);
+            }
+        }
+    }
+
+    return components;
+}
+
+/**
+ * Import cycles: components of more than one module, each with its shortest
+ * chain of imports from the first module back to itself
+ */
+export function findCycles(edges: Map<string, Set<string>>): DependencyCycle[] {
+    return findStronglyConnectedComponents(edges)
+        .filter(component => component.length > 1)
+        .map(component => {
+            const modules = [...component].sort();
+            return { modules, path: findCyclePath(modules[0], new Set(modules), edges) };
+        })
+        .sort((a, b) => b.modules.length - a.modules.length || a.modules[0].localeCompare(b.modules[0]));
+}
+
+function findCyclePath(start: string, members: Set<string>, edges: Map<string, Set<string>>): string[] {
+    const previous = new Map<string, string>();
+    const queue = [start];
+
+    for (let i = 0; i < queue.length; i++) {
+        const node = queue[i];
+        for (const next of edges.get(node) ?? []) {
+            if (next === start) {
+                const chain = [node];
+                while (chain[chain.length - 1] !== start) {
+                    chain.push(previous.get(chain[chain.length - 1])!);
+                }
+                return [...chain.reverse(), start];
+            }
+            if (members.has(next) && !previous.has(next)) {
+                previous.set(next, node);
+                queue.push(next);
+            }
+        }
+    }
+
+    return [start];
+}
+
+export class DependencyGraphService implements vscode.Disposable {
+    private _outputChannel: vscode.OutputChannel;
+    private _config: DependencyGraphConfig;
+    private _extractor = new ImportExtractor();
+    private _resolver: ModuleResolver;
+    private _modules = new Map<string, ModuleEntry>();
+    private _building?: Promise<void>;
+    private _built = false;
+    /** Files changed on disk since the last refresh */
+    private _pendingFiles = new Map<string, 'changed' | 'created' | 'deleted'>();
+    private _pendingResolve = false;
+    private _refreshTimer?: NodeJS.Timeout;
+    private _onDidChangeGraph = new vscode.EventEmitter<void>();
+    private _sourceWatcher: vscode.Disposable[] = [];
+    private _disposables: vscode.Disposable[] = [];
+
+    public readonly onDidChangeGraph = this._onDidChangeGraph.event;
+
+    constructor() {
+        this._outputChannel = vscode.window.createOutputChannel('RUV-Swarm Dependency Graph');
+        this._config = this._loadConfiguration();
+        this._resolver = this._createResolver();
+        this._watchSources();
+
+        const configWatcher = vscode.workspace.createFileSystemWatcher('**/{tsconfig,jsconfig,package}.json');
+        this._disposables.push(
+            configWatcher,
+            configWatcher.onDidChange(() => this._queueResolve()),
+            configWatcher.onDidCreate(() => this._queueResolve()),
+            configWatcher.onDidDelete(() => this._queueResolve()),
+            vscode.workspace.onDidChangeWorkspaceFolders(() => {
+                this._resolver = this._createResolver();
+                this._built = false;
+            }),
+            vscode.workspace.onDidChangeConfiguration(event => {
+                if (event.affectsConfiguration('ruv-swarm.dependencies')) {
+                    this._config = this._loadConfiguration();
+                    this._resolver = this._createResolver();
+                    this._watchSources();
+                    this._built = false;
+                    this._onDidChangeGraph.fire();
+                }
+            })
+        );
+    }
+
+    get config(): DependencyGraphConfig {
+        return this._config;
+    }
+
+    get isBuilt(): boolean {
+        return this._built;
+    }
+
+    /**
+     * Parses and resolves every supported file of the workspace
+     */
+    async build(): Promise<{ modules: number; imports: number; cycles: number }> {
+        if (!this._building) {
+            this._building = this._buildGraph().finally(() => {
+                this._building = undefined;
+            });
+        }
+        await this._building;
+
+        const edges = this._getEdges();
+        return {
+            modules: this._modules.size,
+            imports: [...edges.values()].reduce((sum, targets) => sum + targets.size, 0),
+            cycles: findCycles(edges).length
+        };
+    }
+
+    async ensureBuilt(): Promise<void> {
+        if (!this._built) {
+            await this.build();
+        }
+    }
+
+    /**
+     * Resolved imports of a file, from the graph when it is part of it and
+     * parsed from disk otherwise
+     */
+    async getImports(filePath: string): Promise<ResolvedImport[]> {
+        const entry = this._modules.get(filePath);
+        if (entry) {
+            return entry.imports;
+        }
+
+        const language = getImportLanguage(filePath);
+        if (!language) {
+            return [];
+        }
+        const references = await this._extractor.extract(filePath, await fs.readFile(filePath, 'utf8'), language);
+        return references.flatMap(reference => this._resolver.resolve(filePath, reference, language));
+    }
+
+    /**
+     * Modules importing a file directly, with the line of the import
+     */
+    getDependents(filePath: string): Array<{ filePath: string; line: number; kind: ResolvedImport['kind'] }> {
+        const dependents: Array<{ filePath: string; line: number; kind: ResolvedImport['kind'] }> = [];
+        for (const [importer, entry] of this._modules) {
+            const reference = entry.imports.find(resolved => resolved.target === filePath);
+            if (reference) {
+                dependents.push({ filePath: importer, line: reference.line, kind: reference.kind });
+            }
+        }
+        return dependents.sort((a, b) => a.filePath.localeCompare(b.filePath));
+    }
+
+    /**
+     * Modules affected by a change to a file: everything importing it
+     * directly or through other modules, up to maxDepth imports away
+     */
+    getImpact(filePath: string, maxDepth: number = Number.POSITIVE_INFINITY): Array<{ filePath: string; distance: number }> {
+        const dependents = this._getReverseEdges();
+        const distances = new Map<string, number>([[filePath, 0]]);
+        const queue = [filePath];
+
+        for (let i = 0; i < queue.length; i++) {
+            const distance = distances.get(queue[i])!;
+            if (distance >= maxDepth) {
+                continue;
+            }
+            for (const dependent of dependents.get(queue[i]) ?? []) {
+                if (!distances.has(dependent)) {
+                    distances.set(dependent, distance + 1);
+                    queue.push(dependent);
+                }
+            }
+        }
+
+        distances.delete(filePath);
+        return [...distances]
+            .map(([dependent, distance]) => ({ filePath: dependent, distance }))
+            .sort((a, b) => a.distance - b.distance || a.filePath.localeCompare(b.filePath));
+    }
+
+    getCycles(): DependencyCycle[] {
+        return findCycles(this._getEdges());
+    }
+
+    getModuleMetrics(): ModuleMetrics[] {
+        const edges = this._getEdges();
+        const reverse = this._getReverseEdges();
+        const inCycle = new Set(findCycles(edges).flatMap(cycle => cycle.modules));
+
+        return [...this._modules].map(([filePath, entry]) => ({
+            filePath,
+            language: entry.language,
+            fanIn: reverse.get(filePath)?.size ?? 0,
+            fanOut: edges.get(filePath)?.size ?? 0,
+            externalPackages: [...new Set(entry.imports.flatMap(resolved => resolved.external ? [resolved.external] : []))].sort(),
+            inCycle: inCycle.has(filePath)
+        }));
+    }
+
+    /**
+     * The graph for the webview; installed packages become nodes of their own
+     */
+    getSnapshot(): DependencyGraphSnapshot {
+        const cycles = this.getCycles();
+        const cycleOf = new Map<string, number>();
+        cycles.forEach((cycle, index) => cycle.modules.forEach(module => cycleOf.set(module, index)));
+
+        const metrics = this.getModuleMetrics();
+        const packageImporters = new Map<string, number>();
+        const edges: DependencyGraphSnapshot['edges'] = [];
+        const unresolved: DependencyGraphSnapshot['unresolved'] = [];
+
+        for (const [filePath, entry] of this._modules) {
+            const seen = new Map<string, DependencyGraphSnapshot['edges'][number]>();
+            for (const resolved of entry.imports) {
+                const to = resolved.target ?? (resolved.external ? `package:${resolved.external}` : undefined);
+                if (!to) {
+                    unresolved.push({ filePath, specifier: resolved.specifier, line: resolved.line });
+                    continue;
+                }
+
+                const edge = seen.get(to);
+                if (edge) {
+                    // Type-only when every import of the module is
+                    edge.typeOnly = edge.typeOnly && resolved.kind === 'type';
+                    continue;
+                }
+                if (resolved.external) {
+                    packageImporters.set(resolved.external, (packageImporters.get(resolved.external) ?? 0) + 1);
+                }
+                const cycle = cycleOf.get(filePath);
+                const created = { from: filePath, to, typeOnly: resolved.kind === 'type', inCycle: cycle !== undefined && cycleOf.get(to) === cycle };
+                seen.set(to, created);
+                edges.push(created);
+            }
+        }
+
+        return {
+            nodes: [
+                ...metrics.map(module => ({
+                    id: module.filePath,
+                    label: vscode.workspace.asRelativePath(module.filePath),
+                    language: module.language,
+                    external: false,
+                    fanIn: module.fanIn,
+                    fanOut: module.fanOut,
+                    inCycle: module.inCycle
+                })),
+                ...[...packageImporters].map(([name, importers]) => ({
+                    id: `package:${name}`,
+                    label: name,
+                    external: true,
+                    fanIn: importers,
+                    fanOut: 0,
+                    inCycle: false
+                }))
+            ],
+            edges,
+            cycles,
+            unresolved
+        };
+    }
+
+    /**
+     * Answer of the get_dependency_graph tool: a workspace summary, or the
+     * neighbourhood and impact of one file
+     */
+    async describe(options: { filePath?: string; depth?: number; includeExternal?: boolean } = {}): Promise<any> {
+        await this.ensureBuilt();
+        const relative = (filePath: string) => vscode.workspace.asRelativePath(filePath);
+        const metrics = this.getModuleMetrics();
+        const cycles = this.getCycles();
+
+        if (options.filePath) {
+            const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath ?? '';
+            const filePath = path.resolve(workspaceRoot, options.filePath);
+            const entry = this._modules.get(filePath);
+            if (!entry) {
+                throw new Error(`${options.filePath} is not part of the dependency graph`);
+            }
+
+            const module = metrics.find(candidate => candidate.filePath === filePath)!;
+            const impact = this.getImpact(filePath, options.depth ?? 3);
+            return {
+                file: relative(filePath),
+                language: entry.language,
+                fanIn: module.fanIn,
+                fanOut: module.fanOut,
+                imports: entry.imports
+                    .filter(resolved => resolved.target)
+                    .map(resolved => ({ file: relative(resolved.target!), line: resolved.line, kind: resolved.kind })),
+                importedBy: this.getDependents(filePath)
+                    .map(dependent => ({ file: relative(dependent.filePath), line: dependent.line, kind: dependent.kind })),
+                impact: {
+                    description: `Modules importing ${relative(filePath)} directly or through up to ${options.depth ?? 3} other modules`,
+                    total: impact.length,
+                    modules: impact.slice(0, 50).map(dependent => ({ file: relative(dependent.filePath), distance: dependent.distance }))
+                },
+                cycles: cycles
+                    .filter(cycle => cycle.modules.includes(filePath))
+                    .map(cycle => cycle.path.map(relative).join(' → ')),
+                unresolvedImports: entry.imports
+                    .filter(resolved => !resolved.target && !resolved.external)
+                    .map(resolved => ({ specifier: resolved.specifier, line: resolved.line })),
+                ...(options.includeExternal ? { externalPackages: module.externalPackages } : {})
+            };
+        }
+
+        const byFanIn = [...metrics].sort((a, b) => b.fanIn - a.fanIn).filter(module => module.fanIn > 0);
+        const byFanOut = [...metrics].sort((a, b) => b.fanOut - a.fanOut).filter(module => module.fanOut > 0);
+        const packages = new Map<string, number>();
+        metrics.forEach(module => module.externalPackages.forEach(name => packages.set(name, (packages.get(name) ?? 0) + 1)));
+
+        return {
+            modules: metrics.length,
+            imports: metrics.reduce((sum, module) => sum + module.fanOut, 0),
+            mostImported: byFanIn.slice(0, 10).map(module => ({ file: relative(module.filePath), fanIn: module.fanIn })),
+            mostDependencies: byFanOut.slice(0, 10).map(module => ({ file: relative(module.filePath), fanOut: module.fanOut })),
+            cycles: {
+                total: cycles.length,
+                examples: cycles.slice(0, 10).map(cycle => cycle.path.map(relative).join(' → '))
+            },
+            unresolvedImports: this._countUnresolved(),
+            ...(options.includeExternal
+                ? {
+                    externalPackages: [...packages]
+                        .sort((a, b) => b[1] - a[1])
+                        .slice(0, 30)
+                        .map(([name, importers]) => ({ name, importers }))
+                }
+                : {})
+        };
+    }
+
+    private async _buildGraph(): Promise<void> {
+        await vscode.window.withProgress(
+            { location: vscode.ProgressLocation.Window, title: 'Building dependency graph' },
+            async progress => {
+                const startTime = Date.now();
+                this._resolver.clearCache();
+                const uris = await vscode.workspace.findFiles(this._config.include, this._config.exclude, this._config.maxFiles);
+                const modules = new Map<string, ModuleEntry>();
+
+                for (const [position, uri] of uris.entries()) {
+                    progress.report({ message: `${position + 1}/${uris.length}` });
+                    const entry = await this._readModule(uri.fsPath);
+                    if (entry) {
+                        modules.set(uri.fsPath, entry);
+                    }
+                }
+
+                this._modules = modules;
+                this._built = true;
+                this._pendingFiles.clear();
+                this._outputChannel.appendLine(`🕸️ Built dependency graph of ${modules.size} modules in ${Date.now() - startTime}ms`);
+                this._onDidChangeGraph.fire();
+            }
+        );
+    }
+
+    private async _readModule(filePath: string): Promise<ModuleEntry | undefined> {
+        const language = getImportLanguage(filePath);
+        if (!language) {
+            return undefined;
+        }
+
+        try {
+            const stat = await fs.stat(filePath);
+            if (stat.size > this._config.maxFileSize) {
+                return undefined;
+            }
+            const references = await this._extractor.extract(filePath, await fs.readFile(filePath, 'utf8'), language);
+            return {
+                language,
+                references,
+                imports: references.flatMap(reference => this._resolver.resolve(filePath, reference, language))
+            };
+        } catch (error) {
+            this._outputChannel.appendLine(`⚠️ Failed to read imports of ${filePath}: ${error instanceof Error ? error.message : String(error)}`);
+            return undefined;
+        }
+    }
+
+    private _queueFile(uri: vscode.Uri, change: 'changed' | 'created' | 'deleted'): void {
+        if (!this._built || uri.scheme !== 'file') {
+            return;
+        }
+        this._pendingFiles.set(uri.fsPath, change);
+        this._scheduleRefresh();
+    }
+
+    private _queueResolve(): void {
+        if (!this._built) {
+            return;
+        }
+        this._pendingResolve = true;
+        this._scheduleRefresh();
+    }
+
+    private _scheduleRefresh(): void {
+        if (this._refreshTimer) {
+            clearTimeout(this._refreshTimer);
+        }
+        // Batches the events of a branch switch or a formatter run
+        this._refreshTimer = setTimeout(() => {
+            this._refreshTimer = undefined;
+            this._refresh().catch(error => {
+                this._outputChannel.appendLine(`⚠️ Failed to update dependency graph: ${error instanceof Error ? error.message : String(error)}`);
+            });
+        }, 500);
+    }
+
+    private async _refresh(): Promise<void> {
+        const pending = [...this._pendingFiles];
+        this._pendingFiles.clear();
+        // New and deleted files change what other modules' imports resolve to
+        let resolveAll = this._pendingResolve || pending.some(([, change]) => change !== 'changed');
+        this._pendingResolve = false;
+        if (resolveAll) {
+            this._resolver.clearCache();
+        }
+
+        for (const [filePath, change] of pending) {
+            if (change === 'deleted') {
+                this._modules.delete(filePath);
+                continue;
+            }
+            if (!this._modules.has(filePath) && !(await this._isIncluded(filePath))) {
+                continue;
+            }
+
+            const entry = await this._readModule(filePath);
+            if (entry) {
+                this._modules.set(filePath, entry);
+            } else if (this._modules.delete(filePath)) {
+                resolveAll = true;
+            }
+        }
+
+        if (resolveAll) {
+            for (const [filePath, entry] of this._modules) {
+                entry.imports = entry.references.flatMap(reference => this._resolver.resolve(filePath, reference, entry.language));
+            }
+        }
+
+        if (pending.length > 0 || resolveAll) {
+            this._onDidChangeGraph.fire();
+        }
+    }
+
+    /** Watches the files matching the include glob */
+    private _watchSources(): void {
+        this._sourceWatcher.forEach(disposable => disposable.dispose());
+        const watcher = vscode.workspace.createFileSystemWatcher(this._config.include);
+        this._sourceWatcher = [
+            watcher,
+            watcher.onDidChange(uri => this._queueFile(uri, 'changed')),
+            watcher.onDidCreate(uri => this._queueFile(uri, 'created')),
+            watcher.onDidDelete(uri => this._queueFile(uri, 'deleted'))
+        ];
+    }
+
+    /** Whether a file reported by the include watcher is not excluded */
+    private async _isIncluded(filePath: string): Promise<boolean> {
+        const folder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(filePath));
+        if (!folder) {
+            return false;
+        }
+        const relativePath = path.relative(folder.uri.fsPath, filePath).split(path.sep).join('/');
+        const matches = await vscode.workspace.findFiles(new vscode.RelativePattern(folder, relativePath), this._config.exclude, 1);
+        return matches.length > 0;
+    }
+
+    private _getEdges(): Map<string, Set<string>> {
+        const edges = new Map<string, Set<string>>();
+        for (const [filePath, entry] of this._modules) {
+            edges.set(filePath, new Set(entry.imports.flatMap(resolved =>
+                resolved.target && resolved.target !== filePath && this._modules.has(resolved.target) ? [resolved.target] : []
+            )));
+        }
+        return edges;
+    }
+
+    private _getReverseEdges(): Map<string, Set<string>> {
+        const reverse = new Map<string, Set<string>>();
+        for (const [filePath, targets] of this._getEdges()) {
+            for (const target of targets) {
+                let importers = reverse.get(target);
+                if (!importers) {
+                    importers = new Set();
+                    reverse.set(target, importers);
+                }
+                importers.add(filePath);
+            }
+        }
+        return reverse;
+    }
+
+    private _countUnresolved(): number {
+        let count = 0;
+        for (const entry of this._modules.values()) {
+            count += entry.imports.filter(resolved => !resolved.target && !resolved.external).length;
+        }
+        return count;
+    }
+
+    private _createResolver(): ModuleResolver {
+        const roots = vscode.workspace.workspaceFolders?.map(folder => folder.uri.fsPath) ?? [];
+        return new ModuleResolver(roots, this._config.pythonPaths);
+    }
+
+    private _loadConfiguration(): DependencyGraphConfig {
+        const config = vscode.workspace.getConfiguration('ruv-swarm.dependencies');
+
+        return {
+            include: config.get('include', '**/*.{ts,tsx,mts,cts,js,jsx,mjs,cjs,py}'),
+            exclude: config.get('exclude', '**/{node_modules,.git,out,dist,build,target,coverage,vendor,.venv,venv,__pycache__}/**'),
+            maxFiles: config.get('maxFiles', 5000),
+            maxFileSize: config.get('maxFileSize', 524288),
+            pythonPaths: config.get('pythonPaths', [])
+        };
+    }
+
+    dispose(): void {
+        if (this._refreshTimer) {
+            clearTimeout(this._refreshTimer);
+        }
+        this._sourceWatcher.forEach(disposable => disposable.dispose());
+        this._disposables.forEach(disposable => disposable.dispose());
+        this._onDidChangeGraph.dispose();
+        this._outputChannel.dispose();
+        this._modules.clear();
+    }
+}
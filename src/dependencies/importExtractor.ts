@@ -0,0 +1,106 @@
+/**
+ * Import Extractor - Finds the module references of a source file in its
+ * syntax tree: static imports and re-exports, require calls, dynamic and
+ * type-only imports for TypeScript/JavaScript, and import statements at any
+ * depth for Python. Imports inside strings and comments are never matched.
+ */
+
+import * as ts from 'typescript';
+import Parser from 'web-tree-sitter';
+import { createTypeScriptSource, getAstLanguage, withTreeSitterTree } from '../pipelines/astChunker';
+
+export type ImportLanguage = 'typescript' | 'javascript' | 'python';
+
+export type ImportKind = 'import' | 'export' | 'require' | 'dynamic' | 'type';
+
+export interface ImportReference {
+    /** Module as written; relative Python modules keep their leading dots */
+    specifier: string;
+    line: number;
+    kind: ImportKind;
+    /** Names imported from a Python module, which may be its submodules */
+    names?: string[];
+}
+
+export function getImportLanguage(filePath: string): ImportLanguage | undefined {
+    const language = getAstLanguage(filePath);
+    return language === 'typescript' || language === 'javascript' || language === 'python' ? language : undefined;
+}
+
+export class ImportExtractor {
+    async extract(filePath: string, content: string, language: ImportLanguage): Promise<ImportReference[]> {
+        return language === 'python'
+            ? this._extractPython(content)
+            : this._extractTypeScript(filePath, content);
+    }
+
+    private _extractTypeScript(filePath: string, content: string): ImportReference[] {
+        const source = createTypeScriptSource(filePath, content);
+        const references: ImportReference[] = [];
+
+        const add = (specifier: ts.Node | undefined, kind: ImportKind, node: ts.Node): void => {
+            if (specifier && ts.isStringLiteralLike(specifier)) {
+                const line = source.getLineAndCharacterOfPosition(node.getStart(source)).line + 1;
+                references.push({ specifier: specifier.text, line, kind });
+            }
+        };
+
+        const visit = (node: ts.Node): void => {
+            if (ts.isImportDeclaration(node)) {
+                add(node.moduleSpecifier, node.importClause?.isTypeOnly ? 'type' : 'import', node);
+            } else if (ts.isExportDeclaration(node)) {
+                add(node.moduleSpecifier, node.isTypeOnly ? 'type' : 'export', node);
+            } else if (ts.isImportEqualsDeclaration(node) && ts.isExternalModuleReference(node.moduleReference)) {
+                add(node.moduleReference.expression, node.isTypeOnly ? 'type' : 'require', node);
+            } else if (ts.isImportTypeNode(node) && ts.isLiteralTypeNode(node.argument)) {
+                add(node.argument.literal, 'type', node);
+            } else if (ts.isCallExpression(node) && node.arguments.length === 1) {
+                if (node.expression.kind === ts.SyntaxKind.ImportKeyword) {
+                    add(node.arguments[0], 'dynamic', node);
+                } else if (ts.isIdentifier(node.expression) && node.expression.text === 'require') {
+                    add(node.arguments[0], 'require', node);
+                }
+            }
+            ts.forEachChild(node, visit);
+        };
+
+        visit(source);
+        return references;
+    }
+
+    private async _extractPython(content: string): Promise<ImportReference[]> {
+        return withTreeSitterTree(content, 'python', root => {
+            const references: ImportReference[] = [];
+            const moduleName = (name: Parser.SyntaxNode): string =>
+                (name.type === 'aliased_import' ? name.childForFieldName('name') ?? name : name).text;
+
+            const visit = (node: Parser.SyntaxNode): void => {
+                const line = node.startPosition.row + 1;
+                if (node.type === 'import_statement') {
+                    for (const name of node.childrenForFieldName('name')) {
+                        references.push({ specifier: moduleName(name), line, kind: 'import' });
+                    }
+                    return;
+                }
+                if (node.type === 'import_from_statement') {
+                    const module = node.childForFieldName('module_name');
+                    if (module) {
+                        references.push({
+                            specifier: module.text.replace(/\s+/g, ''),
+                            line,
+                            kind: 'import',
+                            names: node.childrenForFieldName('name').map(moduleName)
+                        });
+                    }
+                    return;
+                }
+                for (const child of node.namedChildren) {
+                    visit(child);
+                }
+            };
+
+            visit(root);
+            return references;
+        });
+    }
+}
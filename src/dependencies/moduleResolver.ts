@@ -0,0 +1,260 @@
+/**
+ * Module Resolver - Resolves import specifiers to workspace files
+ * TypeScript and JavaScript go through the compiler's module resolution
+ * with the nearest tsconfig.json or jsconfig.json, so `baseUrl`, `paths`,
+ * package.json `exports` and workspace packages linked into node_modules
+ * resolve the way the compiler sees them. Python modules are looked up
+ * relative to the importing package or on the source roots: the workspace
+ * folders, their src directories, the configured paths and the directory
+ * holding the importing file's top-level package.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as ts from 'typescript';
+import { builtinModules } from 'module';
+import { ImportKind, ImportLanguage, ImportReference } from './importExtractor';
+
+export interface ResolvedImport {
+    specifier: string;
+    line: number;
+    kind: ImportKind;
+    /** Workspace file the import resolves to */
+    target?: string;
+    /** Package for imports of installed packages and the standard library */
+    external?: string;
+}
+
+interface TypeScriptResolution {
+    options: ts.CompilerOptions;
+    cache: ts.ModuleResolutionCache;
+    /** Exports-aware resolution tried when a project still uses node10 resolution */
+    fallback?: TypeScriptResolution;
+}
+
+const EXPORTS_AWARE_RESOLUTION = new Set([
+    ts.ModuleResolutionKind.Bundler,
+    ts.ModuleResolutionKind.Node16,
+    ts.ModuleResolutionKind.NodeNext
+]);
+
+/** Options for projects without a tsconfig.json or jsconfig.json */
+const DEFAULT_COMPILER_OPTIONS: ts.CompilerOptions = {
+    module: ts.ModuleKind.ESNext,
+    moduleResolution: ts.ModuleResolutionKind.Bundler,
+    resolveJsonModule: true
+};
+
+/**
+ * Package an import of a bare specifier belongs to, e.g. `@scope/pkg` for
+ * `@scope/pkg/sub` and `fs` for `node:fs/promises`
+ */
+export function getPackageName(specifier: string): string {
+    const bare = specifier.replace(/^node:/, '');
+    const segments = bare.split('/');
+    return bare.startsWith('@') && segments.length > 1 ? `${segments[0]}/${segments[1]}` : segments[0];
+}
+
+export class ModuleResolver {
+    private _roots: string[];
+    private _pythonPaths: string[];
+    private _configByDirectory = new Map<string, string | undefined>();
+    private _resolutions = new Map<string, TypeScriptResolution>();
+    private _fileExists = new Map<string, boolean>();
+    private _directoryExists = new Map<string, boolean>();
+
+    /**
+     * @param roots Workspace folders; files outside them are never targets
+     * @param pythonPaths Extra Python source roots, relative to the first folder
+     */
+    constructor(roots: string[], pythonPaths: string[] = []) {
+        this._roots = roots.map(root => path.resolve(root));
+        this._pythonPaths = pythonPaths.map(pythonPath => path.resolve(this._roots[0] ?? '', pythonPath));
+    }
+
+    resolve(filePath: string, reference: ImportReference, language: ImportLanguage): ResolvedImport[] {
+        return language === 'python'
+            ? this._resolvePython(filePath, reference)
+            : [this._resolveTypeScript(filePath, reference)];
+    }
+
+    /**
+     * Forgets parsed configurations and looked up files, after files were
+     * created or deleted or a tsconfig.json or package.json changed
+     */
+    clearCache(): void {
+        this._configByDirectory.clear();
+        this._resolutions.clear();
+        this._fileExists.clear();
+        this._directoryExists.clear();
+    }
+
+    private _resolveTypeScript(filePath: string, reference: ImportReference): ResolvedImport {
+        const resolved: ResolvedImport = { specifier: reference.specifier, line: reference.line, kind: reference.kind };
+        const specifier = reference.specifier;
+
+        if (specifier.startsWith('node:') || builtinModules.includes(specifier)) {
+            return { ...resolved, external: getPackageName(specifier) };
+        }
+
+        // require() resolves with the "require" condition of package.json exports
+        const mode = reference.kind === 'require' ? ts.ModuleKind.CommonJS : ts.ModuleKind.ESNext;
+        let resolution: TypeScriptResolution | undefined = this._getTypeScriptResolution(path.dirname(filePath));
+        while (resolution) {
+            const module = ts.resolveModuleName(specifier, filePath, resolution.options, ts.sys, resolution.cache, undefined, mode).resolvedModule;
+            if (module && this._isWorkspaceFile(module.resolvedFileName)) {
+                return { ...resolved, target: path.normalize(module.resolvedFileName) };
+            }
+            if (module) {
+                break;
+            }
+            resolution = resolution.fallback;
+        }
+
+        const isPath = specifier.startsWith('.') || path.isAbsolute(specifier);
+        return isPath ? resolved : { ...resolved, external: getPackageName(specifier) };
+    }
+
+    private _getTypeScriptResolution(directory: string): TypeScriptResolution {
+        let configPath = this._configByDirectory.get(directory);
+        if (!this._configByDirectory.has(directory)) {
+            configPath = ts.findConfigFile(directory, ts.sys.fileExists, 'tsconfig.json')
+                ?? ts.findConfigFile(directory, ts.sys.fileExists, 'jsconfig.json');
+            this._configByDirectory.set(directory, configPath);
+        }
+
+        const key = configPath ?? '';
+        let resolution = this._resolutions.get(key);
+        if (!resolution) {
+            const options = configPath ? this._readCompilerOptions(configPath) : DEFAULT_COMPILER_OPTIONS;
+            resolution = this._createResolution({ ...options, allowJs: true }, configPath);
+            if (!this._isExportsAware(resolution.options)) {
+                resolution.fallback = this._createResolution({ ...resolution.options, ...DEFAULT_COMPILER_OPTIONS }, configPath);
+            }
+            this._resolutions.set(key, resolution);
+        }
+        return resolution;
+    }
+
+    private _isExportsAware(options: ts.CompilerOptions): boolean {
+        if (options.moduleResolution !== undefined) {
+            return EXPORTS_AWARE_RESOLUTION.has(options.moduleResolution);
+        }
+        // Without moduleResolution the compiler derives it from module
+        return options.module === ts.ModuleKind.Node16 || options.module === ts.ModuleKind.NodeNext;
+    }
+
+    private _readCompilerOptions(configPath: string): ts.CompilerOptions {
+        // Listing the project's files is not needed to resolve modules
+        const host: ts.ParseConfigHost = {
+            useCaseSensitiveFileNames: ts.sys.useCaseSensitiveFileNames,
+            fileExists: ts.sys.fileExists,
+            readFile: ts.sys.readFile,
+            readDirectory: () => []
+        };
+        const { config } = ts.readConfigFile(configPath, ts.sys.readFile);
+        return ts.parseJsonConfigFileContent(config ?? {}, host, path.dirname(configPath), undefined, configPath).options;
+    }
+
+    private _createResolution(options: ts.CompilerOptions, configPath?: string): TypeScriptResolution {
+        const getCanonicalFileName = ts.sys.useCaseSensitiveFileNames
+            ? (fileName: string) => fileName
+            : (fileName: string) => fileName.toLowerCase();
+        const directory = configPath ? path.dirname(configPath) : this._roots[0] ?? process.cwd();
+        return { options, cache: ts.createModuleResolutionCache(directory, getCanonicalFileName, options) };
+    }
+
+    private _resolvePython(filePath: string, reference: ImportReference): ResolvedImport[] {
+        const resolved: ResolvedImport = { specifier: reference.specifier, line: reference.line, kind: reference.kind };
+        const level = /^\.*/.exec(reference.specifier)![0].length;
+        const modulePath = reference.specifier.slice(level).split('.').filter(Boolean);
+        const names = (reference.names ?? []).filter(name => name !== '*');
+
+        let roots: string[];
+        if (level > 0) {
+            let directory = path.dirname(filePath);
+            for (let i = 1; i < level; i++) {
+                directory = path.dirname(directory);
+            }
+            roots = [directory];
+        } else {
+            roots = this._getPythonRoots(filePath);
+        }
+
+        for (const root of roots) {
+            const moduleBase = path.join(root, ...modulePath);
+            const moduleFile = this._findPythonModule(moduleBase);
+            if (!moduleFile && !this._isDirectory(moduleBase)) {
+                continue;
+            }
+
+            // Names imported from a package may be submodules rather than attributes
+            const targets = names
+                .map(name => this._findPythonModule(path.join(moduleBase, ...name.split('.'))))
+                .filter((target): target is string => !!target);
+            if (moduleFile && (names.length === 0 || targets.length < names.length)) {
+                targets.unshift(moduleFile);
+            }
+
+            const imports = targets
+                .filter(target => target !== filePath)
+                .map(target => ({ ...resolved, target }));
+            // A package that imports from itself is not a dependency
+            return imports.length > 0 || targets.length > 0 ? imports : [resolved];
+        }
+
+        return level > 0 || modulePath.length === 0 ? [resolved] : [{ ...resolved, external: modulePath[0] }];
+    }
+
+    private _getPythonRoots(filePath: string): string[] {
+        let packageDirectory = path.dirname(filePath);
+        while (this._isFile(path.join(packageDirectory, '__init__.py')) && path.dirname(packageDirectory) !== packageDirectory) {
+            packageDirectory = path.dirname(packageDirectory);
+        }
+
+        const roots = [
+            packageDirectory,
+            ...this._roots,
+            ...this._roots.map(root => path.join(root, 'src')).filter(root => this._isDirectory(root)),
+            ...this._pythonPaths
+        ];
+        return [...new Set(roots)];
+    }
+
+    private _findPythonModule(moduleBase: string): string | undefined {
+        for (const candidate of [`${moduleBase}.py`, `${moduleBase}.pyi`, path.join(moduleBase, '__init__.py')]) {
+            if (this._isFile(candidate)) {
+                return candidate;
+            }
+        }
+        return undefined;
+    }
+
+    private _isWorkspaceFile(filePath: string): boolean {
+        if (filePath.split(/[\\/]/).includes('node_modules')) {
+            return false;
+        }
+        return this._roots.some(root => {
+            const relative = path.relative(root, filePath);
+            return !!relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+        });
+    }
+
+    private _isFile(filePath: string): boolean {
+        let exists = this._fileExists.get(filePath);
+        if (exists === undefined) {
+            exists = fs.statSync(filePath, { throwIfNoEntry: false })?.isFile() ?? false;
+            this._fileExists.set(filePath, exists);
+        }
+        return exists;
+    }
+
+    private _isDirectory(directory: string): boolean {
+        let exists = this._directoryExists.get(directory);
+        if (exists === undefined) {
+            exists = fs.statSync(directory, { throwIfNoEntry: false })?.isDirectory() ?? false;
+            this._directoryExists.set(directory, exists);
+        }
+        return exists;
+    }
+}
@@ -1,7 +1,10 @@
 import * as vscode from 'vscode';
 import { SwarmManager } from './utils/swarmManager';
 import { HiveOrchestrator } from './hive/hiveOrchestrator';
-import { SpecificationGenerator } from './specs/specificationGenerator';
+import { SQLiteMemoryBank } from './hive/sqliteMemoryBank';
+import { convertTimelineToMarkdown } from './hive/agentMessageBus';
+import { formatTaskTimeline } from './hive/taskGraphExecutor';
+import { SpecificationGenerator, convertSpecToMarkdown } from './specs/specificationGenerator';
 import { CommandManager } from './commands/commandManager';
 import { DiagnosticsProvider } from './providers/diagnosticsProvider';
 import { StatusBarManager } from './utils/statusBarManager';
@@ -14,14 +17,30 @@ import { ProgressManager } from './utils/progressManager';
 import { ErrorHandler } from './utils/errorHandler';
 import { BatchProcessor } from './commands/batchProcessor';
 import { LMStudioServer } from './mcp/servers/lmStudioServer';
+import { LLMProvider, LLM_TASK_TYPES, LLMTaskType } from './llm/llmProvider';
+import { createLLMProvider, getProviderSettingsSection } from './llm/llmProviderFactory';
 import { LMStudioChat } from './webview/lmStudioChat';
 import { ChatViewProvider } from './webview/chatViewProvider';
+import { ChatThreadStore } from './chat/chatThreadStore';
+import { ChatExporter } from './chat/chatExporter';
+import { ChatEditService } from './chat/chatEditService';
+import { SwarmToolsProvider } from './mcp/tools/swarmToolsProvider';
+import { CodeUnderstandingPipeline } from './pipelines/codeUnderstandingPipeline';
+import { RetrievalIndex } from './retrieval/retrievalIndex';
+import { LocalInlineCompletionProvider } from './completions/inlineCompletionProvider';
 import { SettingsManager } from './settings/settingsManager';
 import { ProfileManager } from './settings/profileManager';
 import { ValidationEngine } from './settings/validationEngine';
 import { SwarmStatusProvider } from './providers/swarmStatusProvider';
 import { ActiveAgentsProvider } from './providers/activeAgentsProvider';
 import { RecentAnalysisProvider } from './providers/recentAnalysisProvider';
+import { ComplexityCodeLensProvider } from './providers/complexityCodeLensProvider';
+import { ComplexityMetricsService } from './metrics/complexityMetricsService';
+import { DependencyGraphService } from './dependencies/dependencyGraph';
+import { DependencyGraphPanel } from './webview/dependencyGraphPanel';
+import { SymbolIndexService } from './navigation/symbolIndex';
+import { GitChangeScope, GitService } from './git/gitService';
+import { AIWorkflowOrchestrator, convertCodeReviewToMarkdown } from './workflows/aiWorkflowOrchestrator';
 import { ExtensionConfig, HiveConfig, SpecificationTask } from './types';
 
 let swarmManager: SwarmManager;
@@ -39,8 +58,20 @@ let progressManager: ProgressManager;
 let errorHandler: ErrorHandler;
 let batchProcessor: BatchProcessor;
 let lmStudioServer: LMStudioServer;
+let llmProvider: LLMProvider;
 let lmStudioChat: LMStudioChat;
 let chatViewProvider: ChatViewProvider;
+let chatThreadStore: ChatThreadStore;
+let chatEditService: ChatEditService;
+let codeUnderstandingPipeline: CodeUnderstandingPipeline;
+let retrievalIndex: RetrievalIndex;
+let inlineCompletionProvider: LocalInlineCompletionProvider;
+let complexityMetrics: ComplexityMetricsService;
+let dependencyGraph: DependencyGraphService;
+let dependencyGraphPanel: DependencyGraphPanel;
+let symbolIndex: SymbolIndexService;
+let gitService: GitService;
+let aiWorkflowOrchestrator: AIWorkflowOrchestrator;
 let settingsManager: SettingsManager;
 let profileManager: ProfileManager;
 let validationEngine: ValidationEngine;
@@ -90,9 +121,6 @@ export async function activate(context: vscode.ExtensionContext) {
         
         console.log('📊 DEBUG: Initializing WebviewProvider...');
         webviewProvider = new WebviewProvider(context, swarmManager);
-        
-        console.log('📊 DEBUG: Initializing EnhancedDashboard...');
-        enhancedDashboard = new EnhancedDashboard(context, swarmManager, commandManager);
 
         // Initialize settings components
         console.log('📊 DEBUG: Initializing ValidationEngine...');
@@ -105,22 +133,75 @@ export async function activate(context: vscode.ExtensionContext) {
         settingsManager = new SettingsManager(context, profileManager, validationEngine, errorHandler);
         await settingsManager.initialize();
 
+        // One connection to hive-memory.db, shared by every service that persists to it
+        console.log('📊 DEBUG: Initializing SQLiteMemoryBank...');
+        const memoryBank = await openMemoryBank(context);
+
+        console.log('📊 DEBUG: Initializing DependencyGraph...');
+        dependencyGraph = new DependencyGraphService();
+        dependencyGraphPanel = new DependencyGraphPanel(dependencyGraph);
+
+        console.log('📊 DEBUG: Initializing SymbolIndex...');
+        symbolIndex = new SymbolIndexService();
+
+        console.log('📊 DEBUG: Initializing GitService...');
+        gitService = new GitService();
+
         // Initialize LM Studio components
         console.log('📊 DEBUG: Initializing LMStudioServer...');
-        lmStudioServer = new LMStudioServer(context, swarmManager);
-        
-        console.log('📊 DEBUG: Initializing LMStudioChat...');
-        lmStudioChat = new LMStudioChat(context, lmStudioServer, swarmManager);
+        lmStudioServer = new LMStudioServer(context, swarmManager, dependencyGraph, symbolIndex, gitService);
 
-        console.log('📊 DEBUG: Initializing ChatViewProvider...');
-        chatViewProvider = new ChatViewProvider(context, lmStudioServer, swarmManager);
+        console.log('📊 DEBUG: Initializing LLM provider...');
+        llmProvider = createLLMProvider(context, lmStudioServer);
+        statusBarManager.updateConnectionStatus(llmProvider.displayName, llmProvider.connectionStatus);
+        llmProvider.on('stateChanged', status => statusBarManager.updateConnectionStatus(llmProvider.displayName, status));
+
+        console.log('📊 DEBUG: Initializing RetrievalIndex...');
+        const swarmToolsProvider = new SwarmToolsProvider(swarmManager, dependencyGraph, symbolIndex, gitService);
+        codeUnderstandingPipeline = new CodeUnderstandingPipeline(context, swarmManager, swarmToolsProvider, dependencyGraph);
+        retrievalIndex = new RetrievalIndex(codeUnderstandingPipeline, llmProvider, memoryBank);
+        fileWatcher.onDidChangeFile(event => retrievalIndex.handleFileChange(event));
+
+        console.log('📊 DEBUG: Initializing AIWorkflowOrchestrator...');
+        aiWorkflowOrchestrator = new AIWorkflowOrchestrator(context, swarmManager, llmProvider, swarmToolsProvider, gitService);
+
+        console.log('📊 DEBUG: Initializing inline completions...');
+        inlineCompletionProvider = new LocalInlineCompletionProvider(llmProvider, codeUnderstandingPipeline, memoryBank);
+        await inlineCompletionProvider.initialize();
+
+        console.log('📊 DEBUG: Initializing code metrics...');
+        complexityMetrics = new ComplexityMetricsService(memoryBank);
+        await complexityMetrics.initialize();
 
+        console.log('📊 DEBUG: Initializing EnhancedDashboard...');
+        enhancedDashboard = new EnhancedDashboard(context, swarmManager, commandManager, llmProvider, complexityMetrics, memoryBank);
+        
         // Initialize Hive Mind components
         console.log('📊 DEBUG: Initializing HiveOrchestrator...');
-        hiveOrchestrator = new HiveOrchestrator(context);
+        hiveOrchestrator = new HiveOrchestrator(context, llmProvider, undefined, memoryBank);
         
         console.log('📊 DEBUG: Initializing SpecificationGenerator...');
-        specificationGenerator = new SpecificationGenerator(lmStudioServer);
+        specificationGenerator = new SpecificationGenerator(llmProvider, progressManager, retrievalIndex);
+
+        console.log('📊 DEBUG: Initializing ChatThreadStore...');
+        chatThreadStore = new ChatThreadStore(context);
+        await chatThreadStore.initialize();
+        chatEditService = new ChatEditService();
+        
+        console.log('📊 DEBUG: Initializing LMStudioChat...');
+        lmStudioChat = new LMStudioChat(context, llmProvider, swarmManager, chatThreadStore, chatEditService, retrievalIndex);
+
+        console.log('📊 DEBUG: Initializing ChatViewProvider...');
+        chatViewProvider = new ChatViewProvider(
+            context,
+            llmProvider,
+            swarmManager,
+            chatThreadStore,
+            hiveOrchestrator,
+            specificationGenerator,
+            chatEditService,
+            retrievalIndex
+        );
 
         // Initialize tree data providers
         console.log('📊 DEBUG: Initializing SwarmStatusProvider...');
@@ -132,41 +213,44 @@ export async function activate(context: vscode.ExtensionContext) {
         console.log('📊 DEBUG: Initializing RecentAnalysisProvider...');
         recentAnalysisProvider = new RecentAnalysisProvider(swarmManager);
 
-        // Auto-connect to LM Studio if configured
-        const lmStudioConfig = await settingsManager.getSetting('lmstudio.enabled', true);
-        const autoConnect = await settingsManager.getSetting('lmstudio.connection.autoConnect', true);
+        // Auto-connect to the configured LLM provider
+        const providerSettings = getProviderSettingsSection(llmProvider.type);
+        const providerConfig = vscode.workspace.getConfiguration(providerSettings);
+        // Only LM Studio can be switched off as a whole
+        const providerEnabled = providerConfig.get('enabled', true);
+        const autoConnect = providerConfig.get('connection.autoConnect', true);
         
-        if (lmStudioConfig && autoConnect) {
-            console.log('📊 DEBUG: Auto-connecting to LM Studio...');
+        if (providerEnabled && autoConnect) {
+            console.log(`📊 DEBUG: Auto-connecting to ${llmProvider.displayName}...`);
             try {
-                await lmStudioServer.connect();
-                console.log('📊 DEBUG: LM Studio connected successfully');
-                vscode.window.showInformationMessage('🤖 LM Studio connected successfully!');
+                await llmProvider.connect();
+                console.log(`📊 DEBUG: ${llmProvider.displayName} connected successfully`);
+                vscode.window.showInformationMessage(`🤖 ${llmProvider.displayName} connected successfully!`);
             } catch (error) {
-                console.log('📊 DEBUG: LM Studio auto-connect failed:', error);
+                console.log(`📊 DEBUG: ${llmProvider.displayName} auto-connect failed:`, error);
                 const errorMessage = error instanceof Error ? error.message : String(error);
                 
                 // Show a more helpful error message
                 if (errorMessage.includes('ECONNREFUSED') || errorMessage.includes('fetch failed')) {
                     vscode.window.showWarningMessage(
-                        '🤖 LM Studio is not running. Please start LM Studio and load a model to use AI features.',
-                        'Open LM Studio Settings',
+                        `🤖 ${llmProvider.displayName} is not running. Please start it and load a model to use AI features.`,
+                        'Open Provider Settings',
                         'Try Connect Again'
                     ).then(choice => {
-                        if (choice === 'Open LM Studio Settings') {
-                            vscode.commands.executeCommand('workbench.action.openSettings', 'ruv-swarm.lmstudio');
+                        if (choice === 'Open Provider Settings') {
+                            vscode.commands.executeCommand('workbench.action.openSettings', providerSettings);
                         } else if (choice === 'Try Connect Again') {
                             vscode.commands.executeCommand('ruv-swarm.connectLMStudio');
                         }
                     });
                 } else {
                     vscode.window.showErrorMessage(
-                        `🤖 Failed to connect to LM Studio: ${errorMessage}`,
+                        `🤖 Failed to connect to ${llmProvider.displayName}: ${errorMessage}`,
                         'Check Settings',
                         'View Logs'
                     ).then(choice => {
                         if (choice === 'Check Settings') {
-                            vscode.commands.executeCommand('workbench.action.openSettings', 'ruv-swarm.lmstudio');
+                            vscode.commands.executeCommand('workbench.action.openSettings', providerSettings);
                         } else if (choice === 'View Logs') {
                             vscode.commands.executeCommand('workbench.action.toggleDevTools');
                         }
@@ -192,9 +276,25 @@ export async function activate(context: vscode.ExtensionContext) {
             profileManager,
             validationEngine,
             lmStudioServer,
+            llmProvider,
             lmStudioChat,
-            chatViewProvider
+            chatViewProvider,
+            chatThreadStore,
+            chatEditService,
+            codeUnderstandingPipeline,
+            retrievalIndex,
+            inlineCompletionProvider,
+            complexityMetrics,
+            dependencyGraph,
+            dependencyGraphPanel,
+            symbolIndex,
+            swarmToolsProvider,
+            aiWorkflowOrchestrator
         );
+        if (memoryBank) {
+            // Pushed last so the services above are disposed before the connection closes
+            context.subscriptions.push(memoryBank);
+        }
 
         // Validate CLI environment
         console.log('📊 DEBUG: Starting CLI validation...');
@@ -235,13 +335,29 @@ export async function activate(context: vscode.ExtensionContext) {
         console.log('📊 DEBUG: Initializing file watcher...');
         await fileWatcher.initialize();
 
+        // Index the workspace for prompt retrieval; refreshes run in the background
+        console.log('📊 DEBUG: Initializing retrieval index...');
+        await retrievalIndex.initialize();
+
+        // Reconnect to the swarm of the previous session before deciding whether a new one is needed
+        console.log('📊 DEBUG: Restoring swarm session...');
+        const sessionRestored = swarmManager.restoreSession().then(alive => {
+            if (alive) {
+                statusBarManager.updateStatus('ready', 'RUV-Swarm Ready');
+            }
+            return alive;
+        }, error => {
+            console.error('Swarm session restore failed:', error);
+            return false;
+        });
+
         // Auto-initialize swarm if configured
         const config = getExtensionConfig();
         console.log('📊 DEBUG: Extension configuration:', config);
         
         if (config.autoInitialize && vscode.workspace.workspaceFolders) {
             console.log('📊 DEBUG: Auto-initializing swarm...');
-            await initializeSwarmWithDelay();
+            await initializeSwarmWithDelay(sessionRestored);
         } else {
             console.log('📊 DEBUG: Skipping auto-initialization - autoInitialize:', config.autoInitialize, 'workspaceFolders:', !!vscode.workspace.workspaceFolders);
         }
@@ -316,6 +432,41 @@ function registerCommands(context: vscode.ExtensionContext) {
             console.log('🎯 DEBUG: User executed command: codeReview');
             return commandManager.codeReview();
         }),
+
+        vscode.commands.registerCommand('ruv-swarm.aiCodeReview', async (scopes?: GitChangeScope[]) => {
+            console.log('🎯 DEBUG: User executed command: aiCodeReview');
+            try {
+                if (!scopes) {
+                    const pick = await vscode.window.showQuickPick([
+                        { label: 'Uncommitted changes', description: 'Staged and unstaged', scopes: ['staged', 'unstaged'] as GitChangeScope[] },
+                        { label: 'Staged changes', description: 'What the next commit contains', scopes: ['staged'] as GitChangeScope[] },
+                        { label: 'Branch changes', description: 'Commits since the branch left the base branch', scopes: ['branch'] as GitChangeScope[] }
+                    ], { title: 'AI Code Review', placeHolder: 'Which changes should be reviewed?' });
+                    if (!pick) {
+                        return;
+                    }
+                    scopes = pick.scopes;
+                }
+
+                const sessionId = await vscode.window.withProgress({
+                    location: vscode.ProgressLocation.Notification,
+                    title: `🔍 Reviewing changes with ${llmProvider.displayName}...`
+                }, () => aiWorkflowOrchestrator.aiCodeReview(scopes));
+
+                const result = aiWorkflowOrchestrator.getWorkflowResult(sessionId)!;
+                if (!result.results.get('get-changes')?.files.length) {
+                    vscode.window.showInformationMessage('No changes to review');
+                    return;
+                }
+                const doc = await vscode.workspace.openTextDocument({
+                    content: convertCodeReviewToMarkdown(result),
+                    language: 'markdown'
+                });
+                await vscode.window.showTextDocument(doc);
+            } catch (error) {
+                vscode.window.showErrorMessage(`❌ AI code review failed: ${error instanceof Error ? error.message : String(error)}`);
+            }
+        }),
         
         vscode.commands.registerCommand('ruv-swarm.optimizePerformance', () => {
             console.log('🎯 DEBUG: User executed command: optimizePerformance');
@@ -483,32 +634,205 @@ function registerCommands(context: vscode.ExtensionContext) {
             return lmStudioChat.showChat();
         }),
 
+        vscode.commands.registerCommand('ruv-swarm.exportChatThread', async () => {
+            console.log('🎯 DEBUG: User executed command: exportChatThread');
+            try {
+                await new ChatExporter(chatThreadStore).exportThread();
+            } catch (error) {
+                vscode.window.showErrorMessage(`❌ ${error instanceof Error ? error.message : String(error)}`);
+            }
+        }),
+
+        vscode.commands.registerCommand('ruv-swarm.importChatThread', async () => {
+            console.log('🎯 DEBUG: User executed command: importChatThread');
+            try {
+                await new ChatExporter(chatThreadStore).importThread();
+            } catch (error) {
+                vscode.window.showErrorMessage(`❌ ${error instanceof Error ? error.message : String(error)}`);
+            }
+        }),
+
+        vscode.commands.registerCommand('ruv-swarm.rebuildRetrievalIndex', async () => {
+            console.log('🎯 DEBUG: User executed command: rebuildRetrievalIndex');
+            try {
+                await retrievalIndex.rebuild();
+                const stats = retrievalIndex.stats;
+                vscode.window.showInformationMessage(
+                    `🔎 Indexed ${stats.chunks} chunks from ${stats.files} files` +
+                    (stats.embeddedChunks > 0 ? ` (${stats.embeddedChunks} with embeddings)` : '')
+                );
+            } catch (error) {
+                vscode.window.showErrorMessage(`❌ Failed to rebuild retrieval index: ${error instanceof Error ? error.message : String(error)}`);
+            }
+        }),
+
+        vscode.commands.registerCommand('ruv-swarm.acceptInlineCompletion', (id: string) => {
+            inlineCompletionProvider.handleAccepted(id);
+        }),
+
+        vscode.commands.registerCommand('ruv-swarm.toggleInlineCompletions', async () => {
+            console.log('🎯 DEBUG: User executed command: toggleInlineCompletions');
+            const languageId = vscode.window.activeTextEditor?.document.languageId;
+            if (!languageId) {
+                vscode.window.showWarningMessage('Open a file to toggle inline completions for its language');
+                return;
+            }
+
+            const enabled = await inlineCompletionProvider.toggleLanguage(languageId);
+            vscode.window.showInformationMessage(`✨ Inline completions ${enabled ? 'enabled' : 'disabled'} for ${languageId}`);
+        }),
+
+        vscode.commands.registerCommand('ruv-swarm.measureWorkspaceComplexity', async () => {
+            console.log('🎯 DEBUG: User executed command: measureWorkspaceComplexity');
+            try {
+                const result = await complexityMetrics.measureWorkspace();
+                const hotspots = await complexityMetrics.getHotspots();
+                const flagged = hotspots.filter(hotspot => complexityMetrics.isAboveThreshold(hotspot)).length;
+                const choice = await vscode.window.showInformationMessage(
+                    `📐 Measured ${result.functions} functions in ${result.files} files (${result.measured} changed)` +
+                    (flagged > 0 ? `, ${flagged} of the top ${hotspots.length} hotspots are above the thresholds` : ''),
+                    'Show Hotspots'
+                );
+                if (choice === 'Show Hotspots') {
+                    await vscode.commands.executeCommand('ruv-swarm.showComplexityHotspots');
+                }
+            } catch (error) {
+                vscode.window.showErrorMessage(`❌ Failed to measure complexity: ${error instanceof Error ? error.message : String(error)}`);
+            }
+        }),
+
+        vscode.commands.registerCommand('ruv-swarm.showComplexityHotspots', async () => {
+            console.log('🎯 DEBUG: User executed command: showComplexityHotspots');
+            try {
+                const hotspots = await complexityMetrics.getHotspots();
+                if (hotspots.length === 0) {
+                    vscode.window.showInformationMessage('No functions have been measured yet, run "Measure Workspace Complexity" first');
+                    return;
+                }
+
+                const selected = await vscode.window.showQuickPick(
+                    hotspots.map(hotspot => ({
+                        label: `${complexityMetrics.isAboveThreshold(hotspot) ? '$(warning) ' : ''}${hotspot.name}`,
+                        description: `${vscode.workspace.asRelativePath(hotspot.filePath)}:${hotspot.startLine}`,
+                        detail: `Cognitive ${hotspot.cognitive}` +
+                            (hotspot.previousCognitive !== undefined && hotspot.previousCognitive !== hotspot.cognitive
+                                ? ` (was ${hotspot.previousCognitive})`
+                                : '') +
+                            ` · Cyclomatic ${hotspot.cyclomatic} · Nesting ${hotspot.maxNesting} · ${hotspot.loc} LOC`,
+                        hotspot
+                    })),
+                    { title: 'Complexity hotspots', placeHolder: 'Most complex functions of the workspace', matchOnDescription: true }
+                );
+                if (!selected) {
+                    return;
+                }
+
+                const position = new vscode.Position(selected.hotspot.startLine - 1, 0);
+                await vscode.window.showTextDocument(vscode.Uri.file(selected.hotspot.filePath), {
+                    selection: new vscode.Range(position, position)
+                });
+            } catch (error) {
+                vscode.window.showErrorMessage(`❌ Failed to load complexity hotspots: ${error instanceof Error ? error.message : String(error)}`);
+            }
+        }),
+
+        vscode.commands.registerCommand('ruv-swarm.showDependencyGraph', async () => {
+            console.log('🎯 DEBUG: User executed command: showDependencyGraph');
+            try {
+                const activeFile = vscode.window.activeTextEditor?.document.uri;
+                await dependencyGraphPanel.show(activeFile?.scheme === 'file' ? activeFile.fsPath : undefined);
+            } catch (error) {
+                vscode.window.showErrorMessage(`❌ Failed to show dependency graph: ${error instanceof Error ? error.message : String(error)}`);
+            }
+        }),
+
+        vscode.commands.registerCommand('ruv-swarm.showDependencyCycles', async () => {
+            console.log('🎯 DEBUG: User executed command: showDependencyCycles');
+            try {
+                await dependencyGraph.ensureBuilt();
+                const cycles = dependencyGraph.getCycles();
+                if (cycles.length === 0) {
+                    vscode.window.showInformationMessage('✅ No import cycles found in the workspace');
+                    return;
+                }
+
+                const selected = await vscode.window.showQuickPick(
+                    cycles.map(cycle => ({
+                        label: cycle.path.map(filePath => vscode.workspace.asRelativePath(filePath)).join(' → '),
+                        detail: `${cycle.modules.length} modules import each other`,
+                        cycle
+                    })),
+                    { title: 'Import cycles', placeHolder: 'Open the import that starts the cycle', matchOnDetail: true }
+                );
+                if (!selected) {
+                    return;
+                }
+
+                const [from, to] = selected.cycle.path;
+                const imports = await dependencyGraph.getImports(from);
+                const line = imports.find(resolved => resolved.target === to)?.line ?? 1;
+                const position = new vscode.Position(line - 1, 0);
+                await vscode.window.showTextDocument(vscode.Uri.file(from), {
+                    selection: new vscode.Range(position, position)
+                });
+            } catch (error) {
+                vscode.window.showErrorMessage(`❌ Failed to load import cycles: ${error instanceof Error ? error.message : String(error)}`);
+            }
+        }),
+
+        vscode.commands.registerCommand('ruv-swarm.showCompletionStats', async () => {
+            console.log('🎯 DEBUG: User executed command: showCompletionStats');
+            try {
+                const report = await inlineCompletionProvider.telemetry.getStats();
+                if (report.stats.length === 0) {
+                    vscode.window.showInformationMessage('No inline completions have been shown in this workspace yet');
+                    return;
+                }
+
+                const shown = report.stats.reduce((sum, entry) => sum + entry.shown, 0);
+                const accepted = report.stats.reduce((sum, entry) => sum + entry.accepted, 0);
+                await vscode.window.showQuickPick(
+                    report.stats.map(entry => ({
+                        label: entry.languageId,
+                        description: `${entry.accepted}/${entry.shown} accepted (${Math.round(entry.accepted / entry.shown * 100)}%)`,
+                        detail: `${entry.acceptedChars} characters accepted · ${entry.averageLatencyMs}ms average latency`
+                    })),
+                    {
+                        title: `Inline completions: ${accepted}/${shown} accepted${report.persistent ? ' in the last 30 days' : ' this session'}`,
+                        placeHolder: 'Acceptance by language'
+                    }
+                );
+            } catch (error) {
+                vscode.window.showErrorMessage(`❌ Failed to load completion statistics: ${error instanceof Error ? error.message : String(error)}`);
+            }
+        }),
+
         vscode.commands.registerCommand('ruv-swarm.connectLMStudio', async () => {
             console.log('🎯 DEBUG: User executed command: connectLMStudio');
             try {
-                await lmStudioServer.connect();
-                vscode.window.showInformationMessage('✅ Connected to LM Studio successfully!');
+                await llmProvider.connect();
+                vscode.window.showInformationMessage(`✅ Connected to ${llmProvider.displayName} successfully!`);
             } catch (error) {
-                vscode.window.showErrorMessage(`❌ Failed to connect to LM Studio: ${error}`);
+                vscode.window.showErrorMessage(`❌ Failed to connect to ${llmProvider.displayName}: ${error}`);
             }
         }),
 
         vscode.commands.registerCommand('ruv-swarm.disconnectLMStudio', async () => {
             console.log('🎯 DEBUG: User executed command: disconnectLMStudio');
             try {
-                await lmStudioServer.disconnect();
-                vscode.window.showInformationMessage('🔌 Disconnected from LM Studio');
+                await llmProvider.disconnect();
+                vscode.window.showInformationMessage(`🔌 Disconnected from ${llmProvider.displayName}`);
             } catch (error) {
-                vscode.window.showErrorMessage(`❌ Failed to disconnect from LM Studio: ${error}`);
+                vscode.window.showErrorMessage(`❌ Failed to disconnect from ${llmProvider.displayName}: ${error}`);
             }
         }),
 
         vscode.commands.registerCommand('ruv-swarm.checkLMStudioConnection', async () => {
             console.log('🎯 DEBUG: User executed command: checkLMStudioConnection');
-            const isConnected = lmStudioServer.isConnected;
+            const isConnected = llmProvider.isConnected;
             const message = isConnected 
-                ? '✅ LM Studio is connected and ready!'
-                : '❌ LM Studio is not connected. Use "Connect to LM Studio" command to establish connection.';
+                ? `✅ ${llmProvider.displayName} is connected and ready!`
+                : `❌ ${llmProvider.displayName} is not connected. Use the "Connect to LLM Server" command to establish a connection.`;
             
             if (isConnected) {
                 vscode.window.showInformationMessage(message);
@@ -521,6 +845,46 @@ function registerCommands(context: vscode.ExtensionContext) {
             }
         }),
 
+        vscode.commands.registerCommand('ruv-swarm.selectLMStudioModel', async () => {
+            console.log('🎯 DEBUG: User executed command: selectLMStudioModel');
+            try {
+                const modelId = await pickLLMModel(`Select the default ${llmProvider.displayName} model`, llmProvider.activeModel);
+                if (modelId) {
+                    await llmProvider.setActiveModel(modelId);
+                    vscode.window.showInformationMessage(`🔀 Switched to ${modelId}`);
+                }
+            } catch (error) {
+                vscode.window.showErrorMessage(`❌ Failed to list ${llmProvider.displayName} models: ${error}`);
+            }
+        }),
+
+        vscode.commands.registerCommand('ruv-swarm.setTaskModel', async () => {
+            console.log('🎯 DEBUG: User executed command: setTaskModel');
+            try {
+                const preferences = llmProvider.taskModelPreferences;
+                const taskPick = await vscode.window.showQuickPick(
+                    LLM_TASK_TYPES.map(taskType => ({
+                        label: taskType,
+                        description: preferences[taskType] || `default (${llmProvider.activeModel})`
+                    })),
+                    { placeHolder: 'Select the task type to assign a model to' }
+                );
+
+                if (!taskPick) {
+                    return;
+                }
+
+                const taskType = taskPick.label as LLMTaskType;
+                const modelId = await pickLLMModel(`Select the model for ${taskType}`, preferences[taskType], true);
+                if (modelId !== undefined) {
+                    await llmProvider.setTaskModel(taskType, modelId || undefined);
+                    vscode.window.showInformationMessage(`🔀 ${taskType} now uses ${modelId || 'the default model'}`);
+                }
+            } catch (error) {
+                vscode.window.showErrorMessage(`❌ Failed to list ${llmProvider.displayName} models: ${error}`);
+            }
+        }),
+
         // Settings commands
         vscode.commands.registerCommand('ruv-swarm.openSettings', () => {
             console.log('🎯 DEBUG: User executed command: openSettings');
@@ -635,8 +999,6 @@ function registerCommands(context: vscode.ExtensionContext) {
                     return;
                 }
 
-                vscode.window.showInformationMessage('🔄 Generating specification...');
-                
                 const request = {
                     userRequest: userInput,
                     context: {
@@ -665,6 +1027,10 @@ function registerCommands(context: vscode.ExtensionContext) {
                 
                 vscode.window.showInformationMessage('📋 Specification generated successfully!');
             } catch (error) {
+                if (error instanceof vscode.CancellationError) {
+                    vscode.window.showInformationMessage('Specification generation cancelled');
+                    return;
+                }
                 console.error('🎯 DEBUG: Specification generation error:', error);
                 vscode.window.showErrorMessage(`Failed to generate specification: ${error}`);
             }
@@ -725,13 +1091,19 @@ function registerCommands(context: vscode.ExtensionContext) {
                         }
                     });
                 }
+
+                if (result.timeline && result.timeline.length > 0) {
+                    outputChannel.appendLine('\nTimeline:');
+                    outputChannel.appendLine(formatTaskTimeline(result.timeline));
+                }
                 
                 outputChannel.show();
                 
-                if (result.success) {
-                    vscode.window.showInformationMessage('✅ Hive mind orchestration completed successfully!');
-                } else {
-                    vscode.window.showWarningMessage('⚠️ Hive mind orchestration completed with issues. Check output for details.');
+                const choice = result.success
+                    ? await vscode.window.showInformationMessage('✅ Hive mind orchestration completed successfully!', 'Show Conversation')
+                    : await vscode.window.showWarningMessage('⚠️ Hive mind orchestration completed with issues. Check output for details.', 'Show Conversation');
+                if (choice === 'Show Conversation') {
+                    vscode.commands.executeCommand('ruv-swarm.showAgentConversation', result.runId);
                 }
             } catch (error) {
                 console.error('🎯 DEBUG: Orchestration error:', error);
@@ -778,6 +1150,49 @@ function registerCommands(context: vscode.ExtensionContext) {
             }
         }),
 
+        vscode.commands.registerCommand('ruv-swarm.showAgentConversation', async (runId?: string) => {
+            console.log('🎯 DEBUG: User executed command: showAgentConversation');
+            try {
+                const runs = await hiveOrchestrator.getConversationRuns();
+                let run = runs.find(candidate => candidate.runId === runId);
+
+                if (!run) {
+                    if (runs.length === 0) {
+                        vscode.window.showInformationMessage('No agent conversations have been recorded yet');
+                        return;
+                    }
+
+                    const pick = await vscode.window.showQuickPick(
+                        runs.map(candidate => ({
+                            label: candidate.title,
+                            description: candidate.startedAt.toLocaleString(),
+                            detail: candidate.runId,
+                            run: candidate
+                        })),
+                        {
+                            placeHolder: hiveOrchestrator.conversationsPersistent
+                                ? 'Select a specification run'
+                                : 'Select a specification run (this session only)'
+                        }
+                    );
+                    if (!pick) {
+                        return;
+                    }
+                    run = pick.run;
+                }
+
+                const timeline = await hiveOrchestrator.getConversationTimeline(run.runId);
+                const doc = await vscode.workspace.openTextDocument({
+                    content: convertTimelineToMarkdown(run, timeline),
+                    language: 'markdown'
+                });
+                await vscode.window.showTextDocument(doc);
+            } catch (error) {
+                console.error('🎯 DEBUG: Agent conversation error:', error);
+                vscode.window.showErrorMessage(`Failed to show agent conversation: ${error}`);
+            }
+        }),
+
         vscode.commands.registerCommand('ruv-swarm.getHiveStatus', async () => {
             console.log('🎯 DEBUG: User executed command: getHiveStatus');
             try {
@@ -791,7 +1206,7 @@ function registerCommands(context: vscode.ExtensionContext) {
                 outputChannel.appendLine(`Initialized: ${status.isInitialized}`);
                 outputChannel.appendLine(`Active Agents: ${status.activeAgents}`);
                 outputChannel.appendLine(`Total Agents: ${status.totalAgents}`);
-                outputChannel.appendLine(`Memory Usage: ${status.performance.memoryUsage}%`);
+                outputChannel.appendLine(`Memory Usage: ${status.performance.memoryUsage !== undefined ? `${status.performance.memoryUsage}%` : 'n/a'}`);
                 outputChannel.appendLine(`Tasks Completed: ${status.completedTasks}`);
                 outputChannel.appendLine(`Active Tasks: ${status.activeTasks}`);
                 outputChannel.appendLine(`Health Status: ${status.health.status}\n`);
@@ -929,6 +1344,24 @@ function registerProviders(context: vscode.ExtensionContext) {
         )
     );
 
+    // Register inline completions for every language; settings decide per language
+    context.subscriptions.push(
+        vscode.languages.registerInlineCompletionItemProvider(
+            { pattern: '**' },
+            inlineCompletionProvider
+        )
+    );
+
+    // Register complexity CodeLens for the languages the metrics engine parses
+    const complexityCodeLensProvider = new ComplexityCodeLensProvider(complexityMetrics);
+    context.subscriptions.push(
+        complexityCodeLensProvider,
+        vscode.languages.registerCodeLensProvider(
+            { scheme: 'file', pattern: '**/*.{ts,tsx,mts,cts,js,jsx,mjs,cjs,py,rs,go}' },
+            complexityCodeLensProvider
+        )
+    );
+
     // Register tree data providers for left panel views
     context.subscriptions.push(
         vscode.window.registerTreeDataProvider(
@@ -977,14 +1410,43 @@ function registerProviders(context: vscode.ExtensionContext) {
             if (event.affectsConfiguration('ruv-swarm')) {
                 handleConfigurationChange();
             }
+
+            if (event.affectsConfiguration('ruv-swarm.llm.provider')) {
+                vscode.window.showInformationMessage(
+                    'The LLM provider changed. Reload the window to switch backends.',
+                    'Reload Window'
+                ).then(choice => {
+                    if (choice === 'Reload Window') {
+                        vscode.commands.executeCommand('workbench.action.reloadWindow');
+                    }
+                });
+            }
         })
     );
 }
 
-async function initializeSwarmWithDelay() {
+/**
+ * Opens hive-memory.db; services keep their data for this session only when it fails
+ */
+async function openMemoryBank(context: vscode.ExtensionContext): Promise<SQLiteMemoryBank | undefined> {
+    try {
+        const memoryBank = new SQLiteMemoryBank(context.globalStorageUri.fsPath);
+        await memoryBank.initialize();
+        return memoryBank;
+    } catch (error) {
+        console.error('❌ Failed to open the memory bank:', error);
+        return undefined;
+    }
+}
+
+async function initializeSwarmWithDelay(sessionRestored: Promise<boolean>) {
     // Add a small delay to ensure workspace is fully loaded
     setTimeout(async () => {
         try {
+            // The previous session's swarm is still running
+            if (await sessionRestored) {
+                return;
+            }
             await swarmManager.initializeSwarm();
             statusBarManager.updateStatus('ready', 'RUV-Swarm Ready');
         } catch (error) {
@@ -1015,59 +1477,32 @@ function handleConfigurationChange() {
     }
 }
 
-function convertSpecToMarkdown(spec: any): string {
-    let markdown = `# ${spec.title}\n\n`;
-    markdown += `## Description\n${spec.description}\n\n`;
-    
-    if (spec.requirements && spec.requirements.length > 0) {
-        markdown += `## Requirements\n`;
-        spec.requirements.forEach((req: string, index: number) => {
-            markdown += `${index + 1}. ${req}\n`;
-        });
-        markdown += '\n';
-    }
-    
-    if (spec.architecture && spec.architecture.length > 0) {
-        markdown += `## Architecture\n`;
-        spec.architecture.forEach((arch: string) => {
-            markdown += `- ${arch}\n`;
-        });
-        markdown += '\n';
-    }
-    
-    if (spec.tasks && spec.tasks.length > 0) {
-        markdown += `## Tasks\n`;
-        spec.tasks.forEach((task: any, index: number) => {
-            markdown += `### Task ${index + 1}: ${task.description}\n`;
-            markdown += `- **Type**: ${task.type}\n`;
-            markdown += `- **Agent**: ${task.assignedAgentType}\n`;
-            markdown += `- **Duration**: ${task.estimatedDuration} hours\n`;
-            if (task.dependencies && task.dependencies.length > 0) {
-                markdown += `- **Dependencies**: ${task.dependencies.join(', ')}\n`;
-            }
-            if (task.acceptanceCriteria && task.acceptanceCriteria.length > 0) {
-                markdown += `- **Acceptance Criteria**: ${task.acceptanceCriteria.join(', ')}\n`;
-            }
-            markdown += '\n';
-        });
+/**
+ * Shows the models served by the active LLM provider in a quick pick. Resolves
+ * to '' when allowDefault is set and the user picks "Use default model".
+ */
+async function pickLLMModel(placeHolder: string, currentModel?: string, allowDefault = false): Promise<string | undefined> {
+    const models = await llmProvider.listModels();
+    if (models.length === 0) {
+        vscode.window.showWarningMessage(`No models are available from ${llmProvider.displayName}. Load a model and try again.`);
+        return undefined;
     }
-    
-    if (spec.acceptanceCriteria && spec.acceptanceCriteria.length > 0) {
-        markdown += `## Acceptance Criteria\n`;
-        spec.acceptanceCriteria.forEach((criteria: string) => {
-            markdown += `- ${criteria}\n`;
-        });
-        markdown += '\n';
+
+    const items: vscode.QuickPickItem[] = models.map(model => ({
+        label: model.id,
+        description: model.id === currentModel ? '$(check) current' : model.type
+    }));
+
+    if (allowDefault) {
+        items.unshift({ label: '$(discard) Use default model', description: llmProvider.activeModel });
     }
-    
-    markdown += `## Project Details\n`;
-    markdown += `- **Priority**: ${spec.priority}\n`;
-    markdown += `- **Estimated Duration**: ${spec.estimatedDuration} hours\n`;
-    if (spec.dependencies && spec.dependencies.length > 0) {
-        markdown += `- **Dependencies**: ${spec.dependencies.join(', ')}\n`;
+
+    const pick = await vscode.window.showQuickPick(items, { placeHolder });
+    if (!pick) {
+        return undefined;
     }
-    
-    return markdown;
+
+    return allowDefault && pick === items[0] ? '' : pick.label;
 }
 
 function getExtensionConfig(): ExtensionConfig {
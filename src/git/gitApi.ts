@@ -0,0 +1,80 @@
+/**
+ * Git API - The subset of the built-in vscode.git extension API used here
+ * Mirrors version 1 of the API declared in extensions/git/src/api/git.d.ts,
+ * which the extension does not publish as a package.
+ */
+
+import * as vscode from 'vscode';
+
+export const enum GitApiStatus {
+    INDEX_MODIFIED,
+    INDEX_ADDED,
+    INDEX_DELETED,
+    INDEX_RENAMED,
+    INDEX_COPIED,
+    MODIFIED,
+    DELETED,
+    UNTRACKED,
+    IGNORED,
+    INTENT_TO_ADD,
+    INTENT_TO_RENAME,
+    TYPE_CHANGED,
+    ADDED_BY_US,
+    ADDED_BY_THEM,
+    DELETED_BY_US,
+    DELETED_BY_THEM,
+    BOTH_ADDED,
+    BOTH_DELETED,
+    BOTH_MODIFIED
+}
+
+export interface GitApiChange {
+    readonly uri: vscode.Uri;
+    readonly originalUri: vscode.Uri;
+    readonly renameUri: vscode.Uri | undefined;
+    readonly status: GitApiStatus;
+}
+
+export interface GitApiBranch {
+    readonly name?: string;
+    readonly commit?: string;
+    readonly upstream?: { readonly remote: string; readonly name: string };
+    readonly ahead?: number;
+    readonly behind?: number;
+}
+
+export interface GitApiCommit {
+    readonly hash: string;
+    readonly message: string;
+    readonly parents: string[];
+    readonly authorDate?: Date;
+    readonly authorName?: string;
+    readonly authorEmail?: string;
+}
+
+export interface GitApiRepository {
+    readonly rootUri: vscode.Uri;
+    readonly state: {
+        readonly HEAD: GitApiBranch | undefined;
+        readonly mergeChanges: GitApiChange[];
+        readonly indexChanges: GitApiChange[];
+        readonly workingTreeChanges: GitApiChange[];
+    };
+    diff(cached?: boolean): Promise<string>;
+    diffBetween(ref1: string, ref2: string): Promise<GitApiChange[]>;
+    diffBetween(ref1: string, ref2: string, path: string): Promise<string>;
+    getMergeBase(ref1: string, ref2: string): Promise<string | undefined>;
+    log(options?: { maxEntries?: number; path?: string }): Promise<GitApiCommit[]>;
+}
+
+export interface GitApi {
+    readonly state: 'uninitialized' | 'initialized';
+    readonly git: { readonly path: string };
+    readonly repositories: GitApiRepository[];
+    getRepository(uri: vscode.Uri): GitApiRepository | null;
+}
+
+export interface GitExtension {
+    readonly enabled: boolean;
+    getAPI(version: 1): GitApi;
+}
@@ -0,0 +1,328 @@
+/**
+ * Git Parsers - Reads unified diffs and the machine-readable output of
+ * git status, git log and git blame into plain objects
+ */
+
+export type GitFileStatus = 'modified' | 'added' | 'deleted' | 'renamed' | 'copied' | 'untracked' | 'conflicted';
+
+export interface GitDiffHunk {
+    oldStart: number;
+    oldLines: number;
+    newStart: number;
+    newLines: number;
+    /** The function or section heading git prints after the range */
+    section?: string;
+    /** Diff lines with their ' ', '+' or '-' prefix */
+    lines: string[];
+}
+
+export interface ParsedFileDiff {
+    /** Path relative to the repository root; the old path for deleted files */
+    path: string;
+    originalPath?: string;
+    status: GitFileStatus;
+    binary: boolean;
+    hunks: GitDiffHunk[];
+}
+
+export interface ParsedStatusEntry {
+    path: string;
+    originalPath?: string;
+    /** Status in the index, undefined when nothing is staged */
+    staged?: GitFileStatus;
+    /** Status in the working tree, undefined when nothing is unstaged */
+    unstaged?: GitFileStatus;
+}
+
+export interface ParsedStatus {
+    branch?: string;
+    commit?: string;
+    upstream?: string;
+    ahead: number;
+    behind: number;
+    entries: ParsedStatusEntry[];
+}
+
+export interface GitLogEntry {
+    hash: string;
+    author: string;
+    email: string;
+    /** ISO 8601 */
+    date: string;
+    subject: string;
+}
+
+export interface GitBlameLine {
+    line: number;
+    hash: string;
+    author: string;
+    /** ISO 8601 */
+    date: string;
+    summary: string;
+    text: string;
+}
+
+/** Field and record separators for git log --format */
+export const LOG_FORMAT = '%H%x1f%an%x1f%ae%x1f%aI%x1f%s%x1e';
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/;
+const UNCOMMITTED_HASH = /^0{40}$/;
+
+/**
+ * Files and hunks of a unified diff as printed by git diff
+ */
+export function parseUnifiedDiff(patch: string): ParsedFileDiff[] {
+    const files: ParsedFileDiff[] = [];
+    let file: ParsedFileDiff | undefined;
+    let hunk: GitDiffHunk | undefined;
+
+    for (const line of patch.split('\n')) {
+        if (line.startsWith('diff --git ')) {
+            const [oldPath, newPath] = parseDiffGitPaths(line.slice('diff --git '.length));
+            file = { path: newPath, originalPath: oldPath !== newPath ? oldPath : undefined, status: 'modified', binary: false, hunks: [] };
+            hunk = undefined;
+            files.push(file);
+            continue;
+        }
+        if (!file) {
+            continue;
+        }
+
+        const header = HUNK_HEADER.exec(line);
+        if (header) {
+            hunk = {
+                oldStart: Number(header[1]),
+                oldLines: header[2] === undefined ? 1 : Number(header[2]),
+                newStart: Number(header[3]),
+                newLines: header[4] === undefined ? 1 : Number(header[4]),
+                section: header[5] || undefined,
+                lines: []
+            };
+            file.hunks.push(hunk);
+        } else if (hunk) {
+            if (line.startsWith('+') || line.startsWith('-') || line.startsWith(' ')) {
+                hunk.lines.push(line);
+            } else if (line === '' && !isHunkComplete(hunk)) {
+                // Some tools strip the trailing space of empty context lines
+                hunk.lines.push(' ');
+            }
+        } else if (line.startsWith('new file mode')) {
+            file.status = 'added';
+        } else if (line.startsWith('deleted file mode')) {
+            file.status = 'deleted';
+        } else if (line.startsWith('rename from ')) {
+            file.status = 'renamed';
+            file.originalPath = unquotePath(line.slice('rename from '.length));
+        } else if (line.startsWith('rename to ')) {
+            file.path = unquotePath(line.slice('rename to '.length));
+        } else if (line.startsWith('copy from ')) {
+            file.status = 'copied';
+            file.originalPath = unquotePath(line.slice('copy from '.length));
+        } else if (line.startsWith('copy to ')) {
+            file.path = unquotePath(line.slice('copy to '.length));
+        } else if (line.startsWith('Binary files ') || line === 'GIT binary patch') {
+            file.binary = true;
+        } else if (line.startsWith('--- ') && file.status === 'deleted') {
+            file.path = stripPrefix(unquotePath(line.slice(4)));
+        } else if (line.startsWith('+++ ') && line.slice(4) !== '/dev/null') {
+            file.path = stripPrefix(unquotePath(line.slice(4)));
+        }
+    }
+    return files;
+}
+
+/**
+ * Output of git status --porcelain=v2 --branch -z
+ */
+export function parseStatusV2(output: string): ParsedStatus {
+    const status: ParsedStatus = { ahead: 0, behind: 0, entries: [] };
+    const records = output.split('\0');
+
+    for (let index = 0; index < records.length; index++) {
+        const record = records[index];
+        if (record.startsWith('# branch.oid ')) {
+            const oid = record.slice('# branch.oid '.length);
+            status.commit = oid === '(initial)' ? undefined : oid;
+        } else if (record.startsWith('# branch.head ')) {
+            const head = record.slice('# branch.head '.length);
+            status.branch = head === '(detached)' ? undefined : head;
+        } else if (record.startsWith('# branch.upstream ')) {
+            status.upstream = record.slice('# branch.upstream '.length);
+        } else if (record.startsWith('# branch.ab ')) {
+            const [ahead, behind] = record.slice('# branch.ab '.length).split(' ');
+            status.ahead = Math.abs(Number(ahead));
+            status.behind = Math.abs(Number(behind));
+        } else if (record.startsWith('1 ')) {
+            const fields = record.split(' ');
+            status.entries.push({ path: fields.slice(8).join(' '), ...statusPair(fields[1]) });
+        } else if (record.startsWith('2 ')) {
+            // Renames and copies are followed by the original path as a record of its own
+            const fields = record.split(' ');
+            status.entries.push({ path: fields.slice(9).join(' '), originalPath: records[++index], ...statusPair(fields[1]) });
+        } else if (record.startsWith('u ')) {
+            status.entries.push({ path: record.split(' ').slice(10).join(' '), staged: 'conflicted', unstaged: 'conflicted' });
+        } else if (record.startsWith('? ')) {
+            status.entries.push({ path: record.slice(2), unstaged: 'untracked' });
+        }
+    }
+    return status;
+}
+
+/**
+ * Output of git diff --name-status -z
+ */
+export function parseNameStatus(output: string): Array<{ path: string; originalPath?: string; status: GitFileStatus }> {
+    const changes: Array<{ path: string; originalPath?: string; status: GitFileStatus }> = [];
+    const records = output.split('\0').filter(Boolean);
+
+    for (let index = 0; index < records.length; index++) {
+        const code = records[index][0];
+        if (code === 'R' || code === 'C') {
+            changes.push({ originalPath: records[index + 1], path: records[index + 2], status: code === 'R' ? 'renamed' : 'copied' });
+            index += 2;
+        } else {
+            changes.push({ path: records[++index], status: statusFromCode(code) ?? 'modified' });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Output of git log --format=LOG_FORMAT
+ */
+export function parseLog(output: string): GitLogEntry[] {
+    return output.split('\x1e')
+        .map(record => record.trim())
+        .filter(Boolean)
+        .map(record => {
+            const [hash, author, email, date, subject] = record.split('\x1f');
+            return { hash, author, email, date: new Date(date).toISOString(), subject };
+        });
+}
+
+/**
+ * Output of git blame --line-porcelain
+ */
+export function parseBlamePorcelain(output: string): GitBlameLine[] {
+    const lines: GitBlameLine[] = [];
+    let current: Partial<GitBlameLine> & { authorTime?: number } = {};
+
+    for (const line of output.split('\n')) {
+        if (line.startsWith('\t')) {
+            const uncommitted = UNCOMMITTED_HASH.test(current.hash ?? '');
+            lines.push({
+                line: current.line ?? lines.length + 1,
+                hash: uncommitted ? '' : current.hash!.slice(0, 12),
+                author: uncommitted ? 'Not committed yet' : current.author ?? '',
+                date: current.authorTime ? new Date(current.authorTime * 1000).toISOString() : '',
+                summary: uncommitted ? '' : current.summary ?? '',
+                text: line.slice(1)
+            });
+            current = {};
+            continue;
+        }
+
+        const space = line.indexOf(' ');
+        const key = space === -1 ? line : line.slice(0, space);
+        const value = space === -1 ? '' : line.slice(space + 1);
+        if (/^[0-9a-f]{40}$/.test(key)) {
+            current.hash = key;
+            current.line = Number(value.split(' ')[1]);
+        } else if (key === 'author') {
+            current.author = value;
+        } else if (key === 'author-time') {
+            current.authorTime = Number(value);
+        } else if (key === 'summary') {
+            current.summary = value;
+        }
+    }
+    return lines;
+}
+
+/** The added and removed line counts of a diff */
+export function countChangedLines(hunks: GitDiffHunk[]): { additions: number; deletions: number } {
+    let additions = 0;
+    let deletions = 0;
+    for (const hunk of hunks) {
+        for (const line of hunk.lines) {
+            if (line.startsWith('+')) {
+                additions++;
+            } else if (line.startsWith('-')) {
+                deletions++;
+            }
+        }
+    }
+    return { additions, deletions };
+}
+
+function statusPair(xy: string): { staged?: GitFileStatus; unstaged?: GitFileStatus } {
+    return { staged: statusFromCode(xy[0]), unstaged: statusFromCode(xy[1]) };
+}
+
+function statusFromCode(code: string): GitFileStatus | undefined {
+    switch (code) {
+        case 'M':
+        case 'T':
+            return 'modified';
+        case 'A':
+            return 'added';
+        case 'D':
+            return 'deleted';
+        case 'R':
+            return 'renamed';
+        case 'C':
+            return 'copied';
+        case 'U':
+            return 'conflicted';
+        default:
+            return undefined;
+    }
+}
+
+function isHunkComplete(hunk: GitDiffHunk): boolean {
+    const oldCount = hunk.lines.filter(line => !line.startsWith('+')).length;
+    const newCount = hunk.lines.filter(line => !line.startsWith('-')).length;
+    return oldCount >= hunk.oldLines && newCount >= hunk.newLines;
+}
+
+/** The a/ and b/ paths of a diff --git header; equal halves when the paths contain spaces */
+function parseDiffGitPaths(header: string): [string, string] {
+    const quoted = /^("(?:[^"\\]|\\.)*"|\S+) ("(?:[^"\\]|\\.)*"|\S+)$/.exec(header);
+    if (quoted) {
+        return [stripPrefix(unquotePath(quoted[1])), stripPrefix(unquotePath(quoted[2]))];
+    }
+    const middle = (header.length - 1) / 2;
+    if (Number.isInteger(middle) && header[middle] === ' ') {
+        return [stripPrefix(header.slice(0, middle)), stripPrefix(header.slice(middle + 1))];
+    }
+    const split = header.indexOf(' b/');
+    return [stripPrefix(header.slice(0, split)), stripPrefix(header.slice(split + 1))];
+}
+
+function stripPrefix(diffPath: string): string {
+    return /^[abciwo]\//.test(diffPath) ? diffPath.slice(2) : diffPath;
+}
+
+/** Paths with special characters are quoted and octal-escaped by core.quotePath */
+function unquotePath(diffPath: string): string {
+    const trimmed = diffPath.replace(/\t$/, '');
+    if (!trimmed.startsWith('"') || !trimmed.endsWith('"')) {
+        return trimmed;
+    }
+
+    const bytes: number[] = [];
+    const escapes: Record<string, number> = { n: 10, t: 9, '"': 34, '\\': 92, a: 7, b: 8, f: 12, r: 13, v: 11 };
+    const body = trimmed.slice(1, -1);
+    for (let index = 0; index < body.length; index++) {
+        if (body[index] !== '\\') {
+            bytes.push(...Buffer.from(body[index], 'utf8'));
+        } else if (/[0-7]{3}/.test(body.slice(index + 1, index + 4))) {
+            bytes.push(parseInt(body.slice(index + 1, index + 4), 8));
+            index += 3;
+        } else {
+            bytes.push(escapes[body[index + 1]] ?? body.charCodeAt(index + 1));
+            index++;
+        }
+    }
+    return Buffer.from(bytes).toString('utf8');
+}
@@ -0,0 +1,548 @@
+/**
+ * Git Service - Staged, unstaged and branch changes, diffs, history and blame
+ * for the workspace. Repositories, status, history and staged or unstaged
+ * diffs come from the built-in vscode.git extension; the git CLI stands in
+ * when that extension is disabled or has not opened the repository, and
+ * always answers merge-base, branch diff and blame queries the API lacks.
+ * Everything is scoped to the workspace folders: files outside them are
+ * left out and paths outside them are rejected.
+ */
+
+import * as vscode from 'vscode';
+import * as path from 'path';
+import * as fs from 'fs/promises';
+import { ProcessRunner } from '../utils/processRunner';
+import { GitApi, GitApiChange, GitApiRepository, GitApiStatus, GitExtension } from './gitApi';
+import {
+    GitBlameLine,
+    GitDiffHunk,
+    GitFileStatus,
+    GitLogEntry,
+    LOG_FORMAT,
+    ParsedFileDiff,
+    countChangedLines,
+    parseBlamePorcelain,
+    parseLog,
+    parseNameStatus,
+    parseStatusV2,
+    parseUnifiedDiff
+} from './gitParsers';
+
+export type GitChangeScope = 'staged' | 'unstaged' | 'branch';
+
+export type GitSource = 'vscode.git' | 'git-cli';
+
+export interface GitConfig {
+    /** Branch that branch changes are compared with; origin/HEAD, main or master when empty */
+    baseBranch: string;
+    includeUntracked: boolean;
+    /** Diff lines returned before further hunks are left out */
+    maxDiffLines: number;
+    log: {
+        maxEntries: number;
+    };
+    review: {
+        maxFiles: number;
+    };
+}
+
+export interface GitFileChange {
+    filePath: string;
+    /** Path relative to the workspace folder */
+    file: string;
+    originalFile?: string;
+    status: GitFileStatus;
+    scope: GitChangeScope;
+}
+
+export interface GitFileDiff extends GitFileChange {
+    binary: boolean;
+    additions: number;
+    deletions: number;
+    hunks: GitDiffHunk[];
+}
+
+export interface GitDiffResult {
+    scope: GitChangeScope;
+    /** The branch and merge base branch changes were compared with */
+    base?: { branch: string; mergeBase: string };
+    files: GitFileDiff[];
+    /** Hunks were left out to stay within ruv-swarm.git.maxDiffLines */
+    truncated: boolean;
+    source: GitSource;
+}
+
+export interface GitStatusResult {
+    repository: string;
+    branch?: string;
+    commit?: string;
+    upstream?: string;
+    ahead: number;
+    behind: number;
+    staged: GitFileChange[];
+    unstaged: GitFileChange[];
+    source: GitSource;
+}
+
+export interface GitBlameRange {
+    startLine: number;
+    endLine: number;
+    hash: string;
+    author: string;
+    date: string;
+    summary: string;
+}
+
+interface RepositoryHandle {
+    root: string;
+    folder: vscode.WorkspaceFolder;
+    gitPath: string;
+    api?: GitApiRepository;
+}
+
+const GIT_TIMEOUT = 15000;
+const MAX_UNTRACKED_FILE_SIZE = 512 * 1024;
+const DEFAULT_BASE_BRANCHES = ['origin/main', 'origin/master', 'main', 'master'];
+
+export function loadGitConfig(): GitConfig {
+    const config = vscode.workspace.getConfiguration('ruv-swarm.git');
+    return {
+        baseBranch: config.get('baseBranch', ''),
+        includeUntracked: config.get('includeUntracked', true),
+        maxDiffLines: config.get('maxDiffLines', 2000),
+        log: {
+            maxEntries: config.get('log.maxEntries', 20)
+        },
+        review: {
+            maxFiles: config.get('review.maxFiles', 20)
+        }
+    };
+}
+
+/**
+ * The hunks of a file diff as unified diff text, for prompts
+ */
+export function formatFileDiff(diff: GitFileDiff): string {
+    const header = diff.originalFile ? `${diff.originalFile} → ${diff.file}` : diff.file;
+    if (diff.binary) {
+        return `${header} (${diff.status}, binary)`;
+    }
+    return [
+        `${header} (${diff.status}, +${diff.additions} -${diff.deletions})`,
+        ...diff.hunks.flatMap(hunk => [
+            `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@${hunk.section ? ` ${hunk.section}` : ''}`,
+            ...hunk.lines
+        ])
+    ].join('\n');
+}
+
+export class GitService {
+    private _processRunner = new ProcessRunner();
+    private _api?: GitApi;
+
+    /**
+     * Branch, upstream and the staged and unstaged files of the repository
+     * holding the first workspace folder
+     */
+    async getStatus(): Promise<GitStatusResult> {
+        const config = loadGitConfig();
+        const repository = await this._repository();
+
+        if (repository.api) {
+            const { HEAD, indexChanges, workingTreeChanges, mergeChanges } = repository.api.state;
+            const unstaged = [...mergeChanges, ...workingTreeChanges]
+                .filter(change => config.includeUntracked || change.status !== GitApiStatus.UNTRACKED);
+            return {
+                repository: repository.root,
+                branch: HEAD?.name,
+                commit: HEAD?.commit,
+                upstream: HEAD?.upstream ? `${HEAD.upstream.remote}/${HEAD.upstream.name}` : undefined,
+                ahead: HEAD?.ahead ?? 0,
+                behind: HEAD?.behind ?? 0,
+                staged: this._fromApiChanges(repository, indexChanges, 'staged'),
+                unstaged: this._fromApiChanges(repository, unstaged, 'unstaged'),
+                source: 'vscode.git'
+            };
+        }
+
+        const status = parseStatusV2(await this._git(repository, [
+            'status', '--porcelain=v2', '--branch', '-z', `--untracked-files=${config.includeUntracked ? 'all' : 'no'}`
+        ]));
+        const staged: GitFileChange[] = [];
+        const unstaged: GitFileChange[] = [];
+        for (const entry of status.entries) {
+            if (entry.staged) {
+                this._pushChange(staged, repository, entry.path, entry.originalPath, entry.staged, 'staged');
+            }
+            if (entry.unstaged) {
+                this._pushChange(unstaged, repository, entry.path, undefined, entry.unstaged, 'unstaged');
+            }
+        }
+
+        return {
+            repository: repository.root,
+            branch: status.branch,
+            commit: status.commit,
+            upstream: status.upstream,
+            ahead: status.ahead,
+            behind: status.behind,
+            staged,
+            unstaged,
+            source: 'git-cli'
+        };
+    }
+
+    /**
+     * Changed workspace files of the given scopes; a file changed in several
+     * scopes is listed once per scope
+     */
+    async getChanges(scopes: GitChangeScope[] = ['staged', 'unstaged'], base?: string): Promise<GitFileChange[]> {
+        const changes: GitFileChange[] = [];
+        if (scopes.includes('staged') || scopes.includes('unstaged')) {
+            const status = await this.getStatus();
+            changes.push(
+                ...(scopes.includes('staged') ? status.staged : []),
+                ...(scopes.includes('unstaged') ? status.unstaged : [])
+            );
+        }
+
+        if (scopes.includes('branch')) {
+            const repository = await this._repository();
+            const { mergeBase } = await this._resolveBase(repository, base);
+            const output = await this._git(repository, ['diff', '--name-status', '-z', '-M', mergeBase, 'HEAD']);
+            for (const change of parseNameStatus(output)) {
+                this._pushChange(changes, repository, change.path, change.originalPath, change.status, 'branch');
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * Hunks of the staged, unstaged or branch changes, optionally of one file
+     */
+    async getDiff(options: { scope?: GitChangeScope; filePath?: string; base?: string } = {}): Promise<GitDiffResult> {
+        const config = loadGitConfig();
+        const scope = options.scope ?? 'unstaged';
+        const repository = await this._repository(options.filePath);
+        const pathspec = options.filePath ? this._repositoryPath(repository, options.filePath) : undefined;
+        const diffArgs = ['diff', '-M', '--no-color', '--no-ext-diff'];
+
+        let parsed: ParsedFileDiff[];
+        let base: GitDiffResult['base'];
+        const source: GitSource = repository.api && scope !== 'branch' ? 'vscode.git' : 'git-cli';
+        if (scope === 'branch') {
+            base = await this._resolveBase(repository, options.base);
+            parsed = parseUnifiedDiff(await this._git(repository, [...diffArgs, base.mergeBase, 'HEAD', ...(pathspec ? ['--', pathspec] : [])]));
+        } else if (repository.api) {
+            parsed = parseUnifiedDiff(await repository.api.diff(scope === 'staged'));
+        } else {
+            parsed = parseUnifiedDiff(await this._git(repository, [
+                ...diffArgs, ...(scope === 'staged' ? ['--cached'] : []), ...(pathspec ? ['--', pathspec] : [])
+            ]));
+        }
+
+        if (scope === 'unstaged' && config.includeUntracked) {
+            const untracked = await this._untrackedPaths(repository, pathspec);
+            parsed.push(...await Promise.all(untracked.map(untrackedPath => this._untrackedDiff(repository, untrackedPath))));
+        }
+
+        const files: GitFileDiff[] = [];
+        for (const file of parsed) {
+            if (pathspec && file.path !== pathspec && file.originalPath !== pathspec) {
+                continue;
+            }
+            const change = this._toChange(repository, file.path, file.originalPath, file.status, scope);
+            if (change) {
+                files.push({ ...change, binary: file.binary, ...countChangedLines(file.hunks), hunks: file.hunks });
+            }
+        }
+
+        return { scope, base, files, truncated: this._limitDiffLines(files, config.maxDiffLines), source };
+    }
+
+    /**
+     * Recent commits of the repository or of one file
+     */
+    async getLog(options: { filePath?: string; maxEntries?: number } = {}): Promise<{ commits: GitLogEntry[]; source: GitSource }> {
+        const maxEntries = Math.min(Math.max(options.maxEntries ?? loadGitConfig().log.maxEntries, 1), 200);
+        const repository = await this._repository(options.filePath);
+        const pathspec = options.filePath ? this._repositoryPath(repository, options.filePath) : undefined;
+
+        if (repository.api) {
+            const commits = await repository.api.log({ maxEntries, path: pathspec ? path.join(repository.root, pathspec) : undefined });
+            return {
+                commits: commits.map(commit => ({
+                    hash: commit.hash,
+                    author: commit.authorName ?? '',
+                    email: commit.authorEmail ?? '',
+                    date: commit.authorDate ? new Date(commit.authorDate).toISOString() : '',
+                    subject: commit.message.split('\n')[0]
+                })),
+                source: 'vscode.git'
+            };
+        }
+
+        const output = await this._git(repository, ['log', `-n${maxEntries}`, `--format=${LOG_FORMAT}`, ...(pathspec ? ['--', pathspec] : [])]);
+        return { commits: parseLog(output), source: 'git-cli' };
+    }
+
+    /**
+     * The commit that last changed each line of a saved file, with
+     * consecutive lines of the same commit merged into one range
+     */
+    async getBlame(filePath: string, startLine?: number, endLine?: number): Promise<{ file: string; ranges: GitBlameRange[] }> {
+        const repository = await this._repository(filePath);
+        const pathspec = this._repositoryPath(repository, filePath);
+        const lineRange = startLine ? ['-L', `${startLine},${endLine ?? ''}`] : [];
+        const lines = parseBlamePorcelain(await this._git(repository, ['blame', '--line-porcelain', ...lineRange, '--', pathspec]));
+
+        return {
+            file: vscode.workspace.asRelativePath(path.join(repository.root, pathspec), false),
+            ranges: this._mergeBlameLines(lines)
+        };
+    }
+
+    private async _repository(filePath?: string): Promise<RepositoryHandle> {
+        const folders = vscode.workspace.workspaceFolders ?? [];
+        const folder = filePath
+            ? vscode.workspace.getWorkspaceFolder(vscode.Uri.file(path.resolve(folders[0]?.uri.fsPath ?? '', filePath)))
+            : folders[0];
+        if (!folder) {
+            throw new Error(folders.length === 0 ? 'No workspace folder is open' : `${filePath} is outside the workspace`);
+        }
+
+        const api = await this._getApi();
+        const repository = api?.getRepository(folder.uri) ?? undefined;
+        const gitPath = api?.git.path ?? 'git';
+        if (repository) {
+            return { root: repository.rootUri.fsPath, folder, gitPath, api: repository };
+        }
+
+        try {
+            const result = await this._processRunner.run(gitPath, ['rev-parse', '--show-toplevel'], {
+                cwd: folder.uri.fsPath,
+                timeout: GIT_TIMEOUT
+            });
+            return { root: path.normalize(result.stdout.trim()), folder, gitPath };
+        } catch {
+            throw new Error(`${folder.name} is not inside a Git repository`);
+        }
+    }
+
+    /** The vscode.git API once the extension has opened its repositories */
+    private async _getApi(): Promise<GitApi | undefined> {
+        if (this._api) {
+            return this._api.state === 'initialized' ? this._api : undefined;
+        }
+
+        const extension = vscode.extensions.getExtension<GitExtension>('vscode.git');
+        if (!extension) {
+            return undefined;
+        }
+        try {
+            const exports = extension.isActive ? extension.exports : await extension.activate();
+            if (exports.enabled) {
+                this._api = exports.getAPI(1);
+            }
+        } catch {
+            // The CLI takes over when the extension cannot be activated
+        }
+        return this._api?.state === 'initialized' ? this._api : undefined;
+    }
+
+    private async _git(repository: RepositoryHandle, args: string[]): Promise<string> {
+        const result = await this._processRunner.run(repository.gitPath, ['-c', 'core.quotePath=false', ...args], {
+            cwd: repository.root,
+            timeout: GIT_TIMEOUT
+        });
+        return result.stdout;
+    }
+
+    /** The branch to compare with and its merge base with HEAD */
+    private async _resolveBase(repository: RepositoryHandle, base?: string): Promise<{ branch: string; mergeBase: string }> {
+        const configured = base || loadGitConfig().baseBranch;
+        const candidates = configured ? [configured] : [...await this._originHead(repository), ...DEFAULT_BASE_BRANCHES];
+
+        for (const candidate of candidates) {
+            try {
+                await this._git(repository, ['rev-parse', '--verify', '--quiet', `${candidate}^{commit}`]);
+            } catch {
+                continue;
+            }
+            const mergeBase = repository.api
+                ? await repository.api.getMergeBase(candidate, 'HEAD')
+                : (await this._git(repository, ['merge-base', candidate, 'HEAD'])).trim();
+            if (!mergeBase) {
+                throw new Error(`${candidate} and HEAD have no common history`);
+            }
+            return { branch: candidate, mergeBase };
+        }
+
+        throw new Error(configured
+            ? `Base branch ${configured} not found`
+            : 'No base branch found; set ruv-swarm.git.baseBranch to the branch changes are compared with');
+    }
+
+    private async _originHead(repository: RepositoryHandle): Promise<string[]> {
+        try {
+            const ref = (await this._git(repository, ['symbolic-ref', '--quiet', '--short', 'refs/remotes/origin/HEAD'])).trim();
+            return ref ? [ref] : [];
+        } catch {
+            return [];
+        }
+    }
+
+    private async _untrackedPaths(repository: RepositoryHandle, pathspec?: string): Promise<string[]> {
+        if (repository.api) {
+            return repository.api.state.workingTreeChanges
+                .filter(change => change.status === GitApiStatus.UNTRACKED)
+                .map(change => this._toRepositoryRelative(repository, change.uri.fsPath))
+                .filter(untrackedPath => !pathspec || untrackedPath === pathspec);
+        }
+
+        const output = await this._git(repository, ['ls-files', '--others', '--exclude-standard', '-z', ...(pathspec ? ['--', pathspec] : [])]);
+        return output.split('\0').filter(Boolean);
+    }
+
+    /** A new file as one hunk adding all of its lines */
+    private async _untrackedDiff(repository: RepositoryHandle, untrackedPath: string): Promise<ParsedFileDiff> {
+        const diff: ParsedFileDiff = { path: untrackedPath, status: 'untracked', binary: false, hunks: [] };
+        try {
+            const fullPath = path.join(repository.root, untrackedPath);
+            if ((await fs.stat(fullPath)).size > MAX_UNTRACKED_FILE_SIZE) {
+                diff.binary = true;
+                return diff;
+            }
+            const content = await fs.readFile(fullPath, 'utf8');
+            if (content.includes('\0')) {
+                diff.binary = true;
+                return diff;
+            }
+            const lines = content.replace(/\r?\n$/, '').split(/\r?\n/);
+            if (content.length > 0) {
+                diff.hunks.push({ oldStart: 0, oldLines: 0, newStart: 1, newLines: lines.length, lines: lines.map(line => `+${line}`) });
+            }
+        } catch {
+            // Deleted again since it was listed
+        }
+        return diff;
+    }
+
+    private _fromApiChanges(repository: RepositoryHandle, changes: GitApiChange[], scope: GitChangeScope): GitFileChange[] {
+        const result: GitFileChange[] = [];
+        for (const change of changes) {
+            const originalPath = change.status === GitApiStatus.INDEX_RENAMED
+                ? this._toRepositoryRelative(repository, change.originalUri.fsPath)
+                : undefined;
+            const currentPath = this._toRepositoryRelative(repository, (change.renameUri ?? change.uri).fsPath);
+            this._pushChange(result, repository, currentPath, originalPath, this._apiStatus(change.status), scope);
+        }
+        return result;
+    }
+
+    private _apiStatus(status: GitApiStatus): GitFileStatus {
+        switch (status) {
+            case GitApiStatus.INDEX_ADDED:
+            case GitApiStatus.INTENT_TO_ADD:
+                return 'added';
+            case GitApiStatus.INDEX_DELETED:
+            case GitApiStatus.DELETED:
+                return 'deleted';
+            case GitApiStatus.INDEX_RENAMED:
+            case GitApiStatus.INTENT_TO_RENAME:
+                return 'renamed';
+            case GitApiStatus.INDEX_COPIED:
+                return 'copied';
+            case GitApiStatus.UNTRACKED:
+                return 'untracked';
+            case GitApiStatus.INDEX_MODIFIED:
+            case GitApiStatus.MODIFIED:
+            case GitApiStatus.TYPE_CHANGED:
+                return 'modified';
+            default:
+                return 'conflicted';
+        }
+    }
+
+    private _pushChange(
+        changes: GitFileChange[],
+        repository: RepositoryHandle,
+        repositoryPath: string,
+        originalPath: string | undefined,
+        status: GitFileStatus,
+        scope: GitChangeScope
+    ): void {
+        const change = this._toChange(repository, repositoryPath, originalPath, status, scope);
+        if (change) {
+            changes.push(change);
+        }
+    }
+
+    /** A change of a workspace file, or undefined for files elsewhere in the repository */
+    private _toChange(
+        repository: RepositoryHandle,
+        repositoryPath: string,
+        originalPath: string | undefined,
+        status: GitFileStatus,
+        scope: GitChangeScope
+    ): GitFileChange | undefined {
+        const filePath = path.join(repository.root, repositoryPath);
+        if (!vscode.workspace.getWorkspaceFolder(vscode.Uri.file(filePath))) {
+            return undefined;
+        }
+
+        return {
+            filePath,
+            file: vscode.workspace.asRelativePath(filePath, false),
+            originalFile: originalPath ? vscode.workspace.asRelativePath(path.join(repository.root, originalPath), false) : undefined,
+            status,
+            scope
+        };
+    }
+
+    /** A workspace path relative to the repository root, with forward slashes as git prints them */
+    private _repositoryPath(repository: RepositoryHandle, filePath: string): string {
+        const fullPath = path.resolve(repository.folder.uri.fsPath, filePath);
+        if (!vscode.workspace.getWorkspaceFolder(vscode.Uri.file(fullPath))) {
+            throw new Error(`${filePath} is outside the workspace`);
+        }
+        return this._toRepositoryRelative(repository, fullPath);
+    }
+
+    private _toRepositoryRelative(repository: RepositoryHandle, fullPath: string): string {
+        return path.relative(repository.root, fullPath).split(path.sep).join('/');
+    }
+
+    /** Drops the hunks past the line budget; true when any were dropped */
+    private _limitDiffLines(files: GitFileDiff[], maxLines: number): boolean {
+        let remaining = maxLines;
+        let truncated = false;
+        for (const file of files) {
+            const kept: GitDiffHunk[] = [];
+            for (const hunk of file.hunks) {
+                if (hunk.lines.length > remaining) {
+                    truncated = true;
+                    remaining = 0;
+                    continue;
+                }
+                remaining -= hunk.lines.length;
+                kept.push(hunk);
+            }
+            file.hunks = kept;
+        }
+        return truncated;
+    }
+
+    private _mergeBlameLines(lines: GitBlameLine[]): GitBlameRange[] {
+        const ranges: GitBlameRange[] = [];
+        for (const line of lines) {
+            const previous = ranges[ranges.length - 1];
+            if (previous && previous.hash === line.hash && previous.endLine === line.line - 1) {
+                previous.endLine = line.line;
+                continue;
+            }
+            ranges.push({ startLine: line.line, endLine: line.line, hash: line.hash, author: line.author, date: line.date, summary: line.summary });
+        }
+        return ranges;
+    }
+}
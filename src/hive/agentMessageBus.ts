@@ -0,0 +1,305 @@
+/**
+ * Agent Message Bus - Requests, results, questions and answers between hive agents
+ * A message travels along the coordination path of the current topology, so
+ * in a star or hierarchy the hub relays it and in a ring it passes the
+ * neighbours in between. Every hop is written to agent_interactions, which
+ * makes each specification run replayable as a conversation timeline.
+ */
+
+import * as vscode from 'vscode';
+import { TopologyManager } from './topologyManager';
+import { AgentInteractionRecord, SQLiteMemoryBank, StoredAgentInteraction } from './sqliteMemoryBank';
+
+export type AgentMessageKind = 'request' | 'result' | 'question' | 'answer';
+
+export interface AgentMessage {
+    id: string;
+    runId: string;
+    kind: AgentMessageKind;
+    from: string;
+    to: string;
+    /** Agents the message passed through, sender and recipient included */
+    route: string[];
+    /** The task the message is about */
+    taskId?: string;
+    /** The question an answer replies to */
+    inReplyTo?: string;
+    content: string;
+    sentAt: Date;
+}
+
+export type AgentMessageDraft = Pick<AgentMessage, 'runId' | 'kind' | 'from' | 'to' | 'content' | 'taskId' | 'inReplyTo'>;
+
+/** A specification run whose conversation was recorded */
+export interface AgentConversationRun {
+    runId: string;
+    specId: string;
+    title: string;
+    startedAt: Date;
+}
+
+export interface AgentTimelineEntry {
+    timestamp: Date;
+    type: 'run.started' | 'run.finished' | 'hop';
+    from: string;
+    to?: string;
+    content: string;
+    success: boolean;
+    durationMs?: number;
+    /** Set for hops: which message this is and where on its route */
+    message?: {
+        id: string;
+        kind: AgentMessageKind;
+        sender: string;
+        recipient: string;
+        hop: number;
+        hops: number;
+        taskId?: string;
+        inReplyTo?: string;
+    };
+}
+
+export class AgentMessageBus implements vscode.Disposable {
+    /** Interactions kept in memory when SQLite is not available */
+    private static readonly maxSessionInteractions = 5000;
+
+    private _topologyManager: TopologyManager;
+    private _outputChannel: vscode.OutputChannel;
+    private _memoryBank?: SQLiteMemoryBank;
+    private _sessionInteractions: StoredAgentInteraction[] = [];
+    private _nextSessionId = 1;
+    /** Delivered messages of the runs still in progress */
+    private _runMessages = new Map<string, AgentMessage[]>();
+    private _onDidDeliver = new vscode.EventEmitter<AgentMessage>();
+
+    public readonly onDidDeliver = this._onDidDeliver.event;
+
+    constructor(topologyManager: TopologyManager, outputChannel: vscode.OutputChannel, memoryBank?: SQLiteMemoryBank) {
+        this._topologyManager = topologyManager;
+        this._outputChannel = outputChannel;
+        this._memoryBank = memoryBank;
+    }
+
+    /** False when the conversation is only kept for this session */
+    get persistent(): boolean {
+        return this._memoryBank !== undefined;
+    }
+
+    async startRun(runId: string, spec: { id: string; title: string }, coordinatorId: string): Promise<void> {
+        this._runMessages.set(runId, []);
+        await this._record({
+            fromAgentId: coordinatorId,
+            interactionType: 'coordination',
+            content: spec.title,
+            metadata: { runId, event: 'run.started', specId: spec.id }
+        });
+    }
+
+    async finishRun(runId: string, coordinatorId: string, success: boolean, summary: string, durationMs: number): Promise<void> {
+        this._runMessages.delete(runId);
+        await this._record({
+            fromAgentId: coordinatorId,
+            interactionType: 'coordination',
+            content: summary,
+            success,
+            durationMs,
+            metadata: { runId, event: 'run.finished' }
+        });
+    }
+
+    /**
+     * Routes a message to its recipient, recording one interaction per hop
+     */
+    async post(draft: AgentMessageDraft): Promise<AgentMessage> {
+        const route = draft.from === draft.to
+            ? [draft.from, draft.to]
+            : await this._topologyManager.getCoordinationPath(draft.from, draft.to);
+
+        const message: AgentMessage = {
+            ...draft,
+            id: `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            route,
+            sentAt: new Date()
+        };
+
+        for (let hop = 1; hop < route.length; hop++) {
+            await this._record({
+                fromAgentId: route[hop - 1],
+                toAgentId: route[hop],
+                interactionType: 'message',
+                content: message.content,
+                metadata: {
+                    runId: message.runId,
+                    messageId: message.id,
+                    kind: message.kind,
+                    sender: message.from,
+                    recipient: message.to,
+                    hop,
+                    hops: route.length - 1,
+                    taskId: message.taskId,
+                    inReplyTo: message.inReplyTo
+                }
+            });
+        }
+
+        const relay = route.length > 2 ? ` via ${route.slice(1, -1).join(' → ')}` : '';
+        this._outputChannel.appendLine(`✉️ ${message.kind} ${message.from} → ${message.to}${relay}`);
+
+        this._runMessages.get(message.runId)?.push(message);
+        this._onDidDeliver.fire(message);
+        return message;
+    }
+
+    /**
+     * Messages delivered to an agent in a run that is still in progress
+     */
+    getInbox(agentId: string, runId: string): AgentMessage[] {
+        return (this._runMessages.get(runId) ?? []).filter(message => message.to === agentId);
+    }
+
+    /**
+     * Messages an agent sent in a run that is still in progress
+     */
+    getSent(agentId: string, runId: string): AgentMessage[] {
+        return (this._runMessages.get(runId) ?? []).filter(message => message.from === agentId);
+    }
+
+    /**
+     * Recorded runs, newest first
+     */
+    async getRuns(limit: number = 20): Promise<AgentConversationRun[]> {
+        const starts = await this._query({
+            interactionType: 'coordination',
+            metadata: { event: 'run.started' },
+            newestFirst: true,
+            limit
+        });
+
+        return starts.map(start => ({
+            runId: String(start.metadata?.runId),
+            specId: String(start.metadata?.specId),
+            title: start.content,
+            startedAt: start.timestamp
+        }));
+    }
+
+    async getTimeline(runId: string): Promise<AgentTimelineEntry[]> {
+        const interactions = await this._query({ metadata: { runId }, limit: AgentMessageBus.maxSessionInteractions });
+
+        return interactions.map(interaction => {
+            const metadata = interaction.metadata ?? {};
+            const entry: AgentTimelineEntry = {
+                timestamp: interaction.timestamp,
+                type: interaction.interactionType === 'message' ? 'hop' : metadata.event === 'run.finished' ? 'run.finished' : 'run.started',
+                from: interaction.fromAgentId,
+                to: interaction.toAgentId,
+                content: interaction.content,
+                success: interaction.success !== false,
+                durationMs: interaction.durationMs
+            };
+
+            if (entry.type === 'hop') {
+                entry.message = {
+                    id: String(metadata.messageId),
+                    kind: metadata.kind as AgentMessageKind,
+                    sender: String(metadata.sender),
+                    recipient: String(metadata.recipient),
+                    hop: Number(metadata.hop),
+                    hops: Number(metadata.hops),
+                    taskId: metadata.taskId as string | undefined,
+                    inReplyTo: metadata.inReplyTo as string | undefined
+                };
+            }
+
+            return entry;
+        });
+    }
+
+    private async _record(interaction: AgentInteractionRecord): Promise<void> {
+        if (this._memoryBank) {
+            try {
+                await this._memoryBank.storeAgentInteraction(interaction);
+                return;
+            } catch (error) {
+                this._outputChannel.appendLine(`⚠️ Failed to record agent interaction, keeping it for this session: ${error instanceof Error ? error.message : String(error)}`);
+            }
+        }
+
+        this._sessionInteractions.push({ ...interaction, id: this._nextSessionId++, timestamp: new Date() });
+        if (this._sessionInteractions.length > AgentMessageBus.maxSessionInteractions) {
+            this._sessionInteractions.shift();
+        }
+    }
+
+    /**
+     * Stored interactions followed by the ones only kept in this session
+     */
+    private async _query(filter: {
+        interactionType?: AgentInteractionRecord['interactionType'];
+        metadata: Record<string, string>;
+        newestFirst?: boolean;
+        limit: number;
+    }): Promise<StoredAgentInteraction[]> {
+        const stored = this._memoryBank ? await this._memoryBank.getAgentInteractions(filter) : [];
+
+        const session = this._sessionInteractions.filter(interaction =>
+            (!filter.interactionType || interaction.interactionType === filter.interactionType) &&
+            Object.entries(filter.metadata).every(([key, value]) => interaction.metadata?.[key] === value)
+        );
+
+        const combined = filter.newestFirst ? [...session.reverse(), ...stored] : [...stored, ...session];
+        return combined.slice(0, filter.limit);
+    }
+
+    dispose(): void {
+        this._onDidDeliver.dispose();
+        this._runMessages.clear();
+    }
+}
+
+const TIMELINE_CONTENT_CHARS = 1500;
+
+/**
+ * Renders a run's timeline as markdown, one entry per hop; relays repeat
+ * only where the message went, not its content
+ */
+export function convertTimelineToMarkdown(run: AgentConversationRun, entries: AgentTimelineEntry[]): string {
+    const lines = [
+        `# Agent conversation: ${run.title}`,
+        '',
+        `Run \`${run.runId}\` · started ${run.startedAt.toLocaleString()}`,
+        ''
+    ];
+
+    for (const entry of entries) {
+        const time = `**${entry.timestamp.toLocaleTimeString()}**`;
+
+        if (entry.type === 'run.started') {
+            lines.push(`- ${time} 🚀 Run started by ${entry.from}`);
+            continue;
+        }
+
+        if (entry.type === 'run.finished') {
+            const duration = entry.durationMs !== undefined ? ` (${(entry.durationMs / 1000).toFixed(1)}s)` : '';
+            lines.push(`- ${time} ${entry.success ? '🏁' : '⚠️'} Run finished: ${entry.content}${duration}`);
+            continue;
+        }
+
+        const message = entry.message!;
+        const task = message.taskId ? ` · ${message.taskId}` : '';
+        const hops = message.hops > 1 ? ` (hop ${message.hop}/${message.hops})` : '';
+
+        if (message.hop > 1) {
+            lines.push(`- ${time} ↪️ relayed ${entry.from} → ${entry.to}${hops}`);
+            continue;
+        }
+
+        lines.push(`- ${time} ✉️ **${message.kind}** ${message.sender} → ${message.recipient}${task}${hops}`);
+        const content = entry.content.length > TIMELINE_CONTENT_CHARS
+            ? `${entry.content.slice(0, TIMELINE_CONTENT_CHARS)}…`
+            : entry.content;
+        lines.push(...content.split('\n').map(line => `  > ${line}`), '');
+    }
+
+    return lines.join('\n');
+}
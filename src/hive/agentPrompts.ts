@@ -0,0 +1,197 @@
+/**
+ * Agent Prompts - Role and cognitive pattern instructions for hive agents
+ * Every agent type gets its own system prompt; the cognitive pattern picked
+ * for it shapes how it reasons about the task on top of that.
+ */
+
+import { AgentType, CognitivePattern, SpecificationTask, TaskDefinition } from '../types';
+import { LLMChatMessage, LLMTaskType } from '../llm/llmProvider';
+
+/** Marker the agent ends its answer with so a refusal or blocker is not read as success */
+export const TASK_STATUS_MARKER = 'TASK_STATUS:';
+
+/** Marker of a line in which the agent asks another agent type a question */
+export const QUESTION_MARKER = 'ASK_AGENT:';
+
+export const AGENT_ROLE_PROMPTS: Record<AgentType, string> = {
+    coordinator: 'You are the coordinator of a team of software agents. Break problems down, resolve conflicts between the other agents\' results and decide what happens next.',
+    architect: 'You are a software architect. Design components, interfaces and data flow, name the trade-offs you make and keep the design implementable by the coder agents.',
+    coder: 'You are a senior software engineer. Write complete, working code that follows the conventions of the surrounding project; do not leave placeholders or TODOs.',
+    tester: 'You are a test engineer. Write focused, runnable tests covering the expected behaviour, edge cases and failure paths, using the project\'s existing test framework.',
+    analyst: 'You are a code analyst. Examine code and results for correctness, performance and maintainability problems and back every finding with evidence.',
+    researcher: 'You are a technical researcher. Gather the information the task needs from the workspace, compare the options and summarise what you found with sources.',
+    reviewer: 'You are a code reviewer. Check the work against the acceptance criteria, point out bugs, security issues and deviations from best practice, and say clearly whether it is acceptable.',
+    optimizer: 'You are a performance engineer. Find the bottlenecks that matter, propose concrete optimisations and estimate their effect.'
+};
+
+export const COGNITIVE_PATTERN_INSTRUCTIONS: Record<CognitivePattern, string> = {
+    convergent: 'Think convergently: narrow down to the single most appropriate solution and carry it through precisely.',
+    divergent: 'Think divergently: consider several distinct approaches before choosing one, and mention the alternatives you rejected.',
+    systems: 'Think in systems: consider how this piece interacts with the rest of the project, its dependencies and its long-term evolution.',
+    critical: 'Think critically: question assumptions, look for what could go wrong and verify claims before relying on them.',
+    lateral: 'Think laterally: look for an unconventional angle or a simpler reframing of the problem before solving it the obvious way.',
+    abstract: 'Think abstractly: identify the underlying pattern or principle first, then apply it to the concrete task.',
+    hybrid: 'Combine approaches: explore briefly, then converge on one solution and check it critically.'
+};
+
+/** Model routing for agents whose work matches a pinned task type */
+const AGENT_TASK_TYPES: Partial<Record<AgentType, LLMTaskType>> = {
+    tester: 'generate_tests',
+    reviewer: 'code_review',
+    analyst: 'analyze_file'
+};
+
+export interface AgentPromptContext {
+    spec: SpecificationTask;
+    /** Outputs of the tasks this one depends on, already trimmed to size */
+    dependencyOutputs: Array<{ taskId: string; agentType: string; output: string }>;
+    toolsAvailable: boolean;
+    /** Agent types the agent may ask questions; none disables asking */
+    askablePeers?: AgentType[];
+}
+
+export interface AgentQuestion {
+    agentType: AgentType;
+    question: string;
+}
+
+export interface PeerAnswer extends AgentQuestion {
+    /** Id of the agent that answered */
+    agentId: string;
+    answer: string;
+}
+
+export function getAgentTaskType(agentType: AgentType): LLMTaskType {
+    return AGENT_TASK_TYPES[agentType] ?? 'chat';
+}
+
+export function buildAgentMessages(
+    task: TaskDefinition,
+    agentType: AgentType,
+    cognitivePattern: CognitivePattern,
+    context: AgentPromptContext
+): LLMChatMessage[] {
+    const system = [
+        AGENT_ROLE_PROMPTS[agentType] ?? AGENT_ROLE_PROMPTS.coder,
+        COGNITIVE_PATTERN_INSTRUCTIONS[cognitivePattern] ?? COGNITIVE_PATTERN_INSTRUCTIONS.hybrid,
+        context.toolsAvailable
+            ? 'You can call the workspace tools to read files, search code and inspect the project; use them instead of guessing about code you have not seen.'
+            : 'You cannot access the workspace, so state any assumption you make about code you have not seen.',
+        ...(context.askablePeers && context.askablePeers.length > 0
+            ? [`If you need input from another agent of the team before you can finish, write one line "${QUESTION_MARKER} <agent type> - <question>" per question and stop; you will get their answers and can then finish. Agent types you can ask: ${context.askablePeers.join(', ')}.`]
+            : []),
+        `End your answer with a line "${TASK_STATUS_MARKER} done" when the task is complete, or "${TASK_STATUS_MARKER} blocked - <reason>" when it cannot be completed.`
+    ].join('\n\n');
+
+    const sections = [
+        `# Project: ${context.spec.title}`,
+        context.spec.description,
+        `# Your task (${task.id}, ${task.type})`,
+        task.description
+    ];
+
+    if (task.acceptanceCriteria.length > 0) {
+        sections.push('# Acceptance criteria', task.acceptanceCriteria.map(criterion => `- ${criterion}`).join('\n'));
+    }
+
+    if (context.spec.requirements.length > 0) {
+        sections.push('# Project requirements', context.spec.requirements.map(requirement => `- ${requirement}`).join('\n'));
+    }
+
+    if (context.dependencyOutputs.length > 0) {
+        sections.push(
+            '# Results of the tasks this one depends on',
+            context.dependencyOutputs
+                .map(dependency => `## ${dependency.taskId} (${dependency.agentType})\n${dependency.output}`)
+                .join('\n\n')
+        );
+    }
+
+    return [
+        { role: 'system', content: system },
+        { role: 'user', content: sections.join('\n\n') }
+    ];
+}
+
+/**
+ * The question another agent asked, with what the answering agent produced in this run
+ */
+export function buildPeerAnswerMessages(
+    question: string,
+    asker: { agentType: AgentType; task: TaskDefinition },
+    agentType: AgentType,
+    cognitivePattern: CognitivePattern,
+    context: { spec: SpecificationTask; ownResults: string[] }
+): LLMChatMessage[] {
+    const system = [
+        AGENT_ROLE_PROMPTS[agentType] ?? AGENT_ROLE_PROMPTS.coordinator,
+        COGNITIVE_PATTERN_INSTRUCTIONS[cognitivePattern] ?? COGNITIVE_PATTERN_INSTRUCTIONS.hybrid,
+        'Another agent of your team asks you a question while working on its task. Answer briefly and concretely from your role\'s point of view, and say so when you do not know.'
+    ].join('\n\n');
+
+    const sections = [
+        `# Project: ${context.spec.title}`,
+        `# The ${asker.agentType} agent is working on ${asker.task.id}`,
+        asker.task.description
+    ];
+
+    if (context.ownResults.length > 0) {
+        sections.push('# Your results in this project so far', context.ownResults.join('\n\n'));
+    }
+
+    sections.push('# Question', question);
+
+    return [
+        { role: 'system', content: system },
+        { role: 'user', content: sections.join('\n\n') }
+    ];
+}
+
+/**
+ * The follow-up turn giving an agent the answers to its questions
+ */
+export function buildPeerAnswersMessage(answers: PeerAnswer[]): LLMChatMessage {
+    const sections = answers.map(answer => `## ${answer.agentType} (${answer.agentId}): ${answer.question}\n${answer.answer}`);
+
+    return {
+        role: 'user',
+        content: [
+            '# Answers from the other agents',
+            ...sections,
+            `Now finish your task without asking further questions, and end with the "${TASK_STATUS_MARKER}" line.`
+        ].join('\n\n')
+    };
+}
+
+/**
+ * Splits the status line and any question lines off the answer; answers
+ * without a status line count as done
+ */
+export function parseAgentAnswer(content: string): { output: string; blockedReason?: string; questions: AgentQuestion[] } {
+    const questions: AgentQuestion[] = [];
+    const lines = content.trimEnd().split('\n').filter(line => {
+        const question = line.trim().match(new RegExp(`^${QUESTION_MARKER}\\s*(\\w+)\\s*[-:]\\s*(.+)$`));
+        if (!question) {
+            return true;
+        }
+        const agentType = question[1].toLowerCase();
+        questions.push({
+            agentType: (agentType in AGENT_ROLE_PROMPTS ? agentType : 'coordinator') as AgentType,
+            question: question[2].trim()
+        });
+        return false;
+    });
+
+    const statusIndex = lines.map(line => line.trim()).findIndex(line => line.startsWith(TASK_STATUS_MARKER));
+    if (statusIndex < 0) {
+        return { output: lines.join('\n').trim(), questions };
+    }
+
+    const status = lines[statusIndex].trim().slice(TASK_STATUS_MARKER.length).trim();
+    const output = lines.filter((_, index) => index !== statusIndex).join('\n').trim();
+    const blocked = status.match(/^blocked\s*[-:]?\s*(.*)$/i);
+
+    return blocked
+        ? { output, blockedReason: blocked[1] || 'the agent reported the task as blocked', questions }
+        : { output, questions };
+}
@@ -16,13 +16,39 @@ import {
     SwarmHealth,
     HiveOrchestrationResult,
     HiveStatus,
-    HiveAgent
+    HiveAgent,
+    HiveTaskTimelineEntry
 } from '../types';
 import { HiveMemoryBank } from './hiveMemoryBank';
+import { SQLiteMemoryBank } from './sqliteMemoryBank';
+import { TopologyManager } from './topologyManager';
+import { LoadBalancer } from './loadBalancer';
+import { RetryPolicy, TaskGraphExecutor } from './taskGraphExecutor';
+import { AgentConversationRun, AgentMessageBus, AgentTimelineEntry } from './agentMessageBus';
+import { LLMChatMessage, LLMProvider, LLMUsage } from '../llm/llmProvider';
+import {
+    AgentQuestion,
+    PeerAnswer,
+    buildAgentMessages,
+    buildPeerAnswerMessages,
+    buildPeerAnswersMessage,
+    getAgentTaskType,
+    parseAgentAnswer
+} from './agentPrompts';
+
+/** Model and connection errors are worth another try; blocked tasks are not retried */
+const DEFAULT_RETRY_POLICIES: Record<string, RetryPolicy> = {
+    default: { maxAttempts: 2, backoffMs: 2000 }
+};
 
 export class HiveOrchestrator implements vscode.Disposable {
     private context: vscode.ExtensionContext;
+    private llmProvider: LLMProvider;
     private memoryBank!: HiveMemoryBank;
+    private interactionBank?: SQLiteMemoryBank;
+    private topologyManager?: TopologyManager;
+    private loadBalancer?: LoadBalancer;
+    private messageBus!: AgentMessageBus;
     private agents: Map<string, Agent> = new Map();
     private activeAgents: Set<string> = new Set();
     private dormantAgents: Map<string, AgentSnapshot> = new Map();
@@ -35,8 +61,10 @@ export class HiveOrchestrator implements vscode.Disposable {
 
     public readonly onHiveEvent = this.eventEmitter.event;
 
-    constructor(context: vscode.ExtensionContext, config?: HiveConfig) {
+    constructor(context: vscode.ExtensionContext, llmProvider: LLMProvider, config?: HiveConfig, interactionBank?: SQLiteMemoryBank) {
         this.context = context;
+        this.llmProvider = llmProvider;
+        this.interactionBank = interactionBank;
         this.outputChannel = vscode.window.createOutputChannel('Hive Mind');
         
         this.config = config || {
@@ -49,6 +77,10 @@ export class HiveOrchestrator implements vscode.Disposable {
         };
     }
 
+    get initialized(): boolean {
+        return this.isInitialized;
+    }
+
     async initializeHive(config?: HiveConfig): Promise<void> {
         try {
             this.outputChannel.appendLine('🧠 Initializing Hive Mind...');
@@ -62,6 +94,15 @@ export class HiveOrchestrator implements vscode.Disposable {
             await this.memoryBank.initialize();
             this.outputChannel.appendLine('💾 Memory bank initialized');
 
+            // Agent messages are routed along the topology and logged in SQLite when it is available
+            this.topologyManager?.dispose();
+            this.messageBus?.dispose();
+            this.topologyManager = new TopologyManager(this.config);
+            if (!this.interactionBank) {
+                this.outputChannel.appendLine('⚠️ Agent conversations are kept for this session only: the memory bank is unavailable');
+            }
+            this.messageBus = new AgentMessageBus(this.topologyManager, this.outputChannel, this.interactionBank);
+
             // Spawn Queen Agent (central coordinator)
             this.queenAgent = await this.spawnQueenAgent();
             this.outputChannel.appendLine('👑 Queen Agent spawned');
@@ -70,6 +111,13 @@ export class HiveOrchestrator implements vscode.Disposable {
             await this.initializeAgentPool();
             this.outputChannel.appendLine('🤖 Agent pool initialized');
 
+            await this.topologyManager.initializeTopology(this.getAgents());
+            this.outputChannel.appendLine(`🔗 ${this.config.topology} topology connected`);
+
+            this.loadBalancer?.dispose();
+            this.loadBalancer = new LoadBalancer(this.topologyManager);
+            await this.loadBalancer.initializeAgents(this.getAgents());
+
             // Start health monitoring
             this.startHealthMonitoring();
             this.outputChannel.appendLine('❤️ Health monitoring started');
@@ -110,8 +158,17 @@ export class HiveOrchestrator implements vscode.Disposable {
             const assignment = await this.assignAgentsToTasks(spec, analysis);
             this.outputChannel.appendLine(`👥 Agent assignment completed: ${assignment.agents.length} agents assigned`);
 
-            // Execute with coordination
-            const result = await this.executeWithCoordination(spec, assignment);
+            // Execute with coordination; the run's messages form its conversation timeline
+            const runId = `${spec.id}-${Date.now()}`;
+            await this.messageBus.startRun(runId, spec, this.queenAgent!.id);
+            const result = await this.executeWithCoordination(spec, assignment, runId);
+            await this.messageBus.finishRun(
+                runId,
+                this.queenAgent!.id,
+                result.success,
+                `${result.metrics?.successfulTasks ?? 0}/${spec.tasks.length} tasks succeeded${result.error ? `: ${result.error}` : ''}`,
+                result.duration
+            );
             this.outputChannel.appendLine(`🎉 Specification execution completed`);
 
             // Store results in memory bank
@@ -127,6 +184,7 @@ export class HiveOrchestrator implements vscode.Disposable {
             // Convert ExecutionResult to HiveOrchestrationResult
             return {
                 success: result.success,
+                runId,
                 agentsUsed: assignment.agents,
                 executionTime: result.duration,
                 results: result.results.map(r => ({
@@ -137,7 +195,8 @@ export class HiveOrchestrator implements vscode.Disposable {
                     error: r.error,
                     duration: r.duration
                 })),
-                errors: result.error ? [result.error] : undefined
+                errors: result.error ? [result.error] : undefined,
+                timeline: result.timeline
             };
 
         } catch (error) {
@@ -148,11 +207,20 @@ export class HiveOrchestrator implements vscode.Disposable {
     }
 
     async spawnSpecializedAgent(type: AgentType, capabilities?: string[]): Promise<string> {
-        try {
-            if (!this.isInitialized) {
-                throw new Error('Hive not initialized');
-            }
+        if (!this.isInitialized) {
+            this.outputChannel.appendLine(`❌ Failed to spawn ${type} agent: Hive not initialized`);
+            throw new Error('Agent spawning failed: Hive not initialized');
+        }
 
+        return this.addSpecializedAgent(type, capabilities);
+    }
+
+    /**
+     * Spawns an agent without the initialization check, so the pool can be
+     * filled while the hive is still initializing
+     */
+    private async addSpecializedAgent(type: AgentType, capabilities?: string[]): Promise<string> {
+        try {
             // Check if we've reached max agents
             if (this.activeAgents.size >= this.config.maxAgents) {
                 await this.optimizeAgentPool();
@@ -182,6 +250,12 @@ export class HiveOrchestrator implements vscode.Disposable {
             this.agents.set(agentId, agent);
             this.activeAgents.add(agentId);
 
+            // Agents of the initial pool join when the topology is built
+            if (this.isInitialized) {
+                await this.topologyManager!.addAgent(agent);
+                this.loadBalancer!.addAgent(agent);
+            }
+
             // Store agent creation in memory bank
             await this.memoryBank.storeAgentCreation(agent);
 
@@ -223,6 +297,30 @@ export class HiveOrchestrator implements vscode.Disposable {
         return await this.memoryBank.query(query, limit);
     }
 
+    /**
+     * Specification runs whose agent conversation was recorded, newest first
+     */
+    async getConversationRuns(limit?: number): Promise<AgentConversationRun[]> {
+        if (!this.isInitialized) {
+            throw new Error('Hive not initialized');
+        }
+
+        return await this.messageBus.getRuns(limit);
+    }
+
+    async getConversationTimeline(runId: string): Promise<AgentTimelineEntry[]> {
+        if (!this.isInitialized) {
+            throw new Error('Hive not initialized');
+        }
+
+        return await this.messageBus.getTimeline(runId);
+    }
+
+    /** False when agent conversations are only kept for this session */
+    get conversationsPersistent(): boolean {
+        return this.messageBus?.persistent ?? false;
+    }
+
     getAgents(): Agent[] {
         return Array.from(this.agents.values());
     }
@@ -256,6 +354,9 @@ export class HiveOrchestrator implements vscode.Disposable {
             // Remove from dormant agents if present
             this.dormantAgents.delete(agentId);
 
+            await this.topologyManager?.removeAgent(agentId);
+            this.loadBalancer?.removeAgent(agentId);
+
             this.emitEvent('agent.terminated', { agentId, type: agent.type });
             this.outputChannel.appendLine(`🔴 Agent ${agentId} terminated`);
 
@@ -333,7 +434,7 @@ export class HiveOrchestrator implements vscode.Disposable {
 
         for (const agentSpec of initialAgents) {
             for (let i = 0; i < agentSpec.count; i++) {
-                await this.spawnSpecializedAgent(agentSpec.type);
+                await this.addSpecializedAgent(agentSpec.type);
             }
         }
     }
@@ -362,7 +463,7 @@ export class HiveOrchestrator implements vscode.Disposable {
         
         for (const task of spec.tasks) {
             const suitableAgents = this.findSuitableAgents(task.assignedAgentType);
-            const optimalAgent = await this.selectOptimalAgent(suitableAgents, task);
+            const optimalAgent = await this.selectOptimalAgent(suitableAgents, assignments);
             
             if (optimalAgent) {
                 assignments.push({
@@ -386,25 +487,20 @@ export class HiveOrchestrator implements vscode.Disposable {
         return {
             specId: spec.id,
             agents: assignments.map(a => a.agentId),
-            assignments,
-            coordinationStrategy: analysis.recommendedTopology === 'hierarchical' ? 'sequential' : 'parallel'
+            assignments
         };
     }
 
     private async executeWithCoordination(
         spec: SpecificationTask,
-        assignment: TaskAssignment
+        assignment: TaskAssignment,
+        runId: string
     ): Promise<ExecutionResult> {
         const startTime = Date.now();
-        const results: TaskExecutionResult[] = [];
+        const run: HiveRun = { runId, spec, assignments: assignment.assignments };
 
         try {
-            // Execute tasks based on coordination strategy
-            if (assignment.coordinationStrategy === 'parallel') {
-                results.push(...await this.executeParallel(spec, assignment));
-            } else {
-                results.push(...await this.executeSequential(spec, assignment));
-            }
+            const { results, timeline } = await this.executeTaskGraph(run);
 
             const endTime = Date.now();
             const duration = endTime - startTime;
@@ -419,6 +515,7 @@ export class HiveOrchestrator implements vscode.Disposable {
                 duration,
                 results,
                 agentsUsed: assignment.agents.length,
+                timeline,
                 metrics: {
                     totalTasks: spec.tasks.length,
                     successfulTasks: results.filter(r => r.success).length,
@@ -435,135 +532,379 @@ export class HiveOrchestrator implements vscode.Disposable {
                 success: false,
                 output: `Execution failed: ${error instanceof Error ? error.message : String(error)}`,
                 duration,
-                results,
+                results: [],
                 agentsUsed: assignment.agents.length,
                 error: error instanceof Error ? error.message : String(error)
             };
         }
     }
 
-    private async executeParallel(
-        spec: SpecificationTask,
-        assignment: TaskAssignment
-    ): Promise<TaskExecutionResult[]> {
-        const promises = assignment.assignments.map(async (taskAssignment) => {
-            const task = spec.tasks.find(t => t.id === taskAssignment.taskId)!;
-            const agent = this.agents.get(taskAssignment.agentId)!;
-            
-            return await this.executeTask(task, agent);
+    /**
+     * Runs every task as soon as its prerequisites succeeded, within the
+     * parallelism limit and the assigned agents' load balancer capacity
+     */
+    private async executeTaskGraph(run: HiveRun): Promise<{ results: TaskExecutionResult[]; timeline: HiveTaskTimelineEntry[] }> {
+        const settings = this.loadExecutionSettings();
+        const nodes = run.assignments.map(taskAssignment => ({
+            id: taskAssignment.taskId,
+            type: run.spec.tasks.find(t => t.id === taskAssignment.taskId)!.type,
+            dependencies: taskAssignment.dependencies,
+            agentId: taskAssignment.agentId
+        }));
+
+        const executor = new TaskGraphExecutor<typeof nodes[number], TaskExecutionResult>({
+            maxParallel: settings.maxParallelTasks,
+            retryPolicy: node => settings.retries[node.type] ?? settings.retries.default ?? { maxAttempts: 1, backoffMs: 0 },
+            acquire: node => this.loadBalancer?.reserveCapacity(node.agentId, node.id) ?? true,
+            release: (node, success, durationMs) => {
+                this.loadBalancer?.completeTask(node.id, node.agentId, success, durationMs).catch(() => undefined);
+            },
+            run: async (node, attempt) => {
+                const task = run.spec.tasks.find(t => t.id === node.id)!;
+                const result = await this.executeTask(task, this.agents.get(node.agentId)!, run, attempt);
+                return { success: result.success, retryable: result.retryable ?? false, value: result, error: result.error };
+            },
+            skip: (node, reason) => ({
+                taskId: node.id,
+                agentId: node.agentId,
+                success: false,
+                output: '',
+                duration: 0,
+                error: `Skipped: ${reason}`
+            }),
+            log: line => this.outputChannel.appendLine(line)
         });
 
-        return await Promise.all(promises);
+        return await executor.execute(nodes);
     }
 
-    private async executeSequential(
-        spec: SpecificationTask,
-        assignment: TaskAssignment
-    ): Promise<TaskExecutionResult[]> {
-        const results: TaskExecutionResult[] = [];
-        
-        // Sort tasks by dependencies
-        const sortedAssignments = this.sortTasksByDependencies(assignment.assignments, spec.tasks);
-        
-        for (const taskAssignment of sortedAssignments) {
-            const task = spec.tasks.find(t => t.id === taskAssignment.taskId)!;
-            const agent = this.agents.get(taskAssignment.agentId)!;
-            
-            const result = await this.executeTask(task, agent);
-            results.push(result);
-            
-            // If task failed and it's critical, stop execution
-            if (!result.success && task.type === 'implementation') {
-                break;
-            }
+    private async executeTask(
+        task: TaskDefinition,
+        agent: Agent,
+        run: HiveRun,
+        attempt: number = 1
+    ): Promise<TaskExecutionResult> {
+        const startTime = Date.now();
+        let result: AgentRunResult;
+
+        // Update agent status
+        agent.status = 'busy';
+        agent.lastActive = new Date();
+        this.outputChannel.appendLine(`▶️ ${agent.name} (${agent.id}) started ${task.id}${attempt > 1 ? ` (attempt ${attempt})` : ''}`);
+
+        await this.messageBus.post({
+            runId: run.runId,
+            kind: 'request',
+            from: this.queenAgent!.id,
+            to: agent.id,
+            taskId: task.id,
+            content: attempt > 1 ? `Attempt ${attempt}: ${task.description}` : task.description
+        });
+
+        try {
+            result = await this.runAgent(task, agent, run);
+            agent.status = 'idle';
+        } catch (error) {
+            agent.status = 'error';
+            result = {
+                success: false,
+                output: '',
+                error: error instanceof Error ? error.message : String(error),
+                retryable: true
+            };
         }
 
-        return results;
-    }
+        const duration = Date.now() - startTime;
 
-    private async executeTask(task: TaskDefinition, agent: Agent): Promise<TaskExecutionResult> {
-        const startTime = Date.now();
+        // Update agent performance
+        agent.performance.tasksCompleted++;
+        agent.performance.averageResponseTime = 
+            (agent.performance.averageResponseTime + duration) / 2;
         
+        if (result.success) {
+            agent.performance.successRate = 
+                (agent.performance.successRate * (agent.performance.tasksCompleted - 1) + 1) / 
+                agent.performance.tasksCompleted;
+        }
+
+        this.outputChannel.appendLine(result.success
+            ? `✅ ${task.id} completed by ${agent.id} in ${duration}ms (${result.usage?.totalTokens ?? 0} tokens)`
+            : `❌ ${task.id} failed on ${agent.id}: ${result.error}`);
+
+        // Store task execution in memory bank
         try {
-            // Update agent status
-            agent.status = 'busy';
-            agent.lastActive = new Date();
+            await this.memoryBank.storeTaskExecution(task.id, agent.id, {
+                type: task.type,
+                description: task.description,
+                success: result.success,
+                output: result.output,
+                error: result.error,
+                duration,
+                tokenUsage: result.usage?.totalTokens,
+                usage: result.usage,
+                model: result.model,
+                toolCalls: result.toolCalls
+            });
+        } catch (error) {
+            this.outputChannel.appendLine(`⚠️ Failed to record ${task.id}: ${error instanceof Error ? error.message : String(error)}`);
+        }
 
-            // Simulate task execution (this would be replaced with actual agent execution)
-            const result = await this.simulateTaskExecution(task, agent);
-            
-            const endTime = Date.now();
-            const duration = endTime - startTime;
+        await this.reportResult(task, agent, run, result);
 
-            // Update agent performance
-            agent.performance.tasksCompleted++;
-            agent.performance.averageResponseTime = 
-                (agent.performance.averageResponseTime + duration) / 2;
-            
-            if (result.success) {
-                agent.performance.successRate = 
-                    (agent.performance.successRate * (agent.performance.tasksCompleted - 1) + 1) / 
-                    agent.performance.tasksCompleted;
+        return {
+            taskId: task.id,
+            agentId: agent.id,
+            success: result.success,
+            output: result.output,
+            duration,
+            tokenUsage: result.usage?.totalTokens,
+            error: result.error,
+            retryable: result.retryable
+        };
+    }
+
+    /**
+     * Runs the task through the local model with the agent's role prompt and
+     * cognitive pattern, letting it call the MCP workspace tools and ask its
+     * peers questions over the message bus
+     */
+    private async runAgent(task: TaskDefinition, agent: Agent, run: HiveRun): Promise<AgentRunResult> {
+        const settings = this.loadAgentSettings();
+        const useTools = settings.useTools && this.llmProvider.toolDefinitions.length > 0;
+
+        // Results of the prerequisite tasks arrive as messages from the agents that ran them
+        const dependencyOutputs = this.messageBus.getInbox(agent.id, run.runId)
+            .filter(message => message.kind === 'result' && message.taskId && task.dependencies.includes(message.taskId))
+            .map(message => ({
+                taskId: message.taskId!,
+                agentType: this.agents.get(message.from)?.type || 'unknown',
+                output: this.truncate(message.content, settings.dependencyContextChars)
+            }));
+
+        const askablePeers = settings.maxQuestions > 0
+            ? Array.from(new Set(this.getActiveAgents().filter(peer => peer.id !== agent.id).map(peer => peer.type)))
+            : [];
+
+        const messages = buildAgentMessages(task, agent.type, agent.cognitivePattern, {
+            spec: run.spec,
+            dependencyOutputs,
+            toolsAvailable: useTools,
+            askablePeers
+        });
+
+        const turn = await this.runAgentTurn(messages, agent, settings, useTools);
+        let answer = parseAgentAnswer(turn.content);
+
+        if (answer.questions.length > 0 && askablePeers.length > 0) {
+            const peerAnswers = await this.askPeers(answer.questions.slice(0, settings.maxQuestions), task, agent, run, settings, turn);
+            const followUp = await this.runAgentTurn(
+                [...messages, { role: 'assistant', content: turn.content }, buildPeerAnswersMessage(peerAnswers)],
+                agent,
+                settings,
+                useTools
+            );
+            this.addUsage(turn, followUp.usage);
+            turn.model = followUp.model;
+            turn.toolCalls.push(...followUp.toolCalls);
+            answer = parseAgentAnswer(followUp.content);
+        }
+
+        const { usage, model, toolCalls } = turn;
+        if (!answer.output) {
+            return { success: false, output: '', error: 'The model returned an empty answer', retryable: true, usage, model, toolCalls };
+        }
+
+        return {
+            success: !answer.blockedReason,
+            output: answer.output,
+            error: answer.blockedReason && `Blocked: ${answer.blockedReason}`,
+            usage,
+            model,
+            toolCalls
+        };
+    }
+
+    private async runAgentTurn(
+        messages: LLMChatMessage[],
+        agent: Agent,
+        settings: HiveAgentSettings,
+        useTools: boolean
+    ): Promise<AgentTurn> {
+        const options = {
+            taskType: getAgentTaskType(agent.type),
+            maxTokens: settings.maxTokens,
+            temperature: settings.temperature
+        };
+
+        if (!useTools) {
+            const { content, usage, model } = await this.llmProvider.chat(messages, options);
+            return { content, usage, model, toolCalls: [] };
+        }
+
+        const turn = await this.llmProvider.runAgentTurn(messages, {
+            ...options,
+            maxIterations: settings.maxToolIterations,
+            onToolCall: execution => {
+                if (execution.status === 'running') {
+                    this.outputChannel.appendLine(`🔧 ${agent.id} → ${execution.name}`);
+                }
             }
+        });
 
-            agent.status = 'idle';
+        return {
+            content: turn.content,
+            usage: turn.usage,
+            model: turn.model,
+            toolCalls: turn.toolExecutions.map(execution => execution.name)
+        };
+    }
 
-            // Store task execution in memory bank
-            await this.memoryBank.storeTaskExecution(task.id, agent.id, result);
+    /**
+     * Sends each question to a peer of the requested type and collects the
+     * answers; the tokens the peers spend are added to the asking turn
+     */
+    private async askPeers(
+        questions: AgentQuestion[],
+        task: TaskDefinition,
+        agent: Agent,
+        run: HiveRun,
+        settings: HiveAgentSettings,
+        turn: AgentTurn
+    ): Promise<PeerAnswer[]> {
+        const answers: PeerAnswer[] = [];
+
+        for (const question of questions) {
+            const peer = this.findPeer(question.agentType, agent, run.runId);
+            const sent = await this.messageBus.post({
+                runId: run.runId,
+                kind: 'question',
+                from: agent.id,
+                to: peer.id,
+                taskId: task.id,
+                content: question.question
+            });
 
-            return {
+            let answer: string;
+            try {
+                const ownResults = this.messageBus.getSent(peer.id, run.runId)
+                    .filter(message => message.kind === 'result')
+                    .map(message => `## ${message.taskId}\n${this.truncate(message.content, settings.dependencyContextChars)}`);
+                const response = await this.llmProvider.chat(
+                    buildPeerAnswerMessages(question.question, { agentType: agent.type, task }, peer.type, peer.cognitivePattern, {
+                        spec: run.spec,
+                        ownResults
+                    }),
+                    { taskType: getAgentTaskType(peer.type), maxTokens: settings.maxTokens, temperature: settings.temperature }
+                );
+                this.addUsage(turn, response.usage);
+                answer = response.content.trim() || '(no answer)';
+                peer.lastActive = new Date();
+            } catch (error) {
+                answer = `(no answer: ${error instanceof Error ? error.message : String(error)})`;
+            }
+
+            await this.messageBus.post({
+                runId: run.runId,
+                kind: 'answer',
+                from: peer.id,
+                to: agent.id,
                 taskId: task.id,
-                agentId: agent.id,
-                success: result.success,
-                output: result.output,
-                duration,
-                tokenUsage: result.tokenUsage,
-                error: result.error
-            };
+                inReplyTo: sent.id,
+                content: answer
+            });
+            answers.push({ ...question, agentId: peer.id, answer });
+        }
 
-        } catch (error) {
-            const endTime = Date.now();
-            const duration = endTime - startTime;
-            
-            agent.status = 'error';
-            
-            return {
+        return answers;
+    }
+
+    /**
+     * An active agent of the requested type, preferring one that already
+     * worked on this run; the Queen answers when there is none
+     */
+    private findPeer(agentType: AgentType, asker: Agent, runId: string): Agent {
+        const candidates = this.getActiveAgents().filter(peer => peer.type === agentType && peer.id !== asker.id);
+        const involved = candidates.find(peer => this.messageBus.getSent(peer.id, runId).some(message => message.kind === 'result'));
+
+        return involved ?? candidates[0] ?? this.queenAgent!;
+    }
+
+    /**
+     * Reports the outcome to the Queen and hands successful output to the
+     * agents assigned to tasks that depend on this one
+     */
+    private async reportResult(task: TaskDefinition, agent: Agent, run: HiveRun, result: AgentRunResult): Promise<void> {
+        await this.messageBus.post({
+            runId: run.runId,
+            kind: 'result',
+            from: agent.id,
+            to: this.queenAgent!.id,
+            taskId: task.id,
+            content: result.success ? result.output : `Failed: ${result.error}`
+        });
+
+        if (!result.success) {
+            return;
+        }
+
+        const dependents = new Set(run.assignments
+            .filter(assignment => assignment.dependencies.includes(task.id))
+            .map(assignment => assignment.agentId)
+            .filter(agentId => agentId !== this.queenAgent!.id));
+
+        for (const agentId of dependents) {
+            await this.messageBus.post({
+                runId: run.runId,
+                kind: 'result',
+                from: agent.id,
+                to: agentId,
                 taskId: task.id,
-                agentId: agent.id,
-                success: false,
-                output: '',
-                duration,
-                error: error instanceof Error ? error.message : String(error)
-            };
+                content: result.output
+            });
         }
     }
 
-    private async simulateTaskExecution(task: TaskDefinition, agent: Agent): Promise<{
-        success: boolean;
-        output: string;
-        tokenUsage?: number;
-        error?: string;
-    }> {
-        // This is a simulation - in real implementation, this would interface with LM Studio
-        // and execute actual agent tasks
-        
-        await new Promise(resolve => setTimeout(resolve, Math.random() * 2000 + 1000)); // Simulate work
-        
-        const success = Math.random() > 0.1; // 90% success rate
-        
-        if (success) {
-            return {
-                success: true,
-                output: `Task ${task.id} completed successfully by ${agent.type} agent. ${task.description}`,
-                tokenUsage: Math.floor(Math.random() * 1000) + 500
-            };
-        } else {
-            return {
-                success: false,
-                output: '',
-                error: `Task ${task.id} failed during execution`
+    private addUsage(turn: AgentTurn, usage: LLMUsage): void {
+        turn.usage = {
+            promptTokens: turn.usage.promptTokens + usage.promptTokens,
+            completionTokens: turn.usage.completionTokens + usage.completionTokens,
+            totalTokens: turn.usage.totalTokens + usage.totalTokens
+        };
+    }
+
+    private truncate(text: string, maxChars: number): string {
+        return text.length > maxChars ? `${text.slice(0, maxChars)}\n[truncated]` : text;
+    }
+
+    private loadAgentSettings(): HiveAgentSettings {
+        const config = vscode.workspace.getConfiguration('ruv-swarm.hive');
+
+        return {
+            maxTokens: config.get('agents.maxTokens', 2048),
+            temperature: config.get('agents.temperature', 0.3),
+            useTools: config.get('agents.useTools', true),
+            maxToolIterations: config.get('agents.maxToolIterations', 4),
+            dependencyContextChars: config.get('agents.dependencyContextChars', 4000),
+            maxQuestions: config.get('agents.maxQuestions', 2)
+        };
+    }
+
+    private loadExecutionSettings(): HiveExecutionSettings {
+        const config = vscode.workspace.getConfiguration('ruv-swarm.hive');
+        const retries = config.get<Record<string, Partial<RetryPolicy>>>('execution.retries', {});
+
+        const policies: Record<string, RetryPolicy> = { ...DEFAULT_RETRY_POLICIES };
+        for (const [taskType, policy] of Object.entries(retries)) {
+            policies[taskType] = {
+                maxAttempts: Math.max(1, Math.floor(policy.maxAttempts ?? 1)),
+                backoffMs: Math.max(0, policy.backoffMs ?? 0)
             };
         }
+
+        return {
+            maxParallelTasks: Math.max(1, config.get('execution.maxParallelTasks', 3)),
+            retries: policies
+        };
     }
 
     private selectOptimalModel(agentType: AgentType): string {
@@ -656,42 +997,19 @@ export class HiveOrchestrator implements vscode.Disposable {
         );
     }
 
-    private async selectOptimalAgent(candidates: Agent[], task: TaskDefinition): Promise<Agent | null> {
+    private async selectOptimalAgent(candidates: Agent[], assigned: AgentTaskAssignment[]): Promise<Agent | null> {
         if (candidates.length === 0) {return null;}
         
-        // Select based on performance metrics
-        return candidates.reduce((best, current) => 
-            current.performance.successRate > best.performance.successRate ? current : best
-        );
-    }
-
-    private sortTasksByDependencies(assignments: AgentTaskAssignment[], tasks: TaskDefinition[]): AgentTaskAssignment[] {
-        // Simple topological sort based on dependencies
-        const sorted: AgentTaskAssignment[] = [];
-        const remaining = [...assignments];
-        
-        while (remaining.length > 0) {
-            const canExecute = remaining.filter(assignment => {
-                const task = tasks.find(t => t.id === assignment.taskId)!;
-                return task.dependencies.every(dep => 
-                    sorted.some(s => s.taskId === dep)
-                );
-            });
-            
-            if (canExecute.length === 0) {
-                // No more dependencies can be resolved, add remaining tasks
-                sorted.push(...remaining);
-                break;
+        // Spread the specification's tasks so independent ones can run side by side,
+        // then select based on performance metrics
+        const taskCount = (agent: Agent) => assigned.filter(a => a.agentId === agent.id).length;
+        return candidates.reduce((best, current) => {
+            const difference = taskCount(current) - taskCount(best);
+            if (difference !== 0) {
+                return difference < 0 ? current : best;
             }
-            
-            sorted.push(...canExecute);
-            canExecute.forEach(assignment => {
-                const index = remaining.indexOf(assignment);
-                remaining.splice(index, 1);
-            });
-        }
-        
-        return sorted;
+            return current.performance.successRate > best.performance.successRate ? current : best;
+        });
     }
 
     private aggregateResults(results: TaskExecutionResult[]): string {
@@ -841,6 +1159,10 @@ export class HiveOrchestrator implements vscode.Disposable {
         if (this.memoryBank) {
             this.memoryBank.dispose();
         }
+
+        this.messageBus?.dispose();
+        this.loadBalancer?.dispose();
+        this.topologyManager?.dispose();
         
         this.outputChannel.appendLine('🧠 Hive Mind shutting down...');
     }
@@ -872,7 +1194,6 @@ interface TaskAssignment {
     specId: string;
     agents: string[];
     assignments: AgentTaskAssignment[];
-    coordinationStrategy: 'parallel' | 'sequential';
 }
 
 interface AgentTaskAssignment {
@@ -889,6 +1210,7 @@ interface ExecutionResult {
     results: TaskExecutionResult[];
     agentsUsed: number;
     error?: string;
+    timeline?: HiveTaskTimelineEntry[];
     metrics?: {
         totalTasks: number;
         successfulTasks: number;
@@ -897,6 +1219,48 @@ interface ExecutionResult {
     };
 }
 
+interface AgentRunResult {
+    success: boolean;
+    output: string;
+    error?: string;
+    /** True when another attempt may succeed, e.g. after a model or connection error */
+    retryable?: boolean;
+    usage?: LLMUsage;
+    model?: string;
+    /** Names of the MCP tools the agent called, in order */
+    toolCalls?: string[];
+}
+
+interface HiveAgentSettings {
+    maxTokens: number;
+    temperature: number;
+    useTools: boolean;
+    maxToolIterations: number;
+    dependencyContextChars: number;
+    /** Questions an agent may ask its peers per task; 0 disables asking */
+    maxQuestions: number;
+}
+
+interface HiveExecutionSettings {
+    maxParallelTasks: number;
+    /** Retry policy per task type, with "default" for the rest */
+    retries: Record<string, RetryPolicy>;
+}
+
+interface AgentTurn {
+    content: string;
+    usage: LLMUsage;
+    model: string;
+    toolCalls: string[];
+}
+
+/** One execution of a specification; its messages share the run id */
+interface HiveRun {
+    runId: string;
+    spec: SpecificationTask;
+    assignments: AgentTaskAssignment[];
+}
+
 interface TaskExecutionResult {
     taskId: string;
     agentId: string;
@@ -905,4 +1269,5 @@ interface TaskExecutionResult {
     duration: number;
     tokenUsage?: number;
     error?: string;
+    retryable?: boolean;
 }
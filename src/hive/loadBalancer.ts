@@ -92,26 +92,7 @@ export class LoadBalancer implements vscode.Disposable {
             this.agentLoads.clear();
 
             for (const agent of agents) {
-                const agentLoad: AgentLoad = {
-                    agentId: agent.id,
-                    currentLoad: 0,
-                    maxCapacity: this.calculateMaxCapacity(agent),
-                    utilizationRate: 0,
-                    queuedTasks: 0,
-                    averageTaskDuration: 0,
-                    capabilities: agent.capabilities,
-                    performance: {
-                        successRate: agent.performance.successRate,
-                        averageResponseTime: agent.performance.averageResponseTime,
-                        tokenEfficiency: agent.performance.tokenEfficiency,
-                        accuracy: agent.performance.accuracy,
-                        reliability: this.calculateReliability(agent),
-                        specialization: this.calculateSpecialization(agent)
-                    }
-                };
-
-                this.agentLoads.set(agent.id, agentLoad);
-                this.assignmentHistory.set(agent.id, []);
+                this.registerAgent(agent);
             }
 
             this.outputChannel.appendLine(`✅ Load balancer initialized successfully`);
@@ -122,6 +103,36 @@ export class LoadBalancer implements vscode.Disposable {
         }
     }
 
+    addAgent(agent: Agent): void {
+        this.registerAgent(agent);
+        this.outputChannel.appendLine(`➕ Agent ${agent.id} added with capacity ${this.agentLoads.get(agent.id)!.maxCapacity}`);
+    }
+
+    removeAgent(agentId: string): void {
+        this.agentLoads.delete(agentId);
+        this.assignmentHistory.delete(agentId);
+    }
+
+    /**
+     * Takes one slot of an agent's capacity for a task that was assigned
+     * elsewhere; false when the agent is at capacity. completeTask frees it.
+     */
+    reserveCapacity(agentId: string, taskId: string): boolean {
+        const agentLoad = this.agentLoads.get(agentId);
+        if (!agentLoad || agentLoad.currentLoad >= agentLoad.maxCapacity) {
+            return false;
+        }
+
+        agentLoad.currentLoad++;
+        agentLoad.queuedTasks++;
+        agentLoad.utilizationRate = agentLoad.currentLoad / agentLoad.maxCapacity;
+        this.metrics.totalTasks++;
+        this.metrics.activeTasks++;
+
+        this.outputChannel.appendLine(`📋 Reserved capacity on ${agentId} for task ${taskId} (${agentLoad.currentLoad}/${agentLoad.maxCapacity})`);
+        return true;
+    }
+
     async assignTask(task: Task): Promise<TaskAssignment> {
         try {
             this.outputChannel.appendLine(`📋 Assigning task ${task.id} (${task.type}, priority: ${task.priority})`);
@@ -165,6 +176,7 @@ export class LoadBalancer implements vscode.Disposable {
 
             // Update agent load
             agentLoad.currentLoad = Math.max(0, agentLoad.currentLoad - 1);
+            agentLoad.queuedTasks = Math.max(0, agentLoad.queuedTasks - 1);
             agentLoad.utilizationRate = agentLoad.currentLoad / agentLoad.maxCapacity;
 
             // Update performance metrics
@@ -450,6 +462,27 @@ export class LoadBalancer implements vscode.Disposable {
         agentLoad.utilizationRate = agentLoad.currentLoad / agentLoad.maxCapacity;
     }
 
+    private registerAgent(agent: Agent): void {
+        this.agentLoads.set(agent.id, {
+            agentId: agent.id,
+            currentLoad: 0,
+            maxCapacity: this.calculateMaxCapacity(agent),
+            utilizationRate: 0,
+            queuedTasks: 0,
+            averageTaskDuration: 0,
+            capabilities: agent.capabilities,
+            performance: {
+                successRate: agent.performance.successRate,
+                averageResponseTime: agent.performance.averageResponseTime,
+                tokenEfficiency: agent.performance.tokenEfficiency,
+                accuracy: agent.performance.accuracy,
+                reliability: this.calculateReliability(agent),
+                specialization: this.calculateSpecialization(agent)
+            }
+        });
+        this.assignmentHistory.set(agent.id, []);
+    }
+
     private calculateMaxCapacity(agent: Agent): number {
         // Calculate max capacity based on agent type and performance
         const baseCapacity = {
@@ -8,7 +8,9 @@ import {
     SpecificationTask, 
     HiveMemoryBank,
     CognitivePattern,
-    TaskDefinition
+    TaskDefinition,
+    FunctionComplexity,
+    ComplexityHotspot
 } from '../types';
 
 const writeFile = promisify(fs.writeFile);
@@ -16,12 +18,76 @@ const readFile = promisify(fs.readFile);
 const mkdir = promisify(fs.mkdir);
 const access = promisify(fs.access);
 
+/** A code chunk of the workspace retrieval index */
+export interface RetrievalChunkRecord {
+    chunkId: string;
+    filePath: string;
+    /** Hash of the whole file, used to skip unchanged files when re-indexing */
+    fileHash: string;
+    startLine: number;
+    endLine: number;
+    chunkType: string;
+    content: string;
+    embedding?: Float32Array;
+    embeddingModel?: string;
+}
+
+/** One inline completion shown in the editor */
+export interface CompletionEventRecord {
+    id: string;
+    workspaceId: string;
+    languageId: string;
+    model: string;
+    template: string;
+    prefixChars: number;
+    completionChars: number;
+    completionLines: number;
+    latencyMs: number;
+}
+
+/** Acceptance of inline completions for one language */
+export interface CompletionStats {
+    languageId: string;
+    shown: number;
+    accepted: number;
+    averageLatencyMs: number;
+    acceptedChars: number;
+}
+
+/** One row of agent_interactions; metadata is stored as JSON */
+export interface AgentInteractionRecord {
+    fromAgentId: string;
+    toAgentId?: string;
+    interactionType: 'message' | 'coordination' | 'handoff';
+    content: string;
+    success?: boolean;
+    durationMs?: number;
+    metadata?: Record<string, unknown>;
+}
+
+export interface StoredAgentInteraction extends AgentInteractionRecord {
+    id: number;
+    timestamp: Date;
+}
+
+/** Selects agent interactions by type and by top-level metadata values */
+export interface AgentInteractionFilter {
+    interactionType?: AgentInteractionRecord['interactionType'];
+    metadata?: Record<string, string>;
+    newestFirst?: boolean;
+    limit?: number;
+}
+
 export class SQLiteMemoryBank implements HiveMemoryBank {
+    /** Measured revisions kept per file */
+    private static readonly maxMetricRevisions = 20;
+
     private db!: Database.Database;
     private dbPath: string;
     private isInitialized = false;
     private maxMemorySize: number;
     private compressionEnabled: boolean;
+    private cleanupTimer?: NodeJS.Timeout;
 
     constructor(storagePath: string, maxSizeMB: number = 1024, enableCompression: boolean = true) {
         this.dbPath = path.join(storagePath, 'hive-memory.db');
@@ -247,6 +313,63 @@ export class SQLiteMemoryBank implements HiveMemoryBank {
                 quality_score REAL,
                 last_reviewed DATETIME,
                 review_status TEXT DEFAULT 'pending' -- 'pending', 'approved', 'needs_update'
+            )`,
+
+            // 13. Retrieval Chunks - Workspace code indexed for prompt retrieval
+            `CREATE TABLE IF NOT EXISTS retrieval_chunks (
+                chunk_id TEXT NOT NULL,
+                workspace_id TEXT NOT NULL,
+                file_path TEXT NOT NULL,
+                file_hash TEXT NOT NULL,
+                start_line INTEGER NOT NULL,
+                end_line INTEGER NOT NULL,
+                chunk_type TEXT,
+                content TEXT NOT NULL,
+                embedding BLOB, -- Float32 vector, NULL when embeddings are disabled
+                embedding_model TEXT,
+                indexed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (workspace_id, chunk_id)
+            )`,
+
+            // 14. Completion Events - Inline completions shown and whether they were accepted
+            `CREATE TABLE IF NOT EXISTS completion_events (
+                id TEXT PRIMARY KEY,
+                workspace_id TEXT NOT NULL,
+                language_id TEXT NOT NULL,
+                model TEXT,
+                template TEXT,
+                prefix_chars INTEGER,
+                completion_chars INTEGER,
+                completion_lines INTEGER,
+                latency_ms INTEGER,
+                accepted INTEGER DEFAULT 0,
+                shown_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                accepted_at DATETIME
+            )`,
+
+            // 15. Metric Revisions - Each measured revision of a file
+            `CREATE TABLE IF NOT EXISTS metric_revisions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                workspace_id TEXT NOT NULL,
+                file_path TEXT NOT NULL,
+                revision TEXT NOT NULL, -- SHA-1 of the file content
+                language TEXT,
+                measured_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            // 16. Function Metrics - Complexity of every function in a measured revision
+            `CREATE TABLE IF NOT EXISTS function_metrics (
+                revision_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                kind TEXT NOT NULL, -- 'function', 'method'
+                start_line INTEGER NOT NULL,
+                end_line INTEGER NOT NULL,
+                cyclomatic INTEGER NOT NULL,
+                cognitive INTEGER NOT NULL,
+                max_nesting INTEGER NOT NULL,
+                parameters INTEGER NOT NULL,
+                loc INTEGER NOT NULL,
+                FOREIGN KEY (revision_id) REFERENCES metric_revisions(id) ON DELETE CASCADE
             )`
         ];
 
@@ -266,6 +389,7 @@ export class SQLiteMemoryBank implements HiveMemoryBank {
             'CREATE INDEX IF NOT EXISTS idx_agent_interactions_from ON agent_interactions(from_agent_id)',
             'CREATE INDEX IF NOT EXISTS idx_agent_interactions_to ON agent_interactions(to_agent_id)',
             'CREATE INDEX IF NOT EXISTS idx_agent_interactions_type ON agent_interactions(interaction_type)',
+            "CREATE INDEX IF NOT EXISTS idx_agent_interactions_run ON agent_interactions(json_extract(metadata, '$.runId'))",
 
             // Task History indexes
             'CREATE INDEX IF NOT EXISTS idx_task_history_task_id ON task_history(task_id)',
@@ -321,7 +445,17 @@ export class SQLiteMemoryBank implements HiveMemoryBank {
             'CREATE INDEX IF NOT EXISTS idx_documentation_type ON documentation(doc_type)',
             'CREATE INDEX IF NOT EXISTS idx_documentation_path ON documentation(file_path)',
             'CREATE INDEX IF NOT EXISTS idx_documentation_agent ON documentation(agent_id)',
-            'CREATE INDEX IF NOT EXISTS idx_documentation_quality ON documentation(quality_score)'
+            'CREATE INDEX IF NOT EXISTS idx_documentation_quality ON documentation(quality_score)',
+
+            // Retrieval Chunks indexes
+            'CREATE INDEX IF NOT EXISTS idx_retrieval_chunks_file ON retrieval_chunks(workspace_id, file_path)',
+
+            // Completion Events indexes
+            'CREATE INDEX IF NOT EXISTS idx_completion_events_workspace ON completion_events(workspace_id, shown_at)',
+
+            // Code Metrics indexes
+            'CREATE INDEX IF NOT EXISTS idx_metric_revisions_file ON metric_revisions(workspace_id, file_path)',
+            'CREATE INDEX IF NOT EXISTS idx_function_metrics_revision ON function_metrics(revision_id)'
         ];
 
         for (const indexSQL of indexes) {
@@ -971,6 +1105,347 @@ export class SQLiteMemoryBank implements HiveMemoryBank {
         return stmt.get();
     }
 
+    /**
+     * Replaces the indexed chunks of one file in a single transaction
+     */
+    async replaceRetrievalChunks(workspaceId: string, filePath: string, chunks: RetrievalChunkRecord[]): Promise<void> {
+        this.ensureInitialized();
+
+        const remove = this.db.prepare('DELETE FROM retrieval_chunks WHERE workspace_id = ? AND file_path = ?');
+        const insert = this.db.prepare(`
+            INSERT OR REPLACE INTO retrieval_chunks
+            (chunk_id, workspace_id, file_path, file_hash, start_line, end_line, chunk_type, content, embedding, embedding_model)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+
+        const transaction = this.db.transaction(() => {
+            remove.run(workspaceId, filePath);
+            for (const chunk of chunks) {
+                insert.run(
+                    chunk.chunkId,
+                    workspaceId,
+                    chunk.filePath,
+                    chunk.fileHash,
+                    chunk.startLine,
+                    chunk.endLine,
+                    chunk.chunkType,
+                    chunk.content,
+                    chunk.embedding ? Buffer.from(chunk.embedding.buffer, chunk.embedding.byteOffset, chunk.embedding.byteLength) : null,
+                    chunk.embeddingModel || null
+                );
+            }
+        });
+
+        transaction();
+    }
+
+    /**
+     * Removes the chunks of one file, or of the whole workspace when no file is given
+     */
+    async deleteRetrievalChunks(workspaceId: string, filePath?: string): Promise<void> {
+        this.ensureInitialized();
+
+        if (filePath) {
+            this.db.prepare('DELETE FROM retrieval_chunks WHERE workspace_id = ? AND file_path = ?').run(workspaceId, filePath);
+        } else {
+            this.db.prepare('DELETE FROM retrieval_chunks WHERE workspace_id = ?').run(workspaceId);
+        }
+    }
+
+    async getRetrievalChunks(workspaceId: string): Promise<RetrievalChunkRecord[]> {
+        this.ensureInitialized();
+
+        const rows = this.db.prepare(`
+            SELECT * FROM retrieval_chunks
+            WHERE workspace_id = ?
+            ORDER BY file_path, start_line
+        `).all(workspaceId) as any[];
+
+        return rows.map(row => ({
+            chunkId: row.chunk_id,
+            filePath: row.file_path,
+            fileHash: row.file_hash,
+            startLine: row.start_line,
+            endLine: row.end_line,
+            chunkType: row.chunk_type,
+            content: row.content,
+            embedding: row.embedding
+                ? new Float32Array(new Uint8Array(row.embedding).buffer)
+                : undefined,
+            embeddingModel: row.embedding_model || undefined
+        }));
+    }
+
+    async updateRetrievalEmbeddings(
+        workspaceId: string,
+        updates: Array<{ chunkId: string; embedding: Float32Array; model: string }>
+    ): Promise<void> {
+        this.ensureInitialized();
+
+        const update = this.db.prepare(`
+            UPDATE retrieval_chunks SET embedding = ?, embedding_model = ?
+            WHERE workspace_id = ? AND chunk_id = ?
+        `);
+
+        const transaction = this.db.transaction(() => {
+            for (const entry of updates) {
+                update.run(
+                    Buffer.from(entry.embedding.buffer, entry.embedding.byteOffset, entry.embedding.byteLength),
+                    entry.model,
+                    workspaceId,
+                    entry.chunkId
+                );
+            }
+        });
+
+        transaction();
+    }
+
+    async storeCompletionEvent(event: CompletionEventRecord): Promise<void> {
+        this.ensureInitialized();
+
+        this.db.prepare(`
+            INSERT OR REPLACE INTO completion_events
+            (id, workspace_id, language_id, model, template, prefix_chars, completion_chars, completion_lines, latency_ms)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            event.id,
+            event.workspaceId,
+            event.languageId,
+            event.model,
+            event.template,
+            event.prefixChars,
+            event.completionChars,
+            event.completionLines,
+            event.latencyMs
+        );
+    }
+
+    async markCompletionAccepted(id: string): Promise<void> {
+        this.ensureInitialized();
+
+        this.db.prepare(`
+            UPDATE completion_events SET accepted = 1, accepted_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND accepted = 0
+        `).run(id);
+    }
+
+    /**
+     * Acceptance per language for one workspace, optionally limited to events after since
+     */
+    async getCompletionStats(workspaceId: string, since?: Date): Promise<CompletionStats[]> {
+        this.ensureInitialized();
+
+        const rows = this.db.prepare(`
+            SELECT language_id,
+                   COUNT(*) AS shown,
+                   SUM(accepted) AS accepted,
+                   AVG(latency_ms) AS average_latency,
+                   SUM(CASE WHEN accepted = 1 THEN completion_chars ELSE 0 END) AS accepted_chars
+            FROM completion_events
+            WHERE workspace_id = ? AND shown_at >= ?
+            GROUP BY language_id
+            ORDER BY shown DESC
+        `).all(workspaceId, since ? since.toISOString().replace('T', ' ').slice(0, 19) : '0') as any[];
+
+        return rows.map(row => ({
+            languageId: row.language_id,
+            shown: row.shown,
+            accepted: row.accepted || 0,
+            averageLatencyMs: Math.round(row.average_latency || 0),
+            acceptedChars: row.accepted_chars || 0
+        }));
+    }
+
+    /**
+     * Stores the metrics of a file revision unless it is the file's latest
+     * one already; returns false when nothing was stored. Only the newest
+     * revisions of each file are kept.
+     */
+    async storeFunctionMetrics(
+        workspaceId: string,
+        filePath: string,
+        revision: string,
+        language: string,
+        functions: FunctionComplexity[]
+    ): Promise<boolean> {
+        this.ensureInitialized();
+
+        const latest = this.db.prepare(`
+            SELECT revision FROM metric_revisions
+            WHERE workspace_id = ? AND file_path = ?
+            ORDER BY id DESC LIMIT 1
+        `).get(workspaceId, filePath) as { revision: string } | undefined;
+        if (latest?.revision === revision) {
+            return false;
+        }
+
+        const insertRevision = this.db.prepare(`
+            INSERT INTO metric_revisions (workspace_id, file_path, revision, language)
+            VALUES (?, ?, ?, ?)
+        `);
+        const insertFunction = this.db.prepare(`
+            INSERT INTO function_metrics
+            (revision_id, name, kind, start_line, end_line, cyclomatic, cognitive, max_nesting, parameters, loc)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        const staleRevisions = this.db.prepare(`
+            SELECT id FROM metric_revisions
+            WHERE workspace_id = ? AND file_path = ?
+            ORDER BY id DESC LIMIT -1 OFFSET ?
+        `);
+
+        const transaction = this.db.transaction(() => {
+            const revisionId = insertRevision.run(workspaceId, filePath, revision, language).lastInsertRowid;
+            for (const fn of functions) {
+                insertFunction.run(
+                    revisionId,
+                    fn.name,
+                    fn.kind,
+                    fn.startLine,
+                    fn.endLine,
+                    fn.cyclomatic,
+                    fn.cognitive,
+                    fn.maxNesting,
+                    fn.parameters,
+                    fn.loc
+                );
+            }
+
+            const stale = (staleRevisions.all(workspaceId, filePath, SQLiteMemoryBank.maxMetricRevisions) as Array<{ id: number }>)
+                .map(row => row.id);
+            this.deleteMetricRevisions(stale);
+        });
+
+        transaction();
+        return true;
+    }
+
+    /**
+     * Removes the measured revisions of one file, or of the whole workspace when no file is given
+     */
+    async deleteFunctionMetrics(workspaceId: string, filePath?: string): Promise<void> {
+        this.ensureInitialized();
+
+        const rows = (filePath
+            ? this.db.prepare('SELECT id FROM metric_revisions WHERE workspace_id = ? AND file_path = ?').all(workspaceId, filePath)
+            : this.db.prepare('SELECT id FROM metric_revisions WHERE workspace_id = ?').all(workspaceId)) as Array<{ id: number }>;
+
+        this.db.transaction(() => this.deleteMetricRevisions(rows.map(row => row.id)))();
+    }
+
+    /**
+     * The most complex functions of the latest revision of every file, with
+     * their cognitive complexity in the revision before
+     */
+    async getComplexityHotspots(workspaceId: string, limit: number = 10): Promise<ComplexityHotspot[]> {
+        this.ensureInitialized();
+
+        const rows = this.db.prepare(`
+            SELECT f.*, r.file_path, r.revision, r.measured_at,
+                   (SELECT p.cognitive FROM function_metrics p
+                    JOIN metric_revisions pr ON pr.id = p.revision_id
+                    WHERE pr.workspace_id = r.workspace_id AND pr.file_path = r.file_path
+                      AND pr.id < r.id AND p.name = f.name
+                    ORDER BY pr.id DESC LIMIT 1) AS previous_cognitive
+            FROM function_metrics f
+            JOIN metric_revisions r ON r.id = f.revision_id
+            WHERE r.id IN (
+                SELECT MAX(id) FROM metric_revisions WHERE workspace_id = ? GROUP BY file_path
+            )
+            ORDER BY f.cognitive DESC, f.cyclomatic DESC, f.loc DESC
+            LIMIT ?
+        `).all(workspaceId, limit) as any[];
+
+        return rows.map(row => ({
+            filePath: row.file_path,
+            revision: row.revision,
+            measuredAt: new Date(`${String(row.measured_at).replace(' ', 'T')}Z`),
+            name: row.name,
+            kind: row.kind,
+            startLine: row.start_line,
+            endLine: row.end_line,
+            cyclomatic: row.cyclomatic,
+            cognitive: row.cognitive,
+            maxNesting: row.max_nesting,
+            parameters: row.parameters,
+            loc: row.loc,
+            previousCognitive: row.previous_cognitive ?? undefined
+        }));
+    }
+
+    private deleteMetricRevisions(ids: number[]): void {
+        const deleteFunctions = this.db.prepare('DELETE FROM function_metrics WHERE revision_id = ?');
+        const deleteRevision = this.db.prepare('DELETE FROM metric_revisions WHERE id = ?');
+        for (const id of ids) {
+            deleteFunctions.run(id);
+            deleteRevision.run(id);
+        }
+    }
+
+    async storeAgentInteraction(interaction: AgentInteractionRecord): Promise<void> {
+        this.ensureInitialized();
+
+        this.db.prepare(`
+            INSERT INTO agent_interactions
+            (from_agent_id, to_agent_id, interaction_type, content, success, duration_ms, metadata)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            interaction.fromAgentId,
+            interaction.toAgentId ?? null,
+            interaction.interactionType,
+            interaction.content,
+            interaction.success === false ? 0 : 1,
+            interaction.durationMs ?? null,
+            interaction.metadata ? JSON.stringify(interaction.metadata) : null
+        );
+    }
+
+    /**
+     * Interactions in insertion order (or newest first); metadata keys are
+     * matched with json_extract, so only plain identifiers are accepted
+     */
+    async getAgentInteractions(filter: AgentInteractionFilter = {}): Promise<StoredAgentInteraction[]> {
+        this.ensureInitialized();
+
+        const conditions: string[] = [];
+        const params: Array<string | number> = [];
+
+        if (filter.interactionType) {
+            conditions.push('interaction_type = ?');
+            params.push(filter.interactionType);
+        }
+
+        for (const [key, value] of Object.entries(filter.metadata ?? {})) {
+            if (!/^\w+$/.test(key)) {
+                throw new Error(`Invalid interaction metadata key: ${key}`);
+            }
+            conditions.push(`json_extract(metadata, '$.${key}') = ?`);
+            params.push(value);
+        }
+
+        params.push(filter.limit ?? 1000);
+        const rows = this.db.prepare(`
+            SELECT * FROM agent_interactions
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY id ${filter.newestFirst ? 'DESC' : 'ASC'}
+            LIMIT ?
+        `).all(...params) as any[];
+
+        return rows.map(row => ({
+            id: row.id,
+            // CURRENT_TIMESTAMP is UTC without a zone designator
+            timestamp: new Date(`${String(row.timestamp).replace(' ', 'T')}Z`),
+            fromAgentId: row.from_agent_id,
+            toAgentId: row.to_agent_id ?? undefined,
+            interactionType: row.interaction_type,
+            content: row.content ?? '',
+            success: row.success !== 0,
+            durationMs: row.duration_ms ?? undefined,
+            metadata: row.metadata ? JSON.parse(row.metadata) : undefined
+        }));
+    }
+
     private async migrateFromJSON(): Promise<void> {
         // Check if old JSON file exists and migrate data
         const jsonPath = path.join(path.dirname(this.dbPath), 'hive-memory.json');
@@ -1024,7 +1499,7 @@ export class SQLiteMemoryBank implements HiveMemoryBank {
 
     private startPeriodicCleanup(): void {
         // Run cleanup every hour
-        setInterval(() => {
+        this.cleanupTimer = setInterval(() => {
             this.performCleanup().catch(console.error);
         }, 60 * 60 * 1000);
     }
@@ -1048,6 +1523,10 @@ export class SQLiteMemoryBank implements HiveMemoryBank {
             `);
             interactionCleanup.run(cutoffDate);
 
+            // Clean old completion events
+            this.db.prepare('DELETE FROM completion_events WHERE shown_at < ?')
+                .run(cutoffDate.replace('T', ' ').slice(0, 19));
+
             // Clean old swarm states (keep only latest 1000)
             const stateCleanup = this.db.prepare(`
                 DELETE FROM swarm_state 
@@ -1095,6 +1574,9 @@ export class SQLiteMemoryBank implements HiveMemoryBank {
     }
 
     dispose(): void {
+        if (this.cleanupTimer) {
+            clearInterval(this.cleanupTimer);
+        }
         if (this.db) {
             this.db.close();
         }
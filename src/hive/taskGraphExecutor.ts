@@ -0,0 +1,265 @@
+/**
+ * Task Graph Executor - Runs a specification's tasks as a dependency graph
+ * Every task whose prerequisites succeeded starts as soon as a slot is free,
+ * up to the parallelism limit and the capacity the caller grants. A failure
+ * only skips the tasks that depend on it, directly or transitively, and
+ * failed attempts are retried according to the task type's policy.
+ */
+
+import { HiveTaskAttempt, HiveTaskTimelineEntry } from '../types';
+
+export interface TaskGraphNode {
+    id: string;
+    type: string;
+    dependencies: string[];
+    agentId?: string;
+}
+
+export interface RetryPolicy {
+    /** Attempts in total, the first one included */
+    maxAttempts: number;
+    /** Wait before the second attempt; doubled for every further one */
+    backoffMs: number;
+}
+
+export interface TaskAttemptOutcome<R> {
+    success: boolean;
+    /** False for failures another attempt cannot fix, like a task the agent reported blocked */
+    retryable: boolean;
+    value: R;
+    error?: string;
+}
+
+export interface TaskGraphOptions<N extends TaskGraphNode, R> {
+    maxParallel: number;
+    retryPolicy: (node: N) => RetryPolicy;
+    run: (node: N, attempt: number) => Promise<TaskAttemptOutcome<R>>;
+    /** The result recorded for a task that never ran */
+    skip: (node: N, reason: string) => R;
+    /**
+     * Reserves capacity for a task; a task that gets none waits for a running
+     * one to finish. When nothing is running the task starts regardless, so a
+     * full agent cannot stall the run.
+     */
+    acquire?: (node: N) => boolean;
+    release?: (node: N, success: boolean, durationMs: number) => void;
+    log?: (line: string) => void;
+}
+
+export interface TaskGraphResult<R> {
+    /** Results in the order of the nodes passed in */
+    results: R[];
+    timeline: HiveTaskTimelineEntry[];
+}
+
+type NodeState = 'waiting' | 'running' | 'succeeded' | 'failed' | 'skipped';
+
+export class TaskGraphExecutor<N extends TaskGraphNode, R> {
+    private _options: TaskGraphOptions<N, R>;
+
+    constructor(options: TaskGraphOptions<N, R>) {
+        this._options = options;
+    }
+
+    async execute(nodes: N[]): Promise<TaskGraphResult<R>> {
+        const startTime = Date.now();
+        const elapsed = () => Date.now() - startTime;
+        const maxParallel = Math.max(1, Math.floor(this._options.maxParallel));
+
+        const ids = new Set(nodes.map(node => node.id));
+        const dependencies = new Map<string, string[]>();
+        for (const node of nodes) {
+            const unknown = node.dependencies.filter(dependency => !ids.has(dependency));
+            if (unknown.length > 0) {
+                this._log(`⚠️ ${node.id} depends on unknown tasks ${unknown.join(', ')}; ignoring them`);
+            }
+            dependencies.set(node.id, node.dependencies.filter(dependency => ids.has(dependency) && dependency !== node.id));
+        }
+
+        const states = new Map<string, NodeState>(nodes.map(node => [node.id, 'waiting']));
+        const results = new Map<string, R>();
+        const timeline = new Map<string, HiveTaskTimelineEntry>(nodes.map(node => [node.id, {
+            taskId: node.id,
+            agentId: node.agentId,
+            status: 'skipped',
+            attempts: []
+        }]));
+        const running = new Map<string, Promise<void>>();
+
+        const finishSkipped = (node: N, reason: string) => {
+            states.set(node.id, 'skipped');
+            results.set(node.id, this._options.skip(node, reason));
+            timeline.get(node.id)!.error = reason;
+            this._log(`⏭️ ${node.id} skipped: ${reason}`);
+        };
+
+        for (const node of this._findCycle(nodes, dependencies)) {
+            finishSkipped(node, 'its dependencies form a cycle');
+        }
+
+        const start = (node: N) => {
+            states.set(node.id, 'running');
+            const entry = timeline.get(node.id)!;
+            entry.startedAt = elapsed();
+
+            running.set(node.id, this._runWithRetries(node, entry, elapsed).then(outcome => {
+                running.delete(node.id);
+                states.set(node.id, outcome.success ? 'succeeded' : 'failed');
+                results.set(node.id, outcome.value);
+                entry.status = outcome.success ? 'succeeded' : 'failed';
+                entry.error = outcome.error;
+                entry.finishedAt = elapsed();
+                this._options.release?.(node, outcome.success, entry.finishedAt - entry.startedAt!);
+            }));
+        };
+
+        // Skips what can no longer run, marks what became ready and starts as
+        // many ready tasks as the limit and capacity allow
+        const schedule = () => {
+            let changed = true;
+            while (changed) {
+                changed = false;
+                for (const node of nodes) {
+                    if (states.get(node.id) !== 'waiting') {
+                        continue;
+                    }
+
+                    const prerequisites = dependencies.get(node.id)!;
+                    const broken = prerequisites.find(dependency => {
+                        const state = states.get(dependency);
+                        return state === 'failed' || state === 'skipped';
+                    });
+                    if (broken) {
+                        finishSkipped(node, `dependency ${broken} ${states.get(broken) === 'failed' ? 'failed' : 'was skipped'}`);
+                        changed = true;
+                        continue;
+                    }
+
+                    if (!prerequisites.every(dependency => states.get(dependency) === 'succeeded')) {
+                        continue;
+                    }
+
+                    const entry = timeline.get(node.id)!;
+                    entry.readyAt ??= elapsed();
+
+                    if (running.size >= maxParallel) {
+                        continue;
+                    }
+                    if (running.size > 0 && this._options.acquire && !this._options.acquire(node)) {
+                        continue;
+                    }
+                    if (running.size === 0) {
+                        this._options.acquire?.(node);
+                    }
+
+                    start(node);
+                }
+            }
+        };
+
+        schedule();
+        while (running.size > 0) {
+            await Promise.race(running.values());
+            schedule();
+        }
+
+        return {
+            results: nodes.map(node => results.get(node.id)!),
+            timeline: nodes.map(node => timeline.get(node.id)!)
+        };
+    }
+
+    private async _runWithRetries(
+        node: N,
+        entry: HiveTaskTimelineEntry,
+        elapsed: () => number
+    ): Promise<TaskAttemptOutcome<R>> {
+        const policy = this._options.retryPolicy(node);
+        const maxAttempts = Math.max(1, Math.floor(policy.maxAttempts));
+
+        for (let attempt = 1; ; attempt++) {
+            const record: HiveTaskAttempt = { attempt, startedAt: elapsed(), finishedAt: 0, success: false };
+            entry.attempts.push(record);
+
+            let outcome: TaskAttemptOutcome<R>;
+            try {
+                outcome = await this._options.run(node, attempt);
+            } catch (error) {
+                // run is expected to report failures itself; anything thrown is a bug there
+                const message = error instanceof Error ? error.message : String(error);
+                outcome = { success: false, retryable: false, value: this._options.skip(node, message), error: message };
+            }
+
+            record.finishedAt = elapsed();
+            record.success = outcome.success;
+            record.error = outcome.error;
+
+            if (outcome.success || !outcome.retryable || attempt >= maxAttempts) {
+                return outcome;
+            }
+
+            const delay = Math.max(0, policy.backoffMs) * Math.pow(2, attempt - 1);
+            this._log(`🔁 Retrying ${node.id} (attempt ${attempt + 1}/${maxAttempts}) in ${delay}ms: ${outcome.error}`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    /**
+     * Nodes that can never become ready because they sit on or behind a cycle
+     */
+    private _findCycle(nodes: N[], dependencies: Map<string, string[]>): N[] {
+        const resolved = new Set<string>();
+        let progress = true;
+
+        while (progress) {
+            progress = false;
+            for (const node of nodes) {
+                if (!resolved.has(node.id) && dependencies.get(node.id)!.every(dependency => resolved.has(dependency))) {
+                    resolved.add(node.id);
+                    progress = true;
+                }
+            }
+        }
+
+        return nodes.filter(node => !resolved.has(node.id));
+    }
+
+    private _log(line: string): void {
+        this._options.log?.(line);
+    }
+}
+
+/**
+ * Gantt-style text chart of a run: · waiting for a slot, █ a successful
+ * attempt, ▒ a failed one
+ */
+export function formatTaskTimeline(timeline: HiveTaskTimelineEntry[], width: number = 40): string {
+    const total = Math.max(1, ...timeline.map(entry => entry.finishedAt ?? 0));
+    const column = (ms: number) => Math.min(width - 1, Math.floor(ms / total * width));
+    const idWidth = Math.max(...timeline.map(entry => entry.taskId.length), 4);
+    const seconds = (ms: number) => `${(ms / 1000).toFixed(1)}s`;
+
+    return timeline.map(entry => {
+        const bar = Array<string>(width).fill(' ');
+
+        if (entry.readyAt !== undefined && entry.startedAt !== undefined) {
+            for (let i = column(entry.readyAt); i < column(entry.startedAt); i++) {
+                bar[i] = '·';
+            }
+        }
+
+        for (const attempt of entry.attempts) {
+            for (let i = column(attempt.startedAt); i <= column(attempt.finishedAt); i++) {
+                bar[i] = attempt.success ? '█' : '▒';
+            }
+        }
+
+        const span = entry.startedAt !== undefined && entry.finishedAt !== undefined
+            ? `${seconds(entry.startedAt)}–${seconds(entry.finishedAt)}`
+            : '—';
+        const attempts = entry.attempts.length > 1 ? `, ${entry.attempts.length} attempts` : '';
+        const reason = entry.status === 'skipped' && entry.error ? `: ${entry.error}` : '';
+
+        return `${entry.taskId.padEnd(idWidth)} |${bar.join('')}| ${span} ${entry.status}${attempts}${reason}`;
+    }).join('\n');
+}
@@ -0,0 +1,966 @@
+/**
+ * Base LLM Provider - Connection, model selection, streaming and tool loop
+ * shared by every backend. Subclasses only translate the wire protocol.
+ */
+
+import * as vscode from 'vscode';
+import { EventEmitter } from 'events';
+import {
+    LLMProvider,
+    LLMProviderType,
+    LLMProviderConfig,
+    LLMConnection,
+    LLMConnectionState,
+    LLMConnectionStatus,
+    LLMReconnectConfig,
+    LLMModelInfo,
+    LLMTaskType,
+    LLMChatMessage,
+    LLMToolCallRequest,
+    LLMToolExecution,
+    LLMUsage,
+    LLMCompletionResult,
+    LLMRequestOptions,
+    LLMChatOptions,
+    LLMEmbeddingOptions,
+    LLMStreamOptions,
+    LLMAgentTurnOptions,
+    LLMAgentTurnResult,
+    LLMToolHost,
+    LLMToolDefinition
+} from './llmProvider';
+import { TokenBudgetService } from './tokenBudget';
+
+/**
+ * One streamed fragment, normalized from the backend's wire format
+ */
+export interface LLMStreamChunk {
+    model?: string;
+    content?: string;
+    toolCalls?: Array<{
+        index: number;
+        id?: string;
+        name?: string;
+        arguments?: string;
+    }>;
+    finishReason?: string;
+    usage?: LLMUsage;
+}
+
+interface PendingRequest {
+    resolve(): void;
+    reject(error: Error): void;
+}
+
+interface RequestSignal {
+    readonly signal: AbortSignal;
+    readonly cancelled: boolean;
+    resetTimeout(): void;
+    dispose(): void;
+}
+
+export abstract class BaseLLMProvider extends EventEmitter implements LLMProvider {
+    /** Floor for a single tool result so one oversized result cannot starve the others */
+    private static readonly minToolResultTokens = 256;
+
+    abstract readonly type: LLMProviderType;
+    abstract readonly displayName: string;
+
+    protected _config: LLMProviderConfig;
+    protected _connection: LLMConnection;
+    protected _context: vscode.ExtensionContext;
+    protected _toolHost: LLMToolHost;
+    protected _outputChannel: vscode.OutputChannel;
+    private _availableModels: LLMModelInfo[] = [];
+    private _connectionState: LLMConnectionState = 'disconnected';
+    private _healthTimer: NodeJS.Timeout | undefined;
+    private _reconnectTimer: NodeJS.Timeout | undefined;
+    private _reconnectAttempt = 0;
+    private _nextRetryAt: Date | undefined;
+    private _lastError: string | undefined;
+    private _pendingRequests: PendingRequest[] = [];
+    private _tokenBudget = new TokenBudgetService();
+    private _disposables: vscode.Disposable[] = [];
+
+    constructor(
+        context: vscode.ExtensionContext,
+        toolHost: LLMToolHost,
+        configSection: string,
+        outputChannelName: string
+    ) {
+        super();
+        this._context = context;
+        this._toolHost = toolHost;
+        this._outputChannel = vscode.window.createOutputChannel(outputChannelName);
+
+        this._connection = {
+            isConnected: false
+        };
+
+        this._config = this._loadConfiguration();
+        this._setupConfigurationWatcher(configSection);
+    }
+
+    /**
+     * Reads this backend's settings into the shared configuration shape
+     */
+    protected abstract _loadConfiguration(): LLMProviderConfig;
+
+    /**
+     * Fetches the models the backend currently serves
+     */
+    protected abstract _fetchModels(signal: AbortSignal): Promise<LLMModelInfo[]>;
+
+    /**
+     * Sends a non-streaming chat request and returns the complete reply
+     */
+    protected abstract _requestChat(
+        messages: LLMChatMessage[],
+        options: LLMStreamOptions | undefined,
+        signal: AbortSignal
+    ): Promise<LLMCompletionResult>;
+
+    /**
+     * Sends a raw prompt to the text completion endpoint, bypassing the chat template
+     */
+    protected abstract _requestTextCompletion(
+        prompt: string,
+        options: LLMChatOptions | undefined,
+        signal: AbortSignal
+    ): Promise<LLMCompletionResult>;
+
+    /**
+     * Requests embedding vectors for the given texts
+     */
+    protected abstract _requestEmbeddings(
+        texts: string[],
+        model: string,
+        signal: AbortSignal
+    ): Promise<number[][]>;
+
+    /**
+     * Sends a streaming chat request and yields normalized chunks
+     */
+    protected abstract _requestChatStream(
+        messages: LLMChatMessage[],
+        options: LLMStreamOptions | undefined,
+        signal: AbortSignal
+    ): AsyncGenerator<LLMStreamChunk, void>;
+
+    get isConnected(): boolean {
+        return this._connection.isConnected;
+    }
+
+    get connectionStatus(): LLMConnectionStatus {
+        return {
+            state: this._connectionState,
+            modelName: this._connection.modelInfo?.name,
+            reconnectAttempt: this._reconnectAttempt,
+            nextRetryAt: this._nextRetryAt,
+            queuedRequests: this._pendingRequests.length,
+            lastError: this._lastError
+        };
+    }
+
+    get availableModels(): LLMModelInfo[] {
+        return [...this._availableModels];
+    }
+
+    /**
+     * Model used when a request names neither a model nor a task type with a preference
+     */
+    get activeModel(): string {
+        return this._context.globalState.get<string>(`${this.type}.activeModel`) || this._config.model.name;
+    }
+
+    get taskModelPreferences(): Partial<Record<LLMTaskType, string>> {
+        return this._context.globalState.get<Partial<Record<LLMTaskType, string>>>(`${this.type}.taskModels`, {});
+    }
+
+    get contextWindow(): number {
+        return this._config.model.contextWindow;
+    }
+
+    get maxCompletionTokens(): number {
+        return this._config.model.maxTokens;
+    }
+
+    get toolDefinitions(): LLMToolDefinition[] {
+        return this._toolHost.toolDefinitions;
+    }
+
+    private _setupConfigurationWatcher(configSection: string): void {
+        this._disposables.push(vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration(configSection)) {
+                this._config = this._loadConfiguration();
+                this._outputChannel.appendLine(`${this.displayName} configuration updated`);
+
+                if (this._config.enabled && !this._connection.isConnected) {
+                    this.connect().catch(() => undefined);
+                } else if (!this._config.enabled && this._connection.isConnected) {
+                    this.disconnect();
+                }
+            }
+        }));
+    }
+
+    private _loadReconnectConfiguration(): LLMReconnectConfig {
+        const config = vscode.workspace.getConfiguration('ruv-swarm.llm.reconnect');
+
+        return {
+            enabled: config.get('enabled', true),
+            initialDelay: config.get('initialDelay', 1000),
+            maxDelay: config.get('maxDelay', 30000),
+            maxAttempts: config.get('maxAttempts', 0),
+            queueSize: config.get('queueSize', 10)
+        };
+    }
+
+    protected _buildHeaders(headers: Record<string, string> = {}): Record<string, string> {
+        return {
+            'Content-Type': 'application/json',
+            ...headers,
+            ...(this._config.connection.apiKey && {
+                'Authorization': `Bearer ${this._config.connection.apiKey}`
+            })
+        };
+    }
+
+    async connect(): Promise<void> {
+        if (!this._config.enabled) {
+            throw new Error(`${this.displayName} integration is disabled`);
+        }
+
+        // A manual connect supersedes any scheduled retry, but a failure keeps retrying
+        const wasReconnecting = this._connectionState === 'reconnecting';
+        this._clearReconnectTimer();
+
+        try {
+            this._outputChannel.appendLine(`Connecting to ${this.displayName}...`);
+            this._setConnectionState('connecting');
+
+            const response = await this._testConnection();
+
+            if (response.success) {
+                this._outputChannel.appendLine(`✅ Connected to ${this.displayName} (${response.modelInfo?.name})`);
+                this._markConnected(response.modelInfo);
+            } else {
+                throw new Error(response.error || 'Connection failed');
+            }
+
+        } catch (error) {
+            this._outputChannel.appendLine(`❌ Failed to connect to ${this.displayName}: ${error}`);
+            this._connection.isConnected = false;
+            this._lastError = error instanceof Error ? error.message : String(error);
+
+            if (wasReconnecting) {
+                this._scheduleReconnect();
+            } else {
+                this._setConnectionState('disconnected');
+            }
+            throw error;
+        }
+    }
+
+    async disconnect(): Promise<void> {
+        this._stopHealthMonitoring();
+        this._clearReconnectTimer();
+        this._reconnectAttempt = 0;
+        this._connection.isConnected = false;
+        this._connection.modelInfo = undefined;
+        this._rejectPendingRequests(new Error(`Disconnected from ${this.displayName}`));
+        this._setConnectionState('disconnected');
+        this._outputChannel.appendLine(`Disconnected from ${this.displayName}`);
+        this.emit('disconnected');
+    }
+
+    private _setConnectionState(state: LLMConnectionState): void {
+        this._connectionState = state;
+        this.emit('stateChanged', this.connectionStatus);
+    }
+
+    private _markConnected(modelInfo: LLMConnection['modelInfo']): void {
+        this._connection.isConnected = true;
+        this._connection.modelInfo = modelInfo;
+        this._connection.lastPing = new Date();
+        this._reconnectAttempt = 0;
+        this._nextRetryAt = undefined;
+        this._lastError = undefined;
+
+        this._setConnectionState('connected');
+        this.emit('connected', this._connection.modelInfo);
+
+        this._startHealthMonitoring();
+        this._flushPendingRequests();
+    }
+
+    /**
+     * Called when a health check or request finds the server gone. Requests
+     * made from now on are queued until a reconnect attempt succeeds.
+     */
+    private _handleConnectionLost(reason: string): void {
+        if (this._connectionState !== 'connected') {
+            return;
+        }
+
+        this._outputChannel.appendLine(`⚠️ ${this.displayName} connection lost: ${reason}`);
+        this._stopHealthMonitoring();
+        this._connection.isConnected = false;
+        this._lastError = reason;
+        this.emit('disconnected');
+
+        if (this._loadReconnectConfiguration().enabled) {
+            this._scheduleReconnect();
+        } else {
+            this._setConnectionState('disconnected');
+        }
+    }
+
+    /**
+     * Exponential backoff with jitter: the delay doubles per attempt up to
+     * maxDelay, and a random half of it is added so clients do not retry in lockstep.
+     */
+    private _scheduleReconnect(): void {
+        const config = this._loadReconnectConfiguration();
+
+        if (config.maxAttempts > 0 && this._reconnectAttempt >= config.maxAttempts) {
+            this._outputChannel.appendLine(`❌ Gave up reconnecting to ${this.displayName} after ${this._reconnectAttempt} attempts`);
+            this._nextRetryAt = undefined;
+            this._rejectPendingRequests(new Error(`Could not reconnect to ${this.displayName}: ${this._lastError}`));
+            this._setConnectionState('disconnected');
+            return;
+        }
+
+        const backoff = Math.min(config.maxDelay, config.initialDelay * 2 ** this._reconnectAttempt);
+        const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+
+        this._reconnectAttempt++;
+        this._nextRetryAt = new Date(Date.now() + delay);
+        this._outputChannel.appendLine(`🔄 Reconnecting to ${this.displayName} in ${delay}ms (attempt ${this._reconnectAttempt})`);
+
+        this._reconnectTimer = setTimeout(() => this._attemptReconnect(), delay);
+        this._setConnectionState('reconnecting');
+    }
+
+    private async _attemptReconnect(): Promise<void> {
+        this._reconnectTimer = undefined;
+
+        const response = await this._testConnection();
+
+        // A manual connect or disconnect may have happened while the check was in flight
+        if (this._connectionState !== 'reconnecting' || this._reconnectTimer) {
+            return;
+        }
+
+        if (response.success) {
+            this._outputChannel.appendLine(`✅ Reconnected to ${this.displayName} after ${this._reconnectAttempt} attempt(s)`);
+            this._markConnected(response.modelInfo);
+        } else {
+            this._lastError = response.error;
+            this._scheduleReconnect();
+        }
+    }
+
+    private _clearReconnectTimer(): void {
+        if (this._reconnectTimer) {
+            clearTimeout(this._reconnectTimer);
+            this._reconnectTimer = undefined;
+        }
+        this._nextRetryAt = undefined;
+    }
+
+    /**
+     * Resolves immediately when connected; while reconnecting the request
+     * waits in a bounded queue and is replayed once the server is back.
+     */
+    private async _waitForConnection(options?: LLMRequestOptions): Promise<void> {
+        if (this._connection.isConnected) {
+            return;
+        }
+
+        if (this._connectionState !== 'reconnecting') {
+            throw new Error(`Not connected to ${this.displayName}`);
+        }
+
+        const { queueSize } = this._loadReconnectConfiguration();
+        if (this._pendingRequests.length >= queueSize) {
+            throw new Error(`${this.displayName} is reconnecting and ${queueSize} requests are already queued`);
+        }
+
+        if (options?.cancellationToken?.isCancellationRequested || options?.signal?.aborted) {
+            throw new vscode.CancellationError();
+        }
+
+        await new Promise<void>((resolve, reject) => {
+            const cancel = () => {
+                this._pendingRequests = this._pendingRequests.filter(pending => pending !== request);
+                cleanup();
+                reject(new vscode.CancellationError());
+                this.emit('stateChanged', this.connectionStatus);
+            };
+
+            const tokenListener = options?.cancellationToken?.onCancellationRequested(cancel);
+            options?.signal?.addEventListener('abort', cancel);
+
+            const cleanup = () => {
+                tokenListener?.dispose();
+                options?.signal?.removeEventListener('abort', cancel);
+            };
+
+            const request: PendingRequest = {
+                resolve: () => {
+                    cleanup();
+                    resolve();
+                },
+                reject: error => {
+                    cleanup();
+                    reject(error);
+                }
+            };
+
+            this._pendingRequests.push(request);
+            this._outputChannel.appendLine(`⏳ Request queued until ${this.displayName} reconnects (${this._pendingRequests.length} pending)`);
+            this.emit('stateChanged', this.connectionStatus);
+        });
+    }
+
+    private _flushPendingRequests(): void {
+        const pending = this._pendingRequests;
+        this._pendingRequests = [];
+
+        if (pending.length > 0) {
+            this._outputChannel.appendLine(`▶️ Replaying ${pending.length} queued request(s)`);
+            pending.forEach(request => request.resolve());
+            this.emit('stateChanged', this.connectionStatus);
+        }
+    }
+
+    private _rejectPendingRequests(error: Error): void {
+        const pending = this._pendingRequests;
+        this._pendingRequests = [];
+        pending.forEach(request => request.reject(error));
+    }
+
+    /**
+     * Network-level failures (refused, reset) as opposed to HTTP or timeout errors
+     */
+    private _isConnectionError(error: unknown): boolean {
+        const code = (error as any)?.cause?.code;
+        return (error instanceof TypeError && /fetch failed|terminated/i.test(error.message))
+            || ['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'UND_ERR_SOCKET'].includes(code);
+    }
+
+    /**
+     * Refreshes the list of models served by the backend
+     */
+    async listModels(): Promise<LLMModelInfo[]> {
+        const models = await this._fetchModels(AbortSignal.timeout(this._config.connection.timeout));
+
+        const changed = models.map(m => m.id).join('\n') !== this._availableModels.map(m => m.id).join('\n');
+        this._availableModels = models;
+
+        if (changed) {
+            this._outputChannel.appendLine(`📚 ${models.length} model(s) loaded: ${models.map(m => m.id).join(', ') || 'none'}`);
+            this.emit('modelsChanged', this.availableModels);
+        }
+
+        return this.availableModels;
+    }
+
+    /**
+     * Switches the default model for subsequent requests. No reconnect is
+     * needed because the model is chosen per request.
+     */
+    async setActiveModel(modelId: string): Promise<void> {
+        await this._context.globalState.update(`${this.type}.activeModel`, modelId);
+
+        if (this._connection.modelInfo) {
+            this._connection.modelInfo.name = modelId;
+        }
+
+        this._outputChannel.appendLine(`🔀 Active model switched to ${modelId}`);
+        this.emit('modelChanged', modelId);
+    }
+
+    /**
+     * Remembers which model to use for a task type; undefined clears the preference
+     */
+    async setTaskModel(taskType: LLMTaskType, modelId: string | undefined): Promise<void> {
+        const preferences = { ...this.taskModelPreferences };
+
+        if (modelId) {
+            preferences[taskType] = modelId;
+        } else {
+            delete preferences[taskType];
+        }
+
+        await this._context.globalState.update(`${this.type}.taskModels`, preferences);
+        this._outputChannel.appendLine(`🔀 Model for ${taskType}: ${modelId || this.activeModel + ' (default)'}`);
+        this.emit('modelChanged', this.activeModel);
+    }
+
+    resolveModel(options?: { model?: string; taskType?: LLMTaskType }): string {
+        return options?.model
+            || (options?.taskType && this.taskModelPreferences[options.taskType])
+            || this.activeModel;
+    }
+
+    private async _testConnection(): Promise<{ success: boolean; modelInfo?: any; error?: string }> {
+        try {
+            // Test the connection and refresh the served model list
+            const models = await this.listModels();
+            const activeModel = this.activeModel.toLowerCase();
+            const currentModel = models.find(m => m.id.toLowerCase() === activeModel)
+                || models.find(m => m.id.toLowerCase().includes(activeModel))
+                || models[0];
+
+            return {
+                success: true,
+                modelInfo: {
+                    name: currentModel?.id || 'Unknown',
+                    version: '1.0.0',
+                    capabilities: ['text-generation', 'tool-calling']
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error instanceof Error ? error.message : String(error)
+            };
+        }
+    }
+
+    private _startHealthMonitoring(): void {
+        this._stopHealthMonitoring();
+
+        this._healthTimer = setInterval(async () => {
+            if (this._connection.isConnected) {
+                const health = await this._testConnection();
+                if (!health.success) {
+                    this._handleConnectionLost(health.error || 'health check failed');
+                } else {
+                    this._connection.lastPing = new Date();
+                }
+            }
+        }, 30000); // Check every 30 seconds
+    }
+
+    private _stopHealthMonitoring(): void {
+        if (this._healthTimer) {
+            clearInterval(this._healthTimer);
+            this._healthTimer = undefined;
+        }
+    }
+
+    async generateCompletion(prompt: string, options?: LLMChatOptions): Promise<string> {
+        const result = await this.chat([{ role: 'user', content: prompt }], options);
+        return result.content;
+    }
+
+    /**
+     * Sends a role-tagged conversation and returns the reply together with token usage.
+     */
+    async chat(messages: LLMChatMessage[], options?: LLMChatOptions): Promise<LLMCompletionResult> {
+        for (let attempt = 1; ; attempt++) {
+            await this._waitForConnection(options);
+
+            const requestSignal = this._createRequestSignal(options);
+
+            try {
+                this._outputChannel.appendLine(`🤖 Generating completion with ${options?.maxTokens || this._config.model.maxTokens} max tokens`);
+
+                const result = await this._requestChat(messages, options, requestSignal.signal);
+
+                this._outputChannel.appendLine(`✅ Generated completion: ${result.content.length} characters`);
+                return result;
+
+            } catch (error) {
+                if (requestSignal.cancelled) {
+                    this._outputChannel.appendLine('🛑 Completion generation cancelled');
+                    throw new vscode.CancellationError();
+                }
+
+                // Replay once after reconnecting when the server went away mid-request
+                if (attempt === 1 && this._isConnectionError(error)) {
+                    this._handleConnectionLost(String(error));
+                    if (this._connectionState === 'reconnecting') {
+                        continue;
+                    }
+                }
+
+                this._outputChannel.appendLine(`❌ Completion generation failed: ${error}`);
+                throw new Error(`Failed to generate completion: ${error instanceof Error ? error.message : String(error)}`);
+            } finally {
+                requestSignal.dispose();
+            }
+        }
+    }
+
+    /**
+     * Completes a raw prompt. Used for inline completions, which fire while
+     * typing, so only failures are logged.
+     */
+    async completeText(prompt: string, options?: LLMChatOptions): Promise<LLMCompletionResult> {
+        await this._waitForConnection(options);
+
+        const requestSignal = this._createRequestSignal(options);
+
+        try {
+            return await this._requestTextCompletion(prompt, options, requestSignal.signal);
+
+        } catch (error) {
+            if (requestSignal.cancelled) {
+                throw new vscode.CancellationError();
+            }
+
+            this._outputChannel.appendLine(`❌ Text completion failed: ${error}`);
+            throw new Error(`Failed to complete text: ${error instanceof Error ? error.message : String(error)}`);
+        } finally {
+            requestSignal.dispose();
+        }
+    }
+
+    /**
+     * Embeds texts with the given model, or the active model when none is set
+     */
+    async embed(texts: string[], options?: LLMEmbeddingOptions): Promise<number[][]> {
+        if (texts.length === 0) {
+            return [];
+        }
+
+        await this._waitForConnection(options);
+
+        const requestSignal = this._createRequestSignal(options);
+        const model = options?.model || this.resolveModel();
+
+        try {
+            const vectors = await this._requestEmbeddings(texts, model, requestSignal.signal);
+            if (vectors.length !== texts.length) {
+                throw new Error(`expected ${texts.length} embeddings, got ${vectors.length}`);
+            }
+            return vectors;
+
+        } catch (error) {
+            if (requestSignal.cancelled) {
+                throw new vscode.CancellationError();
+            }
+
+            this._outputChannel.appendLine(`❌ Embedding request failed: ${error}`);
+            throw new Error(`Failed to create embeddings with ${model}: ${error instanceof Error ? error.message : String(error)}`);
+        } finally {
+            requestSignal.dispose();
+        }
+    }
+
+    /**
+     * Streaming variant of generateCompletion that yields content deltas as they
+     * arrive. Cancelling the token or aborting the signal throws a
+     * vscode.CancellationError from the iterator.
+     */
+    async *streamCompletion(prompt: string, options?: LLMChatOptions): AsyncGenerator<string, void> {
+        yield* this.streamChat([{ role: 'user', content: prompt }], options);
+    }
+
+    /**
+     * Streaming variant of chat that yields content deltas for a role-tagged conversation.
+     */
+    async *streamChat(messages: LLMChatMessage[], options?: LLMChatOptions): AsyncGenerator<string, void> {
+        for await (const chunk of this._streamChatChunks(messages, options)) {
+            if (chunk.content) {
+                yield chunk.content;
+            }
+        }
+    }
+
+    /**
+     * Streams a chat completion, invoking onDelta for every content fragment as
+     * it arrives, and returns the assembled reply including any tool calls.
+     */
+    async streamChatCompletion(
+        messages: LLMChatMessage[],
+        onDelta: (delta: string) => void,
+        options?: LLMStreamOptions
+    ): Promise<LLMCompletionResult> {
+        let content = '';
+        let model = this.resolveModel(options);
+        let finishReason: string | undefined;
+        let usage: LLMUsage | undefined;
+        let chunkCount = 0;
+        const toolCalls: LLMToolCallRequest[] = [];
+
+        for await (const chunk of this._streamChatChunks(messages, options)) {
+            model = chunk.model || model;
+            usage = chunk.usage || usage;
+            finishReason = chunk.finishReason || finishReason;
+
+            if (chunk.content) {
+                content += chunk.content;
+                chunkCount++;
+                onDelta(chunk.content);
+            }
+
+            // Tool calls arrive as fragments keyed by index; arguments may be streamed piecewise
+            for (const fragment of chunk.toolCalls || []) {
+                const toolCall = toolCalls[fragment.index] ??= {
+                    id: '',
+                    type: 'function',
+                    function: { name: '', arguments: '' }
+                };
+
+                toolCall.id = fragment.id || toolCall.id;
+                toolCall.function.name += fragment.name || '';
+                toolCall.function.arguments += fragment.arguments || '';
+            }
+        }
+
+        // Servers that report no usage emit roughly one token per chunk, so fall back to the chunk count
+        return {
+            content,
+            model,
+            finishReason,
+            toolCalls: toolCalls.length > 0 ? toolCalls.filter(Boolean) : undefined,
+            usage: usage || {
+                promptTokens: 0,
+                completionTokens: chunkCount,
+                totalTokens: chunkCount
+            }
+        };
+    }
+
+    private async *_streamChatChunks(
+        messages: LLMChatMessage[],
+        options?: LLMStreamOptions
+    ): AsyncGenerator<LLMStreamChunk, void> {
+        for (let attempt = 1; ; attempt++) {
+            await this._waitForConnection(options);
+
+            // For streams the timeout applies to silence between chunks, not the whole generation
+            const requestSignal = this._createRequestSignal(options);
+            let characters = 0;
+            let chunks = 0;
+
+            try {
+                this._outputChannel.appendLine(`🤖 Streaming completion for ${messages.length} messages`);
+
+                for await (const chunk of this._requestChatStream(messages, options, requestSignal.signal)) {
+                    requestSignal.resetTimeout();
+                    characters += chunk.content?.length || 0;
+                    chunks++;
+                    yield chunk;
+                }
+
+                this._outputChannel.appendLine(`✅ Streamed completion: ${characters} characters`);
+                return;
+
+            } catch (error) {
+                if (requestSignal.cancelled) {
+                    this._outputChannel.appendLine(`🛑 Streaming completion cancelled after ${characters} characters`);
+                    throw new vscode.CancellationError();
+                }
+
+                // Only a stream that has not produced anything yet can be replayed transparently
+                if (attempt === 1 && chunks === 0 && this._isConnectionError(error)) {
+                    this._handleConnectionLost(String(error));
+                    if (this._connectionState === 'reconnecting') {
+                        continue;
+                    }
+                }
+
+                this._outputChannel.appendLine(`❌ Streaming completion failed: ${error}`);
+                throw new Error(`Failed to stream completion: ${error instanceof Error ? error.message : String(error)}`);
+            } finally {
+                requestSignal.dispose();
+            }
+        }
+    }
+
+    private _createRequestSignal(options?: LLMRequestOptions): RequestSignal {
+        const controller = new AbortController();
+        let cancelled = false;
+        let timer: NodeJS.Timeout | undefined;
+
+        const cancel = () => {
+            cancelled = true;
+            controller.abort();
+        };
+
+        const resetTimeout = () => {
+            if (timer) {
+                clearTimeout(timer);
+            }
+            timer = setTimeout(
+                () => controller.abort(new Error(`Request timed out after ${this._config.connection.timeout}ms`)),
+                this._config.connection.timeout
+            );
+        };
+
+        const tokenListener = options?.cancellationToken?.onCancellationRequested(cancel);
+        options?.signal?.addEventListener('abort', cancel);
+
+        if (options?.cancellationToken?.isCancellationRequested || options?.signal?.aborted) {
+            cancel();
+        } else {
+            resetTimeout();
+        }
+
+        return {
+            signal: controller.signal,
+            get cancelled() {
+                return cancelled;
+            },
+            resetTimeout,
+            dispose: () => {
+                if (timer) {
+                    clearTimeout(timer);
+                }
+                tokenListener?.dispose();
+                options?.signal?.removeEventListener('abort', cancel);
+            }
+        };
+    }
+
+    /**
+     * Runs one agent turn: the model sees the tool host's tools, any tool calls
+     * it makes are executed and fed back, and the loop repeats until it answers
+     * without tools or the iteration limit has been reached.
+     */
+    async runAgentTurn(messages: LLMChatMessage[], options?: LLMAgentTurnOptions): Promise<LLMAgentTurnResult> {
+        const { onDelta = () => undefined, onToolCall, maxIterations: maxIterationsOverride, ...chatOptions } = options || {};
+        const maxIterations = maxIterationsOverride ?? this._toolHost.maxToolIterations;
+        const tools = this._toolHost.toolDefinitions;
+        const conversation = [...messages];
+        const toolExecutions: LLMToolExecution[] = [];
+        const usage: LLMUsage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+        const contentParts: string[] = [];
+        const promptBudget = this.contextWindow
+            - (chatOptions.maxTokens || this.maxCompletionTokens)
+            - this._tokenBudget.estimateTokens(JSON.stringify(tools));
+        let toolResultTokens = 0;
+
+        for (let iteration = 1; ; iteration++) {
+            // Once the guard is reached the tools are withheld so the model has to answer
+            const allowTools = tools.length > 0 && iteration <= maxIterations;
+            if (!allowTools && tools.length > 0) {
+                this._outputChannel.appendLine(`⚠️ Tool iteration limit (${maxIterations}) reached, requesting final answer`);
+            }
+
+            if (contentParts.length > 0) {
+                onDelta('\n\n');
+            }
+
+            const response = await this.streamChatCompletion(conversation, onDelta, {
+                ...chatOptions,
+                tools: allowTools ? tools : undefined
+            });
+
+            usage.promptTokens += response.usage.promptTokens;
+            usage.completionTokens += response.usage.completionTokens;
+            usage.totalTokens += response.usage.totalTokens;
+
+            if (response.content) {
+                contentParts.push(response.content);
+            }
+
+            if (!allowTools || !response.toolCalls || response.toolCalls.length === 0) {
+                return {
+                    content: contentParts.join('\n\n'),
+                    model: response.model,
+                    usage,
+                    toolExecutions,
+                    toolResultTokens,
+                    iterations: iteration
+                };
+            }
+
+            conversation.push({
+                role: 'assistant',
+                content: response.content,
+                tool_calls: response.toolCalls
+            });
+
+            for (const [index, toolCall] of response.toolCalls.entries()) {
+                if (chatOptions.cancellationToken?.isCancellationRequested || chatOptions.signal?.aborted) {
+                    throw new vscode.CancellationError();
+                }
+
+                const execution = await this._executeToolCall(toolCall, onToolCall);
+                toolExecutions.push(execution);
+
+                // Split what is left of the context window between the results still to come
+                const remainingCalls = response.toolCalls.length - index;
+                const resultBudget = Math.max(
+                    BaseLLMProvider.minToolResultTokens,
+                    Math.floor((promptBudget - this._tokenBudget.estimateMessagesTokens(conversation)) / remainingCalls)
+                );
+                const content = this._tokenBudget.truncateToTokens(this._formatToolResult(execution), resultBudget);
+                toolResultTokens += this._tokenBudget.estimateTokens(content);
+
+                conversation.push({
+                    role: 'tool',
+                    tool_call_id: toolCall.id,
+                    content
+                });
+            }
+        }
+    }
+
+    private async _executeToolCall(
+        toolCall: LLMToolCallRequest,
+        onToolCall?: (execution: LLMToolExecution) => void
+    ): Promise<LLMToolExecution> {
+        const execution: LLMToolExecution = {
+            id: toolCall.id,
+            name: toolCall.function.name,
+            arguments: {},
+            status: 'running',
+            startTime: new Date()
+        };
+
+        try {
+            execution.arguments = toolCall.function.arguments ? JSON.parse(toolCall.function.arguments) : {};
+        } catch (error) {
+            execution.status = 'failed';
+            execution.result = `Invalid JSON arguments: ${toolCall.function.arguments}`;
+            execution.endTime = new Date();
+            onToolCall?.(execution);
+            return execution;
+        }
+
+        onToolCall?.(execution);
+
+        try {
+            const result = await this._toolHost.callTool(execution.name, execution.arguments);
+            execution.result = result;
+            execution.status = result.isError ? 'failed' : 'completed';
+        } catch (error) {
+            execution.result = error instanceof Error ? error.message : String(error);
+            execution.status = 'failed';
+        }
+
+        execution.endTime = new Date();
+        onToolCall?.(execution);
+
+        return execution;
+    }
+
+    private _formatToolResult(execution: LLMToolExecution): string {
+        const result = execution.result;
+
+        if (result && Array.isArray(result.content)) {
+            return result.content
+                .map((item: any) => item.type === 'text' ? item.text : JSON.stringify(item))
+                .join('\n');
+        }
+
+        return execution.status === 'failed' ? `Error: ${result}` : JSON.stringify(result);
+    }
+
+    dispose(): void {
+        this._disposables.forEach(disposable => disposable.dispose());
+        this._stopHealthMonitoring();
+        this._clearReconnectTimer();
+        this.disconnect();
+        this._outputChannel.dispose();
+        this.removeAllListeners();
+    }
+}
@@ -0,0 +1,227 @@
+/**
+ * LLM Provider - Backend-neutral contract for chat models
+ * Lets chat, specification and workflow features run against LM Studio,
+ * Ollama or any OpenAI-compatible server without knowing which one
+ */
+
+import * as vscode from 'vscode';
+import { EventEmitter } from 'events';
+import { MCPToolInputSchema, MCPToolResult } from '../mcp/mcpTypes';
+
+export const LLM_PROVIDER_TYPES = ['lmstudio', 'ollama', 'openai-compatible'] as const;
+
+export type LLMProviderType = typeof LLM_PROVIDER_TYPES[number];
+
+export interface LLMProviderConfig {
+    enabled: boolean;
+    connection: {
+        baseUrl: string;
+        apiKey?: string;
+        timeout: number;
+    };
+    model: {
+        name: string;
+        temperature: number;
+        maxTokens: number;
+        contextWindow: number;
+    };
+}
+
+export interface LLMConnection {
+    isConnected: boolean;
+    modelInfo?: {
+        name: string;
+        version: string;
+        capabilities: string[];
+    };
+    lastPing?: Date;
+}
+
+export type LLMConnectionState = 'disconnected' | 'connecting' | 'connected' | 'reconnecting';
+
+export interface LLMConnectionStatus {
+    state: LLMConnectionState;
+    modelName?: string;
+    reconnectAttempt: number;
+    nextRetryAt?: Date;
+    queuedRequests: number;
+    lastError?: string;
+}
+
+export interface LLMReconnectConfig {
+    enabled: boolean;
+    initialDelay: number;
+    maxDelay: number;
+    maxAttempts: number;
+    queueSize: number;
+}
+
+export interface LLMModelInfo {
+    id: string;
+    ownedBy?: string;
+    type?: string;
+}
+
+/**
+ * Task types that can be pinned to a specific model, e.g. a small model for
+ * explain_code and a larger one for code_review.
+ */
+export const LLM_TASK_TYPES = [
+    'chat',
+    'explain_code',
+    'code_review',
+    'generate_tests',
+    'analyze_file',
+    'generate_specification',
+    'code_completion'
+] as const;
+
+export type LLMTaskType = typeof LLM_TASK_TYPES[number];
+
+export interface LLMChatMessage {
+    role: 'system' | 'user' | 'assistant' | 'tool';
+    content: string;
+    tool_calls?: LLMToolCallRequest[];
+    tool_call_id?: string;
+}
+
+export interface LLMToolDefinition {
+    type: 'function';
+    function: {
+        name: string;
+        description?: string;
+        parameters: MCPToolInputSchema;
+    };
+}
+
+export interface LLMToolCallRequest {
+    id: string;
+    type: 'function';
+    function: {
+        name: string;
+        arguments: string;
+    };
+}
+
+export interface LLMToolExecution {
+    id: string;
+    name: string;
+    arguments: Record<string, any>;
+    result?: any;
+    status: 'pending' | 'running' | 'completed' | 'failed';
+    startTime: Date;
+    endTime?: Date;
+}
+
+export interface LLMUsage {
+    promptTokens: number;
+    completionTokens: number;
+    totalTokens: number;
+}
+
+export interface LLMCompletionResult {
+    content: string;
+    model: string;
+    usage: LLMUsage;
+    finishReason?: string;
+    toolCalls?: LLMToolCallRequest[];
+}
+
+export interface LLMRequestOptions {
+    maxTokens?: number;
+    temperature?: number;
+    stopSequences?: string[];
+    cancellationToken?: vscode.CancellationToken;
+    signal?: AbortSignal;
+}
+
+export type LLMResponseFormat =
+    | { type: 'text' }
+    | { type: 'json_object' }
+    | { type: 'json_schema'; json_schema: { name: string; schema: Record<string, any>; strict?: boolean } };
+
+/**
+ * Per-call overrides for chat requests. Without an explicit model the task
+ * type preference is used, then the active model, then the configured model.
+ */
+export interface LLMChatOptions extends LLMRequestOptions {
+    model?: string;
+    taskType?: LLMTaskType;
+    topP?: number;
+    seed?: number;
+    responseFormat?: LLMResponseFormat;
+}
+
+export interface LLMEmbeddingOptions extends LLMRequestOptions {
+    /** Embedding model; the chat model is rarely able to embed */
+    model?: string;
+}
+
+export interface LLMStreamOptions extends LLMChatOptions {
+    tools?: LLMToolDefinition[];
+}
+
+export interface LLMAgentTurnOptions extends LLMChatOptions {
+    onDelta?: (delta: string) => void;
+    onToolCall?: (execution: LLMToolExecution) => void;
+    maxIterations?: number;
+}
+
+export interface LLMAgentTurnResult {
+    content: string;
+    model: string;
+    usage: LLMUsage;
+    toolExecutions: LLMToolExecution[];
+    /** Estimated tokens the tool results added to the conversation */
+    toolResultTokens: number;
+    iterations: number;
+}
+
+/**
+ * Source of the tools offered to the model during an agent turn
+ */
+export interface LLMToolHost {
+    readonly toolDefinitions: LLMToolDefinition[];
+    readonly maxToolIterations: number;
+    callTool(toolName: string, arguments_: Record<string, any>): Promise<MCPToolResult>;
+}
+
+/**
+ * Chat model backend. Emits 'connected', 'disconnected', 'stateChanged',
+ * 'modelsChanged' and 'modelChanged'.
+ */
+export interface LLMProvider extends EventEmitter, vscode.Disposable {
+    readonly type: LLMProviderType;
+    readonly displayName: string;
+    readonly isConnected: boolean;
+    readonly connectionStatus: LLMConnectionStatus;
+    readonly availableModels: LLMModelInfo[];
+    readonly activeModel: string;
+    readonly taskModelPreferences: Partial<Record<LLMTaskType, string>>;
+    readonly contextWindow: number;
+    readonly maxCompletionTokens: number;
+    readonly toolDefinitions: LLMToolDefinition[];
+
+    connect(): Promise<void>;
+    disconnect(): Promise<void>;
+
+    listModels(): Promise<LLMModelInfo[]>;
+    setActiveModel(modelId: string): Promise<void>;
+    setTaskModel(taskType: LLMTaskType, modelId: string | undefined): Promise<void>;
+    resolveModel(options?: { model?: string; taskType?: LLMTaskType }): string;
+
+    generateCompletion(prompt: string, options?: LLMChatOptions): Promise<string>;
+    chat(messages: LLMChatMessage[], options?: LLMChatOptions): Promise<LLMCompletionResult>;
+    streamCompletion(prompt: string, options?: LLMChatOptions): AsyncGenerator<string, void>;
+    streamChat(messages: LLMChatMessage[], options?: LLMChatOptions): AsyncGenerator<string, void>;
+    streamChatCompletion(
+        messages: LLMChatMessage[],
+        onDelta: (delta: string) => void,
+        options?: LLMStreamOptions
+    ): Promise<LLMCompletionResult>;
+    runAgentTurn(messages: LLMChatMessage[], options?: LLMAgentTurnOptions): Promise<LLMAgentTurnResult>;
+    /** Completes a raw prompt without the chat template, e.g. a fill-in-the-middle prompt */
+    completeText(prompt: string, options?: LLMChatOptions): Promise<LLMCompletionResult>;
+    /** One vector per input text, in input order */
+    embed(texts: string[], options?: LLMEmbeddingOptions): Promise<number[][]>;
+}
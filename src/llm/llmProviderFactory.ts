@@ -0,0 +1,42 @@
+/**
+ * LLM Provider Factory - Creates the backend selected by ruv-swarm.llm.provider
+ */
+
+import * as vscode from 'vscode';
+import { LLMProvider, LLMProviderType, LLMToolHost } from './llmProvider';
+import { LMStudioProvider } from './lmStudioProvider';
+import { OllamaProvider } from './ollamaProvider';
+import { OpenAICompatibleProvider } from './openAICompatibleProvider';
+
+export function getConfiguredProviderType(): LLMProviderType {
+    return vscode.workspace.getConfiguration('ruv-swarm.llm').get<LLMProviderType>('provider', 'lmstudio');
+}
+
+/** The settings section holding the connection and model settings of a backend */
+export function getProviderSettingsSection(type: LLMProviderType): string {
+    switch (type) {
+        case 'ollama':
+            return 'ruv-swarm.llm.ollama';
+        case 'openai-compatible':
+            return 'ruv-swarm.llm.openaiCompatible';
+        case 'lmstudio':
+        default:
+            return 'ruv-swarm.lmstudio';
+    }
+}
+
+export function createLLMProvider(
+    context: vscode.ExtensionContext,
+    toolHost: LLMToolHost,
+    type: LLMProviderType = getConfiguredProviderType()
+): LLMProvider {
+    switch (type) {
+        case 'ollama':
+            return new OllamaProvider(context, toolHost);
+        case 'openai-compatible':
+            return new OpenAICompatibleProvider(context, toolHost);
+        case 'lmstudio':
+        default:
+            return new LMStudioProvider(context, toolHost);
+    }
+}
@@ -0,0 +1,38 @@
+/**
+ * LM Studio Provider - OpenAI-compatible backend configured through the
+ * ruv-swarm.lmstudio settings
+ */
+
+import * as vscode from 'vscode';
+import { OpenAICompatibleProvider } from './openAICompatibleProvider';
+import { LLMProviderType, LLMProviderConfig, LLMToolHost } from './llmProvider';
+
+export class LMStudioProvider extends OpenAICompatibleProvider {
+    readonly type: LLMProviderType = 'lmstudio';
+    readonly displayName: string = 'LM Studio';
+
+    constructor(context: vscode.ExtensionContext, toolHost: LLMToolHost) {
+        super(context, toolHost, 'ruv-swarm.lmstudio', 'RUV-Swarm LM Studio');
+    }
+
+    protected _loadConfiguration(): LLMProviderConfig {
+        const config = vscode.workspace.getConfiguration('ruv-swarm.lmstudio');
+        const host = config.get('connection.host', 'localhost');
+        const port = config.get('connection.port', 1234);
+
+        return {
+            enabled: config.get('enabled', true),
+            connection: {
+                baseUrl: `http://${host}:${port}/v1`,
+                apiKey: config.get('connection.apiKey', ''),
+                timeout: config.get('connection.timeout', 30000)
+            },
+            model: {
+                name: config.get('model.name', 'gemma-3-4b'),
+                temperature: config.get('model.temperature', 0.7),
+                maxTokens: config.get('model.maxTokens', 2048),
+                contextWindow: config.get('model.contextWindow', 8192)
+            }
+        };
+    }
+}
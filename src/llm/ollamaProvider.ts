@@ -0,0 +1,319 @@
+/**
+ * Ollama Provider - Native Ollama API (/api/tags, /api/chat, /api/generate,
+ * /api/embed) with newline-delimited JSON streaming
+ */
+
+import * as vscode from 'vscode';
+import { BaseLLMProvider, LLMStreamChunk } from './baseLLMProvider';
+import {
+    LLMProviderType,
+    LLMProviderConfig,
+    LLMModelInfo,
+    LLMChatMessage,
+    LLMCompletionResult,
+    LLMChatOptions,
+    LLMStreamOptions,
+    LLMToolCallRequest,
+    LLMUsage,
+    LLMToolHost
+} from './llmProvider';
+
+export class OllamaProvider extends BaseLLMProvider {
+    readonly type: LLMProviderType = 'ollama';
+    readonly displayName: string = 'Ollama';
+
+    constructor(context: vscode.ExtensionContext, toolHost: LLMToolHost) {
+        super(context, toolHost, 'ruv-swarm.llm.ollama', 'RUV-Swarm Ollama');
+    }
+
+    protected _loadConfiguration(): LLMProviderConfig {
+        const config = vscode.workspace.getConfiguration('ruv-swarm.llm.ollama');
+
+        return {
+            enabled: true,
+            connection: {
+                baseUrl: config.get('connection.baseUrl', 'http://localhost:11434'),
+                timeout: config.get('connection.timeout', 30000)
+            },
+            model: {
+                name: config.get('model.name', 'llama3.1'),
+                temperature: config.get('model.temperature', 0.7),
+                maxTokens: config.get('model.maxTokens', 2048),
+                contextWindow: config.get('model.contextWindow', 8192)
+            }
+        };
+    }
+
+    private _endpoint(path: string): string {
+        return `${this._config.connection.baseUrl.replace(/\/+$/, '')}${path}`;
+    }
+
+    protected async _fetchModels(signal: AbortSignal): Promise<LLMModelInfo[]> {
+        const response = await fetch(this._endpoint('/api/tags'), {
+            method: 'GET',
+            headers: this._buildHeaders(),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const data: any = await response.json();
+        return (data.models || []).map((model: any) => ({
+            id: model.name,
+            type: model.details?.family
+        }));
+    }
+
+    protected async _requestChat(
+        messages: LLMChatMessage[],
+        options: LLMStreamOptions | undefined,
+        signal: AbortSignal
+    ): Promise<LLMCompletionResult> {
+        const requestBody = this._buildRequestBody(messages, options, false);
+
+        const response = await fetch(this._endpoint('/api/chat'), {
+            method: 'POST',
+            headers: this._buildHeaders(),
+            body: JSON.stringify(requestBody),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const data: any = await response.json();
+        const toolCalls = this._parseToolCalls(data.message?.tool_calls, 0);
+
+        return {
+            content: data.message?.content || '',
+            model: data.model || requestBody.model,
+            finishReason: data.done_reason,
+            toolCalls: toolCalls.length > 0 ? toolCalls : undefined,
+            usage: this._parseUsage(data) || { promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+        };
+    }
+
+    /**
+     * raw skips the model's prompt template so fill-in-the-middle tokens reach it unchanged
+     */
+    protected async _requestTextCompletion(
+        prompt: string,
+        options: LLMChatOptions | undefined,
+        signal: AbortSignal
+    ): Promise<LLMCompletionResult> {
+        const model = this.resolveModel(options);
+
+        const response = await fetch(this._endpoint('/api/generate'), {
+            method: 'POST',
+            headers: this._buildHeaders(),
+            body: JSON.stringify({
+                model,
+                prompt,
+                raw: true,
+                stream: false,
+                options: {
+                    num_predict: options?.maxTokens || this._config.model.maxTokens,
+                    num_ctx: this._config.model.contextWindow,
+                    temperature: options?.temperature ?? this._config.model.temperature,
+                    ...(options?.stopSequences && options.stopSequences.length > 0 && { stop: options.stopSequences }),
+                    ...(options?.topP !== undefined && { top_p: options.topP }),
+                    ...(options?.seed !== undefined && { seed: options.seed })
+                }
+            }),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const data: any = await response.json();
+
+        return {
+            content: data.response || '',
+            model: data.model || model,
+            finishReason: data.done_reason,
+            usage: this._parseUsage(data) || { promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+        };
+    }
+
+    protected async _requestEmbeddings(texts: string[], model: string, signal: AbortSignal): Promise<number[][]> {
+        const response = await fetch(this._endpoint('/api/embed'), {
+            method: 'POST',
+            headers: this._buildHeaders(),
+            body: JSON.stringify({ model, input: texts }),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const data: any = await response.json();
+        return data.embeddings || [];
+    }
+
+    protected async *_requestChatStream(
+        messages: LLMChatMessage[],
+        options: LLMStreamOptions | undefined,
+        signal: AbortSignal
+    ): AsyncGenerator<LLMStreamChunk, void> {
+        const response = await fetch(this._endpoint('/api/chat'), {
+            method: 'POST',
+            headers: this._buildHeaders({ 'Accept': 'application/x-ndjson' }),
+            body: JSON.stringify(this._buildRequestBody(messages, options, true)),
+            signal
+        });
+
+        if (!response.ok || !response.body) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        let toolCallCount = 0;
+
+        for await (const line of this._readJsonLines(response.body)) {
+            const chunk = JSON.parse(line);
+
+            if (chunk.error) {
+                throw new Error(chunk.error);
+            }
+
+            // Ollama sends each tool call whole rather than in fragments
+            const toolCalls = this._parseToolCalls(chunk.message?.tool_calls, toolCallCount);
+            toolCallCount += toolCalls.length;
+
+            yield {
+                model: chunk.model,
+                content: chunk.message?.content || undefined,
+                finishReason: chunk.done ? chunk.done_reason || 'stop' : undefined,
+                usage: chunk.done ? this._parseUsage(chunk) : undefined,
+                toolCalls: toolCalls.map((toolCall, offset) => ({
+                    index: toolCallCount - toolCalls.length + offset,
+                    id: toolCall.id,
+                    name: toolCall.function.name,
+                    arguments: toolCall.function.arguments
+                }))
+            };
+
+            if (chunk.done) {
+                break;
+            }
+        }
+    }
+
+    private _buildRequestBody(messages: LLMChatMessage[], options: LLMStreamOptions | undefined, stream: boolean) {
+        const format = options?.responseFormat?.type === 'json_object'
+            ? 'json'
+            : options?.responseFormat?.type === 'json_schema'
+                ? options.responseFormat.json_schema.schema
+                : undefined;
+
+        return {
+            model: this.resolveModel(options),
+            messages: messages.map(message => this._toOllamaMessage(message)),
+            stream,
+            options: {
+                num_predict: options?.maxTokens || this._config.model.maxTokens,
+                num_ctx: this._config.model.contextWindow,
+                temperature: options?.temperature ?? this._config.model.temperature,
+                ...(options?.stopSequences && options.stopSequences.length > 0 && { stop: options.stopSequences }),
+                ...(options?.topP !== undefined && { top_p: options.topP }),
+                ...(options?.seed !== undefined && { seed: options.seed })
+            },
+            ...(format && { format }),
+            ...(options?.tools && options.tools.length > 0 && { tools: options.tools })
+        };
+    }
+
+    /**
+     * Ollama expects tool call arguments as objects and has no tool call ids
+     */
+    private _toOllamaMessage(message: LLMChatMessage): Record<string, any> {
+        if (message.role === 'assistant' && message.tool_calls) {
+            return {
+                role: 'assistant',
+                content: message.content,
+                tool_calls: message.tool_calls.map(toolCall => ({
+                    function: {
+                        name: toolCall.function.name,
+                        arguments: this._parseArguments(toolCall.function.arguments)
+                    }
+                }))
+            };
+        }
+
+        return { role: message.role, content: message.content };
+    }
+
+    private _parseArguments(argumentsJson: string): Record<string, any> {
+        try {
+            return argumentsJson ? JSON.parse(argumentsJson) : {};
+        } catch {
+            return {};
+        }
+    }
+
+    private _parseToolCalls(toolCalls: any[] | undefined, startIndex: number): LLMToolCallRequest[] {
+        return (toolCalls || []).map((toolCall: any, offset: number) => ({
+            id: toolCall.id || `ollama-call-${Date.now()}-${startIndex + offset}`,
+            type: 'function',
+            function: {
+                name: toolCall.function?.name || '',
+                arguments: typeof toolCall.function?.arguments === 'string'
+                    ? toolCall.function.arguments
+                    : JSON.stringify(toolCall.function?.arguments || {})
+            }
+        }));
+    }
+
+    private _parseUsage(data: any): LLMUsage | undefined {
+        if (data.prompt_eval_count === undefined && data.eval_count === undefined) {
+            return undefined;
+        }
+
+        const promptTokens = data.prompt_eval_count ?? 0;
+        const completionTokens = data.eval_count ?? 0;
+
+        return {
+            promptTokens,
+            completionTokens,
+            totalTokens: promptTokens + completionTokens
+        };
+    }
+
+    private async *_readJsonLines(body: ReadableStream<Uint8Array>): AsyncGenerator<string> {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    break;
+                }
+
+                buffer += decoder.decode(value, { stream: true });
+
+                // One JSON object per line; keep the trailing partial line
+                const lines = buffer.split(/\r?\n/);
+                buffer = lines.pop() || '';
+
+                for (const line of lines) {
+                    if (line.trim()) {
+                        yield line;
+                    }
+                }
+            }
+
+            if (buffer.trim()) {
+                yield buffer;
+            }
+        } finally {
+            reader.releaseLock();
+        }
+    }
+}
@@ -0,0 +1,296 @@
+/**
+ * OpenAI-compatible Provider - Talks to any server exposing /v1/models,
+ * /v1/chat/completions, /v1/completions and /v1/embeddings (llama.cpp server,
+ * vLLM, LocalAI, hosted APIs)
+ */
+
+import * as vscode from 'vscode';
+import { BaseLLMProvider, LLMStreamChunk } from './baseLLMProvider';
+import {
+    LLMProviderType,
+    LLMProviderConfig,
+    LLMModelInfo,
+    LLMChatMessage,
+    LLMCompletionResult,
+    LLMChatOptions,
+    LLMStreamOptions,
+    LLMUsage,
+    LLMToolHost
+} from './llmProvider';
+
+export class OpenAICompatibleProvider extends BaseLLMProvider {
+    readonly type: LLMProviderType = 'openai-compatible';
+    readonly displayName: string = 'OpenAI-compatible server';
+
+    constructor(
+        context: vscode.ExtensionContext,
+        toolHost: LLMToolHost,
+        configSection: string = 'ruv-swarm.llm.openaiCompatible',
+        outputChannelName: string = 'RUV-Swarm LLM'
+    ) {
+        super(context, toolHost, configSection, outputChannelName);
+    }
+
+    protected _loadConfiguration(): LLMProviderConfig {
+        const config = vscode.workspace.getConfiguration('ruv-swarm.llm.openaiCompatible');
+
+        return {
+            enabled: true,
+            connection: {
+                baseUrl: config.get('connection.baseUrl', 'http://localhost:8080/v1'),
+                apiKey: config.get('connection.apiKey', ''),
+                timeout: config.get('connection.timeout', 30000)
+            },
+            model: {
+                name: config.get('model.name', ''),
+                temperature: config.get('model.temperature', 0.7),
+                maxTokens: config.get('model.maxTokens', 2048),
+                contextWindow: config.get('model.contextWindow', 8192)
+            }
+        };
+    }
+
+    /**
+     * Builds an endpoint URL; the configured base URL already ends in /v1
+     */
+    protected _endpoint(path: string): string {
+        return `${this._config.connection.baseUrl.replace(/\/+$/, '')}${path}`;
+    }
+
+    protected async _fetchModels(signal: AbortSignal): Promise<LLMModelInfo[]> {
+        const response = await fetch(this._endpoint('/models'), {
+            method: 'GET',
+            headers: this._buildHeaders(),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const data: any = await response.json();
+        return (data.data || []).map((model: any) => ({
+            id: model.id,
+            ownedBy: model.owned_by,
+            type: model.type
+        }));
+    }
+
+    protected async _requestChat(
+        messages: LLMChatMessage[],
+        options: LLMStreamOptions | undefined,
+        signal: AbortSignal
+    ): Promise<LLMCompletionResult> {
+        const requestBody = this._buildRequestBody(messages, options);
+
+        const response = await fetch(this._endpoint('/chat/completions'), {
+            method: 'POST',
+            headers: this._buildHeaders(),
+            body: JSON.stringify(requestBody),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const data: any = await response.json();
+
+        if (!data.choices || data.choices.length === 0) {
+            throw new Error('No completion generated');
+        }
+
+        const choice = data.choices[0];
+
+        return {
+            content: choice.message?.content || '',
+            model: data.model || requestBody.model,
+            finishReason: choice.finish_reason,
+            toolCalls: choice.message?.tool_calls,
+            usage: this._parseUsage(data.usage) || { promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+        };
+    }
+
+    protected async _requestTextCompletion(
+        prompt: string,
+        options: LLMChatOptions | undefined,
+        signal: AbortSignal
+    ): Promise<LLMCompletionResult> {
+        const model = this.resolveModel(options);
+
+        const response = await fetch(this._endpoint('/completions'), {
+            method: 'POST',
+            headers: this._buildHeaders(),
+            body: JSON.stringify({
+                model,
+                prompt,
+                max_tokens: options?.maxTokens || this._config.model.maxTokens,
+                temperature: options?.temperature ?? this._config.model.temperature,
+                stop: options?.stopSequences || [],
+                ...(options?.topP !== undefined && { top_p: options.topP }),
+                ...(options?.seed !== undefined && { seed: options.seed })
+            }),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const data: any = await response.json();
+        const choice = data.choices?.[0];
+
+        return {
+            content: choice?.text || '',
+            model: data.model || model,
+            finishReason: choice?.finish_reason,
+            usage: this._parseUsage(data.usage) || { promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+        };
+    }
+
+    protected async _requestEmbeddings(texts: string[], model: string, signal: AbortSignal): Promise<number[][]> {
+        const response = await fetch(this._endpoint('/embeddings'), {
+            method: 'POST',
+            headers: this._buildHeaders(),
+            body: JSON.stringify({ model, input: texts }),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        // Servers may return the entries out of order; index says where each belongs
+        const data: any = await response.json();
+        return [...(data.data || [])]
+            .sort((a: any, b: any) => (a.index ?? 0) - (b.index ?? 0))
+            .map((entry: any) => entry.embedding);
+    }
+
+    protected async *_requestChatStream(
+        messages: LLMChatMessage[],
+        options: LLMStreamOptions | undefined,
+        signal: AbortSignal
+    ): AsyncGenerator<LLMStreamChunk, void> {
+        const requestBody = {
+            ...this._buildRequestBody(messages, options),
+            stream: true,
+            stream_options: { include_usage: true }
+        };
+
+        const response = await fetch(this._endpoint('/chat/completions'), {
+            method: 'POST',
+            headers: this._buildHeaders({ 'Accept': 'text/event-stream' }),
+            body: JSON.stringify(requestBody),
+            signal
+        });
+
+        if (!response.ok || !response.body) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        let nextToolIndex = 0;
+
+        for await (const data of this._readServerSentEvents(response.body)) {
+            if (data === '[DONE]') {
+                break;
+            }
+
+            const chunk = JSON.parse(data);
+            const choice = chunk.choices?.[0];
+
+            yield {
+                model: chunk.model,
+                content: choice?.delta?.content || undefined,
+                finishReason: choice?.finish_reason || undefined,
+                usage: this._parseUsage(chunk.usage),
+                toolCalls: choice?.delta?.tool_calls?.map((fragment: any) => {
+                    const index = fragment.index ?? nextToolIndex;
+                    nextToolIndex = Math.max(nextToolIndex, index + 1);
+                    return {
+                        index,
+                        id: fragment.id,
+                        name: fragment.function?.name,
+                        arguments: fragment.function?.arguments
+                    };
+                })
+            };
+        }
+    }
+
+    protected _buildRequestBody(messages: LLMChatMessage[], options?: LLMStreamOptions) {
+        return {
+            model: this.resolveModel(options),
+            messages,
+            max_tokens: options?.maxTokens || this._config.model.maxTokens,
+            temperature: options?.temperature ?? this._config.model.temperature,
+            stop: options?.stopSequences || [],
+            ...(options?.topP !== undefined && { top_p: options.topP }),
+            ...(options?.seed !== undefined && { seed: options.seed }),
+            ...(options?.responseFormat && { response_format: options.responseFormat }),
+            ...(options?.tools && options.tools.length > 0 && { tools: options.tools })
+        };
+    }
+
+    private _parseUsage(usage: any): LLMUsage | undefined {
+        if (!usage) {
+            return undefined;
+        }
+
+        return {
+            promptTokens: usage.prompt_tokens ?? 0,
+            completionTokens: usage.completion_tokens ?? 0,
+            totalTokens: usage.total_tokens ?? (usage.prompt_tokens ?? 0) + (usage.completion_tokens ?? 0)
+        };
+    }
+
+    private async *_readServerSentEvents(body: ReadableStream<Uint8Array>): AsyncGenerator<string> {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let finished = false;
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    finished = true;
+                    break;
+                }
+
+                buffer += decoder.decode(value, { stream: true });
+
+                // Events are separated by a blank line; keep the trailing partial event
+                const events = buffer.split(/\r?\n\r?\n/);
+                buffer = events.pop() || '';
+
+                for (const event of events) {
+                    const data = this._extractEventData(event);
+                    if (data) {
+                        yield data;
+                    }
+                }
+            }
+
+            const data = this._extractEventData(buffer);
+            if (data) {
+                yield data;
+            }
+        } finally {
+            // A consumer that stops at [DONE] leaves the rest unread; cancel it so the connection is freed
+            if (!finished) {
+                await reader.cancel().catch(() => undefined);
+            }
+            reader.releaseLock();
+        }
+    }
+
+    private _extractEventData(event: string): string | undefined {
+        const lines = event
+            .split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trimStart());
+
+        return lines.length > 0 ? lines.join('\n') : undefined;
+    }
+}
@@ -0,0 +1,245 @@
+/**
+ * Token Budget - Approximate token counting and context-window fitting
+ * Keeps prompts inside the model's context length by trimming code,
+ * summarizing the oldest turns and dropping what still does not fit
+ */
+
+import { LLMChatMessage, LLMToolDefinition } from './llmProvider';
+
+export interface TokenBudgetBreakdown {
+    contextWindow: number;
+    reservedForCompletion: number;
+    tools: number;
+    systemPrompt: number;
+    codeChunks: number;
+    history: number;
+    toolResults: number;
+    total: number;
+    summarizedMessages: number;
+    droppedMessages: number;
+}
+
+export interface PromptBudgetRequest {
+    systemPrompt: string;
+    /** Oldest first; the last entry is the message being answered */
+    history: LLMChatMessage[];
+    codeChunks?: Array<{ label: string; content: string }>;
+    toolDefinitions?: LLMToolDefinition[];
+    contextWindow: number;
+    reservedForCompletion: number;
+}
+
+export interface BudgetedPrompt {
+    messages: LLMChatMessage[];
+    breakdown: TokenBudgetBreakdown;
+}
+
+export class TokenBudgetService {
+    /** Role markers and separators the chat template adds around every message */
+    private static readonly messageOverhead = 4;
+    /** Share of the free budget that attached code may take before history */
+    private static readonly codeShare = 0.5;
+    /** Share of the free budget that the summary of dropped turns may take */
+    private static readonly summaryShare = 0.1;
+    private static readonly summaryLineLength = 160;
+
+    /**
+     * BPE-style approximation: words cost roughly one token per four
+     * characters and every punctuation mark or symbol costs one, which
+     * tracks real tokenizers far better than length / 4 on source code.
+     */
+    estimateTokens(text: string): number {
+        if (!text) {
+            return 0;
+        }
+
+        let tokens = 0;
+        for (const piece of text.match(/[A-Za-z0-9_]+|[^\sA-Za-z0-9_]|\n/g) || []) {
+            tokens += /^[A-Za-z0-9_]/.test(piece) ? Math.ceil(piece.length / 4) : 1;
+        }
+
+        return tokens;
+    }
+
+    estimateMessageTokens(message: LLMChatMessage): number {
+        const toolCalls = message.tool_calls
+            ? message.tool_calls.reduce((sum, call) => sum + this.estimateTokens(call.function.name + call.function.arguments), 0)
+            : 0;
+
+        return TokenBudgetService.messageOverhead + this.estimateTokens(message.content) + toolCalls;
+    }
+
+    estimateMessagesTokens(messages: LLMChatMessage[]): number {
+        return messages.reduce((sum, message) => sum + this.estimateMessageTokens(message), 0);
+    }
+
+    /**
+     * Cuts text to at most maxTokens, keeping the start and marking the cut
+     */
+    truncateToTokens(text: string, maxTokens: number): string {
+        if (this.estimateTokens(text) <= maxTokens) {
+            return text;
+        }
+
+        const marker = '\n… [truncated to fit the context window]';
+        const budget = maxTokens - this.estimateTokens(marker);
+        if (budget <= 0) {
+            return '';
+        }
+
+        // Binary search on characters since token cost per character varies
+        let low = 0;
+        let high = text.length;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (this.estimateTokens(text.slice(0, mid)) <= budget) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return text.slice(0, low) + marker;
+    }
+
+    /**
+     * Assembles system prompt, code chunks and history so that the prompt plus
+     * the completion reservation fits the context window. Newest turns win;
+     * older turns are condensed into a summary, or dropped if even that does not fit.
+     */
+    fitPrompt(request: PromptBudgetRequest): BudgetedPrompt {
+        const available = Math.max(0, request.contextWindow - request.reservedForCompletion);
+        const tools = request.toolDefinitions && request.toolDefinitions.length > 0
+            ? this.estimateTokens(JSON.stringify(request.toolDefinitions))
+            : 0;
+
+        const latest = request.history[request.history.length - 1];
+        const latestTokens = latest ? this.estimateMessageTokens(latest) : 0;
+
+        // The system prompt may take at most what is left after tools and the current message
+        const systemPrompt = this.truncateToTokens(
+            request.systemPrompt,
+            Math.max(0, available - tools - latestTokens - TokenBudgetService.messageOverhead)
+        );
+        let remaining = available - tools - this.estimateTokens(systemPrompt) - TokenBudgetService.messageOverhead;
+
+        // Code chunks are included in order until their share is used up
+        const codeSections: string[] = [];
+        let codeBudget = Math.floor(Math.max(0, remaining - latestTokens) * TokenBudgetService.codeShare);
+        let codeTokens = 0;
+        for (const chunk of request.codeChunks || []) {
+            const section = `\n\n${chunk.label}:\n\`\`\`\n${chunk.content}\n\`\`\``;
+            const fitted = this.truncateToTokens(section, codeBudget);
+            const cost = this.estimateTokens(fitted);
+            if (cost === 0) {
+                break;
+            }
+            codeSections.push(fitted);
+            codeTokens += cost;
+            codeBudget -= cost;
+        }
+        remaining -= codeTokens;
+
+        // Walk history newest first; the current message is always kept, truncated if necessary
+        const kept: LLMChatMessage[] = [];
+        let historyTokens = 0;
+        let index = request.history.length - 1;
+
+        for (; index >= 0; index--) {
+            const message = request.history[index];
+            const cost = this.estimateMessageTokens(message);
+
+            if (cost <= remaining - historyTokens) {
+                kept.unshift(message);
+                historyTokens += cost;
+            } else if (kept.length === 0) {
+                const content = this.truncateToTokens(message.content, Math.max(0, remaining - TokenBudgetService.messageOverhead));
+                kept.unshift({ ...message, content });
+                historyTokens += this.estimateMessageTokens(kept[0]);
+            } else {
+                break;
+            }
+        }
+
+        const older = request.history.slice(0, index + 1);
+        let summary = '';
+        let summarizedMessages = 0;
+
+        // Many chat templates only accept a leading system message, so the summary joins it
+        if (older.length > 0) {
+            const summaryBudget = Math.min(
+                remaining - historyTokens,
+                Math.floor(available * TokenBudgetService.summaryShare)
+            );
+            const condensed = this._summarizeTurns(older, summaryBudget);
+
+            if (condensed) {
+                summary = `\n\n${condensed.text}`;
+                historyTokens += this.estimateTokens(summary);
+                summarizedMessages = condensed.count;
+            }
+        }
+
+        const messages: LLMChatMessage[] = [
+            { role: 'system', content: systemPrompt + codeSections.join('') + summary },
+            ...kept
+        ];
+
+        const systemTokens = this.estimateTokens(systemPrompt) + TokenBudgetService.messageOverhead;
+
+        return {
+            messages,
+            breakdown: {
+                contextWindow: request.contextWindow,
+                reservedForCompletion: request.reservedForCompletion,
+                tools,
+                systemPrompt: systemTokens,
+                codeChunks: codeTokens,
+                history: historyTokens,
+                toolResults: 0,
+                total: tools + systemTokens + codeTokens + historyTokens,
+                summarizedMessages,
+                droppedMessages: older.length - summarizedMessages
+            }
+        };
+    }
+
+    /**
+     * Extractive summary of the turns that no longer fit: the opening of each
+     * message, newest kept first when the budget runs short.
+     */
+    private _summarizeTurns(
+        messages: LLMChatMessage[],
+        budget: number
+    ): { text: string; count: number } | undefined {
+        const header = 'Summary of earlier conversation (older turns were condensed to fit the context window):';
+        let used = this.estimateTokens(header) + 2;
+        const lines: string[] = [];
+
+        for (let i = messages.length - 1; i >= 0; i--) {
+            const message = messages[i];
+            const firstLine = message.content.split('\n').find(line => line.trim()) || '';
+            const text = firstLine.length > TokenBudgetService.summaryLineLength
+                ? `${firstLine.slice(0, TokenBudgetService.summaryLineLength)}…`
+                : firstLine;
+            const line = `- ${message.role}: ${text}`;
+            const cost = this.estimateTokens(line) + 1;
+
+            if (used + cost > budget) {
+                break;
+            }
+
+            lines.unshift(line);
+            used += cost;
+        }
+
+        if (lines.length === 0) {
+            return undefined;
+        }
+
+        return {
+            text: `${header}\n${lines.join('\n')}`,
+            count: lines.length
+        };
+    }
+}
@@ -1,11 +1,16 @@
 /**
- * LM Studio MCP Server - Bridges LM Studio with RUV-Swarm ecosystem
- * Enables local AI models to use swarm tools for code understanding
+ * LM Studio MCP Server - Bridges local models with RUV-Swarm ecosystem
+ * Hosts the swarm tools and resources that LLM providers expose to the model
  */
 
 import * as vscode from 'vscode';
 import { EventEmitter } from 'events';
 import { SwarmManager } from '../../utils/swarmManager';
+import { DependencyGraphService } from '../../dependencies/dependencyGraph';
+import { SymbolIndexService } from '../../navigation/symbolIndex';
+import { CodeSearch } from '../../navigation/codeSearch';
+import { buildProjectStructure } from '../../navigation/projectStructure';
+import { GitChangeScope, GitService } from '../../git/gitService';
 import {
     MCPTool,
     MCPResource,
@@ -13,6 +18,20 @@ import {
     MCPResourceContents,
     MCPServerInfo
 } from '../mcpTypes';
+import { LLMToolDefinition, LLMToolHost } from '../../llm/llmProvider';
+
+// Tools are enabled by the verb they start with unless they belong to a named group
+const TOOL_GROUPS: Record<string, string> = {
+    'get_project_structure': 'workspace',
+    'find_symbol': 'symbols',
+    'find_references': 'symbols',
+    'get_call_hierarchy': 'symbols',
+    'get_dependency_graph': 'dependencies',
+    'get_git_status': 'git',
+    'git_diff': 'git',
+    'git_log': 'git',
+    'git_blame': 'git'
+};
 
 export interface LMStudioConfig {
     enabled: boolean;
@@ -32,6 +51,7 @@ export interface LMStudioConfig {
         enabledTools: string[];
         maxConcurrentCalls: number;
         toolTimeout: number;
+        maxIterations: number;
     };
     optimization: {
         contextCompression: boolean;
@@ -40,35 +60,33 @@ export interface LMStudioConfig {
     };
 }
 
-export interface LMStudioConnection {
-    isConnected: boolean;
-    modelInfo?: {
-        name: string;
-        version: string;
-        capabilities: string[];
-    };
-    lastPing?: Date;
-}
-
-export class LMStudioServer extends EventEmitter {
+export class LMStudioServer extends EventEmitter implements LLMToolHost {
     private _config: LMStudioConfig;
-    private _connection: LMStudioConnection;
     private _swarmManager: SwarmManager;
+    private _dependencyGraph?: DependencyGraphService;
+    private _symbolIndex?: SymbolIndexService;
+    private _gitService?: GitService;
+    private _codeSearch = new CodeSearch();
     private _context: vscode.ExtensionContext;
     private _outputChannel: vscode.OutputChannel;
     private _tools: Map<string, MCPTool> = new Map();
     private _resources: Map<string, MCPResource> = new Map();
     private _toolCache: Map<string, { result: any; timestamp: number }> = new Map();
 
-    constructor(context: vscode.ExtensionContext, swarmManager: SwarmManager) {
+    constructor(
+        context: vscode.ExtensionContext,
+        swarmManager: SwarmManager,
+        dependencyGraph?: DependencyGraphService,
+        symbolIndex?: SymbolIndexService,
+        gitService?: GitService
+    ) {
         super();
         this._context = context;
         this._swarmManager = swarmManager;
-        this._outputChannel = vscode.window.createOutputChannel('RUV-Swarm LM Studio');
-        
-        this._connection = {
-            isConnected: false
-        };
+        this._dependencyGraph = dependencyGraph;
+        this._symbolIndex = symbolIndex;
+        this._gitService = gitService;
+        this._outputChannel = vscode.window.createOutputChannel('RUV-Swarm Tools');
 
         this._config = this._loadConfiguration();
         this._initializeTools();
@@ -76,14 +94,28 @@ export class LMStudioServer extends EventEmitter {
         this._setupConfigurationWatcher();
     }
 
-    get isConnected(): boolean {
-        return this._connection.isConnected;
-    }
-
     get tools(): MCPTool[] {
         return Array.from(this._tools.values());
     }
 
+    /**
+     * Registered swarm tools in the OpenAI `tools` format understood by all providers
+     */
+    get toolDefinitions(): LLMToolDefinition[] {
+        return this.tools.map(tool => ({
+            type: 'function',
+            function: {
+                name: tool.name,
+                description: tool.description,
+                parameters: tool.inputSchema
+            }
+        }));
+    }
+
+    get maxToolIterations(): number {
+        return this._config.tools.maxIterations;
+    }
+
     get resources(): MCPResource[] {
         return Array.from(this._resources.values());
     }
@@ -125,10 +157,11 @@ export class LMStudioServer extends EventEmitter {
             },
             tools: {
                 enabledTools: config.get('tools.enabledTools', [
-                    'analyze', 'read', 'generate', 'explain', 'review', 'optimize'
+                    'analyze', 'read', 'generate', 'explain', 'review', 'optimize', 'search', 'symbols', 'dependencies', 'git'
                 ]),
                 maxConcurrentCalls: config.get('tools.maxConcurrentCalls', 3),
-                toolTimeout: config.get('tools.toolTimeout', 15000)
+                toolTimeout: config.get('tools.toolTimeout', 15000),
+                maxIterations: config.get('tools.maxIterations', 5)
             },
             optimization: {
                 contextCompression: config.get('optimization.contextCompression', true),
@@ -143,12 +176,6 @@ export class LMStudioServer extends EventEmitter {
             if (event.affectsConfiguration('ruv-swarm.lmstudio')) {
                 this._config = this._loadConfiguration();
                 this._outputChannel.appendLine('LM Studio configuration updated');
-                
-                if (this._config.enabled && !this._connection.isConnected) {
-                    this.connect();
-                } else if (!this._config.enabled && this._connection.isConnected) {
-                    this.disconnect();
-                }
             }
         });
     }
@@ -297,7 +324,7 @@ export class LMStudioServer extends EventEmitter {
             },
             {
                 name: 'search_codebase',
-                description: 'Search for patterns or text across the codebase',
+                description: 'Search for patterns or text across the codebase, returning each matching line with the lines around it',
                 inputSchema: {
                     type: 'object',
                     properties: {
@@ -305,15 +332,39 @@ export class LMStudioServer extends EventEmitter {
                             type: 'string',
                             description: 'Search query or regex pattern'
                         },
+                        isRegex: {
+                            type: 'boolean',
+                            default: true,
+                            description: 'Treat the query as a regular expression'
+                        },
                         fileTypes: {
                             type: 'array',
                             items: { type: 'string' },
                             description: 'File extensions to search in'
                         },
+                        include: {
+                            type: 'string',
+                            description: 'Glob of files to search, such as src/**'
+                        },
+                        exclude: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Globs of files to leave out'
+                        },
                         caseSensitive: {
                             type: 'boolean',
                             default: false,
                             description: 'Case sensitive search'
+                        },
+                        wholeWord: {
+                            type: 'boolean',
+                            default: false,
+                            description: 'Match whole words only'
+                        },
+                        contextLines: {
+                            type: 'number',
+                            default: 2,
+                            description: 'Lines of context before and after each match'
                         }
                     },
                     required: ['query']
@@ -340,9 +391,197 @@ export class LMStudioServer extends EventEmitter {
             }
         ];
 
+        if (this._symbolIndex) {
+            swarmTools.push(
+                {
+                    name: 'find_symbol',
+                    description: 'Find where functions, classes, methods, types and variables are defined by name',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            query: {
+                                type: 'string',
+                                description: 'Symbol name or part of it; Class.method narrows to a member'
+                            },
+                            kind: {
+                                type: 'string',
+                                description: 'Only symbols of this kind, such as function, method, class, interface or variable'
+                            },
+                            limit: {
+                                type: 'number',
+                                default: 20,
+                                description: 'Maximum number of symbols to return'
+                            }
+                        },
+                        required: ['query']
+                    }
+                },
+                {
+                    name: 'find_references',
+                    description: 'Find every place a symbol is used, given its name or the file and line it is written on',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            symbol: {
+                                type: 'string',
+                                description: 'Symbol name; Class.method narrows to a member'
+                            },
+                            filePath: {
+                                type: 'string',
+                                description: 'File the symbol is written in'
+                            },
+                            line: {
+                                type: 'number',
+                                description: '1-based line of the symbol in filePath'
+                            },
+                            includeDeclaration: {
+                                type: 'boolean',
+                                default: true,
+                                description: 'Include the definition itself'
+                            }
+                        }
+                    }
+                },
+                {
+                    name: 'get_call_hierarchy',
+                    description: 'Get the functions that call a function or method and the functions it calls',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            symbol: {
+                                type: 'string',
+                                description: 'Function or method name; Class.method narrows to a member'
+                            },
+                            filePath: {
+                                type: 'string',
+                                description: 'File the function is written in'
+                            },
+                            line: {
+                                type: 'number',
+                                description: '1-based line of the function name in filePath'
+                            },
+                            direction: {
+                                type: 'string',
+                                enum: ['incoming', 'outgoing', 'both'],
+                                default: 'both',
+                                description: 'Callers, callees or both'
+                            },
+                            depth: {
+                                type: 'number',
+                                default: 1,
+                                description: 'Levels of calls to follow, at most 3'
+                            }
+                        }
+                    }
+                }
+            );
+        }
+
+        if (this._dependencyGraph) {
+            swarmTools.push({
+                name: 'get_dependency_graph',
+                description: 'Get the resolved import graph: a workspace summary with the most imported modules and import cycles, or for one file what it imports, what imports it and which modules a change to it affects',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        filePath: {
+                            type: 'string',
+                            description: 'File to describe; omit for a workspace summary'
+                        },
+                        depth: {
+                            type: 'number',
+                            default: 3,
+                            description: 'How many import levels to follow for the impact of a change'
+                        },
+                        includeExternal: {
+                            type: 'boolean',
+                            default: false,
+                            description: 'Include installed packages and standard library modules'
+                        }
+                    }
+                }
+            });
+        }
+
+        if (this._gitService) {
+            swarmTools.push(
+                {
+                    name: 'get_git_status',
+                    description: 'Get the current branch, its upstream and the staged and unstaged files of the workspace',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {}
+                    }
+                },
+                {
+                    name: 'git_diff',
+                    description: 'Get the changed lines of workspace files as diff hunks: unstaged edits, staged edits, or the commits of the current branch since it left the base branch',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            scope: {
+                                type: 'string',
+                                enum: ['unstaged', 'staged', 'branch'],
+                                default: 'unstaged',
+                                description: 'Which changes to diff'
+                            },
+                            filePath: {
+                                type: 'string',
+                                description: 'Only this file'
+                            },
+                            base: {
+                                type: 'string',
+                                description: 'Branch to compare with for the branch scope; the configured base branch when omitted'
+                            }
+                        }
+                    }
+                },
+                {
+                    name: 'git_log',
+                    description: 'Get the most recent commits of the repository or of one file',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            filePath: {
+                                type: 'string',
+                                description: 'Only commits that changed this file'
+                            },
+                            maxEntries: {
+                                type: 'number',
+                                default: 20,
+                                description: 'Maximum number of commits to return'
+                            }
+                        }
+                    }
+                },
+                {
+                    name: 'git_blame',
+                    description: 'Get the commit, author and date that last changed each line of a file',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            filePath: {
+                                type: 'string',
+                                description: 'File to blame'
+                            },
+                            startLine: {
+                                type: 'number',
+                                description: 'First 1-based line; the whole file when omitted'
+                            },
+                            endLine: {
+                                type: 'number',
+                                description: 'Last 1-based line'
+                            }
+                        },
+                        required: ['filePath']
+                    }
+                }
+            );
+        }
+
         // Filter tools based on configuration
         const enabledTools = swarmTools.filter(tool => 
-            this._config.tools.enabledTools.includes(tool.name.split('_')[0])
+            this._config.tools.enabledTools.includes(TOOL_GROUPS[tool.name] ?? tool.name.split('_')[0])
         );
 
         enabledTools.forEach(tool => {
@@ -393,57 +632,15 @@ export class LMStudioServer extends EventEmitter {
         this._outputChannel.appendLine(`Initialized ${swarmResources.length} swarm resources for LM Studio`);
     }
 
-    async connect(): Promise<void> {
-        if (!this._config.enabled) {
-            throw new Error('LM Studio integration is disabled');
-        }
-
-        try {
-            this._outputChannel.appendLine('Connecting to LM Studio...');
-            
-            // Test connection to LM Studio
-            const response = await this._testConnection();
-            
-            if (response.success) {
-                this._connection.isConnected = true;
-                this._connection.modelInfo = response.modelInfo;
-                this._connection.lastPing = new Date();
-                
-                this._outputChannel.appendLine(`✅ Connected to LM Studio (${response.modelInfo?.name})`);
-                this.emit('connected', this._connection.modelInfo);
-                
-                // Start health monitoring
-                this._startHealthMonitoring();
-            } else {
-                throw new Error(response.error || 'Connection failed');
-            }
-            
-        } catch (error) {
-            this._outputChannel.appendLine(`❌ Failed to connect to LM Studio: ${error}`);
-            this._connection.isConnected = false;
-            throw error;
-        }
-    }
-
-    async disconnect(): Promise<void> {
-        this._connection.isConnected = false;
-        this._connection.modelInfo = undefined;
-        this._outputChannel.appendLine('Disconnected from LM Studio');
-        this.emit('disconnected');
-    }
-
     async callTool(toolName: string, arguments_: Record<string, any>): Promise<MCPToolResult> {
-        if (!this._connection.isConnected) {
-            throw new Error('Not connected to LM Studio');
-        }
-
         const tool = this._tools.get(toolName);
         if (!tool) {
             throw new Error(`Tool not found: ${toolName}`);
         }
 
-        // Check cache if enabled
-        if (this._config.optimization.cacheResults) {
+        // Check cache if enabled; Git results change with the working tree
+        const cacheable = this._config.optimization.cacheResults && TOOL_GROUPS[toolName] !== 'git';
+        if (cacheable) {
             const cacheKey = `${toolName}:${JSON.stringify(arguments_)}`;
             const cached = this._toolCache.get(cacheKey);
             if (cached && Date.now() - cached.timestamp < 300000) { // 5 min cache
@@ -480,17 +677,69 @@ export class LMStudioServer extends EventEmitter {
                     result = await this._getProjectStructure(arguments_.includeFiles, arguments_.maxDepth);
                     break;
                 case 'search_codebase':
-                    result = await this._searchCodebase(arguments_.query, arguments_.fileTypes, arguments_.caseSensitive);
+                    result = await this._codeSearch.search({
+                        query: arguments_.query,
+                        isRegex: arguments_.isRegex,
+                        caseSensitive: arguments_.caseSensitive,
+                        wholeWord: arguments_.wholeWord,
+                        include: arguments_.include,
+                        exclude: arguments_.exclude,
+                        fileTypes: arguments_.fileTypes,
+                        contextLines: arguments_.contextLines
+                    });
+                    break;
+                case 'find_symbol':
+                    result = await this._symbolIndex!.findSymbol({ query: arguments_.query, kind: arguments_.kind, limit: arguments_.limit });
+                    break;
+                case 'find_references':
+                    result = await this._symbolIndex!.findReferences({
+                        symbol: arguments_.symbol,
+                        filePath: arguments_.filePath,
+                        line: arguments_.line,
+                        includeDeclaration: arguments_.includeDeclaration
+                    });
+                    break;
+                case 'get_call_hierarchy':
+                    result = await this._symbolIndex!.getCallHierarchy({
+                        symbol: arguments_.symbol,
+                        filePath: arguments_.filePath,
+                        line: arguments_.line,
+                        direction: arguments_.direction,
+                        depth: arguments_.depth
+                    });
                     break;
                 case 'get_swarm_status':
                     result = await this._getSwarmStatus(arguments_.includeAgents, arguments_.includeMetrics);
                     break;
+                case 'get_dependency_graph':
+                    result = await this._dependencyGraph!.describe({
+                        filePath: arguments_.filePath,
+                        depth: arguments_.depth,
+                        includeExternal: arguments_.includeExternal
+                    });
+                    break;
+                case 'get_git_status':
+                    result = await this._gitService!.getStatus();
+                    break;
+                case 'git_diff':
+                    result = await this._gitService!.getDiff({
+                        scope: arguments_.scope as GitChangeScope | undefined,
+                        filePath: arguments_.filePath,
+                        base: arguments_.base
+                    });
+                    break;
+                case 'git_log':
+                    result = await this._gitService!.getLog({ filePath: arguments_.filePath, maxEntries: arguments_.maxEntries });
+                    break;
+                case 'git_blame':
+                    result = await this._gitService!.getBlame(arguments_.filePath, arguments_.startLine, arguments_.endLine);
+                    break;
                 default:
                     throw new Error(`Unsupported tool: ${toolName}`);
             }
 
             // Cache result if enabled
-            if (this._config.optimization.cacheResults) {
+            if (cacheable) {
                 const cacheKey = `${toolName}:${JSON.stringify(arguments_)}`;
                 this._toolCache.set(cacheKey, { result, timestamp: Date.now() });
             }
@@ -601,23 +850,7 @@ export class LMStudioServer extends EventEmitter {
             throw new Error('No workspace folder found');
         }
 
-        // This would implement directory traversal logic
-        return {
-            root: workspaceFolder.uri.fsPath,
-            structure: 'Project structure would be generated here',
-            includeFiles,
-            maxDepth
-        };
-    }
-
-    private async _searchCodebase(query: string, fileTypes?: string[], caseSensitive: boolean = false): Promise<any> {
-        // This would implement search logic across the codebase
-        return {
-            query,
-            fileTypes,
-            caseSensitive,
-            results: 'Search results would be generated here'
-        };
+        return await buildProjectStructure(workspaceFolder.uri.fsPath, { maxDepth, includeFiles });
     }
 
     private async _getSwarmStatus(includeAgents: boolean = true, includeMetrics: boolean = true): Promise<any> {
@@ -653,128 +886,7 @@ export class LMStudioServer extends EventEmitter {
         return status.performance;
     }
 
-    private async _testConnection(): Promise<{ success: boolean; modelInfo?: any; error?: string }> {
-        try {
-            // Test connection to LM Studio API
-            const url = `http://${this._config.connection.host}:${this._config.connection.port}/v1/models`;
-            
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...(this._config.connection.apiKey && {
-                        'Authorization': `Bearer ${this._config.connection.apiKey}`
-                    })
-                },
-                signal: AbortSignal.timeout(this._config.connection.timeout)
-            });
-
-            if (response.ok) {
-                const data: any = await response.json();
-                const models = data.data || [];
-                const currentModel = models.find((m: any) => 
-                    m.id.toLowerCase().includes(this._config.model.name.toLowerCase())
-                ) || models[0];
-
-                return {
-                    success: true,
-                    modelInfo: {
-                        name: currentModel?.id || 'Unknown',
-                        version: '1.0.0',
-                        capabilities: ['text-generation', 'tool-calling']
-                    }
-                };
-            } else {
-                return {
-                    success: false,
-                    error: `HTTP ${response.status}: ${response.statusText}`
-                };
-            }
-        } catch (error) {
-            return {
-                success: false,
-                error: error instanceof Error ? error.message : String(error)
-            };
-        }
-    }
-
-    private _startHealthMonitoring(): void {
-        setInterval(async () => {
-            if (this._connection.isConnected) {
-                const health = await this._testConnection();
-                if (!health.success) {
-                    this._outputChannel.appendLine('⚠️ LM Studio connection lost');
-                    this._connection.isConnected = false;
-                    this.emit('disconnected');
-                } else {
-                    this._connection.lastPing = new Date();
-                }
-            }
-        }, 30000); // Check every 30 seconds
-    }
-
-    async generateCompletion(prompt: string, options?: {
-        maxTokens?: number;
-        temperature?: number;
-        stopSequences?: string[];
-    }): Promise<string> {
-        if (!this._connection.isConnected) {
-            throw new Error('Not connected to LM Studio');
-        }
-
-        try {
-            const url = `http://${this._config.connection.host}:${this._config.connection.port}/v1/chat/completions`;
-            
-            const requestBody = {
-                model: this._config.model.name,
-                messages: [
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
-                max_tokens: options?.maxTokens || this._config.model.maxTokens,
-                temperature: options?.temperature || this._config.model.temperature,
-                stop: options?.stopSequences || []
-            };
-
-            this._outputChannel.appendLine(`🤖 Generating completion with ${requestBody.max_tokens} max tokens`);
-
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...(this._config.connection.apiKey && {
-                        'Authorization': `Bearer ${this._config.connection.apiKey}`
-                    })
-                },
-                body: JSON.stringify(requestBody),
-                signal: AbortSignal.timeout(this._config.connection.timeout)
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            const data: any = await response.json();
-            
-            if (!data.choices || data.choices.length === 0) {
-                throw new Error('No completion generated');
-            }
-
-            const completion = data.choices[0].message?.content || '';
-            this._outputChannel.appendLine(`✅ Generated completion: ${completion.length} characters`);
-            
-            return completion;
-
-        } catch (error) {
-            this._outputChannel.appendLine(`❌ Completion generation failed: ${error}`);
-            throw new Error(`Failed to generate completion: ${error instanceof Error ? error.message : String(error)}`);
-        }
-    }
-
     dispose(): void {
-        this.disconnect();
         this._outputChannel.dispose();
         this.removeAllListeners();
     }
@@ -7,6 +7,11 @@ import * as vscode from 'vscode';
 import * as path from 'path';
 import * as fs from 'fs/promises';
 import { SwarmManager } from '../../utils/swarmManager';
+import { DependencyGraphService } from '../../dependencies/dependencyGraph';
+import { SymbolIndexService } from '../../navigation/symbolIndex';
+import { CodeSearch } from '../../navigation/codeSearch';
+import { buildProjectStructure } from '../../navigation/projectStructure';
+import { GitChangeScope, GitService } from '../../git/gitService';
 import { MCPTool, MCPToolResult } from '../mcpTypes';
 
 export interface SwarmToolsConfig {
@@ -24,15 +29,30 @@ export interface ToolExecutionContext {
     cursorPosition?: { line: number; character: number };
 }
 
+/** Tool results of these categories change with the working tree and are never cached */
+const UNCACHED_CATEGORIES = ['workspace', 'git'];
+
 export class SwarmToolsProvider {
     private _swarmManager: SwarmManager;
+    private _dependencyGraph?: DependencyGraphService;
+    private _symbolIndex?: SymbolIndexService;
+    private _gitService?: GitService;
+    private _codeSearch = new CodeSearch();
     private _config: SwarmToolsConfig;
     private _outputChannel: vscode.OutputChannel;
     private _executionCache: Map<string, { result: any; timestamp: number }> = new Map();
     private _activeExecutions: Set<string> = new Set();
 
-    constructor(swarmManager: SwarmManager) {
+    constructor(
+        swarmManager: SwarmManager,
+        dependencyGraph?: DependencyGraphService,
+        symbolIndex?: SymbolIndexService,
+        gitService?: GitService
+    ) {
         this._swarmManager = swarmManager;
+        this._dependencyGraph = dependencyGraph;
+        this._symbolIndex = symbolIndex;
+        this._gitService = gitService;
         this._outputChannel = vscode.window.createOutputChannel('RUV-Swarm Tools');
         this._config = this._loadConfiguration();
         this._setupConfigurationWatcher();
@@ -43,7 +63,7 @@ export class SwarmToolsProvider {
         
         return {
             enabledCategories: config.get('enabledCategories', [
-                'file-operations', 'code-analysis', 'project-navigation', 'swarm-management'
+                'file-operations', 'code-analysis', 'project-navigation', 'swarm-management', 'git'
             ]),
             maxFileSize: config.get('maxFileSize', 1024 * 1024), // 1MB
             maxSearchResults: config.get('maxSearchResults', 100),
@@ -77,7 +97,9 @@ export class SwarmToolsProvider {
             // Search and Discovery
             ...this._getSearchTools(),
             // Context and Workspace
-            ...this._getWorkspaceTools()
+            ...this._getWorkspaceTools(),
+            // Version Control
+            ...this._getGitTools()
         ];
 
         // Filter based on enabled categories
@@ -98,7 +120,8 @@ export class SwarmToolsProvider {
 
         // Check cache first
         const cacheKey = `${toolName}:${JSON.stringify(arguments_)}`;
-        const cached = this._executionCache.get(cacheKey);
+        const cacheable = !UNCACHED_CATEGORIES.includes(this._getToolCategory(toolName));
+        const cached = cacheable ? this._executionCache.get(cacheKey) : undefined;
         if (cached && Date.now() - cached.timestamp < this._config.cacheTimeout) {
             this._outputChannel.appendLine(`📋 Using cached result for ${toolName}`);
             return { content: [{ type: 'text', text: JSON.stringify(cached.result, null, 2) }] };
@@ -150,7 +173,47 @@ export class SwarmToolsProvider {
                     result = await this._findFiles(arguments_.pattern, arguments_.exclude, executionContext);
                     break;
                 case 'search_code':
-                    result = await this._searchCode(arguments_.query, arguments_.fileTypes, arguments_.caseSensitive, executionContext);
+                    result = await this._codeSearch.search({
+                        query: arguments_.query,
+                        isRegex: arguments_.isRegex,
+                        caseSensitive: arguments_.caseSensitive,
+                        wholeWord: arguments_.wholeWord,
+                        include: arguments_.include,
+                        exclude: arguments_.exclude,
+                        fileTypes: arguments_.fileTypes,
+                        contextLines: arguments_.contextLines,
+                        maxResults: Math.min(arguments_.maxResults ?? this._config.maxSearchResults, this._config.maxSearchResults)
+                    });
+                    break;
+                case 'find_symbol':
+                    result = await this._requireSymbolIndex().findSymbol({
+                        query: arguments_.query,
+                        kind: arguments_.kind,
+                        limit: arguments_.limit
+                    });
+                    break;
+                case 'find_references':
+                    result = await this._requireSymbolIndex().findReferences({
+                        symbol: arguments_.symbol,
+                        filePath: arguments_.filePath,
+                        line: arguments_.line,
+                        column: arguments_.column,
+                        includeDeclaration: arguments_.includeDeclaration,
+                        limit: arguments_.limit
+                    });
+                    break;
+                case 'get_call_hierarchy':
+                    result = await this._requireSymbolIndex().getCallHierarchy({
+                        symbol: arguments_.symbol,
+                        filePath: arguments_.filePath,
+                        line: arguments_.line,
+                        column: arguments_.column,
+                        direction: arguments_.direction,
+                        depth: arguments_.depth
+                    });
+                    break;
+                case 'get_dependency_graph':
+                    result = await this._getDependencyGraph(arguments_.filePath, arguments_.depth, arguments_.includeExternal);
                     break;
 
                 // Swarm Management
@@ -181,8 +244,23 @@ export class SwarmToolsProvider {
                 case 'get_open_files':
                     result = await this._getOpenFiles();
                     break;
+
+                // Version Control
                 case 'get_git_status':
-                    result = await this._getGitStatus(executionContext);
+                    result = await this._requireGitService().getStatus();
+                    break;
+                case 'git_diff':
+                    result = await this._requireGitService().getDiff({
+                        scope: arguments_.scope as GitChangeScope | undefined,
+                        filePath: arguments_.filePath,
+                        base: arguments_.base
+                    });
+                    break;
+                case 'git_log':
+                    result = await this._requireGitService().getLog({ filePath: arguments_.filePath, maxEntries: arguments_.maxEntries });
+                    break;
+                case 'git_blame':
+                    result = await this._requireGitService().getBlame(arguments_.filePath, arguments_.startLine, arguments_.endLine);
                     break;
 
                 default:
@@ -190,7 +268,9 @@ export class SwarmToolsProvider {
             }
 
             // Cache the result
-            this._executionCache.set(cacheKey, { result, timestamp: Date.now() });
+            if (cacheable) {
+                this._executionCache.set(cacheKey, { result, timestamp: Date.now() });
+            }
 
             return {
                 content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
@@ -383,20 +463,85 @@ export class SwarmToolsProvider {
             },
             {
                 name: 'search_code',
-                description: 'Search for text or patterns in code',
+                description: 'Search for text or patterns in code, returning each matching line with the lines around it',
                 inputSchema: {
                     type: 'object',
                     properties: {
                         query: { type: 'string', description: 'Search query or regex pattern' },
+                        isRegex: { type: 'boolean', default: true, description: 'Treat the query as a regular expression' },
                         fileTypes: { 
                             type: 'array', 
                             items: { type: 'string' },
                             description: 'File extensions to search in' 
                         },
-                        caseSensitive: { type: 'boolean', default: false, description: 'Case sensitive search' }
+                        include: { type: 'string', description: 'Glob of files to search, such as src/**' },
+                        exclude: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Globs of files to leave out'
+                        },
+                        caseSensitive: { type: 'boolean', default: false, description: 'Case sensitive search' },
+                        wholeWord: { type: 'boolean', default: false, description: 'Match whole words only' },
+                        contextLines: { type: 'number', default: 2, description: 'Lines of context before and after each match' },
+                        maxResults: { type: 'number', description: 'Maximum number of matching lines to return' }
+                    },
+                    required: ['query']
+                }
+            },
+            {
+                name: 'find_symbol',
+                description: 'Find where functions, classes, methods, types and variables are defined by name',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        query: { type: 'string', description: 'Symbol name or part of it; Class.method narrows to a member' },
+                        kind: { type: 'string', description: 'Only symbols of this kind, such as function, method, class, interface or variable' },
+                        limit: { type: 'number', default: 20, description: 'Maximum number of symbols to return' }
                     },
                     required: ['query']
                 }
+            },
+            {
+                name: 'find_references',
+                description: 'Find every place a symbol is used, given its name or the file and line it is written on',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        symbol: { type: 'string', description: 'Symbol name; Class.method narrows to a member' },
+                        filePath: { type: 'string', description: 'File the symbol is written in' },
+                        line: { type: 'number', description: '1-based line of the symbol in filePath' },
+                        column: { type: 'number', description: '1-based column of the symbol; found from symbol when omitted' },
+                        includeDeclaration: { type: 'boolean', default: true, description: 'Include the definition itself' },
+                        limit: { type: 'number', description: 'Maximum number of references to return' }
+                    }
+                }
+            },
+            {
+                name: 'get_call_hierarchy',
+                description: 'Get the functions that call a function or method and the functions it calls',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        symbol: { type: 'string', description: 'Function or method name; Class.method narrows to a member' },
+                        filePath: { type: 'string', description: 'File the function is written in' },
+                        line: { type: 'number', description: '1-based line of the function name in filePath' },
+                        column: { type: 'number', description: '1-based column of the function name' },
+                        direction: { type: 'string', enum: ['incoming', 'outgoing', 'both'], default: 'both', description: 'Callers, callees or both' },
+                        depth: { type: 'number', default: 1, description: 'Levels of calls to follow, at most 3' }
+                    }
+                }
+            },
+            {
+                name: 'get_dependency_graph',
+                description: 'Get the resolved import graph: a workspace summary with the most imported modules and import cycles, or for one file what it imports, what imports it and which modules a change to it affects',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        filePath: { type: 'string', description: 'File to describe; omit for a workspace summary' },
+                        depth: { type: 'number', default: 3, description: 'How many import levels to follow for the impact of a change' },
+                        includeExternal: { type: 'boolean', default: false, description: 'Include installed packages and standard library modules' }
+                    }
+                }
             }
         ];
     }
@@ -479,14 +624,55 @@ export class SwarmToolsProvider {
                     type: 'object',
                     properties: {}
                 }
-            },
+            }
+        ];
+    }
+
+    private _getGitTools(): MCPTool[] {
+        return [
             {
                 name: 'get_git_status',
-                description: 'Get Git repository status',
+                description: 'Get the current branch, its upstream and the staged and unstaged files of the workspace',
                 inputSchema: {
                     type: 'object',
                     properties: {}
                 }
+            },
+            {
+                name: 'git_diff',
+                description: 'Get the changed lines of workspace files as diff hunks: unstaged edits, staged edits, or the commits of the current branch since it left the base branch',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        scope: { type: 'string', enum: ['unstaged', 'staged', 'branch'], default: 'unstaged', description: 'Which changes to diff' },
+                        filePath: { type: 'string', description: 'Only this file' },
+                        base: { type: 'string', description: 'Branch to compare with for the branch scope; the configured base branch when omitted' }
+                    }
+                }
+            },
+            {
+                name: 'git_log',
+                description: 'Get the most recent commits of the repository or of one file',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        filePath: { type: 'string', description: 'Only commits that changed this file' },
+                        maxEntries: { type: 'number', default: 20, description: 'Maximum number of commits to return' }
+                    }
+                }
+            },
+            {
+                name: 'git_blame',
+                description: 'Get the commit, author and date that last changed each line of a file',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        filePath: { type: 'string', description: 'File to blame' },
+                        startLine: { type: 'number', description: 'First 1-based line; the whole file when omitted' },
+                        endLine: { type: 'number', description: 'Last 1-based line' }
+                    },
+                    required: ['filePath']
+                }
             }
         ];
     }
@@ -498,15 +684,19 @@ export class SwarmToolsProvider {
         if (['analyze_syntax', 'analyze_performance', 'analyze_security', 'explain_code', 'generate_tests', 'code_review'].includes(toolName)) {
             return 'code-analysis';
         }
-        if (['get_project_structure', 'find_files', 'search_code'].includes(toolName)) {
+        if (['get_project_structure', 'find_files', 'search_code', 'find_symbol', 'find_references', 'get_call_hierarchy',
+            'get_dependency_graph'].includes(toolName)) {
             return 'project-navigation';
         }
         if (['get_swarm_status', 'spawn_agent', 'execute_swarm_task'].includes(toolName)) {
             return 'swarm-management';
         }
-        if (['get_workspace_info', 'get_open_files', 'get_git_status'].includes(toolName)) {
+        if (['get_workspace_info', 'get_open_files'].includes(toolName)) {
             return 'workspace';
         }
+        if (['get_git_status', 'git_diff', 'git_log', 'git_blame'].includes(toolName)) {
+            return 'git';
+        }
         return 'other';
     }
 
@@ -620,13 +810,10 @@ export class SwarmToolsProvider {
     }
 
     private async _getProjectStructure(maxDepth: number = 3, includeFiles: boolean = true, context: ToolExecutionContext): Promise<any> {
-        // Implementation would traverse directory structure
-        return {
-            root: context.workspaceRoot,
-            maxDepth,
-            includeFiles,
-            structure: 'Project structure would be generated here'
-        };
+        if (!context.workspaceRoot) {
+            throw new Error('No workspace folder found');
+        }
+        return await buildProjectStructure(context.workspaceRoot, { maxDepth, includeFiles });
     }
 
     private async _findFiles(pattern: string, exclude: string[] = [], context: ToolExecutionContext): Promise<any> {
@@ -646,14 +833,18 @@ export class SwarmToolsProvider {
         };
     }
 
-    private async _searchCode(query: string, fileTypes?: string[], caseSensitive: boolean = false, context?: ToolExecutionContext): Promise<any> {
-        // Implementation would search across codebase
-        return {
-            query,
-            fileTypes,
-            caseSensitive,
-            results: 'Search results would be generated here'
-        };
+    private _requireSymbolIndex(): SymbolIndexService {
+        if (!this._symbolIndex) {
+            throw new Error('Symbol index is not available');
+        }
+        return this._symbolIndex;
+    }
+
+    private async _getDependencyGraph(filePath?: string, depth?: number, includeExternal?: boolean): Promise<any> {
+        if (!this._dependencyGraph) {
+            throw new Error('Dependency graph is not available');
+        }
+        return await this._dependencyGraph.describe({ filePath, depth, includeExternal });
     }
 
     private async _getSwarmStatus(includeAgents: boolean = true, includeMetrics: boolean = true): Promise<any> {
@@ -712,12 +903,11 @@ export class SwarmToolsProvider {
         };
     }
 
-    private async _getGitStatus(context: ToolExecutionContext): Promise<any> {
-        // Implementation would check Git status
-        return {
-            repository: context.workspaceRoot,
-            status: 'Git status would be checked here'
-        };
+    private _requireGitService(): GitService {
+        if (!this._gitService) {
+            throw new Error('Git integration is not available');
+        }
+        return this._gitService;
     }
 
     dispose(): void {
@@ -0,0 +1,433 @@
+/**
+ * Complexity Analyzer - Per-function metrics measured on the syntax tree
+ * Cyclomatic complexity counts a function's decision points. Cognitive
+ * complexity follows the SonarSource definition: breaks in the linear flow
+ * cost one more for every level they are nested at, and a run of the same
+ * boolean operator counts once. Strings and comments never count.
+ * Named functions nested in another one are measured on their own; callbacks
+ * and lambdas count toward the function they are written in.
+ */
+
+import * as ts from 'typescript';
+import Parser from 'web-tree-sitter';
+import { FunctionComplexity } from '../types';
+import { AstLanguage, TreeSitterLanguage, createTypeScriptSource, getEndLine, withTreeSitterTree } from '../pipelines/astChunker';
+
+interface TreeSitterRules {
+    functions: Set<string>;
+    /** Classes, impls, traits and modules whose functions are qualified with their name */
+    containers: Set<string>;
+    lambdas: Set<string>;
+    ifs: Set<string>;
+    loops: Set<string>;
+    switches: Set<string>;
+    /** Switch cases and match arms; a wildcard arm is not a decision */
+    cases: Set<string>;
+    catches: Set<string>;
+    ternaries: Set<string>;
+    /** Decisions without a structure of their own, such as comprehension clauses */
+    decisions: Set<string>;
+    logical: Set<string>;
+    comments: Set<string>;
+    separator: string;
+}
+
+const TREE_SITTER_RULES: Record<TreeSitterLanguage, TreeSitterRules> = {
+    python: {
+        functions: new Set(['function_definition']),
+        containers: new Set(['class_definition']),
+        lambdas: new Set(['lambda']),
+        ifs: new Set(['if_statement']),
+        loops: new Set(['for_statement', 'while_statement']),
+        switches: new Set(['match_statement']),
+        cases: new Set(['case_clause']),
+        catches: new Set(['except_clause']),
+        ternaries: new Set(['conditional_expression']),
+        decisions: new Set(['if_clause', 'for_in_clause']),
+        logical: new Set(['boolean_operator']),
+        comments: new Set(['comment']),
+        separator: '.'
+    },
+    rust: {
+        functions: new Set(['function_item']),
+        containers: new Set(['impl_item', 'trait_item', 'mod_item']),
+        lambdas: new Set(['closure_expression']),
+        ifs: new Set(['if_expression', 'if_let_expression']),
+        loops: new Set(['for_expression', 'while_expression', 'while_let_expression', 'loop_expression']),
+        switches: new Set(['match_expression']),
+        cases: new Set(['match_arm']),
+        catches: new Set(),
+        ternaries: new Set(),
+        decisions: new Set(),
+        logical: new Set(['binary_expression']),
+        comments: new Set(['line_comment', 'block_comment']),
+        separator: '::'
+    },
+    go: {
+        functions: new Set(['function_declaration', 'method_declaration']),
+        containers: new Set(),
+        lambdas: new Set(['func_literal']),
+        ifs: new Set(['if_statement']),
+        loops: new Set(['for_statement']),
+        switches: new Set(['expression_switch_statement', 'type_switch_statement', 'select_statement']),
+        cases: new Set(['expression_case', 'type_case', 'communication_case']),
+        catches: new Set(),
+        ternaries: new Set(),
+        decisions: new Set(),
+        logical: new Set(['binary_expression']),
+        comments: new Set(['comment']),
+        separator: '.'
+    }
+};
+
+const LOGICAL_OPERATORS = new Set(['&&', '||', '??', 'and', 'or']);
+
+class MetricsCounter {
+    cyclomatic = 1;
+    cognitive = 0;
+    maxNesting = 0;
+    lines = new Set<number>();
+
+    /** A structure that breaks the linear flow at the given nesting level */
+    addStructure(nesting: number, decision: boolean = true): void {
+        this.cyclomatic += decision ? 1 : 0;
+        this.cognitive += 1 + nesting;
+    }
+
+    enter(nesting: number): void {
+        this.maxNesting = Math.max(this.maxNesting, nesting);
+    }
+
+    addLines(startLine: number, endLine: number): void {
+        for (let line = startLine; line <= endLine; line++) {
+            this.lines.add(line);
+        }
+    }
+}
+
+export class ComplexityAnalyzer {
+    /**
+     * Metrics of every named function and method, in file order
+     */
+    async analyze(filePath: string, content: string, language: AstLanguage): Promise<FunctionComplexity[]> {
+        const functions = language === 'typescript' || language === 'javascript'
+            ? this._analyzeTypeScript(filePath, content)
+            : await withTreeSitterTree(content, language, root => this._analyzeTreeSitter(root, language));
+
+        return functions.sort((a, b) => a.startLine - b.startLine);
+    }
+
+    private _analyzeTypeScript(filePath: string, content: string): FunctionComplexity[] {
+        const sourceFile = createTypeScriptSource(filePath, content);
+        const lineOf = (position: number) => sourceFile.getLineAndCharacterOfPosition(position).line + 1;
+        const results: FunctionComplexity[] = [];
+
+        const collect = (node: ts.Node, scope: string[]): void => {
+            const name = getTypeScriptFunctionName(node, sourceFile);
+            if (name !== undefined) {
+                measure(node as ts.FunctionLikeDeclaration, scope, name);
+            } else if (ts.isClassLike(node)) {
+                const className = node.name?.text ??
+                    (ts.isVariableDeclaration(node.parent) ? node.parent.name.getText(sourceFile) : 'class');
+                ts.forEachChild(node, child => collect(child, [...scope, className]));
+            } else {
+                ts.forEachChild(node, child => collect(child, scope));
+            }
+        };
+
+        const measure = (declaration: ts.FunctionLikeDeclaration, scope: string[], name: string): void => {
+            const counter = new MetricsCounter();
+            const innerScope = [...scope, name];
+
+            const visit = (node: ts.Node, nesting: number): void => {
+                counter.enter(nesting);
+
+                if (getTypeScriptFunctionName(node, sourceFile) !== undefined || ts.isClassLike(node)) {
+                    collect(node, innerScope);
+                    return;
+                }
+
+                if (ts.isFunctionLike(node)) {
+                    ts.forEachChild(node, child => visit(child, nesting + 1));
+                } else if (ts.isIfStatement(node)) {
+                    visitIf(node, nesting, false);
+                } else if (ts.isIterationStatement(node, false)) {
+                    counter.addStructure(nesting);
+                    ts.forEachChild(node, child => visit(child, child === node.statement ? nesting + 1 : nesting));
+                } else if (ts.isSwitchStatement(node)) {
+                    counter.addStructure(nesting, false);
+                    visit(node.expression, nesting);
+                    for (const clause of node.caseBlock.clauses) {
+                        counter.cyclomatic += ts.isCaseClause(clause) ? 1 : 0;
+                        ts.forEachChild(clause, child => visit(child, nesting + 1));
+                    }
+                } else if (ts.isCatchClause(node) || ts.isConditionalExpression(node)) {
+                    counter.addStructure(nesting);
+                    ts.forEachChild(node, child => visit(child, nesting + 1));
+                } else {
+                    if (ts.isBinaryExpression(node) && LOGICAL_OPERATORS.has(node.operatorToken.getText(sourceFile))) {
+                        counter.cyclomatic++;
+                        let parent = node.parent;
+                        while (ts.isParenthesizedExpression(parent)) {
+                            parent = parent.parent;
+                        }
+                        if (!ts.isBinaryExpression(parent) || parent.operatorToken.kind !== node.operatorToken.kind) {
+                            counter.cognitive++;
+                        }
+                    } else if ((ts.isBreakStatement(node) || ts.isContinueStatement(node)) && node.label) {
+                        counter.cognitive++;
+                    }
+                    ts.forEachChild(node, child => visit(child, nesting));
+                }
+            };
+
+            const visitIf = (node: ts.IfStatement, nesting: number, elseIf: boolean): void => {
+                counter.cyclomatic++;
+                counter.cognitive += elseIf ? 1 : 1 + nesting;
+                visit(node.expression, nesting);
+                visit(node.thenStatement, nesting + 1);
+
+                if (node.elseStatement && ts.isIfStatement(node.elseStatement)) {
+                    visitIf(node.elseStatement, nesting, true);
+                } else if (node.elseStatement) {
+                    counter.cognitive++;
+                    visit(node.elseStatement, nesting + 1);
+                }
+            };
+
+            // Tokens are the leaves of the tree; comments are trivia and never become one
+            const markLines = (node: ts.Node): void => {
+                if (node.kind >= ts.SyntaxKind.FirstJSDocNode && node.kind <= ts.SyntaxKind.LastJSDocNode) {
+                    return;
+                }
+                const children = node.getChildren(sourceFile);
+                if (children.length > 0) {
+                    children.forEach(markLines);
+                } else if (node.getEnd() > node.getStart(sourceFile)) {
+                    counter.addLines(lineOf(node.getStart(sourceFile)), lineOf(node.getEnd()));
+                }
+            };
+
+            if (declaration.body) {
+                visit(declaration.body, 0);
+            }
+            markLines(declaration);
+
+            const isMethod = ts.isClassLike(declaration.parent) || ts.isObjectLiteralExpression(declaration.parent) ||
+                (ts.isPropertyDeclaration(declaration.parent) && ts.isClassLike(declaration.parent.parent));
+
+            results.push({
+                name: innerScope.join('.'),
+                kind: isMethod ? 'method' : 'function',
+                startLine: lineOf(declaration.getStart(sourceFile)),
+                endLine: lineOf(declaration.getEnd()),
+                cyclomatic: counter.cyclomatic,
+                cognitive: counter.cognitive,
+                maxNesting: counter.maxNesting,
+                parameters: declaration.parameters.filter(parameter => parameter.name.getText(sourceFile) !== 'this').length,
+                loc: counter.lines.size
+            });
+        };
+
+        collect(sourceFile, []);
+        return results;
+    }
+
+    private _analyzeTreeSitter(root: Parser.SyntaxNode, language: TreeSitterLanguage): FunctionComplexity[] {
+        const rules = TREE_SITTER_RULES[language];
+        const results: FunctionComplexity[] = [];
+
+        const collect = (node: Parser.SyntaxNode, scope: string[], inContainer: boolean): void => {
+            if (rules.functions.has(node.type)) {
+                measure(node, scope, inContainer);
+            } else if (rules.containers.has(node.type)) {
+                const name = (node.type === 'impl_item' ? node.childForFieldName('type') : node.childForFieldName('name'))?.text ?? node.type;
+                // Methods live in impls, traits and classes, functions in modules
+                node.namedChildren.forEach(child => collect(child, [...scope, name], node.type !== 'mod_item'));
+            } else {
+                node.namedChildren.forEach(child => collect(child, scope, inContainer));
+            }
+        };
+
+        const measure = (declaration: Parser.SyntaxNode, scope: string[], inContainer: boolean): void => {
+            const counter = new MetricsCounter();
+            const name = declaration.childForFieldName('name')?.text ?? 'anonymous';
+            // (s *Server) or (l List[T]) names its receiver type Server or List
+            const receiver = declaration.type === 'method_declaration'
+                ? declaration.childForFieldName('receiver')?.text.match(/(\w+)(?:\[[^\]]*\])?\s*\)$/)?.[1]
+                : undefined;
+            const innerScope = [...scope, ...(receiver ? [receiver] : []), name];
+
+            const visit = (node: Parser.SyntaxNode, nesting: number): void => {
+                counter.enter(nesting);
+
+                if (rules.functions.has(node.type) || rules.containers.has(node.type)) {
+                    collect(node, innerScope, false);
+                } else if (rules.lambdas.has(node.type)) {
+                    node.namedChildren.forEach(child => visit(child, nesting + 1));
+                } else if (rules.ifs.has(node.type)) {
+                    visitIf(node, nesting, false);
+                } else if (rules.loops.has(node.type)) {
+                    counter.addStructure(nesting);
+                    visitFields(node, nesting);
+                } else if (rules.switches.has(node.type)) {
+                    counter.addStructure(nesting, false);
+                    node.namedChildren.forEach(child => visit(child, nesting + 1));
+                } else if (rules.catches.has(node.type) || rules.ternaries.has(node.type)) {
+                    counter.addStructure(nesting);
+                    node.namedChildren.forEach(child => visit(child, nesting + 1));
+                } else {
+                    if (rules.cases.has(node.type) && node.namedChildren[0]?.text.trim() !== '_') {
+                        counter.cyclomatic++;
+                    } else if (rules.decisions.has(node.type)) {
+                        counter.cyclomatic++;
+                    } else if (rules.logical.has(node.type)) {
+                        const operator = node.childForFieldName('operator')?.type;
+                        if (operator && LOGICAL_OPERATORS.has(operator)) {
+                            counter.cyclomatic++;
+                            let parent = node.parent;
+                            while (parent?.type === 'parenthesized_expression') {
+                                parent = parent.parent;
+                            }
+                            if (!parent || !rules.logical.has(parent.type) || parent.childForFieldName('operator')?.type !== operator) {
+                                counter.cognitive++;
+                            }
+                        }
+                    }
+                    node.namedChildren.forEach(child => visit(child, nesting));
+                }
+            };
+
+            const visitIf = (node: Parser.SyntaxNode, nesting: number, elseIf: boolean): void => {
+                counter.cyclomatic++;
+                counter.cognitive += elseIf ? 1 : 1 + nesting;
+                visitFields(node, nesting);
+            };
+
+            // Bodies are nested one level deeper; conditions and else branches are not
+            const visitFields = (node: Parser.SyntaxNode, nesting: number): void => {
+                for (let i = 0; i < node.childCount; i++) {
+                    const child = node.child(i)!;
+                    const field = node.fieldNameForChild(i);
+                    if (!child.isNamed) {
+                        continue;
+                    }
+                    if (field === 'alternative') {
+                        visitElse(child, nesting);
+                    } else {
+                        visit(child, field === 'body' || field === 'consequence' ? nesting + 1 : nesting);
+                    }
+                }
+            };
+
+            const visitElse = (alternative: Parser.SyntaxNode, nesting: number): void => {
+                // Go chains else if directly, Rust wraps it in an else clause, Python has elif
+                const elseIf = rules.ifs.has(alternative.type)
+                    ? alternative
+                    : alternative.type === 'else_clause' && alternative.namedChildCount === 1 && rules.ifs.has(alternative.namedChildren[0].type)
+                        ? alternative.namedChildren[0]
+                        : undefined;
+
+                if (elseIf) {
+                    visitIf(elseIf, nesting, true);
+                } else if (alternative.type === 'elif_clause') {
+                    visitIf(alternative, nesting, true);
+                } else {
+                    counter.cognitive++;
+                    visit(alternative, nesting + 1);
+                }
+            };
+
+            const markLines = (node: Parser.SyntaxNode): void => {
+                if (rules.comments.has(node.type)) {
+                    return;
+                }
+                if (node.childCount > 0) {
+                    node.children.forEach(markLines);
+                } else if (node.endIndex > node.startIndex) {
+                    counter.addLines(node.startPosition.row + 1, getEndLine(node));
+                }
+            };
+
+            const body = declaration.childForFieldName('body');
+            if (body) {
+                visit(body, 0);
+            }
+            markLines(declaration);
+
+            results.push({
+                name: innerScope.join(rules.separator),
+                kind: inContainer || receiver ? 'method' : 'function',
+                startLine: declaration.startPosition.row + 1,
+                endLine: getEndLine(declaration),
+                cyclomatic: counter.cyclomatic,
+                cognitive: counter.cognitive,
+                maxNesting: counter.maxNesting,
+                parameters: countTreeSitterParameters(declaration.childForFieldName('parameters'), inContainer),
+                loc: counter.lines.size
+            });
+        };
+
+        collect(root, [], false);
+        return results;
+    }
+}
+
+/**
+ * The name a function-like node is measured under, or undefined for nodes
+ * that are not measured on their own: anonymous callbacks and lambdas
+ */
+function getTypeScriptFunctionName(node: ts.Node, sourceFile: ts.SourceFile): string | undefined {
+    if (ts.isFunctionDeclaration(node)) {
+        return node.body ? node.name?.text ?? 'default' : undefined;
+    }
+    if (ts.isConstructorDeclaration(node)) {
+        return node.body ? 'constructor' : undefined;
+    }
+    if (ts.isMethodDeclaration(node) || ts.isGetAccessorDeclaration(node) || ts.isSetAccessorDeclaration(node)) {
+        return node.body ? node.name.getText(sourceFile) : undefined;
+    }
+
+    // const handler = () => ..., field = function () ... and { key: () => ... }
+    if ((ts.isArrowFunction(node) || ts.isFunctionExpression(node)) &&
+        (ts.isVariableDeclaration(node.parent) || ts.isPropertyDeclaration(node.parent) || ts.isPropertyAssignment(node.parent))) {
+        return node.parent.name.getText(sourceFile);
+    }
+
+    return undefined;
+}
+
+function countTreeSitterParameters(parameters: Parser.SyntaxNode | null, isMethod: boolean): number {
+    if (!parameters) {
+        return 0;
+    }
+
+    let count = 0;
+    parameters.namedChildren.forEach((parameter, index) => {
+        switch (parameter.type) {
+            // Python's bare * and / only separate the other parameters
+            case 'comment':
+            case 'line_comment':
+            case 'block_comment':
+            case 'attribute_item':
+            case 'self_parameter':
+            case 'keyword_separator':
+            case 'positional_separator':
+                return;
+            case 'parameter_declaration':
+            case 'variadic_parameter_declaration':
+                // Go declares a, b int as one parameter_declaration
+                count += Math.max(1, parameter.childrenForFieldName('name').length);
+                return;
+            case 'identifier':
+                if (isMethod && index === 0 && (parameter.text === 'self' || parameter.text === 'cls')) {
+                    return;
+                }
+                count++;
+                return;
+            default:
+                count++;
+        }
+    });
+    return count;
+}
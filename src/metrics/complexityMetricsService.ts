@@ -0,0 +1,267 @@
+/**
+ * Complexity Metrics Service - Measures functions with the complexity
+ * analyzer and keeps the results of every saved file revision in the SQLite
+ * memory bank, so the dashboard can rank hotspots across the workspace and
+ * show how they changed. Open documents are measured as they are edited but
+ * only saved content is stored.
+ */
+
+import * as vscode from 'vscode';
+import * as fs from 'fs/promises';
+import { createHash } from 'crypto';
+import { ComplexityHotspot, FunctionComplexity } from '../types';
+import { SQLiteMemoryBank } from '../hive/sqliteMemoryBank';
+import { getAstLanguage } from '../pipelines/astChunker';
+import { ComplexityAnalyzer } from './complexityAnalyzer';
+
+export interface ComplexityMetricsConfig {
+    codeLens: {
+        enabled: boolean;
+    };
+    /** Functions above either threshold are flagged */
+    thresholds: {
+        cyclomatic: number;
+        cognitive: number;
+    };
+    include: string;
+    exclude: string;
+    maxFiles: number;
+    maxFileSize: number;
+    hotspotLimit: number;
+}
+
+interface MeasuredRevision {
+    revision: string;
+    measuredAt: Date;
+    functions: FunctionComplexity[];
+}
+
+export class ComplexityMetricsService implements vscode.Disposable {
+    private _outputChannel: vscode.OutputChannel;
+    private _config: ComplexityMetricsConfig;
+    private _analyzer = new ComplexityAnalyzer();
+    private _memoryBank?: SQLiteMemoryBank;
+    private _workspaceId: string;
+    /** Metrics of open documents, by URI and version */
+    private _documentMetrics = new Map<string, { version: number; functions: Promise<FunctionComplexity[]> }>();
+    /** The latest revision measured per file this session */
+    private _fileMetrics = new Map<string, MeasuredRevision>();
+    private _onDidChangeMetrics = new vscode.EventEmitter<void>();
+    private _disposables: vscode.Disposable[] = [];
+
+    public readonly onDidChangeMetrics = this._onDidChangeMetrics.event;
+
+    constructor(memoryBank?: SQLiteMemoryBank) {
+        this._memoryBank = memoryBank;
+        this._outputChannel = vscode.window.createOutputChannel('RUV-Swarm Code Metrics');
+        this._config = this._loadConfiguration();
+        this._workspaceId = this._resolveWorkspaceId();
+
+        this._disposables.push(
+            vscode.workspace.onDidChangeConfiguration(event => {
+                if (event.affectsConfiguration('ruv-swarm.metrics')) {
+                    this._config = this._loadConfiguration();
+                    this._onDidChangeMetrics.fire();
+                }
+            }),
+            vscode.workspace.onDidSaveTextDocument(document => this._recordDocument(document)),
+            vscode.workspace.onDidOpenTextDocument(document => this._recordDocument(document)),
+            vscode.workspace.onDidCloseTextDocument(document => this._documentMetrics.delete(document.uri.toString())),
+            vscode.workspace.onDidDeleteFiles(event => {
+                for (const uri of event.files) {
+                    this._forgetFile(uri.fsPath);
+                }
+            })
+        );
+    }
+
+    get config(): ComplexityMetricsConfig {
+        return this._config;
+    }
+
+    async initialize(): Promise<void> {
+        if (!this._memoryBank) {
+            this._outputChannel.appendLine('⚠️ Code metrics are kept for this session only: the memory bank is unavailable');
+        }
+
+        for (const document of vscode.workspace.textDocuments) {
+            this._recordDocument(document);
+        }
+    }
+
+    /**
+     * Metrics of a document as currently edited; undefined for languages
+     * without a parser
+     */
+    getDocumentMetrics(document: vscode.TextDocument): Promise<FunctionComplexity[]> | undefined {
+        const language = getAstLanguage(document.uri.fsPath);
+        if (!language) {
+            return undefined;
+        }
+
+        const uri = document.uri.toString();
+        const cached = this._documentMetrics.get(uri);
+        if (cached?.version === document.version) {
+            return cached.functions;
+        }
+
+        const functions = this._analyzer.analyze(document.uri.fsPath, document.getText(), language);
+        this._documentMetrics.set(uri, { version: document.version, functions });
+        // A failed parse is retried with the next version instead of being cached
+        functions.catch(() => this._documentMetrics.delete(uri));
+        return functions;
+    }
+
+    isAboveThreshold(fn: FunctionComplexity): boolean {
+        return fn.cyclomatic > this._config.thresholds.cyclomatic || fn.cognitive > this._config.thresholds.cognitive;
+    }
+
+    /**
+     * Measures a revision of a file and stores it unless it was measured
+     * already; returns true when the revision was new
+     */
+    async recordFile(filePath: string, content: string): Promise<boolean> {
+        const language = getAstLanguage(filePath);
+        if (!language) {
+            return false;
+        }
+
+        const revision = createHash('sha1').update(content).digest('hex');
+        if (this._fileMetrics.get(filePath)?.revision === revision) {
+            return false;
+        }
+
+        const functions = await this._analyzer.analyze(filePath, content, language);
+        this._fileMetrics.set(filePath, { revision, measuredAt: new Date(), functions });
+
+        let stored = true;
+        if (this._memoryBank) {
+            try {
+                stored = await this._memoryBank.storeFunctionMetrics(this._workspaceId, filePath, revision, language, functions);
+            } catch (error) {
+                this._outputChannel.appendLine(`⚠️ Failed to store metrics of ${filePath}: ${error instanceof Error ? error.message : String(error)}`);
+            }
+        }
+
+        if (stored) {
+            this._onDidChangeMetrics.fire();
+        }
+        return stored;
+    }
+
+    /**
+     * Measures every supported file of the workspace; files whose content is
+     * unchanged since their last measurement are not stored again
+     */
+    async measureWorkspace(): Promise<{ files: number; measured: number; functions: number }> {
+        return vscode.window.withProgress(
+            { location: vscode.ProgressLocation.Notification, title: 'Measuring code complexity', cancellable: true },
+            async (progress, token) => {
+                const startTime = Date.now();
+                const uris = await vscode.workspace.findFiles(this._config.include, this._config.exclude, this._config.maxFiles);
+                let measured = 0;
+                let functions = 0;
+
+                for (const [position, uri] of uris.entries()) {
+                    if (token.isCancellationRequested) {
+                        break;
+                    }
+                    progress.report({ message: `${position + 1}/${uris.length}`, increment: 100 / uris.length });
+
+                    try {
+                        const stat = await fs.stat(uri.fsPath);
+                        if (stat.size > this._config.maxFileSize) {
+                            continue;
+                        }
+                        if (await this.recordFile(uri.fsPath, await fs.readFile(uri.fsPath, 'utf8'))) {
+                            measured++;
+                        }
+                        functions += this._fileMetrics.get(uri.fsPath)?.functions.length ?? 0;
+                    } catch (error) {
+                        this._outputChannel.appendLine(`⚠️ Failed to measure ${uri.fsPath}: ${error instanceof Error ? error.message : String(error)}`);
+                    }
+                }
+
+                this._outputChannel.appendLine(`📐 Measured ${functions} functions in ${uris.length} files (${measured} new revisions) in ${Date.now() - startTime}ms`);
+                return { files: uris.length, measured, functions };
+            }
+        );
+    }
+
+    /**
+     * The most complex functions of the latest revision of every measured file
+     */
+    async getHotspots(limit: number = this._config.hotspotLimit): Promise<ComplexityHotspot[]> {
+        if (this._memoryBank) {
+            try {
+                return await this._memoryBank.getComplexityHotspots(this._workspaceId, limit);
+            } catch (error) {
+                this._outputChannel.appendLine(`⚠️ Failed to load hotspots, showing this session's: ${error instanceof Error ? error.message : String(error)}`);
+            }
+        }
+
+        const hotspots: ComplexityHotspot[] = [];
+        for (const [filePath, measured] of this._fileMetrics) {
+            for (const fn of measured.functions) {
+                hotspots.push({ ...fn, filePath, revision: measured.revision, measuredAt: measured.measuredAt });
+            }
+        }
+
+        return hotspots
+            .sort((a, b) => b.cognitive - a.cognitive || b.cyclomatic - a.cyclomatic || b.loc - a.loc)
+            .slice(0, limit);
+    }
+
+    private _recordDocument(document: vscode.TextDocument): void {
+        if (document.uri.scheme !== 'file' || document.isDirty || !getAstLanguage(document.uri.fsPath)) {
+            return;
+        }
+
+        this.recordFile(document.uri.fsPath, document.getText()).catch(error => {
+            this._outputChannel.appendLine(`⚠️ Failed to measure ${document.uri.fsPath}: ${error instanceof Error ? error.message : String(error)}`);
+        });
+    }
+
+    private _forgetFile(filePath: string): void {
+        if (!this._fileMetrics.delete(filePath) && !this._memoryBank) {
+            return;
+        }
+
+        const removed = this._memoryBank?.deleteFunctionMetrics(this._workspaceId, filePath) ?? Promise.resolve();
+        removed
+            .catch(error => this._outputChannel.appendLine(`⚠️ Failed to remove metrics of ${filePath}: ${error}`))
+            .then(() => this._onDidChangeMetrics.fire());
+    }
+
+    private _loadConfiguration(): ComplexityMetricsConfig {
+        const config = vscode.workspace.getConfiguration('ruv-swarm.metrics');
+
+        return {
+            codeLens: {
+                enabled: config.get('codeLens.enabled', true)
+            },
+            thresholds: {
+                cyclomatic: config.get('thresholds.cyclomatic', 10),
+                cognitive: config.get('thresholds.cognitive', 15)
+            },
+            include: config.get('include', '**/*.{ts,tsx,mts,cts,js,jsx,mjs,cjs,py,rs,go}'),
+            exclude: config.get('exclude', '**/{node_modules,.git,out,dist,build,target,coverage,vendor}/**'),
+            maxFiles: config.get('maxFiles', 2000),
+            maxFileSize: config.get('maxFileSize', 262144),
+            hotspotLimit: config.get('hotspots.limit', 10)
+        };
+    }
+
+    private _resolveWorkspaceId(): string {
+        const workspaceUri = vscode.workspace.workspaceFile ?? vscode.workspace.workspaceFolders?.[0]?.uri;
+        return workspaceUri
+            ? createHash('sha1').update(workspaceUri.toString()).digest('hex').slice(0, 16)
+            : 'no-workspace';
+    }
+
+    dispose(): void {
+        this._disposables.forEach(disposable => disposable.dispose());
+        this._onDidChangeMetrics.dispose();
+        this._outputChannel.dispose();
+    }
+}
@@ -0,0 +1,208 @@
+/**
+ * Code Search - Regex and literal search across the workspace files, with
+ * include and exclude globs, file type filters and lines of context around
+ * each match. Open editors are searched as they are, unsaved edits included.
+ */
+
+import * as vscode from 'vscode';
+import * as fs from 'fs/promises';
+import { getMaxSearchResults, loadNavigationConfig } from './symbolIndex';
+
+export interface CodeSearchOptions {
+    query: string;
+    /** Treat the query as a regular expression; true unless set */
+    isRegex?: boolean;
+    caseSensitive?: boolean;
+    wholeWord?: boolean;
+    /** Glob of files to search; every file when unset */
+    include?: string;
+    /** Globs of files to leave out, on top of the configured exclude */
+    exclude?: string[];
+    /** Extensions to search, with or without the dot */
+    fileTypes?: string[];
+    contextLines?: number;
+    maxResults?: number;
+}
+
+export interface CodeSearchMatch {
+    /** 1-based */
+    line: number;
+    column: number;
+    text: string;
+    before: string[];
+    after: string[];
+}
+
+export interface CodeSearchResult {
+    query: string;
+    searchedFiles: number;
+    matchedFiles: number;
+    /** Matching lines across all files */
+    totalMatches: number;
+    /** More matches exist than were returned */
+    truncated: boolean;
+    results: Array<{ file: string; matches: CodeSearchMatch[] }>;
+}
+
+const MAX_LINE_LENGTH = 300;
+const MAX_CONTEXT_LINES = 10;
+
+export class CodeSearch {
+    async search(options: CodeSearchOptions): Promise<CodeSearchResult> {
+        if (!options.query) {
+            throw new Error('A search query is required');
+        }
+
+        const config = loadNavigationConfig();
+        const pattern = this._createPattern(options);
+        const contextLines = Math.min(Math.max(options.contextLines ?? config.search.contextLines, 0), MAX_CONTEXT_LINES);
+        const maxResults = Math.min(options.maxResults ?? getMaxSearchResults(), getMaxSearchResults());
+        const files = await this._findFiles(options, config.exclude, config.maxFiles);
+        const openDocuments = new Map(vscode.workspace.textDocuments.map(document => [document.uri.fsPath, document]));
+
+        const results: CodeSearchResult['results'] = [];
+        let totalMatches = 0;
+        let searchedFiles = 0;
+        let matchedFiles = 0;
+
+        for (const uri of files) {
+            const content = await this._readFile(uri.fsPath, openDocuments.get(uri.fsPath), config.maxFileSize);
+            if (content === undefined) {
+                continue;
+            }
+            searchedFiles++;
+
+            const lines = content.split(/\r?\n/);
+            const matches: CodeSearchMatch[] = [];
+            let fileMatches = 0;
+            for (let index = 0; index < lines.length; index++) {
+                pattern.lastIndex = 0;
+                const match = pattern.exec(lines[index]);
+                if (!match) {
+                    continue;
+                }
+                fileMatches++;
+                totalMatches++;
+                if (totalMatches <= maxResults) {
+                    matches.push({
+                        line: index + 1,
+                        column: match.index + 1,
+                        text: this._truncate(lines[index]),
+                        before: lines.slice(Math.max(index - contextLines, 0), index).map(line => this._truncate(line)),
+                        after: lines.slice(index + 1, index + 1 + contextLines).map(line => this._truncate(line))
+                    });
+                }
+            }
+
+            matchedFiles += fileMatches > 0 ? 1 : 0;
+            if (matches.length > 0) {
+                results.push({ file: vscode.workspace.asRelativePath(uri), matches });
+            }
+        }
+
+        return {
+            query: options.query,
+            searchedFiles,
+            matchedFiles,
+            totalMatches,
+            truncated: totalMatches > maxResults,
+            results
+        };
+    }
+
+    private _createPattern(options: CodeSearchOptions): RegExp {
+        let source = options.isRegex === false ? options.query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : options.query;
+        if (options.wholeWord) {
+            source = `\\b(?:${source})\\b`;
+        }
+
+        try {
+            return new RegExp(source, options.caseSensitive ? 'g' : 'gi');
+        } catch (error) {
+            throw new Error(`Invalid regular expression ${options.query}: ${error instanceof Error ? error.message : String(error)}; set isRegex to false to search for the text itself`);
+        }
+    }
+
+    private async _findFiles(options: CodeSearchOptions, exclude: string, maxFiles: number): Promise<vscode.Uri[]> {
+        const extensions = (options.fileTypes ?? []).map(type => type.replace(/^\*?\./, '').toLowerCase()).filter(Boolean);
+        const include = options.include
+            ?? (extensions.length > 1 ? `**/*.{${extensions.join(',')}}` : extensions.length === 1 ? `**/*.${extensions[0]}` : '**/*');
+
+        let files = await vscode.workspace.findFiles(include, exclude, maxFiles);
+        if (options.include && extensions.length > 0) {
+            files = files.filter(uri => extensions.some(extension => uri.fsPath.toLowerCase().endsWith(`.${extension}`)));
+        }
+        if (options.exclude?.length) {
+            // VS Code globs cannot nest the configured exclude inside another group
+            const excluded = options.exclude.map(glob => this._globToRegExp(glob));
+            files = files.filter(uri => {
+                const relativePath = vscode.workspace.asRelativePath(uri, false).replace(/\\/g, '/');
+                return !excluded.some(regex => regex.test(relativePath));
+            });
+        }
+
+        return files.sort((a, b) => a.fsPath.localeCompare(b.fsPath));
+    }
+
+    /** A workspace-relative glob with **, *, ?, [...] and nested {a,b} groups as a regular expression */
+    private _globToRegExp(glob: string): RegExp {
+        let source = '';
+        let groupDepth = 0;
+
+        for (let index = 0; index < glob.length; index++) {
+            const char = glob[index];
+            if (char === '*' && glob[index + 1] === '*') {
+                index++;
+                if (glob[index + 1] === '/') {
+                    index++;
+                    source += '(?:.*/)?';
+                } else {
+                    source += '.*';
+                }
+            } else if (char === '*') {
+                source += '[^/]*';
+            } else if (char === '?') {
+                source += '[^/]';
+            } else if (char === '{') {
+                groupDepth++;
+                source += '(?:';
+            } else if (char === '}' && groupDepth > 0) {
+                groupDepth--;
+                source += ')';
+            } else if (char === ',' && groupDepth > 0) {
+                source += '|';
+            } else if (char === '[' && glob.indexOf(']', index + 2) > 0) {
+                const end = glob.indexOf(']', index + 2);
+                const members = glob.slice(index + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+                source += `[${members}]`;
+                index = end;
+            } else {
+                source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+            }
+        }
+
+        return new RegExp(`^${source}${')'.repeat(groupDepth)}$`);
+    }
+
+    /** Content of a text file, or undefined for binary and oversized files */
+    private async _readFile(filePath: string, document: vscode.TextDocument | undefined, maxFileSize: number): Promise<string | undefined> {
+        if (document) {
+            return document.getText();
+        }
+
+        try {
+            const stat = await fs.stat(filePath);
+            if (stat.size > maxFileSize) {
+                return undefined;
+            }
+            const content = await fs.readFile(filePath, 'utf8');
+            return content.slice(0, 8000).includes('\0') ? undefined : content;
+        } catch {
+            return undefined;
+        }
+    }
+
+    private _truncate(line: string): string {
+        return line.length > MAX_LINE_LENGTH ? `${line.slice(0, MAX_LINE_LENGTH)}…` : line;
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * Project Structure - An indented outline of a workspace folder for the model
+ * Directories below the depth limit are folded into their file count, and
+ * files the configured exclude glob leaves out are not listed.
+ */
+
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { loadNavigationConfig } from './symbolIndex';
+
+export interface ProjectStructure {
+    root: string;
+    directories: number;
+    files: number;
+    /** File counts by extension, most common first */
+    fileTypes: Record<string, number>;
+    /** package.json, pyproject.toml and the like at the root */
+    manifests: string[];
+    tree: string;
+    /** The folder has more files than the configured maximum, or the outline was cut */
+    truncated: boolean;
+}
+
+interface DirectoryNode {
+    directories: Map<string, DirectoryNode>;
+    files: string[];
+    fileCount: number;
+}
+
+const MANIFESTS = new Set([
+    'package.json', 'tsconfig.json', 'pyproject.toml', 'setup.py', 'requirements.txt', 'Cargo.toml', 'go.mod', 'pom.xml', 'build.gradle'
+]);
+
+const MAX_TREE_LINES = 400;
+
+export async function buildProjectStructure(
+    root: string,
+    options: { maxDepth?: number; includeFiles?: boolean } = {}
+): Promise<ProjectStructure> {
+    const config = loadNavigationConfig();
+    const maxDepth = Math.max(options.maxDepth ?? 3, 1);
+    const includeFiles = options.includeFiles ?? true;
+    const uris = await vscode.workspace.findFiles(new vscode.RelativePattern(root, '**/*'), config.exclude, config.maxFiles);
+
+    const tree: DirectoryNode = { directories: new Map(), files: [], fileCount: 0 };
+    const fileTypes = new Map<string, number>();
+    let directories = 0;
+    for (const uri of uris) {
+        const segments = path.relative(root, uri.fsPath).split(path.sep);
+        const fileName = segments.pop()!;
+        let node = tree;
+        node.fileCount++;
+        for (const segment of segments) {
+            let child = node.directories.get(segment);
+            if (!child) {
+                child = { directories: new Map(), files: [], fileCount: 0 };
+                node.directories.set(segment, child);
+                directories++;
+            }
+            child.fileCount++;
+            node = child;
+        }
+        node.files.push(fileName);
+
+        const extension = path.extname(fileName).toLowerCase() || fileName;
+        fileTypes.set(extension, (fileTypes.get(extension) ?? 0) + 1);
+    }
+
+    const lines: string[] = [];
+    const render = (node: DirectoryNode, depth: number): void => {
+        const indent = '  '.repeat(depth);
+        for (const [name, child] of [...node.directories].sort((a, b) => a[0].localeCompare(b[0]))) {
+            lines.push(`${indent}${name}/ (${child.fileCount} ${child.fileCount === 1 ? 'file' : 'files'})`);
+            if (depth + 1 < maxDepth) {
+                render(child, depth + 1);
+            }
+        }
+        if (includeFiles) {
+            lines.push(...[...node.files].sort().map(file => `${indent}${file}`));
+        }
+    };
+    render(tree, 0);
+
+    const shownLines = lines.slice(0, MAX_TREE_LINES);
+    if (lines.length > MAX_TREE_LINES) {
+        shownLines.push(`… ${lines.length - MAX_TREE_LINES} more entries, lower maxDepth or set includeFiles to false`);
+    }
+
+    return {
+        root,
+        directories,
+        files: uris.length,
+        fileTypes: Object.fromEntries([...fileTypes].sort((a, b) => b[1] - a[1]).slice(0, 15)),
+        manifests: tree.files.filter(file => MANIFESTS.has(file)).sort(),
+        tree: shownLines.join('\n'),
+        truncated: uris.length >= config.maxFiles || lines.length > MAX_TREE_LINES
+    };
+}
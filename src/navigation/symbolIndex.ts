@@ -0,0 +1,677 @@
+/**
+ * Symbol Index - Definitions, references and call hierarchies for the model
+ * Questions go to the language servers first through VS Code's workspace
+ * symbol, reference and call hierarchy providers. When no language server
+ * answers, they are answered from an index of the definitions and call sites
+ * found in every file's syntax tree. That index is built on first use and
+ * files changed on disk are scanned again before the next question. Matches
+ * from the syntax tree are by name, so identically named symbols are included.
+ */
+
+import * as vscode from 'vscode';
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { getAstLanguage } from '../pipelines/astChunker';
+import { CallSite, FileSymbols, SymbolDefinition, SymbolScanner } from './symbolScanner';
+
+export interface NavigationConfig {
+    include: string;
+    exclude: string;
+    maxFiles: number;
+    maxFileSize: number;
+    useLanguageServer: boolean;
+    search: {
+        contextLines: number;
+    };
+}
+
+export type SymbolSource = 'language-server' | 'syntax-tree';
+
+export interface SymbolMatch {
+    name: string;
+    kind: string;
+    container?: string;
+    filePath: string;
+    /** 1-based */
+    line: number;
+    column: number;
+}
+
+/** Where a symbol is written, given by name or by a position in a file */
+export interface SymbolTarget {
+    symbol?: string;
+    filePath?: string;
+    line?: number;
+    column?: number;
+}
+
+export interface CallHierarchyEntry {
+    name: string;
+    kind?: string;
+    file?: string;
+    line?: number;
+    /** Lines of the calls, in the caller for incoming calls and in the symbol itself for outgoing calls */
+    callLines: number[];
+    calls?: CallHierarchyEntry[];
+}
+
+const MAX_CALLS_PER_LEVEL = 50;
+const MAX_HIERARCHY_DEPTH = 3;
+
+export function loadNavigationConfig(): NavigationConfig {
+    const config = vscode.workspace.getConfiguration('ruv-swarm.navigation');
+
+    return {
+        include: config.get('include', '**/*.{ts,tsx,mts,cts,js,jsx,mjs,cjs,py,rs,go}'),
+        exclude: config.get('exclude', '**/{node_modules,.git,out,dist,build,target,coverage,vendor,.venv,venv,__pycache__}/**'),
+        maxFiles: config.get('maxFiles', 5000),
+        maxFileSize: config.get('maxFileSize', 524288),
+        useLanguageServer: config.get('useLanguageServer', true),
+        search: {
+            contextLines: config.get('search.contextLines', 2)
+        }
+    };
+}
+
+/**
+ * Maximum number of matches a search or reference lookup returns
+ */
+export function getMaxSearchResults(): number {
+    return vscode.workspace.getConfiguration('ruv-swarm.tools').get('maxSearchResults', 100);
+}
+
+export class SymbolIndexService implements vscode.Disposable {
+    private _outputChannel: vscode.OutputChannel;
+    private _config: NavigationConfig;
+    private _scanner = new SymbolScanner();
+    private _files = new Map<string, FileSymbols>();
+    private _indexing?: Promise<void>;
+    private _indexed = false;
+    /** Files changed or created on disk since they were last scanned */
+    private _staleFiles = new Set<string>();
+    private _sourceWatcher: vscode.Disposable[] = [];
+    private _disposables: vscode.Disposable[] = [];
+
+    constructor() {
+        this._outputChannel = vscode.window.createOutputChannel('RUV-Swarm Symbols');
+        this._config = loadNavigationConfig();
+        this._watchSources();
+
+        this._disposables.push(
+            vscode.workspace.onDidChangeWorkspaceFolders(() => {
+                this._indexed = false;
+            }),
+            vscode.workspace.onDidChangeConfiguration(event => {
+                if (event.affectsConfiguration('ruv-swarm.navigation')) {
+                    this._config = loadNavigationConfig();
+                    this._watchSources();
+                    this._indexed = false;
+                }
+            })
+        );
+    }
+
+    get config(): NavigationConfig {
+        return this._config;
+    }
+
+    /**
+     * Scans every supported file of the workspace for definitions and call sites
+     */
+    async index(): Promise<{ files: number; definitions: number; calls: number }> {
+        if (!this._indexing) {
+            this._indexing = this._buildIndex().finally(() => {
+                this._indexing = undefined;
+            });
+        }
+        await this._indexing;
+
+        let definitions = 0;
+        let calls = 0;
+        for (const symbols of this._files.values()) {
+            definitions += symbols.definitions.length;
+            calls += symbols.calls.length;
+        }
+        return { files: this._files.size, definitions, calls };
+    }
+
+    async ensureIndexed(): Promise<void> {
+        if (!this._indexed) {
+            await this.index();
+            return;
+        }
+
+        const stale = [...this._staleFiles];
+        this._staleFiles.clear();
+        for (const filePath of stale) {
+            const symbols = await this._scanFile(filePath);
+            if (symbols) {
+                this._files.set(filePath, symbols);
+            } else {
+                this._files.delete(filePath);
+            }
+        }
+    }
+
+    /**
+     * Answer of the find_symbol tool: definitions whose name matches the
+     * query, exact matches first
+     */
+    async findSymbol(args: { query: string; kind?: string; limit?: number }): Promise<any> {
+        if (!args.query?.trim()) {
+            throw new Error('A symbol name is required');
+        }
+
+        const query = args.query.trim();
+        const { name, container } = this._splitQualifiedName(query);
+        let source: SymbolSource = 'language-server';
+        let matches = this._config.useLanguageServer ? await this._findWithLanguageServer(name) : [];
+        if (matches.length === 0) {
+            source = 'syntax-tree';
+            matches = await this._findInIndex(name);
+        }
+
+        if (container) {
+            matches = matches.filter(match => match.container?.toLowerCase().endsWith(container.toLowerCase()));
+        }
+        if (args.kind) {
+            matches = matches.filter(match => match.kind === args.kind!.toLowerCase());
+        }
+
+        const ranked = matches
+            .map(match => ({ match, rank: this._rankMatch(match.name, name) }))
+            .sort((a, b) => a.rank - b.rank || a.match.filePath.localeCompare(b.match.filePath) || a.match.line - b.match.line)
+            .map(entry => entry.match);
+        const limit = Math.min(args.limit ?? 20, getMaxSearchResults());
+
+        return {
+            query,
+            source,
+            total: ranked.length,
+            symbols: ranked.slice(0, limit).map(match => ({
+                name: match.name,
+                kind: match.kind,
+                container: match.container,
+                file: vscode.workspace.asRelativePath(match.filePath),
+                line: match.line,
+                column: match.column
+            }))
+        };
+    }
+
+    /**
+     * Answer of the find_references tool: every place the symbol is used
+     */
+    async findReferences(args: SymbolTarget & { includeDeclaration?: boolean; limit?: number }): Promise<any> {
+        const target = await this._locate(args);
+        const includeDeclaration = args.includeDeclaration ?? true;
+        let source: SymbolSource = 'language-server';
+        let references: Array<{ filePath: string; line: number; column: number }> = [];
+
+        if (this._config.useLanguageServer) {
+            const locations = await this._executeProvider<vscode.Location[]>(
+                'vscode.executeReferenceProvider',
+                vscode.Uri.file(target.filePath),
+                new vscode.Position(target.line - 1, target.column - 1)
+            );
+            references = (locations ?? [])
+                .filter(location => this._isWorkspaceUri(location.uri))
+                .map(location => ({
+                    filePath: location.uri.fsPath,
+                    line: location.range.start.line + 1,
+                    column: location.range.start.character + 1
+                }));
+        }
+
+        if (references.length === 0) {
+            source = 'syntax-tree';
+            references = await this._findIdentifiers(target.name);
+        }
+
+        const isDeclaration = (reference: { filePath: string; line: number; column: number }) =>
+            reference.filePath === target.filePath && reference.line === target.line && reference.column === target.column;
+        if (!includeDeclaration) {
+            references = references.filter(reference => !isDeclaration(reference));
+        }
+
+        references.sort((a, b) => a.filePath.localeCompare(b.filePath) || a.line - b.line || a.column - b.column);
+        const limit = Math.min(args.limit ?? getMaxSearchResults(), getMaxSearchResults());
+        const shown = references.slice(0, limit);
+        const lines = await this._readLines(shown.map(reference => reference.filePath));
+
+        return {
+            symbol: target.name,
+            definition: { file: vscode.workspace.asRelativePath(target.filePath), line: target.line, column: target.column },
+            source,
+            ...(source === 'syntax-tree' ? { note: 'Matched by name in the syntax tree; identically named symbols are included' } : {}),
+            total: references.length,
+            files: new Set(references.map(reference => reference.filePath)).size,
+            references: shown.map(reference => ({
+                file: vscode.workspace.asRelativePath(reference.filePath),
+                line: reference.line,
+                column: reference.column,
+                text: lines.get(reference.filePath)?.[reference.line - 1]?.trim().slice(0, 200) ?? '',
+                ...(isDeclaration(reference) ? { declaration: true } : {})
+            }))
+        };
+    }
+
+    /**
+     * Answer of the get_call_hierarchy tool: the functions calling the symbol
+     * and the functions it calls, followed for up to depth levels
+     */
+    async getCallHierarchy(args: SymbolTarget & { direction?: 'incoming' | 'outgoing' | 'both'; depth?: number }): Promise<any> {
+        const target = await this._locate(args);
+        const direction = args.direction ?? 'both';
+        const depth = Math.min(Math.max(args.depth ?? 1, 1), MAX_HIERARCHY_DEPTH);
+
+        if (this._config.useLanguageServer) {
+            const items = await this._executeProvider<vscode.CallHierarchyItem[]>(
+                'vscode.prepareCallHierarchy',
+                vscode.Uri.file(target.filePath),
+                new vscode.Position(target.line - 1, target.column - 1)
+            );
+            const item = items?.[0];
+            if (item) {
+                return {
+                    symbol: this._describeItem(item),
+                    source: 'language-server' as SymbolSource,
+                    ...(direction !== 'outgoing' ? { incoming: await this._incomingCalls(item, depth, new Set()) } : {}),
+                    ...(direction !== 'incoming' ? { outgoing: await this._outgoingCalls(item, depth, new Set()) } : {})
+                };
+            }
+        }
+
+        await this.ensureIndexed();
+        const definition = this._findDefinitionAt(target.filePath, target.line, target.name);
+        const qualifiedName = definition?.qualifiedName ?? target.name;
+        return {
+            symbol: {
+                name: qualifiedName,
+                kind: definition?.kind,
+                file: vscode.workspace.asRelativePath(target.filePath),
+                line: definition?.line ?? target.line
+            },
+            source: 'syntax-tree' as SymbolSource,
+            note: 'Calls matched by name in the syntax tree; calls of identically named functions are included',
+            ...(direction !== 'outgoing' ? { incoming: this._indexedIncomingCalls(target.name, depth, new Set()) } : {}),
+            ...(direction !== 'incoming' ? { outgoing: this._indexedOutgoingCalls(target.filePath, qualifiedName, depth, new Set()) } : {})
+        };
+    }
+
+    private async _buildIndex(): Promise<void> {
+        await vscode.window.withProgress(
+            { location: vscode.ProgressLocation.Window, title: 'Indexing symbols' },
+            async progress => {
+                const startTime = Date.now();
+                const uris = await vscode.workspace.findFiles(this._config.include, this._config.exclude, this._config.maxFiles);
+                const files = new Map<string, FileSymbols>();
+
+                for (const [position, uri] of uris.entries()) {
+                    progress.report({ message: `${position + 1}/${uris.length}` });
+                    const symbols = await this._scanFile(uri.fsPath);
+                    if (symbols) {
+                        files.set(uri.fsPath, symbols);
+                    }
+                }
+
+                this._files = files;
+                this._indexed = true;
+                this._staleFiles.clear();
+                this._outputChannel.appendLine(`🔎 Indexed symbols of ${files.size} files in ${Date.now() - startTime}ms`);
+            }
+        );
+    }
+
+    private async _scanFile(filePath: string): Promise<FileSymbols | undefined> {
+        const language = getAstLanguage(filePath);
+        if (!language) {
+            return undefined;
+        }
+
+        try {
+            const stat = await fs.stat(filePath);
+            if (stat.size > this._config.maxFileSize) {
+                return undefined;
+            }
+            return await this._scanner.scan(filePath, await fs.readFile(filePath, 'utf8'), language);
+        } catch (error) {
+            // Deleted files and files that do not parse are simply left out
+            if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+                this._outputChannel.appendLine(`⚠️ Failed to index ${filePath}: ${error instanceof Error ? error.message : String(error)}`);
+            }
+            return undefined;
+        }
+    }
+
+    /** Resolves a symbol name or file position to the symbol written there */
+    private async _locate(target: SymbolTarget): Promise<{ name: string; filePath: string; line: number; column: number }> {
+        if (target.filePath && target.line) {
+            const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath ?? '';
+            const filePath = path.resolve(workspaceRoot, target.filePath);
+            if (!vscode.workspace.getWorkspaceFolder(vscode.Uri.file(filePath))) {
+                throw new Error(`${target.filePath} is outside the workspace`);
+            }
+            const lineText = (await fs.readFile(filePath, 'utf8')).split(/\r?\n/)[target.line - 1];
+            if (lineText === undefined) {
+                throw new Error(`${target.filePath} has no line ${target.line}`);
+            }
+
+            const wanted = target.symbol ? this._splitQualifiedName(target.symbol).name : undefined;
+            let column = target.column;
+            if (!column) {
+                const index = wanted ? this._findWord(lineText, wanted) : -1;
+                if (wanted && index < 0) {
+                    throw new Error(`${wanted} is not on line ${target.line} of ${target.filePath}`);
+                }
+                column = (index >= 0 ? index : this._firstDefinitionColumn(filePath, target.line, lineText)) + 1;
+            }
+            const name = wanted ?? /^[\w$]+/.exec(lineText.slice(column - 1))?.[0];
+            if (!name) {
+                throw new Error(`No symbol at line ${target.line}, column ${column} of ${target.filePath}`);
+            }
+            return { name, filePath, line: target.line, column };
+        }
+
+        if (!target.symbol) {
+            throw new Error('Either symbol or filePath and line are required');
+        }
+
+        const { name, container } = this._splitQualifiedName(target.symbol);
+        let matches = this._config.useLanguageServer ? await this._findWithLanguageServer(name) : [];
+        matches = matches.filter(match => match.name === name);
+        if (matches.length === 0) {
+            matches = (await this._findInIndex(name)).filter(match => match.name === name);
+        }
+        if (container) {
+            matches = matches.filter(match => match.container?.endsWith(container));
+        }
+        if (matches.length === 0) {
+            throw new Error(`Symbol not found: ${target.symbol}`);
+        }
+
+        const match = matches[0];
+        return { name, filePath: match.filePath, line: match.line, column: match.column };
+    }
+
+    /** Column of the symbol defined on a line, or of its first word */
+    private _firstDefinitionColumn(filePath: string, line: number, lineText: string): number {
+        const definition = this._files.get(filePath)?.definitions.find(candidate => candidate.line === line);
+        return definition ? definition.column - 1 : Math.max(lineText.search(/[A-Za-z_$]/), 0);
+    }
+
+    private _findWord(text: string, word: string): number {
+        const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return text.search(new RegExp(`(?<![\\w$])${escaped}(?![\\w$])`));
+    }
+
+    /** SwarmManager.executeTask and Server::start name a member of a container */
+    private _splitQualifiedName(symbol: string): { name: string; container?: string } {
+        const parts = symbol.split(/\.|::/).filter(Boolean);
+        return parts.length > 1
+            ? { name: parts[parts.length - 1], container: parts.slice(0, -1).join('.') }
+            : { name: symbol };
+    }
+
+    private _rankMatch(name: string, query: string): number {
+        if (name === query) {
+            return 0;
+        }
+        const lowerName = name.toLowerCase();
+        const lowerQuery = query.toLowerCase();
+        return lowerName === lowerQuery ? 1 : lowerName.startsWith(lowerQuery) ? 2 : lowerName.includes(lowerQuery) ? 3 : 4;
+    }
+
+    private async _findWithLanguageServer(query: string): Promise<SymbolMatch[]> {
+        const symbols = await this._executeProvider<vscode.SymbolInformation[]>('vscode.executeWorkspaceSymbolProvider', query);
+        return (symbols ?? [])
+            .filter(symbol => this._isWorkspaceUri(symbol.location.uri))
+            .map(symbol => ({
+                name: symbol.name,
+                kind: (vscode.SymbolKind[symbol.kind] ?? 'symbol').toLowerCase(),
+                container: symbol.containerName || undefined,
+                filePath: symbol.location.uri.fsPath,
+                line: symbol.location.range.start.line + 1,
+                column: symbol.location.range.start.character + 1
+            }));
+    }
+
+    private async _findInIndex(query: string): Promise<SymbolMatch[]> {
+        await this.ensureIndexed();
+        const lowerQuery = query.toLowerCase();
+        const matches: SymbolMatch[] = [];
+
+        for (const [filePath, symbols] of this._files) {
+            for (const definition of symbols.definitions) {
+                if (definition.name.toLowerCase().includes(lowerQuery)) {
+                    matches.push({
+                        name: definition.name,
+                        kind: definition.kind,
+                        container: definition.container,
+                        filePath,
+                        line: definition.line,
+                        column: definition.column
+                    });
+                }
+            }
+        }
+        return matches;
+    }
+
+    private async _findIdentifiers(name: string): Promise<Array<{ filePath: string; line: number; column: number }>> {
+        await this.ensureIndexed();
+        const references: Array<{ filePath: string; line: number; column: number }> = [];
+
+        for (const filePath of this._files.keys()) {
+            const language = getAstLanguage(filePath)!;
+            try {
+                const content = await fs.readFile(filePath, 'utf8');
+                const positions = await this._scanner.findIdentifiers(filePath, content, language, name);
+                references.push(...positions.map(position => ({ filePath, ...position })));
+            } catch {
+                // A file deleted since it was indexed has no references
+            }
+        }
+        return references;
+    }
+
+    /** The innermost definition of name around a line */
+    private _findDefinitionAt(filePath: string, line: number, name: string): SymbolDefinition | undefined {
+        return this._files.get(filePath)?.definitions
+            .filter(definition => definition.name === name && definition.line <= line && definition.endLine >= line)
+            .sort((a, b) => b.line - a.line)[0];
+    }
+
+    private _indexedIncomingCalls(name: string, depth: number, visited: Set<string>): CallHierarchyEntry[] {
+        const callers = new Map<string, { filePath: string; caller?: string; lines: number[] }>();
+        for (const [filePath, symbols] of this._files) {
+            for (const call of symbols.calls.filter(candidate => candidate.callee === name)) {
+                const key = `${filePath}#${call.caller ?? ''}`;
+                const entry = callers.get(key) ?? { filePath, caller: call.caller, lines: [] };
+                entry.lines.push(call.line);
+                callers.set(key, entry);
+            }
+        }
+
+        return [...callers.entries()].slice(0, MAX_CALLS_PER_LEVEL).map(([key, entry]) => {
+            const definition = entry.caller
+                ? this._files.get(entry.filePath)?.definitions.find(candidate => candidate.qualifiedName === entry.caller)
+                : undefined;
+            const result: CallHierarchyEntry = {
+                name: entry.caller ?? '(module)',
+                kind: definition?.kind,
+                file: vscode.workspace.asRelativePath(entry.filePath),
+                line: definition?.line,
+                callLines: entry.lines
+            };
+            if (depth > 1 && definition && !visited.has(key)) {
+                visited.add(key);
+                result.calls = this._indexedIncomingCalls(definition.name, depth - 1, visited);
+            }
+            return result;
+        });
+    }
+
+    private _indexedOutgoingCalls(filePath: string, caller: string, depth: number, visited: Set<string>): CallHierarchyEntry[] {
+        visited.add(`${filePath}#${caller}`);
+        const callees = new Map<string, number[]>();
+        for (const call of this._files.get(filePath)?.calls.filter((candidate: CallSite) => candidate.caller === caller) ?? []) {
+            callees.set(call.callee, [...(callees.get(call.callee) ?? []), call.line]);
+        }
+
+        return [...callees.entries()].slice(0, MAX_CALLS_PER_LEVEL).map(([callee, lines]) => {
+            // The closest function or method with that name stands in for the callee
+            const definition = this._findCallable(callee, filePath);
+            const result: CallHierarchyEntry = {
+                name: definition?.definition.qualifiedName ?? callee,
+                kind: definition?.definition.kind,
+                file: definition ? vscode.workspace.asRelativePath(definition.filePath) : undefined,
+                line: definition?.definition.line,
+                callLines: lines
+            };
+            if (depth > 1 && definition && !visited.has(`${definition.filePath}#${definition.definition.qualifiedName}`)) {
+                result.calls = this._indexedOutgoingCalls(definition.filePath, definition.definition.qualifiedName, depth - 1, visited);
+            }
+            return result;
+        });
+    }
+
+    /** A function, method or class named name, from the calling file first and then its language */
+    private _findCallable(name: string, fromFile: string): { filePath: string; definition: SymbolDefinition } | undefined {
+        const language = getAstLanguage(fromFile);
+        const candidates: Array<{ filePath: string; definition: SymbolDefinition; rank: number }> = [];
+        for (const [filePath, symbols] of this._files) {
+            const definition = symbols.definitions.find(candidate =>
+                candidate.name === name && (candidate.kind === 'function' || candidate.kind === 'method' || candidate.kind === 'class')
+            );
+            if (definition) {
+                const rank = filePath === fromFile ? 0 : getAstLanguage(filePath) === language ? 1 : 2;
+                candidates.push({ filePath, definition, rank });
+            }
+        }
+        return candidates.sort((a, b) => a.rank - b.rank)[0];
+    }
+
+    private async _incomingCalls(item: vscode.CallHierarchyItem, depth: number, visited: Set<string>): Promise<CallHierarchyEntry[]> {
+        visited.add(this._itemKey(item));
+        const calls = await this._executeProvider<vscode.CallHierarchyIncomingCall[]>('vscode.provideIncomingCalls', item) ?? [];
+        const entries: CallHierarchyEntry[] = [];
+
+        for (const call of calls.slice(0, MAX_CALLS_PER_LEVEL)) {
+            const entry: CallHierarchyEntry = {
+                ...this._describeItem(call.from),
+                callLines: call.fromRanges.map(range => range.start.line + 1)
+            };
+            if (depth > 1 && !visited.has(this._itemKey(call.from))) {
+                entry.calls = await this._incomingCalls(call.from, depth - 1, visited);
+            }
+            entries.push(entry);
+        }
+        return entries;
+    }
+
+    private async _outgoingCalls(item: vscode.CallHierarchyItem, depth: number, visited: Set<string>): Promise<CallHierarchyEntry[]> {
+        visited.add(this._itemKey(item));
+        const calls = await this._executeProvider<vscode.CallHierarchyOutgoingCall[]>('vscode.provideOutgoingCalls', item) ?? [];
+        const entries: CallHierarchyEntry[] = [];
+
+        for (const call of calls.slice(0, MAX_CALLS_PER_LEVEL)) {
+            const entry: CallHierarchyEntry = {
+                ...this._describeItem(call.to),
+                callLines: call.fromRanges.map(range => range.start.line + 1)
+            };
+            if (depth > 1 && this._isWorkspaceUri(call.to.uri) && !visited.has(this._itemKey(call.to))) {
+                entry.calls = await this._outgoingCalls(call.to, depth - 1, visited);
+            }
+            entries.push(entry);
+        }
+        return entries;
+    }
+
+    private _describeItem(item: vscode.CallHierarchyItem): { name: string; kind: string; file: string; line: number } {
+        return {
+            name: item.name,
+            kind: (vscode.SymbolKind[item.kind] ?? 'symbol').toLowerCase(),
+            file: vscode.workspace.asRelativePath(item.uri),
+            line: item.selectionRange.start.line + 1
+        };
+    }
+
+    private _itemKey(item: vscode.CallHierarchyItem): string {
+        return `${item.uri.toString()}#${item.selectionRange.start.line}:${item.selectionRange.start.character}`;
+    }
+
+    /**
+     * Runs one of VS Code's provider commands; a language without a provider
+     * answers nothing rather than failing the question
+     */
+    private async _executeProvider<T>(command: string, ...args: unknown[]): Promise<T | undefined> {
+        try {
+            return await vscode.commands.executeCommand<T>(command, ...args);
+        } catch (error) {
+            this._outputChannel.appendLine(`⚠️ ${command} failed: ${error instanceof Error ? error.message : String(error)}`);
+            return undefined;
+        }
+    }
+
+    private _isWorkspaceUri(uri: vscode.Uri): boolean {
+        return uri.scheme === 'file' && !!vscode.workspace.getWorkspaceFolder(uri) && !uri.fsPath.split(/[\\/]/).includes('node_modules');
+    }
+
+    private async _readLines(filePaths: string[]): Promise<Map<string, string[]>> {
+        const lines = new Map<string, string[]>();
+        for (const filePath of new Set(filePaths)) {
+            try {
+                lines.set(filePath, (await fs.readFile(filePath, 'utf8')).split(/\r?\n/));
+            } catch {
+                lines.set(filePath, []);
+            }
+        }
+        return lines;
+    }
+
+    private _queueFile(uri: vscode.Uri): void {
+        if (this._indexed && uri.scheme === 'file') {
+            this._staleFiles.add(uri.fsPath);
+        }
+    }
+
+    /** Watches the files matching the include glob */
+    private _watchSources(): void {
+        this._sourceWatcher.forEach(disposable => disposable.dispose());
+        const watcher = vscode.workspace.createFileSystemWatcher(this._config.include);
+        this._sourceWatcher = [
+            watcher,
+            watcher.onDidChange(uri => this._queueFile(uri)),
+            watcher.onDidCreate(uri => {
+                this._isIncluded(uri).then(included => {
+                    if (included) {
+                        this._queueFile(uri);
+                    }
+                }, () => undefined);
+            }),
+            watcher.onDidDelete(uri => {
+                this._files.delete(uri.fsPath);
+                this._staleFiles.delete(uri.fsPath);
+            })
+        ];
+    }
+
+    /** Whether a file reported by the include watcher is not excluded */
+    private async _isIncluded(uri: vscode.Uri): Promise<boolean> {
+        const folder = vscode.workspace.getWorkspaceFolder(uri);
+        if (!folder) {
+            return false;
+        }
+        const relativePath = path.relative(folder.uri.fsPath, uri.fsPath).split(path.sep).join('/');
+        const matches = await vscode.workspace.findFiles(new vscode.RelativePattern(folder, relativePath), this._config.exclude, 1);
+        return matches.length > 0;
+    }
+
+    dispose(): void {
+        this._sourceWatcher.forEach(disposable => disposable.dispose());
+        this._disposables.forEach(disposable => disposable.dispose());
+        this._outputChannel.dispose();
+        this._files.clear();
+    }
+}
@@ -0,0 +1,399 @@
+/**
+ * Symbol Scanner - Finds the definitions and call sites of a source file in
+ * its syntax tree, and the identifiers that name a symbol. This is what the
+ * symbol index falls back to when no language server answers for a file.
+ * Names in strings and comments are never matched.
+ */
+
+import * as ts from 'typescript';
+import Parser from 'web-tree-sitter';
+import { AstLanguage, TreeSitterLanguage, createTypeScriptSource, getEndLine, withTreeSitterTree } from '../pipelines/astChunker';
+
+export type SymbolDefinitionKind =
+    | 'function'
+    | 'method'
+    | 'class'
+    | 'interface'
+    | 'type'
+    | 'enum'
+    | 'namespace'
+    | 'struct'
+    | 'trait'
+    | 'property'
+    | 'variable'
+    | 'constant';
+
+export interface SymbolDefinition {
+    name: string;
+    /** Name qualified with the classes, impls, modules and functions around it */
+    qualifiedName: string;
+    kind: SymbolDefinitionKind;
+    /** 1-based position of the name */
+    line: number;
+    column: number;
+    /** Last line of the whole declaration */
+    endLine: number;
+    container?: string;
+}
+
+export interface CallSite {
+    /** Called function or method, without its receiver or module */
+    callee: string;
+    /** 1-based position of the callee's name */
+    line: number;
+    column: number;
+    /** Qualified name of the function the call is written in; undefined at module level */
+    caller?: string;
+}
+
+export interface FileSymbols {
+    definitions: SymbolDefinition[];
+    calls: CallSite[];
+}
+
+export interface IdentifierPosition {
+    line: number;
+    column: number;
+}
+
+interface TreeSitterSymbolRules {
+    /** Declarations and the kind of symbol they define */
+    definitions: Record<string, SymbolDefinitionKind>;
+    /** Declarations whose functions are methods */
+    types: Set<string>;
+    calls: Set<string>;
+    identifiers: Set<string>;
+    separator: string;
+}
+
+const TREE_SITTER_RULES: Record<TreeSitterLanguage, TreeSitterSymbolRules> = {
+    python: {
+        definitions: {
+            function_definition: 'function',
+            class_definition: 'class'
+        },
+        types: new Set(['class_definition']),
+        calls: new Set(['call']),
+        identifiers: new Set(['identifier']),
+        separator: '.'
+    },
+    rust: {
+        definitions: {
+            function_item: 'function',
+            function_signature_item: 'method',
+            struct_item: 'struct',
+            union_item: 'struct',
+            enum_item: 'enum',
+            trait_item: 'trait',
+            type_item: 'type',
+            mod_item: 'namespace',
+            const_item: 'constant',
+            static_item: 'variable'
+        },
+        types: new Set(['impl_item', 'trait_item']),
+        calls: new Set(['call_expression']),
+        identifiers: new Set(['identifier', 'field_identifier', 'type_identifier']),
+        separator: '::'
+    },
+    go: {
+        definitions: {
+            function_declaration: 'function',
+            method_declaration: 'method',
+            type_spec: 'type',
+            type_alias: 'type',
+            const_spec: 'constant',
+            var_spec: 'variable'
+        },
+        types: new Set(),
+        calls: new Set(['call_expression']),
+        identifiers: new Set(['identifier', 'field_identifier', 'type_identifier']),
+        separator: '.'
+    }
+};
+
+/** Scope a tree-sitter node's children are visited in */
+interface TreeSitterScope {
+    containers: string[];
+    caller?: string;
+    /** Functions declared directly in this scope are methods */
+    inType: boolean;
+}
+
+export class SymbolScanner {
+    async scan(filePath: string, content: string, language: AstLanguage): Promise<FileSymbols> {
+        return language === 'typescript' || language === 'javascript'
+            ? this._scanTypeScript(filePath, content)
+            : withTreeSitterTree(content, language, root => this._scanTreeSitter(root, language));
+    }
+
+    /**
+     * Identifiers spelled exactly like name, in file order
+     */
+    async findIdentifiers(filePath: string, content: string, language: AstLanguage, name: string): Promise<IdentifierPosition[]> {
+        if (!content.includes(name)) {
+            return [];
+        }
+
+        if (language === 'typescript' || language === 'javascript') {
+            const source = createTypeScriptSource(filePath, content);
+            const positions: IdentifierPosition[] = [];
+            const visit = (node: ts.Node): void => {
+                if ((ts.isIdentifier(node) || ts.isPrivateIdentifier(node)) && node.text === name) {
+                    positions.push(this._typeScriptPosition(source, node));
+                }
+                ts.forEachChild(node, visit);
+            };
+            visit(source);
+            return positions;
+        }
+
+        const identifiers = TREE_SITTER_RULES[language].identifiers;
+        return withTreeSitterTree(content, language, root => {
+            const positions: IdentifierPosition[] = [];
+            const visit = (node: Parser.SyntaxNode): void => {
+                if (identifiers.has(node.type) && node.text === name) {
+                    positions.push({ line: node.startPosition.row + 1, column: node.startPosition.column + 1 });
+                }
+                for (const child of node.namedChildren) {
+                    visit(child);
+                }
+            };
+            visit(root);
+            return positions;
+        });
+    }
+
+    private _scanTypeScript(filePath: string, content: string): FileSymbols {
+        const source = createTypeScriptSource(filePath, content);
+        const definitions: SymbolDefinition[] = [];
+        const calls: CallSite[] = [];
+
+        const define = (nameNode: ts.Node, kind: SymbolDefinitionKind, declaration: ts.Node, containers: string[]): string => {
+            const name = this._typeScriptName(nameNode, source);
+            const qualifiedName = [...containers, name].join('.');
+            definitions.push({
+                name,
+                qualifiedName,
+                kind,
+                ...this._typeScriptPosition(source, nameNode),
+                endLine: source.getLineAndCharacterOfPosition(declaration.getEnd()).line + 1,
+                container: containers.length > 0 ? containers.join('.') : undefined
+            });
+            return qualifiedName;
+        };
+
+        const visit = (node: ts.Node, containers: string[], caller: string | undefined): void => {
+            let scope = containers;
+            let scopeCaller = caller;
+            const enter = (qualifiedName: string, callable: boolean) => {
+                scope = qualifiedName.split('.');
+                scopeCaller = callable ? qualifiedName : scopeCaller;
+            };
+
+            if ((ts.isFunctionDeclaration(node) || ts.isClassDeclaration(node) || ts.isClassExpression(node)) && node.name) {
+                enter(define(node.name, ts.isFunctionDeclaration(node) ? 'function' : 'class', node, containers), ts.isFunctionDeclaration(node));
+            } else if (ts.isInterfaceDeclaration(node)) {
+                enter(define(node.name, 'interface', node, containers), false);
+            } else if (ts.isTypeAliasDeclaration(node)) {
+                define(node.name, 'type', node, containers);
+            } else if (ts.isEnumDeclaration(node)) {
+                define(node.name, 'enum', node, containers);
+            } else if (ts.isModuleDeclaration(node)) {
+                enter(define(node.name, 'namespace', node, containers), false);
+            } else if (ts.isConstructorDeclaration(node)) {
+                const qualifiedName = [...containers, 'constructor'].join('.');
+                definitions.push({
+                    name: 'constructor',
+                    qualifiedName,
+                    kind: 'method',
+                    ...this._typeScriptPosition(source, node),
+                    endLine: source.getLineAndCharacterOfPosition(node.getEnd()).line + 1,
+                    container: containers.join('.') || undefined
+                });
+                enter(qualifiedName, true);
+            } else if ((ts.isMethodDeclaration(node) || ts.isMethodSignature(node) || ts.isGetAccessorDeclaration(node) ||
+                ts.isSetAccessorDeclaration(node)) && !ts.isComputedPropertyName(node.name) && !ts.isObjectLiteralExpression(node.parent)) {
+                enter(define(node.name, 'method', node, containers), true);
+            } else if ((ts.isPropertyDeclaration(node) || ts.isPropertySignature(node)) && !ts.isComputedPropertyName(node.name)) {
+                const isFunction = ts.isPropertyDeclaration(node) && node.initializer !== undefined && isFunctionExpression(node.initializer);
+                const qualifiedName = define(node.name, isFunction ? 'method' : 'property', node, containers);
+                if (isFunction) {
+                    enter(qualifiedName, true);
+                }
+            } else if (ts.isVariableDeclaration(node) && ts.isIdentifier(node.name)) {
+                // Functions and classes assigned to a variable anywhere; plain variables outside functions
+                const initializer = node.initializer;
+                if (initializer && isFunctionExpression(initializer)) {
+                    enter(define(node.name, 'function', node, containers), true);
+                } else if (initializer && ts.isClassExpression(initializer) && !initializer.name) {
+                    enter(define(node.name, 'class', node, containers), false);
+                } else if (!caller) {
+                    const isConst = (ts.getCombinedNodeFlags(node) & ts.NodeFlags.Const) !== 0;
+                    define(node.name, isConst ? 'constant' : 'variable', node, containers);
+                }
+            } else if (ts.isCallExpression(node) || ts.isNewExpression(node)) {
+                const callee = ts.isPropertyAccessExpression(node.expression) ? node.expression.name
+                    : ts.isIdentifier(node.expression) ? node.expression
+                        : undefined;
+                if (callee) {
+                    calls.push({ callee: callee.text, ...this._typeScriptPosition(source, callee), caller });
+                }
+            }
+
+            ts.forEachChild(node, child => visit(child, scope, scopeCaller));
+        };
+
+        visit(source, [], undefined);
+        return { definitions, calls };
+    }
+
+    private _typeScriptName(nameNode: ts.Node, source: ts.SourceFile): string {
+        return ts.isIdentifier(nameNode) || ts.isPrivateIdentifier(nameNode) || ts.isStringLiteral(nameNode) || ts.isNumericLiteral(nameNode)
+            ? nameNode.text
+            : nameNode.getText(source);
+    }
+
+    private _typeScriptPosition(source: ts.SourceFile, node: ts.Node): IdentifierPosition {
+        const { line, character } = source.getLineAndCharacterOfPosition(node.getStart(source));
+        return { line: line + 1, column: character + 1 };
+    }
+
+    private _scanTreeSitter(root: Parser.SyntaxNode, language: TreeSitterLanguage): FileSymbols {
+        const rules = TREE_SITTER_RULES[language];
+        const definitions: SymbolDefinition[] = [];
+        const calls: CallSite[] = [];
+
+        const visit = (node: Parser.SyntaxNode, scope: TreeSitterScope): void => {
+            let childScope: TreeSitterScope = { ...scope, inType: false };
+            const kind = rules.definitions[node.type];
+
+            if (kind) {
+                const names = this._definitionNames(node, language, scope);
+                for (const nameNode of names) {
+                    const definitionKind = this._definitionKind(node, kind, language, scope);
+                    const containers = node.type === 'method_declaration' ? this._goReceiver(node) : scope.containers;
+                    const qualifiedName = [...containers, nameNode.text].join(rules.separator);
+                    definitions.push({
+                        name: nameNode.text,
+                        qualifiedName,
+                        kind: definitionKind,
+                        line: nameNode.startPosition.row + 1,
+                        column: nameNode.startPosition.column + 1,
+                        endLine: getEndLine(node),
+                        container: containers.length > 0 ? containers.join(rules.separator) : undefined
+                    });
+
+                    const callable = definitionKind === 'function' || definitionKind === 'method';
+                    if (names.length === 1 && (callable || rules.types.has(node.type) || definitionKind === 'namespace' || definitionKind === 'class')) {
+                        childScope = {
+                            containers: [...containers, nameNode.text],
+                            caller: callable ? qualifiedName : scope.caller,
+                            inType: rules.types.has(node.type) || definitionKind === 'class'
+                        };
+                    }
+                }
+            } else if (node.type === 'impl_item') {
+                // impl Trait for Type qualifies its methods with the type
+                const owner = node.childForFieldName('type')?.text;
+                if (owner) {
+                    childScope = { containers: [...scope.containers, owner], caller: scope.caller, inType: true };
+                }
+            } else if (language === 'python' && node.type === 'assignment' && !scope.caller && !scope.inType &&
+                node.parent?.parent?.type === 'module') {
+                const target = node.childForFieldName('left');
+                if (target?.type === 'identifier') {
+                    definitions.push({
+                        name: target.text,
+                        qualifiedName: target.text,
+                        kind: /^[A-Z][A-Z0-9_]*$/.test(target.text) ? 'constant' : 'variable',
+                        line: target.startPosition.row + 1,
+                        column: target.startPosition.column + 1,
+                        endLine: getEndLine(node)
+                    });
+                }
+            } else if (node.type === 'block' || node.type === 'declaration_list' || node.type === 'decorated_definition') {
+                // Bodies keep the scope of the declaration they belong to
+                childScope = scope;
+            }
+
+            if (rules.calls.has(node.type)) {
+                const callee = this._calleeName(node.childForFieldName('function'));
+                if (callee) {
+                    calls.push({
+                        callee: callee.text,
+                        line: callee.startPosition.row + 1,
+                        column: callee.startPosition.column + 1,
+                        caller: scope.caller
+                    });
+                }
+            }
+
+            for (const child of node.namedChildren) {
+                visit(child, childScope);
+            }
+        };
+
+        visit(root, { containers: [], inType: false });
+        return { definitions, calls };
+    }
+
+    private _definitionNames(node: Parser.SyntaxNode, language: TreeSitterLanguage, scope: TreeSitterScope): Parser.SyntaxNode[] {
+        // const ( a, b = 1, 2 ) and var x, y int declare several names; locals are not symbols
+        if (node.type === 'const_spec' || node.type === 'var_spec') {
+            return scope.caller ? [] : node.childrenForFieldName('name');
+        }
+        if ((node.type === 'const_item' || node.type === 'static_item') && scope.caller) {
+            return [];
+        }
+        const name = node.childForFieldName('name');
+        return name ? [name] : [];
+    }
+
+    private _definitionKind(
+        node: Parser.SyntaxNode,
+        kind: SymbolDefinitionKind,
+        language: TreeSitterLanguage,
+        scope: TreeSitterScope
+    ): SymbolDefinitionKind {
+        if (kind === 'function' && scope.inType) {
+            return 'method';
+        }
+        if (language === 'go' && node.type === 'type_spec') {
+            const typeNode = node.childForFieldName('type');
+            return typeNode?.type === 'struct_type' ? 'struct' : typeNode?.type === 'interface_type' ? 'interface' : 'type';
+        }
+        return kind;
+    }
+
+    /** (s *Server) or (l List[T]) names its receiver type Server or List */
+    private _goReceiver(node: Parser.SyntaxNode): string[] {
+        const receiver = node.childForFieldName('receiver')?.text.match(/(\w+)(?:\[[^\]]*\])?\s*\)$/)?.[1];
+        return receiver ? [receiver] : [];
+    }
+
+    /**
+     * The name a call is made by: foo for foo(), obj.foo(), pkg.foo() and
+     * Type::foo()
+     */
+    private _calleeName(callee: Parser.SyntaxNode | null): Parser.SyntaxNode | undefined {
+        switch (callee?.type) {
+            case 'identifier':
+                return callee;
+            case 'attribute':
+                return callee.childForFieldName('attribute') ?? undefined;
+            case 'field_expression':
+            case 'selector_expression':
+                return callee.childForFieldName('field') ?? undefined;
+            case 'scoped_identifier':
+                return callee.childForFieldName('name') ?? undefined;
+            case 'generic_function':
+                return this._calleeName(callee.childForFieldName('function'));
+            default:
+                return undefined;
+        }
+    }
+}
+
+function isFunctionExpression(node: ts.Node): boolean {
+    return ts.isArrowFunction(node) || ts.isFunctionExpression(node);
+}
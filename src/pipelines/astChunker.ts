@@ -0,0 +1,359 @@
+/**
+ * AST Chunker - Finds the declarations of a source file in its syntax tree
+ * TypeScript and JavaScript are parsed with the TypeScript compiler API;
+ * Python, Rust and Go with the tree-sitter WASM grammars, which are loaded
+ * the first time a file of that language is parsed.
+ */
+
+import * as path from 'path';
+import * as ts from 'typescript';
+import Parser from 'web-tree-sitter';
+import { CodeChunk } from './codeUnderstandingPipeline';
+
+export type DeclarationKind =
+    | 'function'
+    | 'method'
+    | 'class'
+    | 'interface'
+    | 'type'
+    | 'enum'
+    | 'namespace'
+    | 'struct'
+    | 'trait'
+    | 'impl';
+
+export interface SyntaxDeclaration {
+    name: string;
+    kind: DeclarationKind;
+    /** 1-based and inclusive, leading doc comments, decorators and attributes included */
+    startLine: number;
+    endLine: number;
+    /** The class, impl or trait a method belongs to */
+    parent?: string;
+}
+
+type AddDeclaration = (node: Parser.SyntaxNode, name: string, kind: DeclarationKind, parent?: string) => void;
+
+export type AstLanguage = 'typescript' | 'javascript' | 'python' | 'rust' | 'go';
+
+export type TreeSitterLanguage = 'python' | 'rust' | 'go';
+
+const TREE_SITTER_GRAMMARS: Record<TreeSitterLanguage, string> = {
+    python: 'tree-sitter-python.wasm',
+    rust: 'tree-sitter-rust.wasm',
+    go: 'tree-sitter-go.wasm'
+};
+
+const CHUNK_TYPES: Record<DeclarationKind, CodeChunk['type']> = {
+    function: 'function',
+    method: 'function',
+    class: 'class',
+    struct: 'class',
+    impl: 'class',
+    interface: 'interface',
+    trait: 'interface',
+    type: 'interface',
+    enum: 'interface',
+    namespace: 'module'
+};
+
+/** Comments and attributes that belong to the declaration right below them */
+const TREE_SITTER_PREFIX_TYPES = new Set(['comment', 'line_comment', 'block_comment', 'attribute_item']);
+
+const FILE_LANGUAGES: Record<string, AstLanguage> = {
+    '.ts': 'typescript',
+    '.tsx': 'typescript',
+    '.mts': 'typescript',
+    '.cts': 'typescript',
+    '.js': 'javascript',
+    '.jsx': 'javascript',
+    '.mjs': 'javascript',
+    '.cjs': 'javascript',
+    '.py': 'python',
+    '.rs': 'rust',
+    '.go': 'go'
+};
+
+let treeSitterInit: Promise<void> | undefined;
+const treeSitterLanguages = new Map<TreeSitterLanguage, Promise<Parser.Language>>();
+
+export function isAstLanguage(language: string): language is AstLanguage {
+    return language === 'typescript' || language === 'javascript' || language in TREE_SITTER_GRAMMARS;
+}
+
+/**
+ * The language a file is parsed as, or undefined when there is no parser for it
+ */
+export function getAstLanguage(filePath: string): AstLanguage | undefined {
+    return FILE_LANGUAGES[path.extname(filePath).toLowerCase()];
+}
+
+export function getChunkType(kind: DeclarationKind): CodeChunk['type'] {
+    return CHUNK_TYPES[kind];
+}
+
+/**
+ * Parses a TypeScript or JavaScript file with parent pointers set
+ */
+export function createTypeScriptSource(filePath: string, content: string): ts.SourceFile {
+    const scriptKind = /\.(tsx|jsx)$/i.test(filePath) ? ts.ScriptKind.TSX
+        : /\.(js|mjs|cjs)$/i.test(filePath) ? ts.ScriptKind.JS
+            : ts.ScriptKind.TS;
+    return ts.createSourceFile(filePath, content, ts.ScriptTarget.Latest, true, scriptKind);
+}
+
+/**
+ * Parses content with a tree-sitter grammar and hands the root node to
+ * inspect. The tree is freed afterwards, so inspect must not keep nodes.
+ */
+export async function withTreeSitterTree<T>(
+    content: string,
+    language: TreeSitterLanguage,
+    inspect: (root: Parser.SyntaxNode) => T
+): Promise<T> {
+    // Loading the grammar also initialises the runtime a Parser needs
+    const grammar = await loadTreeSitterLanguage(language);
+    const parser = new Parser();
+    parser.setLanguage(grammar);
+    const tree = parser.parse(content);
+
+    try {
+        return inspect(tree.rootNode);
+    } finally {
+        tree.delete();
+        parser.delete();
+    }
+}
+
+/**
+ * 1-based last line of a node; a node ending with a newline ends at column 0
+ * of the next row
+ */
+export function getEndLine(node: Parser.SyntaxNode): number {
+    return node.endPosition.row + (node.endPosition.column === 0 && node.endPosition.row > node.startPosition.row ? 0 : 1);
+}
+
+function loadTreeSitterLanguage(language: TreeSitterLanguage): Promise<Parser.Language> {
+    let loaded = treeSitterLanguages.get(language);
+    if (!loaded) {
+        treeSitterInit ??= Parser.init();
+        loaded = treeSitterInit.then(() =>
+            Parser.Language.load(require.resolve(`tree-sitter-wasms/out/${TREE_SITTER_GRAMMARS[language]}`))
+        );
+        // A failed load is retried with the next file instead of failing for the session
+        loaded.catch(() => treeSitterLanguages.delete(language));
+        treeSitterLanguages.set(language, loaded);
+    }
+    return loaded;
+}
+
+export class AstChunker {
+    /**
+     * Top-level declarations followed by the methods of each class, impl or
+     * trait, in file order
+     */
+    async findDeclarations(filePath: string, content: string, language: AstLanguage): Promise<SyntaxDeclaration[]> {
+        const declarations = language === 'typescript' || language === 'javascript'
+            ? this._findTypeScriptDeclarations(filePath, content)
+            : await this._findTreeSitterDeclarations(content, language);
+
+        return declarations.sort((a, b) => a.startLine - b.startLine || b.endLine - a.endLine);
+    }
+
+    private _findTypeScriptDeclarations(filePath: string, content: string): SyntaxDeclaration[] {
+        const sourceFile = createTypeScriptSource(filePath, content);
+        const declarations: SyntaxDeclaration[] = [];
+
+        const lineOf = (position: number) => sourceFile.getLineAndCharacterOfPosition(position).line + 1;
+        const add = (node: ts.Node, name: string, kind: DeclarationKind, parent?: string) => {
+            declarations.push({
+                name,
+                kind,
+                startLine: lineOf(node.getStart(sourceFile, true)),
+                endLine: lineOf(node.getEnd()),
+                parent
+            });
+        };
+        const addClass = (node: ts.Node, name: string, members: ts.NodeArray<ts.ClassElement>) => {
+            add(node, name, 'class');
+            for (const member of members) {
+                const isMethod = ts.isMethodDeclaration(member) || ts.isConstructorDeclaration(member) ||
+                    ts.isGetAccessorDeclaration(member) || ts.isSetAccessorDeclaration(member) ||
+                    (ts.isPropertyDeclaration(member) && member.initializer !== undefined && isFunctionExpression(member.initializer));
+                if (isMethod) {
+                    const memberName = ts.isConstructorDeclaration(member) ? 'constructor' : member.name?.getText(sourceFile) ?? 'anonymous';
+                    add(member, `${name}.${memberName}`, 'method', name);
+                }
+            }
+        };
+
+        for (const statement of sourceFile.statements) {
+            if (ts.isFunctionDeclaration(statement)) {
+                add(statement, statement.name?.text ?? 'default', 'function');
+            } else if (ts.isClassDeclaration(statement)) {
+                addClass(statement, statement.name?.text ?? 'default', statement.members);
+            } else if (ts.isInterfaceDeclaration(statement)) {
+                add(statement, statement.name.text, 'interface');
+            } else if (ts.isTypeAliasDeclaration(statement)) {
+                add(statement, statement.name.text, 'type');
+            } else if (ts.isEnumDeclaration(statement)) {
+                add(statement, statement.name.text, 'enum');
+            } else if (ts.isModuleDeclaration(statement)) {
+                add(statement, statement.name.getText(sourceFile), 'namespace');
+            } else if (ts.isVariableStatement(statement)) {
+                // const handler = () => ... and const Widget = class { ... }
+                const declaration = statement.declarationList.declarations[0];
+                const initializer = declaration?.initializer;
+                if (statement.declarationList.declarations.length === 1 && initializer) {
+                    const name = declaration.name.getText(sourceFile);
+                    if (isFunctionExpression(initializer)) {
+                        add(statement, name, 'function');
+                    } else if (ts.isClassExpression(initializer)) {
+                        addClass(statement, name, initializer.members);
+                    }
+                }
+            }
+        }
+
+        return declarations;
+    }
+
+    private _findTreeSitterDeclarations(content: string, language: TreeSitterLanguage): Promise<SyntaxDeclaration[]> {
+        return withTreeSitterTree(content, language, root => {
+            const declarations: SyntaxDeclaration[] = [];
+            const add: AddDeclaration = (node, name, kind, parent) => {
+                declarations.push({
+                    name,
+                    kind,
+                    startLine: this._prefixStart(node).startPosition.row + 1,
+                    endLine: getEndLine(node),
+                    parent
+                });
+            };
+
+            for (const node of root.namedChildren) {
+                switch (language) {
+                    case 'python':
+                        this._addPythonDeclaration(node, add);
+                        break;
+                    case 'rust':
+                        this._addRustDeclaration(node, add);
+                        break;
+                    case 'go':
+                        this._addGoDeclaration(node, add);
+                        break;
+                }
+            }
+
+            return declarations;
+        });
+    }
+
+    private _addPythonDeclaration(node: Parser.SyntaxNode, add: AddDeclaration): void {
+        // Decorators belong to the chunk of the definition they wrap
+        const definition = node.type === 'decorated_definition' ? node.childForFieldName('definition') : node;
+        const name = definition?.childForFieldName('name')?.text;
+        if (!definition || !name) {
+            return;
+        }
+
+        if (definition.type === 'function_definition') {
+            add(node, name, 'function');
+        } else if (definition.type === 'class_definition') {
+            add(node, name, 'class');
+            for (const member of definition.childForFieldName('body')?.namedChildren ?? []) {
+                const method = member.type === 'decorated_definition' ? member.childForFieldName('definition') : member;
+                const methodName = method?.childForFieldName('name')?.text;
+                if (method?.type === 'function_definition' && methodName) {
+                    add(member, `${name}.${methodName}`, 'method', name);
+                }
+            }
+        }
+    }
+
+    private _addRustDeclaration(node: Parser.SyntaxNode, add: AddDeclaration): void {
+        const kinds: Record<string, DeclarationKind> = {
+            function_item: 'function',
+            struct_item: 'struct',
+            enum_item: 'enum',
+            union_item: 'struct',
+            type_item: 'type',
+            mod_item: 'namespace'
+        };
+
+        if (kinds[node.type]) {
+            const name = node.childForFieldName('name')?.text;
+            if (name) {
+                add(node, name, kinds[node.type]);
+            }
+            return;
+        }
+
+        if (node.type !== 'impl_item' && node.type !== 'trait_item') {
+            return;
+        }
+
+        const trait = node.type === 'impl_item' ? node.childForFieldName('trait')?.text : undefined;
+        const owner = node.type === 'impl_item' ? node.childForFieldName('type')?.text : node.childForFieldName('name')?.text;
+        if (!owner) {
+            return;
+        }
+
+        const name = trait ? `${trait} for ${owner}` : owner;
+        add(node, name, node.type === 'impl_item' ? 'impl' : 'trait');
+        for (const member of node.childForFieldName('body')?.namedChildren ?? []) {
+            const methodName = member.childForFieldName('name')?.text;
+            if ((member.type === 'function_item' || member.type === 'function_signature_item') && methodName) {
+                add(member, `${owner}::${methodName}`, 'method', name);
+            }
+        }
+    }
+
+    private _addGoDeclaration(node: Parser.SyntaxNode, add: AddDeclaration): void {
+        const name = node.childForFieldName('name')?.text;
+
+        if (node.type === 'function_declaration' && name) {
+            add(node, name, 'function');
+        } else if (node.type === 'method_declaration' && name) {
+            // (s *Server) or (l List[T]) names its receiver type Server or List
+            const receiver = node.childForFieldName('receiver')?.text.match(/(\w+)(?:\[[^\]]*\])?\s*\)$/)?.[1];
+            add(node, receiver ? `${receiver}.${name}` : name, 'method', receiver);
+        } else if (node.type === 'type_declaration') {
+            // A grouped type ( ... ) declaration gets one chunk per type
+            const specs = node.namedChildren.filter(child => child.type === 'type_spec' || child.type === 'type_alias');
+            for (const spec of specs) {
+                const specName = spec.childForFieldName('name')?.text;
+                const typeNode = spec.childForFieldName('type');
+                if (!specName) {
+                    continue;
+                }
+                const kind: DeclarationKind = typeNode?.type === 'struct_type' ? 'struct'
+                    : typeNode?.type === 'interface_type' ? 'interface'
+                        : 'type';
+                add(specs.length === 1 ? node : spec, specName, kind);
+            }
+        }
+    }
+
+    /**
+     * The first of the comments and attributes directly above a node, or the node itself
+     */
+    private _prefixStart(node: Parser.SyntaxNode): Parser.SyntaxNode {
+        let start = node;
+        let previous = node.previousNamedSibling;
+        while (previous && TREE_SITTER_PREFIX_TYPES.has(previous.type) && previous.endPosition.row >= start.startPosition.row - 1) {
+            // A trailing comment on the line of the previous declaration is not a prefix
+            const before = previous.previousNamedSibling;
+            if (before && before.endPosition.row === previous.startPosition.row && !TREE_SITTER_PREFIX_TYPES.has(before.type)) {
+                break;
+            }
+            start = previous;
+            previous = previous.previousNamedSibling;
+        }
+        return start;
+    }
+}
+
+function isFunctionExpression(node: ts.Node): boolean {
+    return ts.isArrowFunction(node) || ts.isFunctionExpression(node);
+}
@@ -7,6 +7,12 @@ import * as vscode from 'vscode';
 import * as path from 'path';
 import { SwarmManager } from '../utils/swarmManager';
 import { SwarmToolsProvider } from '../mcp/tools/swarmToolsProvider';
+import { DependencyGraphService } from '../dependencies/dependencyGraph';
+import { ResolvedImport } from '../dependencies/moduleResolver';
+import { TokenBudgetService } from '../llm/tokenBudget';
+import { AstChunker, AstLanguage, SyntaxDeclaration, getChunkType, isAstLanguage } from './astChunker';
+import { ComplexityAnalyzer } from '../metrics/complexityAnalyzer';
+import { FunctionComplexity } from '../types';
 
 export interface CodeChunk {
     id: string;
@@ -81,21 +87,27 @@ export interface PipelineConfig {
 export class CodeUnderstandingPipeline {
     private _swarmManager: SwarmManager;
     private _toolsProvider: SwarmToolsProvider;
+    private _moduleGraph: DependencyGraphService;
     private _context: vscode.ExtensionContext;
     private _outputChannel: vscode.OutputChannel;
     private _config: PipelineConfig;
     private _chunkCache: Map<string, CodeChunk[]> = new Map();
     private _analysisCache: Map<string, any> = new Map();
     private _dependencyGraph: Map<string, Set<string>> = new Map();
+    private _tokenBudget = new TokenBudgetService();
+    private _astChunker = new AstChunker();
+    private _complexityAnalyzer = new ComplexityAnalyzer();
 
     constructor(
         context: vscode.ExtensionContext,
         swarmManager: SwarmManager,
-        toolsProvider: SwarmToolsProvider
+        toolsProvider: SwarmToolsProvider,
+        moduleGraph: DependencyGraphService
     ) {
         this._context = context;
         this._swarmManager = swarmManager;
         this._toolsProvider = toolsProvider;
+        this._moduleGraph = moduleGraph;
         this._outputChannel = vscode.window.createOutputChannel('RUV-Swarm Code Understanding');
         
         this._config = this._loadConfiguration();
@@ -174,8 +186,8 @@ export class CodeUnderstandingPipeline {
                 insights.push(...chunkAnalysis.insights);
                 architecturalPatterns.push(...chunkAnalysis.patterns);
                 
-                if (chunkAnalysis.dependencies) {
-                    dependencies[chunk.filePath] = chunkAnalysis.dependencies;
+                if (chunkAnalysis.dependencies?.length) {
+                    dependencies[chunk.filePath] = [...new Set([...(dependencies[chunk.filePath] ?? []), ...chunkAnalysis.dependencies])];
                 }
 
                 chunksProcessed++;
@@ -186,9 +198,9 @@ export class CodeUnderstandingPipeline {
                     this._analysisCache.set(cacheKey, chunkAnalysis);
                 }
 
-                // Respect token budget for Gemma-3-4B
+                // Respect the prompt budget: the context window minus the reply reservation
                 if (this._config.gemmaOptimizations.tokenBudgetManagement && 
-                    tokensUsed > analysisContext.maxTokens * 0.8) {
+                    tokensUsed > (analysisContext.contextWindow - analysisContext.maxTokens) * 0.8) {
                     this._outputChannel.appendLine('⚠️ Approaching token budget limit, optimizing remaining analysis');
                     break;
                 }
@@ -320,9 +332,7 @@ export class CodeUnderstandingPipeline {
                     continue;
                 }
                 const content = JSON.parse(contentItem.text).content;
-                const fileChunks = this._config.smartChunking 
-                    ? await this._smartChunkFile(filePath, content, analysisContext)
-                    : this._simpleChunkFile(filePath, content);
+                const fileChunks = await this.chunkContent(filePath, content);
 
                 chunks.push(...fileChunks);
                 
@@ -338,73 +348,104 @@ export class CodeUnderstandingPipeline {
         return chunks;
     }
 
-    private async _smartChunkFile(
+    /**
+     * One chunk per declaration in the syntax tree, plus block chunks for the
+     * code between declarations; languages without a parser are chunked by size
+     */
+    private async _smartChunkFile(filePath: string, content: string): Promise<CodeChunk[]> {
+        const language = this._detectLanguage(filePath);
+        if (!isAstLanguage(language)) {
+            return this._simpleChunkFile(filePath, content);
+        }
+
+        try {
+            const declarations = await this._astChunker.findDeclarations(filePath, content, language);
+            const functions = await this._complexityAnalyzer.analyze(filePath, content, language);
+            return this._declarationChunkFile(filePath, content, language, declarations, functions);
+        } catch (error) {
+            this._outputChannel.appendLine(`⚠️ Parsing ${filePath} failed, falling back to simple chunking: ${error}`);
+            return this._simpleChunkFile(filePath, content);
+        }
+    }
+
+    /**
+     * Chunks a file without consulting the swarm, for callers such as the
+     * retrieval index that chunk many files in the background
+     */
+    async chunkContent(filePath: string, content: string): Promise<CodeChunk[]> {
+        return this._config.smartChunking
+            ? this._smartChunkFile(filePath, content)
+            : this._simpleChunkFile(filePath, content);
+    }
+
+    private _declarationChunkFile(
         filePath: string,
         content: string,
-        analysisContext: AnalysisContext
-    ): Promise<CodeChunk[]> {
-        const chunks: CodeChunk[] = [];
+        language: AstLanguage,
+        declarations: SyntaxDeclaration[],
+        functions: FunctionComplexity[]
+    ): CodeChunk[] {
         const lines = content.split('\n');
-        const language = this._detectLanguage(filePath);
+        const parser = language === 'typescript' || language === 'javascript' ? 'typescript' : 'tree-sitter';
+        const covered = new Array<boolean>(lines.length).fill(false);
+        const chunks: CodeChunk[] = [];
 
-        // Use swarm to identify logical boundaries
-        try {
-            const structureAnalysis = await this._swarmManager.executeTask(
-                `Analyze code structure and identify logical boundaries in ${filePath}`,
-                'analysis',
-                filePath
-            );
+        for (const declaration of declarations) {
+            const chunkContent = lines.slice(declaration.startLine - 1, declaration.endLine).join('\n');
+            if (!declaration.parent) {
+                covered.fill(true, declaration.startLine - 1, declaration.endLine);
+            }
 
-            // Parse structure analysis to create intelligent chunks
-            // This is a simplified implementation
-            let currentChunk: Partial<CodeChunk> = {
+            chunks.push({
+                // Names keep a one-line class and its method apart
+                id: `${filePath}:${declaration.startLine}-${declaration.endLine}#${declaration.name}`,
                 filePath,
-                startLine: 1,
-                content: '',
+                startLine: declaration.startLine,
+                endLine: declaration.endLine,
+                content: chunkContent,
+                type: getChunkType(declaration.kind),
+                complexity: this._measuredComplexity(functions, declaration),
                 dependencies: [],
-                metadata: { language }
-            };
-
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i];
-                currentChunk.content += line + '\n';
-
-                // Check if we should create a new chunk
-                if (this._shouldCreateNewChunk(line, i, lines, language)) {
-                    currentChunk.endLine = i + 1;
-                    currentChunk.id = `${filePath}:${currentChunk.startLine}-${currentChunk.endLine}`;
-                    currentChunk.type = this._detectChunkType(currentChunk.content!, language);
-                    currentChunk.complexity = this._calculateComplexity(currentChunk.content!);
-
-                    chunks.push(currentChunk as CodeChunk);
-
-                    // Start new chunk with overlap
-                    const overlapStart = Math.max(currentChunk.startLine!, i + 1 - this._config.overlapLines);
-                    currentChunk = {
-                        filePath,
-                        startLine: overlapStart,
-                        content: lines.slice(overlapStart - 1, i + 1).join('\n') + '\n',
-                        dependencies: [],
-                        metadata: { language }
-                    };
+                metadata: {
+                    language,
+                    parser,
+                    name: declaration.name,
+                    kind: declaration.kind,
+                    ...(declaration.parent ? { parent: declaration.parent } : {})
                 }
+            });
+        }
+
+        // Imports and top-level statements between the declarations
+        for (let i = 0; i < lines.length; i++) {
+            if (covered[i] || !lines[i].trim()) {
+                continue;
             }
 
-            // Add final chunk
-            if (currentChunk.content) {
-                currentChunk.endLine = lines.length;
-                currentChunk.id = `${filePath}:${currentChunk.startLine}-${currentChunk.endLine}`;
-                currentChunk.type = this._detectChunkType(currentChunk.content, language);
-                currentChunk.complexity = this._calculateComplexity(currentChunk.content);
-                chunks.push(currentChunk as CodeChunk);
+            let end = i;
+            while (end + 1 < lines.length && !covered[end + 1] && end + 1 - i < this._config.maxChunkSize) {
+                end++;
+            }
+            while (!lines[end].trim()) {
+                end--;
             }
 
-        } catch (error) {
-            this._outputChannel.appendLine(`⚠️ Smart chunking failed, falling back to simple chunking: ${error}`);
-            return this._simpleChunkFile(filePath, content);
+            const chunkContent = lines.slice(i, end + 1).join('\n');
+            chunks.push({
+                id: `${filePath}:${i + 1}-${end + 1}`,
+                filePath,
+                startLine: i + 1,
+                endLine: end + 1,
+                content: chunkContent,
+                type: 'block',
+                complexity: this._calculateComplexity(chunkContent),
+                dependencies: [],
+                metadata: { language, parser }
+            });
+            i = end;
         }
 
-        return chunks;
+        return chunks.sort((a, b) => a.startLine - b.startLine || b.endLine - a.endLine);
     }
 
     private _simpleChunkFile(filePath: string, content: string): CodeChunk[] {
@@ -470,12 +511,11 @@ export class CodeUnderstandingPipeline {
             // Extract insights from analysis
             const insights = this._extractInsights(analysis, chunk);
             const patterns = this._extractPatterns(analysis, chunk);
-            const dependencies = this._extractDependencies(chunk.content, chunk.metadata.language);
 
             return {
                 insights,
                 patterns,
-                dependencies,
+                dependencies: chunk.dependencies,
                 tokensUsed: this._estimateTokens(chunk.content)
             };
 
@@ -490,12 +530,29 @@ export class CodeUnderstandingPipeline {
         }
     }
 
+    /**
+     * Fills in each chunk's dependencies from the resolved imports written in
+     * its lines: workspace files, installed packages, or the specifier as
+     * written when it does not resolve
+     */
     private async _buildDependencyGraph(chunks: CodeChunk[]): Promise<void> {
         this._dependencyGraph.clear();
+        const importsByFile = new Map<string, Promise<ResolvedImport[]>>();
 
         for (const chunk of chunks) {
-            const dependencies = this._extractDependencies(chunk.content, chunk.metadata.language);
-            this._dependencyGraph.set(chunk.id, new Set(dependencies));
+            let imports = importsByFile.get(chunk.filePath);
+            if (!imports) {
+                imports = this._moduleGraph.getImports(chunk.filePath).catch(() => []);
+                importsByFile.set(chunk.filePath, imports);
+            }
+
+            const dependencies = (await imports)
+                .filter(resolved => resolved.line >= chunk.startLine && resolved.line <= chunk.endLine)
+                .map(resolved => resolved.target
+                    ? vscode.workspace.asRelativePath(resolved.target)
+                    : resolved.external ?? resolved.specifier);
+            chunk.dependencies = [...new Set(dependencies)];
+            this._dependencyGraph.set(chunk.id, new Set(chunk.dependencies));
         }
     }
 
@@ -548,53 +605,15 @@ export class CodeUnderstandingPipeline {
         return languageMap[ext] || 'unknown';
     }
 
-    private _shouldCreateNewChunk(
-        line: string,
-        lineIndex: number,
-        allLines: string[],
-        language: string
-    ): boolean {
-        // Check if we've reached max chunk size
-        if (lineIndex > 0 && lineIndex % this._config.maxChunkSize === 0) {
-            return true;
-        }
-
-        // Language-specific logical boundaries
-        const trimmed = line.trim();
-        
-        switch (language) {
-            case 'typescript':
-            case 'javascript':
-                return trimmed.startsWith('function ') || 
-                       trimmed.startsWith('class ') ||
-                       trimmed.startsWith('interface ') ||
-                       trimmed.startsWith('export ');
-            case 'python':
-                return trimmed.startsWith('def ') || 
-                       trimmed.startsWith('class ') ||
-                       (trimmed.startsWith('if __name__') && trimmed.includes('__main__'));
-            default:
-                return false;
-        }
-    }
-
-    private _detectChunkType(content: string, language: string): CodeChunk['type'] {
-        const trimmed = content.trim();
-        
-        if (trimmed.includes('function ') || trimmed.includes('def ')) {
-            return 'function';
-        }
-        if (trimmed.includes('class ')) {
-            return 'class';
-        }
-        if (trimmed.includes('interface ') || trimmed.includes('type ')) {
-            return 'interface';
-        }
-        if (trimmed.includes('module ') || trimmed.includes('namespace ')) {
-            return 'module';
-        }
-        
-        return 'block';
+    /**
+     * Cognitive complexity of the most complex function within a declaration,
+     * normalized to 0-1 at the default cognitive threshold of 15
+     */
+    private _measuredComplexity(functions: FunctionComplexity[], declaration: SyntaxDeclaration): number {
+        const cognitive = functions
+            .filter(fn => fn.startLine >= declaration.startLine && fn.endLine <= declaration.endLine)
+            .reduce((max, fn) => Math.max(max, fn.cognitive), 0);
+        return Math.min(cognitive / 15, 1);
     }
 
     private _calculateComplexity(content: string): number {
@@ -613,37 +632,6 @@ export class CodeUnderstandingPipeline {
         return Math.min(complexity / 10, 1); // Normalize to 0-1
     }
 
-    private _extractDependencies(content: string, language: string): string[] {
-        const dependencies: string[] = [];
-        const lines = content.split('\n');
-        
-        for (const line of lines) {
-            const trimmed = line.trim();
-            
-            switch (language) {
-                case 'typescript':
-                case 'javascript':
-                    if (trimmed.startsWith('import ') || trimmed.startsWith('require(')) {
-                        const match = trimmed.match(/['"`]([^'"`]+)['"`]/);
-                        if (match) {
-                            dependencies.push(match[1]);
-                        }
-                    }
-                    break;
-                case 'python':
-                    if (trimmed.startsWith('import ') || trimmed.startsWith('from ')) {
-                        const parts = trimmed.split(' ');
-                        if (parts.length > 1) {
-                            dependencies.push(parts[1]);
-                        }
-                    }
-                    break;
-            }
-        }
-        
-        return dependencies;
-    }
-
     private _extractInsights(analysis: any, chunk: CodeChunk): CodeInsight[] {
         // Extract insights from swarm analysis
         // This would parse the analysis result and create structured insights
@@ -720,8 +708,7 @@ export class CodeUnderstandingPipeline {
     }
 
     private _estimateTokens(content: string): number {
-        // Rough token estimation (1 token ≈ 4 characters for English text)
-        return Math.ceil(content.length / 4);
+        return this._tokenBudget.estimateTokens(content);
     }
 
     dispose(): void {
@@ -9,7 +9,8 @@ export class ActiveAgentsProvider implements vscode.TreeDataProvider<AgentItem>
     constructor(private swarmManager: SwarmManager) {
         // Listen to swarm events to refresh the tree
         this.swarmManager.onSwarmEvent((event) => {
-            if (event.type === 'agent.spawned' || event.type === 'agent.terminated' || event.type === 'swarm.initialized') {
+            if (event.type === 'agent.spawned' || event.type === 'agent.terminated' ||
+                event.type === 'swarm.initialized' || event.type === 'swarm.restored') {
                 this.refresh();
             }
         });
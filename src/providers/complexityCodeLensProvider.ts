@@ -0,0 +1,65 @@
+/**
+ * Complexity CodeLens Provider - Shows the complexity metrics above every
+ * function and method, flagging the ones above the configured thresholds
+ */
+
+import * as vscode from 'vscode';
+import { FunctionComplexity } from '../types';
+import { ComplexityMetricsService } from '../metrics/complexityMetricsService';
+
+export class ComplexityCodeLensProvider implements vscode.CodeLensProvider, vscode.Disposable {
+    private _metrics: ComplexityMetricsService;
+    private _onDidChangeCodeLenses = new vscode.EventEmitter<void>();
+    private _disposables: vscode.Disposable[] = [];
+
+    public readonly onDidChangeCodeLenses = this._onDidChangeCodeLenses.event;
+
+    constructor(metrics: ComplexityMetricsService) {
+        this._metrics = metrics;
+        this._disposables.push(metrics.onDidChangeMetrics(() => this._onDidChangeCodeLenses.fire()));
+    }
+
+    async provideCodeLenses(document: vscode.TextDocument): Promise<vscode.CodeLens[]> {
+        if (!this._metrics.config.codeLens.enabled) {
+            return [];
+        }
+
+        let functions: FunctionComplexity[];
+        try {
+            functions = await (this._metrics.getDocumentMetrics(document) ?? Promise.resolve([]));
+        } catch {
+            // A file that does not parse right now simply has no lenses
+            return [];
+        }
+
+        return functions.map(fn => new vscode.CodeLens(
+            new vscode.Range(fn.startLine - 1, 0, fn.startLine - 1, 0),
+            {
+                title: this._formatTitle(fn),
+                tooltip: this._formatTooltip(fn),
+                command: ''
+            }
+        ));
+    }
+
+    private _formatTitle(fn: FunctionComplexity): string {
+        const flag = this._metrics.isAboveThreshold(fn) ? '$(warning) ' : '';
+        return `${flag}Cognitive ${fn.cognitive} · Cyclomatic ${fn.cyclomatic} · Nesting ${fn.maxNesting} · ` +
+            `${fn.parameters} ${fn.parameters === 1 ? 'param' : 'params'} · ${fn.loc} LOC`;
+    }
+
+    private _formatTooltip(fn: FunctionComplexity): string {
+        const { cyclomatic, cognitive } = this._metrics.config.thresholds;
+        return [
+            `${fn.name} (${fn.kind})`,
+            `Cognitive complexity ${fn.cognitive} (threshold ${cognitive}): how hard the control flow is to follow`,
+            `Cyclomatic complexity ${fn.cyclomatic} (threshold ${cyclomatic}): independent paths through the ${fn.kind}`,
+            `Deepest nesting ${fn.maxNesting}, ${fn.parameters} parameters, ${fn.loc} lines of code`
+        ].join('\n');
+    }
+
+    dispose(): void {
+        this._disposables.forEach(disposable => disposable.dispose());
+        this._onDidChangeCodeLenses.dispose();
+    }
+}
@@ -9,7 +9,8 @@ export class RecentAnalysisProvider implements vscode.TreeDataProvider<AnalysisI
     constructor(private swarmManager: SwarmManager) {
         // Listen to swarm events to refresh the tree
         this.swarmManager.onSwarmEvent((event) => {
-            if (event.type === 'task.completed' || event.type === 'task.failed' || event.type === 'analysis.completed') {
+            if (event.type === 'task.started' || event.type === 'task.completed' || event.type === 'task.failed' ||
+                event.type === 'task.cancelled' || event.type === 'analysis.completed' || event.type === 'swarm.restored') {
                 this.refresh();
             }
         });
@@ -182,10 +183,11 @@ export class RecentAnalysisProvider implements vscode.TreeDataProvider<AnalysisI
 
             return items;
         } else if (element.category === 'agents' && element.task) {
-            // Show assigned agents
+            // Show assigned agents by the name the Active Agents view uses
+            const agents = new Map(this.swarmManager.getAgents().map(agent => [agent.id, agent]));
             return element.task.assignedAgents.map(agentId => 
                 new AnalysisItem(
-                    agentId,
+                    agents.get(agentId)?.name ?? `${agentId} (no longer in swarm)`,
                     vscode.TreeItemCollapsibleState.None,
                     'agent',
                     element.task,
@@ -250,7 +252,7 @@ export class RecentAnalysisProvider implements vscode.TreeDataProvider<AnalysisI
         } else if (element.category === 'metrics' && element.task?.result?.metrics) {
             // Show metrics
             const metrics = element.task.result.metrics;
-            return [
+            const items = [
                 new AnalysisItem(
                     `Duration: ${metrics.duration}ms`,
                     vscode.TreeItemCollapsibleState.None,
@@ -266,24 +268,32 @@ export class RecentAnalysisProvider implements vscode.TreeDataProvider<AnalysisI
                     element.task,
                     undefined,
                     '$(symbol-misc)'
-                ),
-                new AnalysisItem(
+                )
+            ];
+
+            // Scores are only shown when the swarm reported them
+            if (metrics.qualityScore !== undefined) {
+                items.push(new AnalysisItem(
                     `Quality Score: ${(metrics.qualityScore * 100).toFixed(1)}%`,
                     vscode.TreeItemCollapsibleState.None,
                     'metric',
                     element.task,
                     undefined,
                     '$(star)'
-                ),
-                new AnalysisItem(
+                ));
+            }
+            if (metrics.confidenceScore !== undefined) {
+                items.push(new AnalysisItem(
                     `Confidence: ${(metrics.confidenceScore * 100).toFixed(1)}%`,
                     vscode.TreeItemCollapsibleState.None,
                     'metric',
                     element.task,
                     undefined,
                     '$(shield)'
-                )
-            ];
+                ));
+            }
+
+            return items;
         } else if (element.category === 'suggestions' && element.task?.result?.suggestions) {
             // Show suggestions
             return element.task.result.suggestions.map((suggestion, index) => 
@@ -111,21 +111,21 @@ export class SwarmStatusProvider implements vscode.TreeDataProvider<SwarmStatusI
                         '$(pass)'
                     ),
                     new SwarmStatusItem(
-                        `Token Efficiency: ${(status.performance.tokenEfficiency * 100).toFixed(1)}%`,
+                        `Token Efficiency: ${this.formatPercent(status.performance.tokenEfficiency, 100)}`,
                         vscode.TreeItemCollapsibleState.None,
                         'metric',
                         status,
                         '$(symbol-misc)'
                     ),
                     new SwarmStatusItem(
-                        `CPU Usage: ${status.performance.cpuUsage.toFixed(1)}%`,
+                        `CPU Usage: ${this.formatPercent(status.performance.cpuUsage)}`,
                         vscode.TreeItemCollapsibleState.None,
                         'metric',
                         status,
                         '$(pulse)'
                     ),
                     new SwarmStatusItem(
-                        `Memory Usage: ${status.performance.memoryUsage.toFixed(1)}%`,
+                        `Memory Usage: ${this.formatPercent(status.performance.memoryUsage)}`,
                         vscode.TreeItemCollapsibleState.None,
                         'metric',
                         status,
@@ -192,6 +192,10 @@ export class SwarmStatusProvider implements vscode.TreeDataProvider<SwarmStatusI
             default: return '$(question)';
         }
     }
+
+    private formatPercent(value: number | undefined, scale: number = 1): string {
+        return value === undefined ? 'n/a' : `${(value * scale).toFixed(1)}%`;
+    }
 }
 
 class SwarmStatusItem extends vscode.TreeItem {
@@ -0,0 +1,140 @@
+/**
+ * BM25 - In-memory Okapi BM25 ranking over code-aware tokens
+ * Identifiers are indexed whole and split into their camelCase and
+ * snake_case parts so "getUserName" matches a query for "user name"
+ */
+
+export interface BM25Match {
+    id: string;
+    score: number;
+}
+
+interface BM25Document {
+    length: number;
+    termFrequencies: Map<string, number>;
+}
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'that', 'this', 'from', 'are', 'was', 'not', 'but', 'you', 'how', 'what', 'does', 'into',
+    'const', 'let', 'var', 'return', 'new', 'import', 'export', 'true', 'false', 'null', 'undefined', 'void', 'self'
+]);
+
+const IDENTIFIER_PATTERN = /[A-Za-z_$][A-Za-z0-9_$]*|\d+/g;
+const IDENTIFIER_PARTS = /[A-Z]+(?![a-z])|[A-Z]?[a-z]+|\d+/g;
+
+/**
+ * Lower-cased terms of a text; splitting identifiers lets natural language
+ * questions match code
+ */
+export function tokenize(text: string): string[] {
+    const terms: string[] = [];
+
+    for (const identifier of text.match(IDENTIFIER_PATTERN) || []) {
+        const whole = identifier.toLowerCase();
+        if (whole.length > 1 && !STOP_WORDS.has(whole)) {
+            terms.push(whole);
+        }
+
+        const parts = identifier.match(IDENTIFIER_PARTS) || [];
+        if (parts.length > 1) {
+            for (const part of parts) {
+                const term = part.toLowerCase();
+                if (term.length > 1 && !STOP_WORDS.has(term)) {
+                    terms.push(term);
+                }
+            }
+        }
+    }
+
+    return terms;
+}
+
+export class BM25Index {
+    private static readonly k1 = 1.2;
+    private static readonly b = 0.75;
+
+    private _documents = new Map<string, BM25Document>();
+    private _postings = new Map<string, Set<string>>();
+    private _totalLength = 0;
+
+    get size(): number {
+        return this._documents.size;
+    }
+
+    add(id: string, text: string): void {
+        this.remove(id);
+
+        const terms = tokenize(text);
+        const termFrequencies = new Map<string, number>();
+        for (const term of terms) {
+            termFrequencies.set(term, (termFrequencies.get(term) || 0) + 1);
+        }
+
+        this._documents.set(id, { length: terms.length, termFrequencies });
+        this._totalLength += terms.length;
+
+        for (const term of termFrequencies.keys()) {
+            let posting = this._postings.get(term);
+            if (!posting) {
+                posting = new Set();
+                this._postings.set(term, posting);
+            }
+            posting.add(id);
+        }
+    }
+
+    remove(id: string): void {
+        const document = this._documents.get(id);
+        if (!document) {
+            return;
+        }
+
+        for (const term of document.termFrequencies.keys()) {
+            const posting = this._postings.get(term);
+            posting?.delete(id);
+            if (posting && posting.size === 0) {
+                this._postings.delete(term);
+            }
+        }
+
+        this._totalLength -= document.length;
+        this._documents.delete(id);
+    }
+
+    clear(): void {
+        this._documents.clear();
+        this._postings.clear();
+        this._totalLength = 0;
+    }
+
+    search(query: string, limit: number): BM25Match[] {
+        const count = this._documents.size;
+        if (count === 0) {
+            return [];
+        }
+
+        const averageLength = this._totalLength / count || 1;
+        const scores = new Map<string, number>();
+
+        for (const term of new Set(tokenize(query))) {
+            const posting = this._postings.get(term);
+            if (!posting) {
+                continue;
+            }
+
+            const idf = Math.log(1 + (count - posting.size + 0.5) / (posting.size + 0.5));
+            for (const id of posting) {
+                const document = this._documents.get(id)!;
+                const frequency = document.termFrequencies.get(term)!;
+                const normalization = BM25Index.k1 * (1 - BM25Index.b + BM25Index.b * document.length / averageLength);
+                const score = idf * frequency * (BM25Index.k1 + 1) / (frequency + normalization);
+                scores.set(id, (scores.get(id) || 0) + score);
+            }
+        }
+
+        return [...scores.entries()]
+            .map(([id, score]) => ({ id, score }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
@@ -0,0 +1,593 @@
+/**
+ * Retrieval Index - Workspace-wide code search used to ground prompts
+ * Chunks files with the code understanding pipeline, ranks them with BM25
+ * and, when enabled, blends in embedding similarity from the LLM provider.
+ * Chunks are persisted in the SQLite memory bank so restarts only re-index
+ * files whose content changed.
+ */
+
+import * as vscode from 'vscode';
+import * as fs from 'fs/promises';
+import { createHash } from 'crypto';
+import { EventEmitter } from 'events';
+import { CodeUnderstandingPipeline } from '../pipelines/codeUnderstandingPipeline';
+import { LLMProvider } from '../llm/llmProvider';
+import { TokenBudgetService } from '../llm/tokenBudget';
+import { RetrievalChunkRecord, SQLiteMemoryBank } from '../hive/sqliteMemoryBank';
+import { FileChangeEvent } from '../utils/fileWatcher';
+import { BM25Index } from './bm25';
+
+export interface RetrievalConfig {
+    enabled: boolean;
+    topK: number;
+    maxContextTokens: number;
+    include: string;
+    exclude: string;
+    maxFiles: number;
+    maxFileSize: number;
+    embeddings: {
+        enabled: boolean;
+        model: string;
+        /** Share of the final score taken by embedding similarity, 0..1 */
+        weight: number;
+        batchSize: number;
+    };
+}
+
+export interface RetrievalResult {
+    chunk: RetrievalChunkRecord;
+    score: number;
+    lexicalScore: number;
+    semanticScore?: number;
+}
+
+export interface RetrievalSearchOptions {
+    topK?: number;
+}
+
+export interface RetrievalIndexStats {
+    files: number;
+    chunks: number;
+    embeddedChunks: number;
+    persistent: boolean;
+}
+
+/**
+ * Emits 'indexUpdated' with RetrievalIndexStats after each refresh
+ */
+export class RetrievalIndex extends EventEmitter implements vscode.Disposable {
+    private static readonly updateDelayMs = 1500;
+    private static readonly maxEmbeddingChars = 2000;
+
+    private _pipeline: CodeUnderstandingPipeline;
+    private _llmProvider: LLMProvider;
+    private _outputChannel: vscode.OutputChannel;
+    private _config: RetrievalConfig;
+    private _memoryBank?: SQLiteMemoryBank;
+    private _workspaceId: string;
+    private _bm25 = new BM25Index();
+    private _tokenBudget = new TokenBudgetService();
+    private _chunks = new Map<string, RetrievalChunkRecord>();
+    private _fileChunks = new Map<string, string[]>();
+    private _fileHashes = new Map<string, string>();
+    private _pendingFiles = new Map<string, FileChangeEvent>();
+    private _updateTimer?: NodeJS.Timeout;
+    private _queue: Promise<void> = Promise.resolve();
+    private _initialized = false;
+    private _embeddingsUnavailable = false;
+    private _disposed = false;
+    private _disposables: vscode.Disposable[] = [];
+
+    constructor(pipeline: CodeUnderstandingPipeline, llmProvider: LLMProvider, memoryBank?: SQLiteMemoryBank) {
+        super();
+        this._pipeline = pipeline;
+        this._llmProvider = llmProvider;
+        this._memoryBank = memoryBank;
+        this._outputChannel = vscode.window.createOutputChannel('RUV-Swarm Retrieval');
+        this._config = this._loadConfiguration();
+        this._workspaceId = this._resolveWorkspaceId();
+
+        this._disposables.push(vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('ruv-swarm.retrieval')) {
+                this._onConfigurationChanged();
+            }
+        }));
+
+        // Chunks indexed while the server was offline get their vectors once it is back
+        this._llmProvider.on('connected', this._onProviderConnected);
+    }
+
+    get stats(): RetrievalIndexStats {
+        let embeddedChunks = 0;
+        for (const chunk of this._chunks.values()) {
+            if (chunk.embedding) {
+                embeddedChunks++;
+            }
+        }
+
+        return {
+            files: this._fileHashes.size,
+            chunks: this._chunks.size,
+            embeddedChunks,
+            persistent: this._memoryBank !== undefined
+        };
+    }
+
+    /**
+     * Loads the persisted index and refreshes changed files in the background
+     */
+    async initialize(): Promise<void> {
+        if (!this._config.enabled || this._initialized || !vscode.workspace.workspaceFolders) {
+            return;
+        }
+        this._initialized = true;
+
+        if (!this._memoryBank) {
+            this._outputChannel.appendLine('⚠️ Retrieval index is kept in memory only: the memory bank is unavailable');
+        } else {
+            try {
+                for (const chunk of await this._memoryBank.getRetrievalChunks(this._workspaceId)) {
+                    this._addChunk(chunk);
+                }
+                this._outputChannel.appendLine(`📚 Loaded ${this._chunks.size} chunks from ${this._fileHashes.size} files`);
+            } catch (error) {
+                this._outputChannel.appendLine(`⚠️ Failed to load the persisted retrieval index: ${error instanceof Error ? error.message : String(error)}`);
+            }
+        }
+
+        this.refreshWorkspace().catch(error => {
+            this._outputChannel.appendLine(`❌ Workspace indexing failed: ${error}`);
+        });
+    }
+
+    /**
+     * Indexes new and changed files and drops deleted ones. With force every
+     * file is chunked again, e.g. after chunking settings changed.
+     */
+    refreshWorkspace(force: boolean = false): Promise<void> {
+        return this._enqueue(() => vscode.window.withProgress(
+            { location: vscode.ProgressLocation.Window, title: '$(search) Indexing workspace' },
+            async progress => {
+                const startTime = Date.now();
+                const uris = await vscode.workspace.findFiles(this._config.include, this._config.exclude, this._config.maxFiles);
+                const seen = new Set<string>();
+                let indexed = 0;
+
+                for (const [position, uri] of uris.entries()) {
+                    if (this._disposed) {
+                        return;
+                    }
+
+                    seen.add(uri.fsPath);
+                    progress.report({ message: `${position + 1}/${uris.length}` });
+                    if (await this._indexFile(uri, force)) {
+                        indexed++;
+                    }
+                }
+
+                for (const filePath of [...this._fileHashes.keys()]) {
+                    if (!seen.has(filePath)) {
+                        await this._removeFile(filePath);
+                    }
+                }
+
+                this._outputChannel.appendLine(`✅ Indexed ${indexed} changed of ${uris.length} files in ${Date.now() - startTime}ms (${this._chunks.size} chunks)`);
+                this.emit('indexUpdated', this.stats);
+            }
+        ));
+    }
+
+    /**
+     * Drops everything stored for this workspace and indexes it from scratch
+     */
+    async rebuild(): Promise<void> {
+        await this._enqueue(async () => {
+            await this._memoryBank?.deleteRetrievalChunks(this._workspaceId);
+            this._bm25.clear();
+            this._chunks.clear();
+            this._fileChunks.clear();
+            this._fileHashes.clear();
+        });
+
+        if (!this._initialized) {
+            await this.initialize();
+        } else {
+            await this.refreshWorkspace(true);
+        }
+    }
+
+    /**
+     * Queues a file for re-indexing; bursts of saves are coalesced
+     */
+    handleFileChange(event: FileChangeEvent): void {
+        if (!this._config.enabled || !this._initialized) {
+            return;
+        }
+
+        this._pendingFiles.set(event.uri.fsPath, event);
+        if (this._updateTimer) {
+            clearTimeout(this._updateTimer);
+        }
+        this._updateTimer = setTimeout(() => this._flushPendingFiles(), RetrievalIndex.updateDelayMs);
+    }
+
+    /**
+     * Ranks chunks for a query by BM25, blended with embedding similarity when enabled
+     */
+    async search(query: string, options: RetrievalSearchOptions = {}): Promise<RetrievalResult[]> {
+        const topK = options.topK ?? this._config.topK;
+        if (!query.trim() || topK <= 0 || this._chunks.size === 0) {
+            return [];
+        }
+
+        const candidateCount = Math.max(20, topK * 4);
+        const lexical = this._bm25.search(query, candidateCount);
+        const maxLexical = lexical[0]?.score || 1;
+        const results = new Map<string, RetrievalResult>();
+
+        for (const match of lexical) {
+            results.set(match.id, {
+                chunk: this._chunks.get(match.id)!,
+                score: match.score / maxLexical,
+                lexicalScore: match.score
+            });
+        }
+
+        const queryVector = await this._embedQuery(query);
+        if (queryVector) {
+            const weight = Math.min(1, Math.max(0, this._config.embeddings.weight));
+            const semantic: Array<{ chunk: RetrievalChunkRecord; similarity: number }> = [];
+            for (const chunk of this._chunks.values()) {
+                if (chunk.embedding && chunk.embeddingModel === this._config.embeddings.model) {
+                    semantic.push({ chunk, similarity: this._cosineSimilarity(queryVector, chunk.embedding) });
+                }
+            }
+            semantic.sort((a, b) => b.similarity - a.similarity);
+
+            // Lexical hits keep their score share; semantic-only hits are added from the top vectors
+            for (const result of results.values()) {
+                result.score *= 1 - weight;
+            }
+            for (const { chunk, similarity } of semantic.slice(0, candidateCount)) {
+                const result = results.get(chunk.chunkId) ?? { chunk, score: 0, lexicalScore: 0 };
+                result.semanticScore = similarity;
+                result.score += weight * Math.max(0, similarity);
+                results.set(chunk.chunkId, result);
+            }
+        }
+
+        const selected: RetrievalResult[] = [];
+        for (const result of [...results.values()].sort((a, b) => b.score - a.score)) {
+            if (selected.length >= topK) {
+                break;
+            }
+            if (selected.some(existing => this._overlaps(existing.chunk, result.chunk))) {
+                continue;
+            }
+            selected.push(result);
+        }
+
+        return selected;
+    }
+
+    /**
+     * Top chunks for a query formatted as prompt code sections, capped at the
+     * configured token budget. Never throws; retrieval only enriches prompts.
+     */
+    async retrieveContext(query: string, options: RetrievalSearchOptions = {}): Promise<Array<{ label: string; content: string }>> {
+        if (!this._config.enabled) {
+            return [];
+        }
+
+        try {
+            const sections: Array<{ label: string; content: string }> = [];
+            let budget = this._config.maxContextTokens;
+
+            for (const result of await this.search(query, options)) {
+                const { chunk } = result;
+                const label = `Relevant code from ${vscode.workspace.asRelativePath(chunk.filePath)}:${chunk.startLine}-${chunk.endLine}`;
+                const content = this._tokenBudget.truncateToTokens(chunk.content.replace(/\n+$/, ''), budget);
+                if (!content) {
+                    break;
+                }
+
+                sections.push({ label, content });
+                budget -= this._tokenBudget.estimateTokens(content);
+            }
+
+            return sections;
+        } catch (error) {
+            this._outputChannel.appendLine(`⚠️ Retrieval failed: ${error}`);
+            return [];
+        }
+    }
+
+    dispose(): void {
+        this._disposed = true;
+        if (this._updateTimer) {
+            clearTimeout(this._updateTimer);
+        }
+        this._llmProvider.off('connected', this._onProviderConnected);
+        this._disposables.forEach(disposable => disposable.dispose());
+        this._outputChannel.dispose();
+        this.removeAllListeners();
+    }
+
+    private _loadConfiguration(): RetrievalConfig {
+        const config = vscode.workspace.getConfiguration('ruv-swarm.retrieval');
+
+        return {
+            enabled: config.get('enabled', true),
+            topK: config.get('topK', 5),
+            maxContextTokens: config.get('maxContextTokens', 1500),
+            include: config.get('include', '**/*.{js,ts,jsx,tsx,py,rs,go,java,cs}'),
+            exclude: config.get('exclude', '**/{node_modules,.git,out,dist,build,target,coverage}/**'),
+            maxFiles: config.get('maxFiles', 2000),
+            maxFileSize: config.get('maxFileSize', 262144),
+            embeddings: {
+                enabled: config.get('embeddings.enabled', false),
+                model: config.get('embeddings.model', 'text-embedding-nomic-embed-text-v1.5'),
+                weight: config.get('embeddings.weight', 0.5),
+                batchSize: config.get('embeddings.batchSize', 16)
+            }
+        };
+    }
+
+    private _onConfigurationChanged(): void {
+        const previous = this._config;
+        this._config = this._loadConfiguration();
+        this._embeddingsUnavailable = false;
+        this._outputChannel.appendLine('⚙️ Retrieval configuration updated');
+
+        if (this._config.enabled && !this._initialized) {
+            this.initialize().catch(error => this._outputChannel.appendLine(`❌ Failed to initialize retrieval index: ${error}`));
+        } else if (this._initialized && (previous.include !== this._config.include || previous.exclude !== this._config.exclude)) {
+            this.refreshWorkspace().catch(error => this._outputChannel.appendLine(`❌ Workspace indexing failed: ${error}`));
+        } else if (this._config.embeddings.enabled) {
+            this._onProviderConnected();
+        }
+    }
+
+    private _onProviderConnected = (): void => {
+        if (!this._initialized || !this._config.embeddings.enabled) {
+            return;
+        }
+
+        this._enqueue(() => this._backfillEmbeddings()).catch(error => {
+            this._outputChannel.appendLine(`⚠️ Embedding backfill failed: ${error}`);
+        });
+    };
+
+    private _resolveWorkspaceId(): string {
+        const workspaceUri = vscode.workspace.workspaceFile ?? vscode.workspace.workspaceFolders?.[0]?.uri;
+        return workspaceUri
+            ? createHash('sha1').update(workspaceUri.toString()).digest('hex').slice(0, 16)
+            : 'no-workspace';
+    }
+
+    /**
+     * Index updates run one at a time so the SQLite rows and the in-memory
+     * index never interleave
+     */
+    private _enqueue(operation: () => Thenable<void> | Promise<void>): Promise<void> {
+        const run = this._queue.then(() => operation());
+        this._queue = run.catch(() => undefined);
+        return run;
+    }
+
+    private _flushPendingFiles(): void {
+        this._updateTimer = undefined;
+        const events = [...this._pendingFiles.values()];
+        this._pendingFiles.clear();
+
+        this._enqueue(async () => {
+            for (const event of events) {
+                if (event.type === 'deleted') {
+                    await this._removeFile(event.uri.fsPath);
+                } else {
+                    await this._indexFile(event.uri, false);
+                }
+            }
+            this.emit('indexUpdated', this.stats);
+        }).catch(error => this._outputChannel.appendLine(`❌ Incremental indexing failed: ${error}`));
+    }
+
+    /**
+     * Returns true when the file was (re-)chunked
+     */
+    private async _indexFile(uri: vscode.Uri, force: boolean): Promise<boolean> {
+        const filePath = uri.fsPath;
+
+        let content: string;
+        try {
+            const stat = await fs.stat(filePath);
+            if (!stat.isFile() || stat.size > this._config.maxFileSize) {
+                await this._removeFile(filePath);
+                return false;
+            }
+            content = await fs.readFile(filePath, 'utf8');
+        } catch {
+            await this._removeFile(filePath);
+            return false;
+        }
+
+        // Binary files slip through broad include patterns
+        if (content.includes('\u0000')) {
+            await this._removeFile(filePath);
+            return false;
+        }
+
+        const fileHash = createHash('sha1').update(content).digest('hex');
+        if (!force && this._fileHashes.get(filePath) === fileHash) {
+            return false;
+        }
+
+        const chunks: RetrievalChunkRecord[] = (await this._pipeline.chunkContent(filePath, content))
+            .filter(chunk => chunk.content.trim())
+            .map(chunk => ({
+                chunkId: chunk.id,
+                filePath,
+                fileHash,
+                startLine: chunk.startLine,
+                endLine: chunk.endLine,
+                chunkType: chunk.type,
+                content: chunk.content
+            }));
+
+        await this._embedChunks(chunks);
+
+        try {
+            await this._memoryBank?.replaceRetrievalChunks(this._workspaceId, filePath, chunks);
+        } catch (error) {
+            this._outputChannel.appendLine(`⚠️ Failed to persist chunks of ${filePath}: ${error}`);
+        }
+
+        this._removeFromMemory(filePath);
+        for (const chunk of chunks) {
+            this._addChunk(chunk);
+        }
+        // Files without content still count as indexed so they are not read again
+        this._fileHashes.set(filePath, fileHash);
+
+        return true;
+    }
+
+    private async _removeFile(filePath: string): Promise<void> {
+        if (!this._fileHashes.has(filePath)) {
+            return;
+        }
+
+        this._removeFromMemory(filePath);
+        try {
+            await this._memoryBank?.deleteRetrievalChunks(this._workspaceId, filePath);
+        } catch (error) {
+            this._outputChannel.appendLine(`⚠️ Failed to remove chunks of ${filePath}: ${error}`);
+        }
+    }
+
+    private _addChunk(chunk: RetrievalChunkRecord): void {
+        this._chunks.set(chunk.chunkId, chunk);
+        // The path takes part in ranking so "auth middleware" finds src/auth/middleware.ts
+        this._bm25.add(chunk.chunkId, `${vscode.workspace.asRelativePath(chunk.filePath)}\n${chunk.content}`);
+
+        const fileChunks = this._fileChunks.get(chunk.filePath) || [];
+        fileChunks.push(chunk.chunkId);
+        this._fileChunks.set(chunk.filePath, fileChunks);
+        this._fileHashes.set(chunk.filePath, chunk.fileHash);
+    }
+
+    private _removeFromMemory(filePath: string): void {
+        for (const chunkId of this._fileChunks.get(filePath) || []) {
+            this._bm25.remove(chunkId);
+            this._chunks.delete(chunkId);
+        }
+        this._fileChunks.delete(filePath);
+        this._fileHashes.delete(filePath);
+    }
+
+    private _canEmbed(): boolean {
+        return this._config.embeddings.enabled && !this._embeddingsUnavailable && this._llmProvider.isConnected;
+    }
+
+    /**
+     * Adds vectors to the chunks in place; on failure the chunks stay lexical-only
+     */
+    private async _embedChunks(chunks: RetrievalChunkRecord[]): Promise<number> {
+        if (!this._canEmbed()) {
+            return 0;
+        }
+
+        const { model, batchSize } = this._config.embeddings;
+        let embedded = 0;
+
+        try {
+            for (let i = 0; i < chunks.length; i += batchSize) {
+                const batch = chunks.slice(i, i + batchSize);
+                const vectors = await this._llmProvider.embed(
+                    batch.map(chunk => `${vscode.workspace.asRelativePath(chunk.filePath)}\n${chunk.content}`.slice(0, RetrievalIndex.maxEmbeddingChars)),
+                    { model }
+                );
+
+                batch.forEach((chunk, index) => {
+                    chunk.embedding = Float32Array.from(vectors[index]);
+                    chunk.embeddingModel = model;
+                });
+                embedded += batch.length;
+            }
+        } catch (error) {
+            // Usually no embedding model is loaded; retry after the next reconnect or settings change
+            this._embeddingsUnavailable = true;
+            this._outputChannel.appendLine(`⚠️ Embeddings disabled for this session: ${error instanceof Error ? error.message : String(error)}`);
+        }
+
+        return embedded;
+    }
+
+    private async _backfillEmbeddings(): Promise<void> {
+        this._embeddingsUnavailable = false;
+        const model = this._config.embeddings.model;
+        const missing = [...this._chunks.values()].filter(chunk => !chunk.embedding || chunk.embeddingModel !== model);
+        if (missing.length === 0) {
+            return;
+        }
+
+        this._outputChannel.appendLine(`🧮 Embedding ${missing.length} chunks with ${model}...`);
+        const embedded = await this._embedChunks(missing);
+
+        const updates = missing
+            .filter(chunk => chunk.embedding && chunk.embeddingModel === model)
+            .map(chunk => ({ chunkId: chunk.chunkId, embedding: chunk.embedding!, model }));
+        if (updates.length > 0) {
+            await this._memoryBank?.updateRetrievalEmbeddings(this._workspaceId, updates);
+        }
+
+        this._outputChannel.appendLine(`✅ Embedded ${embedded} chunks`);
+        this.emit('indexUpdated', this.stats);
+    }
+
+    private async _embedQuery(query: string): Promise<Float32Array | undefined> {
+        if (!this._canEmbed()) {
+            return undefined;
+        }
+
+        try {
+            const [vector] = await this._llmProvider.embed([query.slice(0, RetrievalIndex.maxEmbeddingChars)], {
+                model: this._config.embeddings.model
+            });
+            return Float32Array.from(vector);
+        } catch (error) {
+            this._outputChannel.appendLine(`⚠️ Query embedding failed, using keyword ranking only: ${error}`);
+            return undefined;
+        }
+    }
+
+    private _cosineSimilarity(a: Float32Array, b: Float32Array): number {
+        if (a.length !== b.length) {
+            return 0;
+        }
+
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+
+        return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+    }
+
+    /**
+     * Neighbouring chunks share a few overlap lines; only mostly-duplicate ones count
+     */
+    private _overlaps(a: RetrievalChunkRecord, b: RetrievalChunkRecord): boolean {
+        if (a.filePath !== b.filePath) {
+            return false;
+        }
+
+        const shared = Math.min(a.endLine, b.endLine) - Math.max(a.startLine, b.startLine) + 1;
+        const shorter = Math.min(a.endLine - a.startLine, b.endLine - b.startLine) + 1;
+        return shared > shorter / 2;
+    }
+}
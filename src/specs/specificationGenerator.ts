@@ -1,6 +1,8 @@
 import * as vscode from 'vscode';
 import { SpecificationTask, TaskDefinition, AgentType } from '../types';
-import { LMStudioServer } from '../mcp/servers/lmStudioServer';
+import { LLMProvider, LLMChatMessage } from '../llm/llmProvider';
+import { ProgressManager } from '../utils/progressManager';
+import { RetrievalIndex } from '../retrieval/retrievalIndex';
 
 export interface SpecGenerationRequest {
     userRequest: string;
@@ -9,6 +11,8 @@ export interface SpecGenerationRequest {
         activeFile?: string;
         projectType?: string;
         existingFiles?: string[];
+        /** Workspace code related to the request; looked up in the retrieval index when omitted */
+        relevantCode?: Array<{ label: string; content: string }>;
     };
     preferences?: {
         complexity?: 'simple' | 'moderate' | 'complex';
@@ -18,11 +22,15 @@ export interface SpecGenerationRequest {
 }
 
 export class SpecificationGenerator {
-    private lmStudioServer: LMStudioServer;
+    private llmProvider: LLMProvider;
+    private progressManager: ProgressManager;
+    private retrievalIndex?: RetrievalIndex;
     private outputChannel: vscode.OutputChannel;
 
-    constructor(lmStudioServer: LMStudioServer) {
-        this.lmStudioServer = lmStudioServer;
+    constructor(llmProvider: LLMProvider, progressManager: ProgressManager, retrievalIndex?: RetrievalIndex) {
+        this.llmProvider = llmProvider;
+        this.progressManager = progressManager;
+        this.retrievalIndex = retrievalIndex;
         this.outputChannel = vscode.window.createOutputChannel('Spec Generator');
     }
 
@@ -31,15 +39,31 @@ export class SpecificationGenerator {
             this.outputChannel.appendLine('📝 Generating comprehensive specification...');
             this.outputChannel.appendLine(`User Request: ${request.userRequest}`);
 
-            // Build the prompt for LM Studio
-            const prompt = this.buildSpecificationPrompt(request);
+            // Ground the specification in existing code so tasks reference real modules
+            if (this.retrievalIndex && !request.context?.relevantCode) {
+                const relevantCode = await this.retrievalIndex.retrieveContext(request.userRequest);
+                if (relevantCode.length > 0) {
+                    request = { ...request, context: { ...request.context, relevantCode } };
+                }
+            }
+
+            // Build the conversation for LM Studio
+            const messages = this.buildSpecificationMessages(request);
             
-            // Get specification from LM Studio
-            const response = await this.lmStudioServer.generateCompletion(prompt, {
-                maxTokens: 4000,
-                temperature: 0.3, // Lower temperature for more structured output
-                stopSequences: ['---END_SPEC---']
-            });
+            // Stream the specification from LM Studio so it can be watched and cancelled
+            this.outputChannel.show(true);
+            const response = await this.progressManager.withStreamingProgress(
+                '📝 Generating specification',
+                token => this.llmProvider.streamChat(messages, {
+                    maxTokens: 4000,
+                    temperature: 0.3, // Lower temperature for more structured output
+                    stopSequences: ['---END_SPEC---'],
+                    taskType: 'generate_specification',
+                    cancellationToken: token
+                }),
+                { onDelta: delta => this.outputChannel.append(delta) }
+            );
+            this.outputChannel.appendLine('');
 
             // Parse the response into a structured specification
             const spec = this.parseSpecificationResponse(response, request);
@@ -50,36 +74,28 @@ export class SpecificationGenerator {
             return spec;
 
         } catch (error) {
+            if (error instanceof vscode.CancellationError) {
+                this.outputChannel.appendLine('\n🛑 Specification generation cancelled');
+                throw error;
+            }
+
             const errorMessage = error instanceof Error ? error.message : String(error);
             this.outputChannel.appendLine(`❌ Failed to generate specification: ${errorMessage}`);
             throw new Error(`Specification generation failed: ${errorMessage}`);
         }
     }
 
-    private buildSpecificationPrompt(request: SpecGenerationRequest): string {
-        const { userRequest, context, preferences } = request;
-        
-        return `You are an expert software architect and project manager. Your task is to create a comprehensive, detailed specification for a software development project based on the user's request.
-
-USER REQUEST:
-"${userRequest}"
-
-CONTEXT:
-${context ? `
-- Workspace: ${context.workspaceFolder || 'Not specified'}
-- Active File: ${context.activeFile || 'None'}
-- Project Type: ${context.projectType || 'General'}
-- Existing Files: ${context.existingFiles?.join(', ') || 'None'}
-` : 'No additional context provided'}
+    private buildSpecificationMessages(request: SpecGenerationRequest): LLMChatMessage[] {
+        return [
+            { role: 'system', content: this.buildSpecificationSystemPrompt() },
+            { role: 'user', content: this.buildSpecificationRequest(request) }
+        ];
+    }
 
-PREFERENCES:
-${preferences ? `
-- Complexity Level: ${preferences.complexity || 'moderate'}
-- Timeline: ${preferences.timeline || 'normal'}
-- Quality Level: ${preferences.quality || 'production'}
-` : 'Standard preferences'}
+    private buildSpecificationSystemPrompt(): string {
+        return `You are an expert software architect and project manager. Your task is to create a comprehensive, detailed specification for a software development project based on the user's request.
 
-Please generate a comprehensive specification following this EXACT format:
+Always respond with a comprehensive specification following this EXACT format:
 
 TITLE: [Clear, descriptive title for the project]
 
@@ -144,7 +160,32 @@ IMPORTANT GUIDELINES:
    - analyst: Performance analysis, code review, metrics
    - researcher: Information gathering, solution exploration
    - reviewer: Code review, security analysis, best practices
-   - optimizer: Performance optimization, efficiency improvements
+   - optimizer: Performance optimization, efficiency improvements`;
+    }
+
+    private buildSpecificationRequest(request: SpecGenerationRequest): string {
+        const { userRequest, context, preferences } = request;
+        
+        return `USER REQUEST:
+"${userRequest}"
+
+CONTEXT:
+${context ? `
+- Workspace: ${context.workspaceFolder || 'Not specified'}
+- Active File: ${context.activeFile || 'None'}
+- Project Type: ${context.projectType || 'General'}
+- Existing Files: ${context.existingFiles?.join(', ') || 'None'}
+` : 'No additional context provided'}
+${context?.relevantCode && context.relevantCode.length > 0 ? `
+RELEVANT EXISTING CODE:
+${context.relevantCode.map(chunk => `${chunk.label}:\n\`\`\`\n${chunk.content}\n\`\`\``).join('\n\n')}
+` : ''}
+PREFERENCES:
+${preferences ? `
+- Complexity Level: ${preferences.complexity || 'moderate'}
+- Timeline: ${preferences.timeline || 'normal'}
+- Quality Level: ${preferences.quality || 'production'}
+` : 'Standard preferences'}
 
 Generate the specification now:`;
     }
@@ -451,3 +492,61 @@ Generate the specification now:`;
         this.outputChannel.dispose();
     }
 }
+
+/**
+ * Renders a specification as a Markdown document
+ */
+export function convertSpecToMarkdown(spec: SpecificationTask): string {
+    let markdown = `# ${spec.title}\n\n`;
+    markdown += `## Description\n${spec.description}\n\n`;
+    
+    if (spec.requirements && spec.requirements.length > 0) {
+        markdown += `## Requirements\n`;
+        spec.requirements.forEach((req: string, index: number) => {
+            markdown += `${index + 1}. ${req}\n`;
+        });
+        markdown += '\n';
+    }
+    
+    if (spec.architecture && spec.architecture.length > 0) {
+        markdown += `## Architecture\n`;
+        spec.architecture.forEach((arch: string) => {
+            markdown += `- ${arch}\n`;
+        });
+        markdown += '\n';
+    }
+    
+    if (spec.tasks && spec.tasks.length > 0) {
+        markdown += `## Tasks\n`;
+        spec.tasks.forEach((task: TaskDefinition, index: number) => {
+            markdown += `### Task ${index + 1}: ${task.description}\n`;
+            markdown += `- **Type**: ${task.type}\n`;
+            markdown += `- **Agent**: ${task.assignedAgentType}\n`;
+            markdown += `- **Duration**: ${task.estimatedDuration} hours\n`;
+            if (task.dependencies && task.dependencies.length > 0) {
+                markdown += `- **Dependencies**: ${task.dependencies.join(', ')}\n`;
+            }
+            if (task.acceptanceCriteria && task.acceptanceCriteria.length > 0) {
+                markdown += `- **Acceptance Criteria**: ${task.acceptanceCriteria.join(', ')}\n`;
+            }
+            markdown += '\n';
+        });
+    }
+    
+    if (spec.acceptanceCriteria && spec.acceptanceCriteria.length > 0) {
+        markdown += `## Acceptance Criteria\n`;
+        spec.acceptanceCriteria.forEach((criteria: string) => {
+            markdown += `- ${criteria}\n`;
+        });
+        markdown += '\n';
+    }
+    
+    markdown += `## Project Details\n`;
+    markdown += `- **Priority**: ${spec.priority}\n`;
+    markdown += `- **Estimated Duration**: ${spec.estimatedDuration} hours\n`;
+    if (spec.dependencies && spec.dependencies.length > 0) {
+        markdown += `- **Dependencies**: ${spec.dependencies.join(', ')}\n`;
+    }
+    
+    return markdown;
+}
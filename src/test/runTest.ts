@@ -0,0 +1,25 @@
+/**
+ * Test Runner - Downloads VS Code and runs the suites in an extension host
+ */
+
+import * as path from 'path';
+import { runTests } from '@vscode/test-electron';
+
+async function main(): Promise<void> {
+    try {
+        // The folder holding the extension's package.json
+        const extensionDevelopmentPath = path.resolve(__dirname, '../../');
+        const extensionTestsPath = path.resolve(__dirname, './suite/index');
+
+        await runTests({
+            extensionDevelopmentPath,
+            extensionTestsPath,
+            launchArgs: ['--disable-extensions']
+        });
+    } catch (error) {
+        console.error('❌ Failed to run tests:', error);
+        process.exit(1);
+    }
+}
+
+main();
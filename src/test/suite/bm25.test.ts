@@ -0,0 +1,49 @@
+import * as assert from 'assert';
+import { BM25Index, tokenize } from '../../retrieval/bm25';
+
+suite('BM25', () => {
+    test('tokenize keeps identifiers whole and adds their camelCase and snake_case parts', () => {
+        assert.deepStrictEqual(tokenize('getUserName'), ['getusername', 'get', 'user', 'name']);
+        assert.deepStrictEqual(tokenize('parse_http_header'), ['parse_http_header', 'parse', 'http', 'header']);
+        assert.deepStrictEqual(tokenize('HTTPServer'), ['httpserver', 'http', 'server']);
+    });
+
+    test('tokenize drops stop words, keywords and single characters', () => {
+        assert.deepStrictEqual(tokenize('return the x + const value'), ['value']);
+        assert.deepStrictEqual(tokenize(''), []);
+    });
+
+    test('search ranks the document that matches more query terms first', () => {
+        const index = new BM25Index();
+        index.add('auth', 'function authenticateUser(token) { return verifyToken(token); }');
+        index.add('render', 'function renderUserList(users) { return users.map(renderUser); }');
+        index.add('math', 'function add(a, b) { return a + b; }');
+
+        const matches = index.search('verify user token', 10);
+        assert.deepStrictEqual(matches.map(match => match.id), ['auth', 'render']);
+        assert.ok(matches[0].score > matches[1].score);
+    });
+
+    test('removed and replaced documents no longer match their old text', () => {
+        const index = new BM25Index();
+        index.add('a', 'parseConfig reads settings');
+        index.add('b', 'writeCache stores entries');
+
+        index.remove('a');
+        index.add('b', 'parseConfig moved here');
+
+        assert.strictEqual(index.size, 1);
+        assert.deepStrictEqual(index.search('parse config', 10).map(match => match.id), ['b']);
+        assert.deepStrictEqual(index.search('cache entries', 10), []);
+    });
+
+    test('search honours the limit and returns nothing for an empty index', () => {
+        const index = new BM25Index();
+        assert.deepStrictEqual(index.search('anything', 5), []);
+
+        for (let i = 0; i < 5; i++) {
+            index.add(`doc${i}`, `shared term number${i}`);
+        }
+        assert.strictEqual(index.search('shared', 3).length, 3);
+    });
+});
@@ -0,0 +1,79 @@
+import * as assert from 'assert';
+import { ComplexityAnalyzer } from '../../metrics/complexityAnalyzer';
+
+const TYPESCRIPT_SOURCE = `/** Sorts a value into a bucket */
+function classify(value: number, flags: string[]): string {
+    // if (value && flags) in a comment never counts
+    if (value > 10 && value < 100) {
+        for (const flag of flags) {
+            if (flag === 'skip || stop') {
+                continue;
+            }
+        }
+        return 'medium';
+    } else if (value >= 100) {
+        return 'large';
+    } else {
+        return value < 0 ? 'negative' : 'small';
+    }
+}
+
+class Store {
+    load(items: number[]) {
+        function keep(item: number): boolean {
+            return item > 0;
+        }
+        return items.filter(item => keep(item) || item === -1);
+    }
+}
+`;
+
+const PYTHON_SOURCE = `def check(items):
+    for item in items:
+        if item and item.ok:
+            return True
+    return False
+`;
+
+suite('ComplexityAnalyzer', () => {
+    const analyzer = new ComplexityAnalyzer();
+
+    test('measures branches, nesting and boolean operators of a TypeScript function', async () => {
+        const [classify] = await analyzer.analyze('sample.ts', TYPESCRIPT_SOURCE, 'typescript');
+
+        assert.deepStrictEqual(classify, {
+            name: 'classify',
+            kind: 'function',
+            startLine: 2,
+            endLine: 16,
+            // if, &&, for, inner if, else if and the ternary
+            cyclomatic: 7,
+            // if 1, && 1, for 2, inner if 3, else if 1, else 1, ternary 2
+            cognitive: 11,
+            maxNesting: 3,
+            parameters: 2,
+            // The comment line is not code
+            loc: 14
+        });
+    });
+
+    test('qualifies methods, measures nested named functions apart and counts callbacks toward their function', async () => {
+        const functions = await analyzer.analyze('sample.ts', TYPESCRIPT_SOURCE, 'typescript');
+        const byName = new Map(functions.map(measured => [measured.name, measured]));
+
+        assert.deepStrictEqual(functions.map(measured => measured.name), ['classify', 'Store.load', 'Store.load.keep']);
+        assert.strictEqual(byName.get('Store.load')!.kind, 'method');
+        assert.strictEqual(byName.get('Store.load')!.cyclomatic, 2);
+        assert.strictEqual(byName.get('Store.load.keep')!.cyclomatic, 1);
+    });
+
+    test('measures Python functions on the tree-sitter syntax tree', async () => {
+        const [check] = await analyzer.analyze('sample.py', PYTHON_SOURCE, 'python');
+
+        assert.strictEqual(check.name, 'check');
+        assert.strictEqual(check.cyclomatic, 4);
+        assert.strictEqual(check.cognitive, 4);
+        assert.strictEqual(check.parameters, 1);
+        assert.strictEqual(check.loc, 5);
+    });
+});
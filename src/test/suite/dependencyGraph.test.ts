@@ -0,0 +1,43 @@
+import * as assert from 'assert';
+import { findCycles, findStronglyConnectedComponents } from '../../dependencies/dependencyGraph';
+
+function graph(edges: Record<string, string[]>): Map<string, Set<string>> {
+    return new Map(Object.entries(edges).map(([from, to]) => [from, new Set(to)]));
+}
+
+suite('Dependency graph', () => {
+    test('an acyclic graph has no cycles', () => {
+        assert.deepStrictEqual(findCycles(graph({ a: ['b', 'c'], b: ['c'], c: [] })), []);
+    });
+
+    test('reports each cycle once with the shortest chain back to its first module', () => {
+        const cycles = findCycles(graph({
+            'src/a.ts': ['src/b.ts'],
+            'src/b.ts': ['src/c.ts', 'src/a.ts'],
+            'src/c.ts': ['src/a.ts'],
+            'src/d.ts': ['src/a.ts']
+        }));
+
+        assert.deepStrictEqual(cycles, [{
+            modules: ['src/a.ts', 'src/b.ts', 'src/c.ts'],
+            path: ['src/a.ts', 'src/b.ts', 'src/a.ts']
+        }]);
+    });
+
+    test('finds separate cycles separately and ignores self-imports', () => {
+        const cycles = findCycles(graph({ a: ['b', 'a'], b: ['a'], c: ['d'], d: ['c'], e: ['e'] }));
+        assert.deepStrictEqual(cycles.map(cycle => cycle.modules).sort(), [['a', 'b'], ['c', 'd']]);
+    });
+
+    test('walks long import chains without overflowing the stack', () => {
+        const edges: Record<string, string[]> = {};
+        const length = 20000;
+        for (let i = 0; i < length; i++) {
+            edges[`m${i}`] = [`m${(i + 1) % length}`];
+        }
+
+        const components = findStronglyConnectedComponents(graph(edges));
+        assert.strictEqual(components.length, 1);
+        assert.strictEqual(components[0].length, length);
+    });
+});
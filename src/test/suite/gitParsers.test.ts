@@ -0,0 +1,187 @@
+import * as assert from 'assert';
+import {
+    countChangedLines,
+    parseBlamePorcelain,
+    parseLog,
+    parseNameStatus,
+    parseStatusV2,
+    parseUnifiedDiff
+} from '../../git/gitParsers';
+
+const PATCH = [
+    'diff --git a/src/a.ts b/src/a.ts',
+    'index 4cb29ea..ea14db2 100644',
+    '--- a/src/a.ts',
+    '+++ b/src/a.ts',
+    '@@ -1,3 +1,4 @@ export function main() {',
+    ' one',
+    '-two',
+    '+2',
+    ' three',
+    '+four',
+    'diff --git a/old name.txt b/new name.txt',
+    'similarity index 100%',
+    'rename from old name.txt',
+    'rename to new name.txt',
+    'diff --git "a/\\303\\274.txt" "b/\\303\\274.txt"',
+    'new file mode 100644',
+    'index 0000000..8ba3a16',
+    '--- /dev/null',
+    '+++ "b/\\303\\274.txt"',
+    '@@ -0,0 +1 @@',
+    '+n',
+    'diff --git a/gone.txt b/gone.txt',
+    'deleted file mode 100644',
+    'index 8ba3a16..0000000',
+    '--- a/gone.txt',
+    '+++ /dev/null',
+    '@@ -1,2 +0,0 @@',
+    '-first',
+    '-second',
+    'diff --git a/logo.png b/logo.png',
+    'index 1111111..2222222 100644',
+    'Binary files a/logo.png and b/logo.png differ',
+    ''
+].join('\n');
+
+suite('Git parsers', () => {
+    test('parses hunks, renames, quoted new files, deletions and binary files from a unified diff', () => {
+        const files = parseUnifiedDiff(PATCH);
+
+        assert.deepStrictEqual(files.map(file => [file.path, file.status, file.binary]), [
+            ['src/a.ts', 'modified', false],
+            ['new name.txt', 'renamed', false],
+            ['ü.txt', 'added', false],
+            ['gone.txt', 'deleted', false],
+            ['logo.png', 'modified', true]
+        ]);
+        assert.strictEqual(files[1].originalPath, 'old name.txt');
+        assert.deepStrictEqual(files[0].hunks, [{
+            oldStart: 1,
+            oldLines: 3,
+            newStart: 1,
+            newLines: 4,
+            section: 'export function main() {',
+            lines: [' one', '-two', '+2', ' three', '+four']
+        }]);
+        // A count left out of the header means one line
+        assert.strictEqual(files[2].hunks[0].newLines, 1);
+        assert.deepStrictEqual(countChangedLines(files[0].hunks), { additions: 2, deletions: 1 });
+        assert.deepStrictEqual(countChangedLines(files[3].hunks), { additions: 0, deletions: 2 });
+    });
+
+    test('restores empty context lines whose trailing space was stripped', () => {
+        const [file] = parseUnifiedDiff('diff --git a/x b/x\n--- a/x\n+++ b/x\n@@ -1,3 +1,3 @@\n a\n\n-b\n+c\n');
+        assert.deepStrictEqual(file.hunks[0].lines, [' a', ' ', '-b', '+c']);
+    });
+
+    test('parses branch, tracking and entries from porcelain v2 status', () => {
+        const output = [
+            '# branch.oid b3a45c63cf1c4f68093ef668a8cf1e38d347dc49',
+            '# branch.head main',
+            '# branch.upstream origin/main',
+            '# branch.ab +2 -1',
+            '1 .M N... 100644 100644 100644 4cb29ea38f70d7c61b2a3a25b02e3bdf44905402 4cb29ea38f70d7c61b2a3a25b02e3bdf44905402 src/with space.ts',
+            '2 R. N... 100644 100644 100644 286c5f5776916d7d7d5849988ca9d83e722cf9c2 286c5f5776916d7d7d5849988ca9d83e722cf9c2 R100 new.txt',
+            'old.txt',
+            'u UU N... 100644 100644 100644 100644 1111111111111111111111111111111111111111 2222222222222222222222222222222222222222 3333333333333333333333333333333333333333 conflict.ts',
+            '? notes.md',
+            ''
+        ].join('\0');
+
+        assert.deepStrictEqual(parseStatusV2(output), {
+            commit: 'b3a45c63cf1c4f68093ef668a8cf1e38d347dc49',
+            branch: 'main',
+            upstream: 'origin/main',
+            ahead: 2,
+            behind: 1,
+            entries: [
+                { path: 'src/with space.ts', staged: undefined, unstaged: 'modified' },
+                { path: 'new.txt', originalPath: 'old.txt', staged: 'renamed', unstaged: undefined },
+                { path: 'conflict.ts', staged: 'conflicted', unstaged: 'conflicted' },
+                { path: 'notes.md', unstaged: 'untracked' }
+            ]
+        });
+    });
+
+    test('reports no branch or commit for a detached head in a new repository', () => {
+        const status = parseStatusV2('# branch.oid (initial)\0# branch.head (detached)\0');
+        assert.strictEqual(status.commit, undefined);
+        assert.strictEqual(status.branch, undefined);
+        assert.deepStrictEqual(status.entries, []);
+    });
+
+    test('parses name-status output with renames', () => {
+        assert.deepStrictEqual(parseNameStatus('M\0a.txt\0R100\0old.txt\0new.txt\0A\0ü.txt\0D\0gone.txt\0'), [
+            { path: 'a.txt', status: 'modified' },
+            { originalPath: 'old.txt', path: 'new.txt', status: 'renamed' },
+            { path: 'ü.txt', status: 'added' },
+            { path: 'gone.txt', status: 'deleted' }
+        ]);
+    });
+
+    test('parses log records and normalizes their dates to UTC', () => {
+        const output = [
+            'b3a45c63cf1c4f68093ef668a8cf1e38d347dc49\x1fAda Lovelace\x1fada@example.com\x1f2026-01-02T03:04:05+02:00\x1fInitial commit\x1e',
+            '\n4cb29ea38f70d7c61b2a3a25b02e3bdf44905402\x1fGrace Hopper\x1fgrace@example.com\x1f2026-01-03T00:00:00Z\x1fFix: a | b\x1e\n'
+        ].join('');
+
+        assert.deepStrictEqual(parseLog(output), [
+            {
+                hash: 'b3a45c63cf1c4f68093ef668a8cf1e38d347dc49',
+                author: 'Ada Lovelace',
+                email: 'ada@example.com',
+                date: '2026-01-02T01:04:05.000Z',
+                subject: 'Initial commit'
+            },
+            {
+                hash: '4cb29ea38f70d7c61b2a3a25b02e3bdf44905402',
+                author: 'Grace Hopper',
+                email: 'grace@example.com',
+                date: '2026-01-03T00:00:00.000Z',
+                subject: 'Fix: a | b'
+            }
+        ]);
+        assert.deepStrictEqual(parseLog(''), []);
+    });
+
+    test('parses line-porcelain blame and marks uncommitted lines', () => {
+        const output = [
+            'b3a45c63cf1c4f68093ef668a8cf1e38d347dc49 1 1 1',
+            'author Ada Lovelace',
+            'author-mail <ada@example.com>',
+            'author-time 1767315845',
+            'author-tz +0200',
+            'summary Initial commit',
+            'boundary',
+            'filename a.txt',
+            '\tone',
+            '0000000000000000000000000000000000000000 2 2 1',
+            'author Not Committed Yet',
+            'author-time 1767400000',
+            'summary Version of a.txt from a.txt',
+            'filename a.txt',
+            '\t\tindented',
+            ''
+        ].join('\n');
+
+        assert.deepStrictEqual(parseBlamePorcelain(output), [
+            {
+                line: 1,
+                hash: 'b3a45c63cf1c',
+                author: 'Ada Lovelace',
+                date: '2026-01-02T01:04:05.000Z',
+                summary: 'Initial commit',
+                text: 'one'
+            },
+            {
+                line: 2,
+                hash: '',
+                author: 'Not committed yet',
+                date: '2026-01-03T00:26:40.000Z',
+                summary: '',
+                text: '\tindented'
+            }
+        ]);
+    });
+});
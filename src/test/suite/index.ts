@@ -0,0 +1,26 @@
+/**
+ * Test Suite - Mocha entry point loaded by the extension host; runs every
+ * *.test.js file next to this one
+ */
+
+import * as path from 'path';
+import * as fs from 'fs';
+import Mocha from 'mocha';
+
+export function run(): Promise<void> {
+    const mocha = new Mocha({ ui: 'tdd', color: true, timeout: 10000 });
+
+    for (const file of fs.readdirSync(__dirname).filter(name => name.endsWith('.test.js')).sort()) {
+        mocha.addFile(path.join(__dirname, file));
+    }
+
+    return new Promise((resolve, reject) => {
+        mocha.run(failures => {
+            if (failures > 0) {
+                reject(new Error(`${failures} test(s) failed`));
+            } else {
+                resolve();
+            }
+        });
+    });
+}
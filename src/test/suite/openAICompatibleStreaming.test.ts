@@ -0,0 +1,151 @@
+import * as assert from 'assert';
+import * as http from 'http';
+import { AddressInfo } from 'net';
+import * as vscode from 'vscode';
+import { OpenAICompatibleProvider } from '../../llm/openAICompatibleProvider';
+import { LLMProviderConfig, LLMToolHost } from '../../llm/llmProvider';
+
+/** Base URL of the mock server, read when a provider loads its configuration */
+let mockBaseUrl = '';
+
+class MockServerProvider extends OpenAICompatibleProvider {
+    protected _loadConfiguration(): LLMProviderConfig {
+        const config = super._loadConfiguration();
+        return {
+            ...config,
+            connection: { ...config.connection, baseUrl: mockBaseUrl },
+            model: { ...config.model, name: 'mock-model' }
+        };
+    }
+}
+
+const context = {
+    globalState: {
+        get: (_key: string, fallback?: unknown) => fallback,
+        update: async () => undefined
+    }
+} as unknown as vscode.ExtensionContext;
+
+const toolHost: LLMToolHost = {
+    toolDefinitions: [],
+    maxToolIterations: 0,
+    callTool: async toolName => {
+        throw new Error(`Unexpected tool call ${toolName}`);
+    }
+};
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+function sseEvent(data: unknown): string {
+    return `data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`;
+}
+
+function delta(content: Record<string, unknown>, extra: Record<string, unknown> = {}): string {
+    return sseEvent({ model: 'mock-model', choices: [{ index: 0, delta: content, finish_reason: null }], ...extra });
+}
+
+suite('OpenAI-compatible streaming', () => {
+    let server: http.Server;
+    let provider: MockServerProvider;
+    /** Raw body pieces the next chat request answers with, each written separately */
+    let streamParts: string[] = [];
+    let requestBodies: any[] = [];
+    /** Settles once the client has closed the last chat response */
+    let responseClosed: Promise<void>;
+
+    suiteSetup(async () => {
+        server = http.createServer((request, response) => {
+            if (request.method === 'GET' && request.url === '/v1/models') {
+                response.writeHead(200, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify({ data: [{ id: 'mock-model', owned_by: 'test' }] }));
+                return;
+            }
+
+            responseClosed = new Promise(resolve => response.on('close', resolve));
+            let body = '';
+            request.on('data', chunk => body += chunk);
+            request.on('end', async () => {
+                requestBodies.push(JSON.parse(body));
+                response.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+                for (const part of streamParts) {
+                    response.write(part);
+                    // Give the client a chance to read each piece on its own
+                    await delay(5);
+                }
+                // The response is left open, so only a client that cancels its read closes it
+            });
+        });
+
+        await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+        mockBaseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}/v1`;
+
+        provider = new MockServerProvider(context, toolHost);
+        await provider.connect();
+    });
+
+    suiteTeardown(async () => {
+        provider?.dispose();
+        // fetch opens a spare connection after a cancelled stream; it never sends a request, so close() would wait for it
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    setup(() => {
+        streamParts = [];
+        requestBodies = [];
+    });
+
+    test('assembles deltas, usage and stops at [DONE]', async () => {
+        const split = delta({ content: ' world' });
+        streamParts = [
+            delta({ role: 'assistant', content: 'Hello' }),
+            // One event split across two network chunks
+            split.slice(0, 17),
+            split.slice(17),
+            sseEvent({ model: 'mock-model', choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] }),
+            sseEvent({ model: 'mock-model', choices: [], usage: { prompt_tokens: 12, completion_tokens: 2, total_tokens: 14 } }),
+            sseEvent('[DONE]'),
+            // Anything after the terminator is ignored
+            delta({ content: ' ignored' })
+        ];
+
+        const deltas: string[] = [];
+        const result = await provider.streamChatCompletion(
+            [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Say hello' }],
+            text => deltas.push(text)
+        );
+
+        assert.deepStrictEqual(deltas, ['Hello', ' world']);
+        assert.strictEqual(result.content, 'Hello world');
+        assert.strictEqual(result.model, 'mock-model');
+        assert.strictEqual(result.finishReason, 'stop');
+        assert.deepStrictEqual(result.usage, { promptTokens: 12, completionTokens: 2, totalTokens: 14 });
+        assert.strictEqual(result.toolCalls, undefined);
+
+        assert.strictEqual(requestBodies.length, 1);
+        assert.strictEqual(requestBodies[0].stream, true);
+        assert.deepStrictEqual(requestBodies[0].messages.map((message: any) => message.role), ['system', 'user']);
+        // Stopping at [DONE] must not leave the connection half-read
+        await responseClosed;
+    });
+
+    test('joins tool call arguments streamed in fragments', async () => {
+        streamParts = [
+            delta({ tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'search_code', arguments: '{"que' } }] }),
+            delta({ tool_calls: [{ index: 0, function: { arguments: 'ry":"auth"}' } }] }),
+            sseEvent({ model: 'mock-model', choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }] }),
+            sseEvent('[DONE]')
+        ];
+
+        const deltas: string[] = [];
+        const result = await provider.streamChatCompletion([{ role: 'user', content: 'Find auth' }], text => deltas.push(text));
+
+        assert.deepStrictEqual(deltas, []);
+        assert.strictEqual(result.finishReason, 'tool_calls');
+        assert.deepStrictEqual(result.toolCalls, [
+            { id: 'call_1', type: 'function', function: { name: 'search_code', arguments: '{"query":"auth"}' } }
+        ]);
+        // Without reported usage every content chunk counts as one token
+        assert.deepStrictEqual(result.usage, { promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+    });
+});
@@ -0,0 +1,84 @@
+import * as assert from 'assert';
+import {
+    getProtocolErrorCode,
+    parseInitResponse,
+    parseMonitorResponse,
+    parseStatusResponse,
+    parseTaskResponse
+} from '../../utils/swarmProtocol';
+
+function protocolCode(parse: () => unknown): string | undefined {
+    try {
+        parse();
+    } catch (error) {
+        return getProtocolErrorCode(error);
+    }
+    assert.fail('expected a protocol error');
+}
+
+suite('Swarm protocol', () => {
+    test('finds the JSON document among notices printed around it', () => {
+        const stdout = [
+            'npm WARN exec The following package was not found and will be installed: ruv-swarm',
+            '{"id":"swarm-1","topology":"mesh","maxAgents":5}',
+            'Done.'
+        ].join('\n');
+
+        assert.deepStrictEqual(parseInitResponse(stdout), {
+            swarmId: 'swarm-1',
+            topology: 'mesh',
+            maxAgents: 5,
+            strategy: undefined
+        });
+    });
+
+    test('reads a pretty-printed document that starts after a notice', () => {
+        const stdout = 'Initializing...\n{\n  "id": "swarm-2",\n  "topology": "star"\n}\n';
+        assert.strictEqual(parseInitResponse(stdout).swarmId, 'swarm-2');
+    });
+
+    test('pretty-prints structured task results', () => {
+        const response = parseTaskResponse(JSON.stringify({
+            taskId: 'task-1',
+            status: 'completed',
+            result: { files: 2 },
+            assignedAgents: ['coder-1'],
+            metrics: { durationMs: 1200 }
+        }));
+
+        assert.strictEqual(response.result, '{\n  "files": 2\n}');
+        assert.deepStrictEqual(response.assignedAgents, ['coder-1']);
+        assert.strictEqual(response.metrics?.durationMs, 1200);
+    });
+
+    test('reads monitor numbers nested under metrics', () => {
+        const response = parseMonitorResponse('{"metrics":{"successRate":0.9,"cpuUsage":12}}');
+        assert.strictEqual(response.successRate, 0.9);
+        assert.strictEqual(response.cpuUsage, 12);
+        assert.strictEqual(response.tasksPerSecond, undefined);
+    });
+
+    test('defaults to no agents when status lists none', () => {
+        assert.deepStrictEqual(parseStatusResponse('{"swarm":{"id":"s","topology":"ring"}}'), {
+            swarm: { id: 's', topology: 'ring', maxAgents: undefined },
+            agents: []
+        });
+    });
+
+    test('reports each kind of malformed output with its own code', () => {
+        assert.strictEqual(protocolCode(() => parseInitResponse('   ')), 'PROTOCOL_EMPTY_OUTPUT');
+        assert.strictEqual(protocolCode(() => parseInitResponse('Swarm ready')), 'PROTOCOL_INVALID_JSON');
+        assert.strictEqual(protocolCode(() => parseInitResponse('{"success":false,"error":"no swarm"}')), 'PROTOCOL_CLI_ERROR');
+        assert.strictEqual(protocolCode(() => parseInitResponse('{"id":"s","topology":3}')), 'PROTOCOL_SCHEMA_MISMATCH');
+    });
+
+    test('names the JSON path of a mismatched nested field', () => {
+        try {
+            parseStatusResponse('{"agents":[{"id":"a"},{"id":7}]}');
+            assert.fail('expected a schema mismatch');
+        } catch (error) {
+            assert.strictEqual(getProtocolErrorCode(error), 'PROTOCOL_SCHEMA_MISMATCH');
+            assert.strictEqual((error as any).details.path, '$.agents[1].id');
+        }
+    });
+});
@@ -0,0 +1,108 @@
+import * as assert from 'assert';
+import { TaskAttemptOutcome, TaskGraphExecutor, TaskGraphNode, TaskGraphOptions } from '../../hive/taskGraphExecutor';
+
+type Result = string;
+
+function node(id: string, dependencies: string[] = [], type: string = 'code'): TaskGraphNode {
+    return { id, type, dependencies };
+}
+
+function executor(
+    run: (node: TaskGraphNode, attempt: number) => Promise<TaskAttemptOutcome<Result>>,
+    options: Partial<TaskGraphOptions<TaskGraphNode, Result>> = {}
+): TaskGraphExecutor<TaskGraphNode, Result> {
+    return new TaskGraphExecutor<TaskGraphNode, Result>({
+        maxParallel: 4,
+        retryPolicy: () => ({ maxAttempts: 1, backoffMs: 0 }),
+        run,
+        skip: (skipped, reason) => `skipped ${skipped.id}: ${reason}`,
+        ...options
+    });
+}
+
+const succeed = (value: string): TaskAttemptOutcome<Result> => ({ success: true, retryable: false, value });
+const fail = (value: string, retryable: boolean): TaskAttemptOutcome<Result> => ({ success: false, retryable, value, error: value });
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+suite('TaskGraphExecutor', () => {
+    test('runs tasks after their dependencies and returns results in input order', async () => {
+        const order: string[] = [];
+        const result = await executor(async task => {
+            order.push(task.id);
+            await tick();
+            return succeed(`done ${task.id}`);
+        }).execute([node('c', ['b']), node('a'), node('b', ['a'])]);
+
+        assert.deepStrictEqual(order, ['a', 'b', 'c']);
+        assert.deepStrictEqual(result.results, ['done c', 'done a', 'done b']);
+        assert.deepStrictEqual(result.timeline.map(entry => entry.status), ['succeeded', 'succeeded', 'succeeded']);
+    });
+
+    test('never runs more tasks at once than the parallelism limit', async () => {
+        let running = 0;
+        let peak = 0;
+        await executor(async task => {
+            running++;
+            peak = Math.max(peak, running);
+            await tick();
+            running--;
+            return succeed(task.id);
+        }, { maxParallel: 2 }).execute(['a', 'b', 'c', 'd', 'e'].map(id => node(id)));
+
+        assert.strictEqual(peak, 2);
+    });
+
+    test('a failure skips its dependents, transitively, but not unrelated tasks', async () => {
+        const result = await executor(async task => task.id === 'a' ? fail('boom', false) : succeed(task.id))
+            .execute([node('a'), node('b', ['a']), node('c', ['b']), node('d')]);
+
+        assert.deepStrictEqual(result.timeline.map(entry => entry.status), ['failed', 'skipped', 'skipped', 'succeeded']);
+        assert.strictEqual(result.results[1], 'skipped b: dependency a failed');
+        assert.strictEqual(result.results[2], 'skipped c: dependency b was skipped');
+        assert.strictEqual(result.results[3], 'd');
+    });
+
+    test('retries retryable failures up to the policy and records every attempt', async () => {
+        const attempts = new Map<string, number>();
+        const result = await executor(async (task, attempt) => {
+            attempts.set(task.id, attempt);
+            if (task.id === 'flaky') {
+                return attempt < 3 ? fail('timeout', true) : succeed('recovered');
+            }
+            return fail('blocked', false);
+        }, {
+            retryPolicy: () => ({ maxAttempts: 3, backoffMs: 0 })
+        }).execute([node('flaky'), node('blocked')]);
+
+        assert.strictEqual(attempts.get('flaky'), 3);
+        assert.strictEqual(attempts.get('blocked'), 1);
+        assert.deepStrictEqual(result.timeline[0].attempts.map(attempt => attempt.success), [false, false, true]);
+        assert.deepStrictEqual(result.results, ['recovered', 'blocked']);
+    });
+
+    test('skips tasks on or behind a dependency cycle', async () => {
+        const ran: string[] = [];
+        const result = await executor(async task => {
+            ran.push(task.id);
+            return succeed(task.id);
+        }).execute([node('a', ['b']), node('b', ['a']), node('c', ['a']), node('d')]);
+
+        assert.deepStrictEqual(ran, ['d']);
+        assert.deepStrictEqual(result.timeline.map(entry => entry.status), ['skipped', 'skipped', 'skipped', 'succeeded']);
+        assert.strictEqual(result.results[0], 'skipped a: its dependencies form a cycle');
+    });
+
+    test('waits for capacity but starts a task when nothing else is running', async () => {
+        const order: string[] = [];
+        await executor(async task => {
+            order.push(task.id);
+            await tick();
+            return succeed(task.id);
+        }, {
+            // The agent never has spare capacity
+            acquire: () => false
+        }).execute([node('a'), node('b')]);
+
+        assert.deepStrictEqual(order, ['a', 'b']);
+    });
+});
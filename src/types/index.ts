@@ -104,8 +104,9 @@ export interface TaskMetrics {
   duration: number;
   tokenUsage: number;
   tokenSavings: number;
-  qualityScore: number;
-  confidenceScore: number;
+  /** Undefined when the swarm did not report it */
+  qualityScore?: number;
+  confidenceScore?: number;
 }
 
 export interface TaskMetadata {
@@ -157,10 +158,11 @@ export interface SwarmStatus {
 export interface SwarmPerformance {
   tasksPerSecond: number;
   averageResponseTime: number;
-  tokenEfficiency: number;
+  /** Undefined when the swarm did not report it */
+  tokenEfficiency?: number;
   successRate: number;
-  cpuUsage: number;
-  memoryUsage: number;
+  cpuUsage?: number;
+  memoryUsage?: number;
 }
 
 export interface SwarmHealth {
@@ -272,6 +274,32 @@ export interface DashboardData {
   recentTasks: Task[];
   recentAnalysis: AnalysisResult[];
   performance: SwarmPerformance;
+  hotspots?: ComplexityHotspot[];
+}
+
+// Code metrics types
+export interface FunctionComplexity {
+  /** Qualified with the class, impl or enclosing function, e.g. Parser.parse */
+  name: string;
+  kind: 'function' | 'method';
+  /** 1-based lines of the declaration, doc comments excluded */
+  startLine: number;
+  endLine: number;
+  cyclomatic: number;
+  cognitive: number;
+  maxNesting: number;
+  parameters: number;
+  /** Lines holding code, blank and comment-only lines excluded */
+  loc: number;
+}
+
+export interface ComplexityHotspot extends FunctionComplexity {
+  filePath: string;
+  /** SHA-1 of the file content the metrics were measured on */
+  revision: string;
+  measuredAt: Date;
+  /** Cognitive complexity in the file's previous measured revision */
+  previousCognitive?: number;
 }
 
 // Event types
@@ -283,12 +311,14 @@ export interface SwarmEvent {
 
 export type SwarmEventType = 
   | 'swarm.initialized'
+  | 'swarm.restored'
   | 'swarm.shutdown'
   | 'agent.spawned'
   | 'agent.terminated'
   | 'task.started'
   | 'task.completed'
   | 'task.failed'
+  | 'task.cancelled'
   | 'analysis.completed'
   | 'performance.updated'
   | 'hive.initialized'
@@ -397,10 +427,34 @@ export interface SpecGenerationRequest {
 // Hive orchestration result types
 export interface HiveOrchestrationResult {
   success: boolean;
+  /** Identifies the run's agent conversation */
+  runId?: string;
   agentsUsed: string[];
   executionTime: number;
   results: AgentExecutionResult[];
   errors?: string[];
+  /** When each task waited, ran and finished, in specification order */
+  timeline?: HiveTaskTimelineEntry[];
+}
+
+export interface HiveTaskTimelineEntry {
+  taskId: string;
+  agentId?: string;
+  status: 'succeeded' | 'failed' | 'skipped';
+  /** Offsets in milliseconds from the start of the run */
+  readyAt?: number;
+  startedAt?: number;
+  finishedAt?: number;
+  attempts: HiveTaskAttempt[];
+  error?: string;
+}
+
+export interface HiveTaskAttempt {
+  attempt: number;
+  startedAt: number;
+  finishedAt: number;
+  success: boolean;
+  error?: string;
 }
 
 export interface AgentExecutionResult {
@@ -1,9 +1,6 @@
 import * as vscode from 'vscode';
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import { SwarmError } from '../types';
-
-const execAsync = promisify(exec);
+import { ProcessRunner } from './processRunner';
 
 export interface CLIValidationResult {
     isAvailable: boolean;
@@ -25,6 +22,7 @@ export interface CLICommand {
 
 export class CLIValidator implements vscode.Disposable {
     private outputChannel: vscode.OutputChannel;
+    private processRunner = new ProcessRunner();
     private validationCache: Map<string, CLIValidationResult> = new Map();
     private cacheExpiry = 5 * 60 * 1000; // 5 minutes
 
@@ -213,13 +211,10 @@ export class CLIValidator implements vscode.Disposable {
         
         for (let attempt = 0; attempt <= cliCommand.retries; attempt++) {
             try {
-                const { stdout, stderr } = await execAsync(
-                    `${cliCommand.command} ${cliCommand.args.join(' ')}`,
-                    {
-                        timeout: cliCommand.timeout,
-                        cwd: vscode.workspace.workspaceFolders?.[0]?.uri.fsPath
-                    }
-                );
+                const { stdout, stderr } = await this.processRunner.run(cliCommand.command, cliCommand.args, {
+                    timeout: cliCommand.timeout,
+                    cwd: vscode.workspace.workspaceFolders?.[0]?.uri.fsPath
+                });
 
                 return {
                     success: true,
@@ -375,6 +370,7 @@ export class CLIValidator implements vscode.Disposable {
     }
 
     dispose(): void {
+        this.processRunner.killAll();
         this.outputChannel.dispose();
         this.validationCache.clear();
     }
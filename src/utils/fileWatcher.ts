@@ -2,12 +2,21 @@ import * as vscode from 'vscode';
 import { SwarmManager } from './swarmManager';
 import { DiagnosticsProvider } from '../providers/diagnosticsProvider';
 
+export interface FileChangeEvent {
+    uri: vscode.Uri;
+    type: 'changed' | 'created' | 'deleted';
+}
+
 export class FileWatcher implements vscode.Disposable {
     private swarmManager: SwarmManager;
     private diagnosticsProvider: DiagnosticsProvider;
     private fileSystemWatcher?: vscode.FileSystemWatcher;
     private debounceMap = new Map<string, NodeJS.Timeout>();
     private config: any;
+    private fileChangeEmitter = new vscode.EventEmitter<FileChangeEvent>();
+
+    /** Watched source files that changed, before the debounced auto-analysis */
+    readonly onDidChangeFile = this.fileChangeEmitter.event;
 
     constructor(swarmManager: SwarmManager, diagnosticsProvider: DiagnosticsProvider) {
         this.swarmManager = swarmManager;
@@ -41,7 +50,7 @@ export class FileWatcher implements vscode.Disposable {
         }
     }
 
-    async handleFileChange(uri: vscode.Uri): Promise<void> {
+    async handleFileChange(uri: vscode.Uri, type: FileChangeEvent['type'] = 'changed'): Promise<void> {
         const filePath = uri.fsPath;
         
         // Check if file matches patterns
@@ -49,6 +58,12 @@ export class FileWatcher implements vscode.Disposable {
             return;
         }
 
+        this.fileChangeEmitter.fire({ uri, type });
+        if (type === 'deleted') {
+            this.diagnosticsProvider.clearDiagnostics(filePath);
+            return;
+        }
+
         // Debounce the analysis
         this.debounceAnalysis(filePath);
     }
@@ -66,7 +81,12 @@ export class FileWatcher implements vscode.Disposable {
         
         // Watch for new files
         this.fileSystemWatcher.onDidCreate(async (uri) => {
-            await this.handleFileChange(uri);
+            await this.handleFileChange(uri, 'created');
+        });
+
+        // Watch for deleted files
+        this.fileSystemWatcher.onDidDelete(async (uri) => {
+            await this.handleFileChange(uri, 'deleted');
         });
     }
 
@@ -157,5 +177,6 @@ export class FileWatcher implements vscode.Disposable {
         if (this.fileSystemWatcher) {
             this.fileSystemWatcher.dispose();
         }
+        this.fileChangeEmitter.dispose();
     }
 }
@@ -0,0 +1,227 @@
+/**
+ * Process Runner - Runs CLI commands with spawn and argument arrays
+ * Arguments never pass through a shell (except the cmd.exe wrapper needed
+ * for .cmd shims on Windows, where every argument is escaped), output is
+ * streamed line by line, and timeouts or cancellation kill the whole
+ * process tree.
+ */
+
+import * as vscode from 'vscode';
+import { spawn, ChildProcess, SpawnOptions } from 'child_process';
+import { SwarmError } from '../types';
+
+export interface ProcessRunOptions {
+    cwd?: string;
+    env?: NodeJS.ProcessEnv;
+    /** Milliseconds before the process tree is killed; 0 or undefined waits forever */
+    timeout?: number;
+    cancellationToken?: vscode.CancellationToken;
+    onStdoutLine?: (line: string) => void;
+    onStderrLine?: (line: string) => void;
+}
+
+export interface ProcessResult {
+    exitCode: number | null;
+    signal: NodeJS.Signals | null;
+    stdout: string;
+    stderr: string;
+    durationMs: number;
+}
+
+/**
+ * Splits a byte stream into lines, holding back the trailing partial line
+ */
+class LineSplitter {
+    private _buffer = '';
+
+    constructor(private readonly _onLine: (line: string) => void) {}
+
+    push(chunk: string): void {
+        this._buffer += chunk;
+        const lines = this._buffer.split(/\r?\n/);
+        this._buffer = lines.pop() || '';
+        lines.forEach(line => this._onLine(line));
+    }
+
+    flush(): void {
+        if (this._buffer) {
+            this._onLine(this._buffer);
+            this._buffer = '';
+        }
+    }
+}
+
+export class ProcessRunner {
+    /** Time between the polite and the forced kill */
+    private static readonly killGracePeriodMs = 3000;
+
+    private static readonly cmdMetaChars = /([()\][%!^"`<>&|;, *?])/g;
+
+    private _running = new Set<ChildProcess>();
+
+    get runningCount(): number {
+        return this._running.size;
+    }
+
+    /**
+     * Runs a command to completion. Rejects with a SwarmError coded
+     * PROCESS_SPAWN_FAILED, PROCESS_TIMEOUT or PROCESS_EXIT_CODE (details
+     * carry the ProcessResult), or with a vscode.CancellationError.
+     */
+    run(command: string, args: string[], options: ProcessRunOptions = {}): Promise<ProcessResult> {
+        if (options.cancellationToken?.isCancellationRequested) {
+            return Promise.reject(new vscode.CancellationError());
+        }
+
+        return new Promise<ProcessResult>((resolve, reject) => {
+            const startTime = Date.now();
+            const child = this._spawn(command, args, {
+                cwd: options.cwd,
+                env: { ...process.env, ...options.env },
+                stdio: ['ignore', 'pipe', 'pipe'],
+                // Own process group on POSIX so the whole tree can be signalled
+                detached: process.platform !== 'win32',
+                windowsHide: true
+            });
+            this._running.add(child);
+
+            let stdout = '';
+            let stderr = '';
+            let outcome: 'timeout' | 'cancelled' | undefined;
+            let settled = false;
+
+            const stdoutLines = new LineSplitter(line => options.onStdoutLine?.(line));
+            const stderrLines = new LineSplitter(line => options.onStderrLine?.(line));
+
+            child.stdout?.setEncoding('utf8');
+            child.stderr?.setEncoding('utf8');
+            child.stdout?.on('data', (chunk: string) => {
+                stdout += chunk;
+                stdoutLines.push(chunk);
+            });
+            child.stderr?.on('data', (chunk: string) => {
+                stderr += chunk;
+                stderrLines.push(chunk);
+            });
+
+            const timer = options.timeout && options.timeout > 0
+                ? setTimeout(() => {
+                    outcome = 'timeout';
+                    this.killTree(child);
+                }, options.timeout)
+                : undefined;
+
+            const cancellationListener = options.cancellationToken?.onCancellationRequested(() => {
+                outcome = outcome || 'cancelled';
+                this.killTree(child);
+            });
+
+            const finish = (error: Error | undefined, result?: ProcessResult) => {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+
+                if (timer) {
+                    clearTimeout(timer);
+                }
+                cancellationListener?.dispose();
+                this._running.delete(child);
+
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(result!);
+                }
+            };
+
+            child.on('error', error => {
+                finish(new SwarmError(`Failed to start ${command}: ${error.message}`, 'PROCESS_SPAWN_FAILED', error));
+            });
+
+            // 'close' rather than 'exit' so the output streams are drained
+            child.on('close', (exitCode, signal) => {
+                stdoutLines.flush();
+                stderrLines.flush();
+
+                const result: ProcessResult = { exitCode, signal, stdout, stderr, durationMs: Date.now() - startTime };
+                const commandLine = [command, ...args].join(' ');
+
+                if (outcome === 'cancelled') {
+                    finish(new vscode.CancellationError());
+                } else if (outcome === 'timeout') {
+                    finish(new SwarmError(`${commandLine} timed out after ${options.timeout}ms`, 'PROCESS_TIMEOUT', result));
+                } else if (exitCode !== 0) {
+                    const reason = stderr.trim().split(/\r?\n/).pop() || (signal ? `killed by ${signal}` : `exit code ${exitCode}`);
+                    finish(new SwarmError(`${commandLine} failed: ${reason}`, 'PROCESS_EXIT_CODE', result));
+                } else {
+                    finish(undefined, result);
+                }
+            });
+        });
+    }
+
+    /**
+     * Terminates a process and its descendants, forcing it after a grace period
+     */
+    killTree(child: ChildProcess): void {
+        if (child.pid === undefined || child.exitCode !== null || child.signalCode !== null) {
+            return;
+        }
+
+        if (process.platform === 'win32') {
+            spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { windowsHide: true }).on('error', () => child.kill());
+            return;
+        }
+
+        const pid = child.pid;
+        const signalGroup = (signal: NodeJS.Signals) => {
+            try {
+                process.kill(-pid, signal);
+            } catch {
+                // The group is already gone
+            }
+        };
+
+        signalGroup('SIGTERM');
+        setTimeout(() => {
+            if (child.exitCode === null && child.signalCode === null) {
+                signalGroup('SIGKILL');
+            }
+        }, ProcessRunner.killGracePeriodMs).unref();
+    }
+
+    /**
+     * Kills every process still running, e.g. on deactivation
+     */
+    killAll(): void {
+        this._running.forEach(child => this.killTree(child));
+    }
+
+    /**
+     * npx and other npm shims are .cmd files on Windows, which only run
+     * through cmd.exe; arguments are escaped the way cross-spawn does it
+     */
+    private _spawn(command: string, args: string[], options: SpawnOptions): ChildProcess {
+        if (process.platform !== 'win32' || /[\\/]|\.exe$/i.test(command)) {
+            return spawn(command, args, options);
+        }
+
+        const commandLine = [command, ...args.map(arg => this._escapeCmdArgument(arg))].join(' ');
+        return spawn(process.env.comspec || 'cmd.exe', ['/d', '/s', '/c', `"${commandLine}"`], {
+            ...options,
+            windowsVerbatimArguments: true
+        });
+    }
+
+    private _escapeCmdArgument(arg: string): string {
+        // Quote for the C runtime argument parser, then escape cmd.exe metacharacters
+        // twice because the .cmd shim passes the line through cmd.exe again
+        let escaped = arg
+            .replace(/(\\*)"/g, '$1$1\\"')
+            .replace(/(\\*)$/, '$1$1');
+        escaped = `"${escaped}"`;
+        escaped = escaped.replace(ProcessRunner.cmdMetaChars, '^$1');
+        return escaped.replace(ProcessRunner.cmdMetaChars, '^$1');
+    }
+}
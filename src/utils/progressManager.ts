@@ -100,6 +100,11 @@ export class ProgressManager implements vscode.Disposable {
                     return result;
 
                 } catch (error) {
+                    // Cancellation was already reported by the token listener
+                    if (progressTask.status === 'cancelled') {
+                        throw error;
+                    }
+
                     progressTask.status = 'failed';
                     progressTask.endTime = new Date();
                     
@@ -118,6 +123,45 @@ export class ProgressManager implements vscode.Disposable {
         );
     }
 
+    /**
+     * Consumes a cancellable text stream (e.g. LM Studio deltas) inside a progress
+     * notification, showing the amount and tail of partial output as it grows.
+     * Resolves with the full text; cancelling the notification cancels the stream.
+     */
+    async withStreamingProgress(
+        title: string,
+        stream: (token: vscode.CancellationToken) => AsyncIterable<string>,
+        options?: {
+            location?: vscode.ProgressLocation;
+            onDelta?: (delta: string) => void;
+            reportInterval?: number;
+        }
+    ): Promise<string> {
+        const reportInterval = options?.reportInterval ?? 250;
+
+        return this.withProgress(title, async (progress, token) => {
+            let output = '';
+            let lastReport = 0;
+
+            for await (const delta of stream(token)) {
+                output += delta;
+                options?.onDelta?.(delta);
+
+                const now = Date.now();
+                if (now - lastReport >= reportInterval) {
+                    lastReport = now;
+                    const tail = output.slice(-60).replace(/\s+/g, ' ').trim();
+                    progress.report({ message: `${output.length} chars — …${tail}` });
+                }
+            }
+
+            return output;
+        }, {
+            location: options?.location,
+            cancellable: true
+        });
+    }
+
     async createBackgroundTask(
         title: string,
         description?: string,
@@ -1,4 +1,5 @@
 import * as vscode from 'vscode';
+import { LLMConnectionStatus } from '../llm/llmProvider';
 
 export interface StatusBarMetrics {
     activeAgents: number;
@@ -11,6 +12,7 @@ export interface StatusBarMetrics {
 export class StatusBarManager implements vscode.Disposable {
     private statusBarItem: vscode.StatusBarItem;
     private metricsItem: vscode.StatusBarItem;
+    private connectionItem: vscode.StatusBarItem;
     private currentStatus: string = 'offline';
     private metrics: StatusBarMetrics = {
         activeAgents: 0,
@@ -32,6 +34,12 @@ export class StatusBarManager implements vscode.Disposable {
             99
         );
         
+        // LLM connection status bar item
+        this.connectionItem = vscode.window.createStatusBarItem(
+            vscode.StatusBarAlignment.Left,
+            98
+        );
+        
         this.statusBarItem.command = 'ruv-swarm.openDashboard';
         this.metricsItem.command = 'ruv-swarm.showCommandQueue';
         
@@ -209,6 +217,50 @@ export class StatusBarManager implements vscode.Disposable {
         return `RUV-Swarm Metrics: ${tooltip}\nClick to view command queue`;
     }
 
+    updateConnectionStatus(providerName: string, status: LLMConnectionStatus): void {
+        const queued = status.queuedRequests > 0 ? ` $(list-ordered) ${status.queuedRequests}` : '';
+        // A click connects when there is no connection and reports the status otherwise
+        this.connectionItem.command = status.state === 'disconnected'
+            ? 'ruv-swarm.connectLMStudio'
+            : 'ruv-swarm.checkLMStudioConnection';
+        
+        switch (status.state) {
+            case 'connected':
+                this.connectionItem.text = `$(plug) ${providerName}`;
+                this.connectionItem.tooltip = `Connected to ${providerName}${status.modelName ? ` (${status.modelName})` : ''}`;
+                this.connectionItem.backgroundColor = undefined;
+                break;
+            case 'connecting':
+                this.connectionItem.text = `$(sync~spin) ${providerName}`;
+                this.connectionItem.tooltip = `Connecting to ${providerName}...`;
+                this.connectionItem.backgroundColor = undefined;
+                break;
+            case 'reconnecting': {
+                const seconds = status.nextRetryAt
+                    ? Math.max(0, Math.ceil((status.nextRetryAt.getTime() - Date.now()) / 1000))
+                    : 0;
+                this.connectionItem.text = `$(sync~spin) ${providerName}${queued}`;
+                this.connectionItem.tooltip = [
+                    `Connection to ${providerName} lost. Reconnect attempt ${status.reconnectAttempt} in ${seconds}s.`,
+                    status.queuedRequests > 0 ? `${status.queuedRequests} queued request(s) will be replayed.` : '',
+                    status.lastError ? `Last error: ${status.lastError}` : ''
+                ].filter(Boolean).join('\n');
+                this.connectionItem.backgroundColor = new vscode.ThemeColor('statusBarItem.warningBackground');
+                break;
+            }
+            case 'disconnected':
+            default:
+                this.connectionItem.text = `$(debug-disconnect) ${providerName}`;
+                this.connectionItem.tooltip = `${providerName} is not connected. Click to connect.${status.lastError ? `\nLast error: ${status.lastError}` : ''}`;
+                this.connectionItem.backgroundColor = status.lastError
+                    ? new vscode.ThemeColor('statusBarItem.errorBackground')
+                    : undefined;
+                break;
+        }
+        
+        this.connectionItem.show();
+    }
+
     showProgress(message: string, progress?: number): void {
         let text = message;
         if (progress !== undefined) {
@@ -245,5 +297,6 @@ export class StatusBarManager implements vscode.Disposable {
     dispose(): void {
         this.statusBarItem.dispose();
         this.metricsItem.dispose();
+        this.connectionItem.dispose();
     }
 }
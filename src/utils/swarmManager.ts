@@ -1,17 +1,45 @@
 import * as vscode from 'vscode';
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import { 
     SwarmConfig, 
     SwarmStatus, 
     Agent, 
+    AgentStatus,
     Task, 
     SwarmError,
     SwarmEvent,
     SwarmEventType 
 } from '../types';
+import { ProcessResult, ProcessRunner } from './processRunner';
+import {
+    getProtocolErrorCode,
+    parseInitResponse,
+    parseMonitorResponse,
+    parseSpawnResponse,
+    parseStatusResponse,
+    parseTaskResponse,
+    SwarmAgentInfo,
+    SwarmMonitorResponse,
+    SwarmStatusResponse
+} from './swarmProtocol';
+import { SwarmSessionStore } from './swarmSessionStore';
+
+export type SwarmCLIOperation = 'version' | 'init' | 'spawn' | 'orchestrate' | 'monitor' | 'status';
+
+export interface SwarmCLIConfig {
+    command: string;
+    /** Arguments placed before every subcommand, e.g. ["ruv-swarm"] for npx */
+    commandArgs: string[];
+    /** Milliseconds per operation; 0 lets the command run until it finishes or is cancelled */
+    timeouts: Record<SwarmCLIOperation, number>;
+}
 
-const execAsync = promisify(exec);
+export interface SwarmCommandOptions {
+    cancellationToken?: vscode.CancellationToken;
+    /** Receives each output line as the CLI prints it */
+    onOutput?: (line: string, stream: 'stdout' | 'stderr') => void;
+    /** Where progress is shown; 'notification' adds a Cancel button. Defaults to the status bar */
+    progress?: 'window' | 'notification' | 'none';
+}
 
 export class SwarmManager implements vscode.Disposable {
     private context: vscode.ExtensionContext;
@@ -20,13 +48,19 @@ export class SwarmManager implements vscode.Disposable {
     private tasks: Map<string, Task> = new Map();
     private eventEmitter = new vscode.EventEmitter<SwarmEvent>();
     private outputChannel: vscode.OutputChannel;
+    private processRunner = new ProcessRunner();
+    private sessionStore: SwarmSessionStore;
     private isInitialized = false;
+    private swarmId?: string;
+    private maxAgents?: number;
+    private initializedAt?: number;
 
     public readonly onSwarmEvent = this.eventEmitter.event;
 
     constructor(context: vscode.ExtensionContext) {
         this.context = context;
         this.outputChannel = vscode.window.createOutputChannel('RUV-Swarm');
+        this.sessionStore = new SwarmSessionStore(context);
         
         this.swarmStatus = {
             isInitialized: false,
@@ -52,7 +86,7 @@ export class SwarmManager implements vscode.Disposable {
         };
     }
 
-    async initializeSwarm(config?: SwarmConfig): Promise<void> {
+    async initializeSwarm(config?: SwarmConfig, options?: SwarmCommandOptions): Promise<void> {
         try {
             this.outputChannel.appendLine('🧠 Initializing RUV-Swarm...');
             
@@ -62,55 +96,69 @@ export class SwarmManager implements vscode.Disposable {
             }
 
             // Check if ruv-swarm is available
-            await this.checkRuvSwarmAvailability();
+            await this.checkRuvSwarmAvailability(options?.cancellationToken);
 
             // Initialize swarm with configuration
             const topology = config?.topology || 'hierarchical';
             const maxAgents = config?.maxAgents || 8;
             const cognitivePatterns = config?.cognitivePatterns || ['convergent', 'divergent', 'systems', 'critical'];
 
-            const command = `npx ruv-swarm init ${topology} ${maxAgents} --cognitive-diversity`;
-            
-            this.outputChannel.appendLine(`Executing: ${command}`);
-            
-            const { stdout, stderr } = await execAsync(command, {
-                cwd: workspaceFolder.uri.fsPath,
-                timeout: 30000
-            });
-
-            if (stderr) {
-                this.outputChannel.appendLine(`Warning: ${stderr}`);
-            }
-
-            this.outputChannel.appendLine(`Output: ${stdout}`);
+            const { stdout } = await this.runCLI(
+                'init',
+                ['init', topology, String(maxAgents), '--cognitive-diversity', '--format', 'json'],
+                'Initializing RUV-Swarm',
+                options
+            );
+            const response = parseInitResponse(stdout);
 
             // Update status
             this.swarmStatus.isInitialized = true;
             this.swarmStatus.isRunning = true;
-            this.swarmStatus.topology = topology;
+            this.swarmStatus.topology = response.topology;
             this.swarmStatus.health.status = 'healthy';
+            this.swarmStatus.health.issues = [];
             this.swarmStatus.health.lastHealthCheck = new Date();
 
+            // Agents belonged to the previous swarm and went away with it
+            if (this.swarmId !== response.swarmId) {
+                this.agents.clear();
+                this.updateAgentCounts();
+            }
+
             this.isInitialized = true;
+            this.swarmId = response.swarmId;
+            this.maxAgents = response.maxAgents ?? maxAgents;
+            this.initializedAt = Date.now();
+            this.persistSession();
 
             // Emit initialization event
-            this.emitEvent('swarm.initialized', { topology, maxAgents, cognitivePatterns });
+            this.emitEvent('swarm.initialized', {
+                swarmId: response.swarmId,
+                topology: response.topology,
+                maxAgents: this.maxAgents,
+                cognitivePatterns
+            });
 
             this.outputChannel.appendLine('✅ RUV-Swarm initialized successfully!');
             vscode.window.showInformationMessage('🧠 RUV-Swarm initialized successfully!');
 
         } catch (error) {
+            if (error instanceof vscode.CancellationError) {
+                this.outputChannel.appendLine('🛑 Swarm initialization cancelled');
+                throw error;
+            }
+
             const errorMessage = error instanceof Error ? error.message : String(error);
             this.outputChannel.appendLine(`❌ Failed to initialize swarm: ${errorMessage}`);
             
             this.swarmStatus.health.status = 'critical';
             this.swarmStatus.health.issues.push(errorMessage);
             
-            throw new SwarmError(`Failed to initialize swarm: ${errorMessage}`, 'INIT_FAILED', error);
+            throw new SwarmError(`Failed to initialize swarm: ${errorMessage}`, getProtocolErrorCode(error) ?? 'INIT_FAILED', error);
         }
     }
 
-    async spawnAgent(type: string, name?: string, capabilities?: string[]): Promise<string> {
+    async spawnAgent(type: string, name?: string, capabilities?: string[], options?: SwarmCommandOptions): Promise<string> {
         try {
             if (!this.isInitialized) {
                 throw new SwarmError('Swarm not initialized', 'NOT_INITIALIZED');
@@ -122,58 +170,50 @@ export class SwarmManager implements vscode.Disposable {
             }
 
             const agentName = name || `${type}-${Date.now()}`;
-            const capabilitiesStr = capabilities ? `--capabilities ${capabilities.join(',')}` : '';
-            
-            const command = `npx ruv-swarm agent spawn ${type} --name ${agentName} ${capabilitiesStr}`;
-            
-            this.outputChannel.appendLine(`Spawning agent: ${command}`);
-            
-            const { stdout } = await execAsync(command, {
-                cwd: workspaceFolder.uri.fsPath,
-                timeout: 15000
-            });
-
-            // Parse agent ID from output (this would depend on actual ruv-swarm output format)
-            const agentId = this.parseAgentId(stdout) || agentName;
+            const args = ['agent', 'spawn', type, '--name', agentName];
+            if (capabilities && capabilities.length > 0) {
+                args.push('--capabilities', capabilities.join(','));
+            }
+            args.push('--format', 'json');
 
-            // Create agent record
-            const agent: Agent = {
-                id: agentId,
+            const { stdout } = await this.runCLI('spawn', args, `Spawning ${type} agent`, options);
+            const agent = this.createAgentRecord(parseSpawnResponse(stdout).agent, {
                 name: agentName,
-                type: type as any,
-                model: 'tcn-pattern-detector', // Default model
-                cognitivePattern: 'convergent',
-                capabilities: capabilities || [],
-                status: 'idle',
-                performance: {
-                    tasksCompleted: 0,
-                    successRate: 0,
-                    averageResponseTime: 0,
-                    tokenEfficiency: 0,
-                    accuracy: 0
-                },
-                createdAt: new Date(),
-                lastActive: new Date()
-            };
+                type,
+                capabilities: capabilities || []
+            });
+            const agentId = agent.id;
 
             this.agents.set(agentId, agent);
-            this.swarmStatus.totalAgents = this.agents.size;
-            this.swarmStatus.activeAgents = Array.from(this.agents.values()).filter(a => a.status !== 'offline').length;
+            this.updateAgentCounts();
+            this.persistSession();
 
-            this.emitEvent('agent.spawned', { agentId, type, name: agentName });
+            this.emitEvent('agent.spawned', { agentId, type: agent.type, name: agent.name });
 
-            this.outputChannel.appendLine(`✅ Agent ${agentName} spawned successfully!`);
+            this.outputChannel.appendLine(`✅ Agent ${agent.name} spawned successfully!`);
             
             return agentId;
 
         } catch (error) {
+            if (error instanceof vscode.CancellationError) {
+                this.outputChannel.appendLine('🛑 Agent spawn cancelled');
+                throw error;
+            }
+
             const errorMessage = error instanceof Error ? error.message : String(error);
             this.outputChannel.appendLine(`❌ Failed to spawn agent: ${errorMessage}`);
-            throw new SwarmError(`Failed to spawn agent: ${errorMessage}`, 'SPAWN_FAILED', error);
+            throw new SwarmError(`Failed to spawn agent: ${errorMessage}`, getProtocolErrorCode(error) ?? 'SPAWN_FAILED', error);
         }
     }
 
-    async executeTask(description: string, type: string = 'analysis', filePath?: string): Promise<string> {
+    async executeTask(
+        description: string,
+        type: string = 'analysis',
+        filePath?: string,
+        options?: SwarmCommandOptions
+    ): Promise<string> {
+        let task: Task | undefined;
+
         try {
             if (!this.isInitialized) {
                 throw new SwarmError('Swarm not initialized', 'NOT_INITIALIZED');
@@ -185,12 +225,9 @@ export class SwarmManager implements vscode.Disposable {
             }
 
             const taskId = `task-${Date.now()}`;
-            const command = `npx ruv-swarm task orchestrate "${description}"`;
-            
-            this.outputChannel.appendLine(`Executing task: ${command}`);
             
             // Create task record
-            const task: Task = {
+            task = {
                 id: taskId,
                 description,
                 type: type as any,
@@ -206,61 +243,136 @@ export class SwarmManager implements vscode.Disposable {
             };
 
             this.tasks.set(taskId, task);
-            this.swarmStatus.activeTasks = Array.from(this.tasks.values()).filter(t => t.status === 'running').length;
+            this.updateTaskCounts();
+            this.persistSession();
 
             this.emitEvent('task.started', { taskId, description, type });
 
-            const { stdout, stderr } = await execAsync(command, {
-                cwd: workspaceFolder.uri.fsPath,
-                timeout: 60000
-            });
-
-            if (stderr) {
-                this.outputChannel.appendLine(`Task warning: ${stderr}`);
-            }
+            // The description is a single argument, so quotes or shell syntax in it are inert
+            const { stdout } = await this.runCLI(
+                'orchestrate',
+                ['task', 'orchestrate', description, '--format', 'json'],
+                `Swarm ${type} task`,
+                options
+            );
+            const response = parseTaskResponse(stdout);
+            const output = response.result ?? '';
+            const metrics = response.metrics;
 
             // Update task status
             task.status = 'completed';
             task.completedAt = new Date();
+            task.assignedAgents = response.assignedAgents ?? [];
             task.result = {
                 success: true,
-                output: stdout,
+                output,
                 metrics: {
-                    duration: task.completedAt.getTime() - (task.startedAt?.getTime() || 0),
-                    tokenUsage: 0, // Would be parsed from output
-                    tokenSavings: 0,
-                    qualityScore: 0.85,
-                    confidenceScore: 0.9
+                    duration: metrics?.durationMs ?? task.completedAt.getTime() - (task.startedAt?.getTime() || 0),
+                    tokenUsage: metrics?.tokenUsage ?? 0,
+                    tokenSavings: metrics?.tokenSavings ?? 0,
+                    qualityScore: metrics?.qualityScore,
+                    confidenceScore: metrics?.confidenceScore
                 }
             };
 
-            this.swarmStatus.activeTasks = Array.from(this.tasks.values()).filter(t => t.status === 'running').length;
-            this.swarmStatus.completedTasks = Array.from(this.tasks.values()).filter(t => t.status === 'completed').length;
+            this.updateTaskCounts();
+            this.persistSession();
 
-            this.emitEvent('task.completed', { taskId, result: task.result });
+            this.emitEvent('task.completed', { taskId, cliTaskId: response.taskId, result: task.result });
 
             this.outputChannel.appendLine(`✅ Task completed: ${taskId}`);
-            this.outputChannel.appendLine(stdout);
 
-            return stdout;
+            return output;
 
         } catch (error) {
+            if (task) {
+                task.status = error instanceof vscode.CancellationError ? 'cancelled' : 'failed';
+                task.completedAt = new Date();
+                this.updateTaskCounts();
+                this.persistSession();
+            }
+
+            if (error instanceof vscode.CancellationError) {
+                this.outputChannel.appendLine(`🛑 Task cancelled${task ? `: ${task.id}` : ''}`);
+                if (task) {
+                    this.emitEvent('task.cancelled', { taskId: task.id });
+                }
+                throw error;
+            }
+
             const errorMessage = error instanceof Error ? error.message : String(error);
             this.outputChannel.appendLine(`❌ Task failed: ${errorMessage}`);
-            
-            // Update task status to failed
-            const runningTasks = Array.from(this.tasks.values()).filter(t => t.status === 'running');
-            if (runningTasks.length > 0) {
-                const task = runningTasks[runningTasks.length - 1];
-                task.status = 'failed';
-                task.completedAt = new Date();
+            if (task) {
                 this.emitEvent('task.failed', { taskId: task.id, error: errorMessage });
             }
 
-            throw new SwarmError(`Task failed: ${errorMessage}`, 'TASK_FAILED', error);
+            throw new SwarmError(`Task failed: ${errorMessage}`, getProtocolErrorCode(error) ?? 'TASK_FAILED', error);
         }
     }
 
+    /**
+     * Loads the previous window's session and reconciles it with the swarm the
+     * CLI is running. Returns true when that swarm is still alive, so it does
+     * not need to be initialized again.
+     */
+    async restoreSession(): Promise<boolean> {
+        const saved = this.sessionStore.load();
+        if (saved) {
+            this.swarmId = saved.swarmId;
+            this.maxAgents = saved.maxAgents;
+            this.initializedAt = saved.initializedAt;
+            this.swarmStatus.topology = saved.topology;
+            this.agents = new Map(saved.agents.map(agent => [agent.id, agent]));
+            this.tasks = new Map(saved.tasks.map(task => [task.id, task]));
+
+            // Their CLI processes were stopped when the previous window closed
+            const interrupted = saved.tasks.filter(task => task.status === 'running' || task.status === 'pending');
+            interrupted.forEach(task => {
+                task.status = 'cancelled';
+                task.completedAt = task.completedAt ?? new Date();
+            });
+
+            this.outputChannel.appendLine(
+                `🧠 Restored ${this.agents.size} agent(s) and ${this.tasks.size} task(s) from the last session` +
+                (interrupted.length > 0 ? `; ${interrupted.length} interrupted task(s) marked cancelled` : '')
+            );
+        }
+
+        let alive = false;
+        if (this.getWorkspaceFolder()) {
+            try {
+                const { stdout } = await this.runCLI(
+                    'status',
+                    ['status', '--format', 'json'],
+                    'Reading swarm state',
+                    { progress: 'none' },
+                    false
+                );
+                alive = this.reconcileWithCLI(parseStatusResponse(stdout));
+            } catch (error) {
+                // Without an answer from the CLI the saved agents may no longer exist
+                this.agents.forEach(agent => {
+                    agent.status = 'offline';
+                });
+                const code = error instanceof SwarmError ? ` (${error.code})` : '';
+                this.outputChannel.appendLine(`⚠️ Could not read the running swarm${code}: ${error instanceof Error ? error.message : String(error)}`);
+            }
+        }
+
+        this.updateAgentCounts();
+        this.updateTaskCounts();
+        this.persistSession();
+
+        this.emitEvent('swarm.restored', {
+            swarmId: this.swarmId,
+            reconnected: alive,
+            agents: this.agents.size,
+            tasks: this.tasks.size
+        });
+
+        return alive;
+    }
+
     async getSwarmStatus(): Promise<SwarmStatus> {
         // Update performance metrics if swarm is running
         if (this.isInitialized) {
@@ -284,10 +396,243 @@ export class SwarmManager implements vscode.Disposable {
         this.outputChannel.appendLine(`Updating configuration: ${JSON.stringify(config)}`);
     }
 
-    private async checkRuvSwarmAvailability(): Promise<void> {
+    /**
+     * Runs a ruv-swarm subcommand in the workspace folder, streaming its output
+     * into the output channel and the progress UI. Timeouts and cancellation
+     * kill the whole process tree.
+     */
+    private async runCLI(
+        operation: SwarmCLIOperation,
+        args: string[],
+        title: string,
+        options: SwarmCommandOptions = {},
+        echo: boolean = true
+    ): Promise<ProcessResult> {
+        const cli = this.loadCLIConfiguration();
+        const commandArgs = [...cli.commandArgs, ...args];
+
+        if (echo) {
+            this.outputChannel.appendLine(`▶️ ${[cli.command, ...commandArgs].join(' ')}`);
+        }
+
+        const execute = async (
+            progress?: vscode.Progress<{ message?: string }>,
+            progressToken?: vscode.CancellationToken
+        ): Promise<ProcessResult> => {
+            // Either the caller or the notification's Cancel button can stop the process
+            const tokenSource = new vscode.CancellationTokenSource();
+            const listeners = [options.cancellationToken, progressToken]
+                .filter((token): token is vscode.CancellationToken => token !== undefined)
+                .map(token => {
+                    if (token.isCancellationRequested) {
+                        tokenSource.cancel();
+                    }
+                    return token.onCancellationRequested(() => tokenSource.cancel());
+                });
+
+            const onLine = (stream: 'stdout' | 'stderr') => (line: string) => {
+                if (echo) {
+                    this.outputChannel.appendLine(stream === 'stderr' ? `⚠️ ${line}` : line);
+                }
+                if (line.trim()) {
+                    progress?.report({ message: line.trim().slice(0, 80) });
+                }
+                options.onOutput?.(line, stream);
+            };
+
+            try {
+                return await this.processRunner.run(cli.command, commandArgs, {
+                    cwd: this.getWorkspaceFolder()?.uri.fsPath,
+                    timeout: cli.timeouts[operation],
+                    cancellationToken: tokenSource.token,
+                    onStdoutLine: onLine('stdout'),
+                    onStderrLine: onLine('stderr')
+                });
+            } finally {
+                listeners.forEach(listener => listener.dispose());
+                tokenSource.dispose();
+            }
+        };
+
+        switch (options.progress ?? 'window') {
+            case 'none':
+                return execute();
+            case 'notification':
+                return vscode.window.withProgress(
+                    { location: vscode.ProgressLocation.Notification, title, cancellable: true },
+                    (progress, token) => execute(progress, token)
+                );
+            default:
+                return vscode.window.withProgress(
+                    { location: vscode.ProgressLocation.Window, title },
+                    progress => execute(progress)
+                );
+        }
+    }
+
+    private loadCLIConfiguration(): SwarmCLIConfig {
+        const config = vscode.workspace.getConfiguration('ruv-swarm.cli');
+
+        return {
+            command: config.get('command', 'npx'),
+            commandArgs: config.get('commandArgs', ['ruv-swarm']),
+            timeouts: {
+                version: config.get('timeouts.version', 30000),
+                init: config.get('timeouts.init', 60000),
+                spawn: config.get('timeouts.spawn', 30000),
+                orchestrate: config.get('timeouts.orchestrate', 0),
+                monitor: config.get('timeouts.monitor', 10000),
+                status: config.get('timeouts.status', 15000)
+            }
+        };
+    }
+
+    /**
+     * The CLI is the source of truth for which swarm and agents exist; saved
+     * records only contribute what the CLI does not know, such as history
+     */
+    private reconcileWithCLI(status: SwarmStatusResponse): boolean {
+        const saved = this.agents;
+        this.agents = new Map();
+
+        if (!status.swarm) {
+            if (saved.size > 0) {
+                this.outputChannel.appendLine(`🧠 The saved swarm is no longer running; ${saved.size} agent(s) removed`);
+            }
+            this.isInitialized = false;
+            this.swarmId = undefined;
+            this.swarmStatus.isInitialized = false;
+            this.swarmStatus.isRunning = false;
+            this.swarmStatus.health.status = 'offline';
+            return false;
+        }
+
+        status.agents.forEach(info => {
+            const known = saved.get(info.id);
+            const agent = known
+                ? this.mergeAgentInfo(known, info)
+                : this.createAgentRecord(info, { name: info.id, type: 'coder', capabilities: [] });
+            this.agents.set(agent.id, agent);
+        });
+
+        const removed = Array.from(saved.keys()).filter(id => !this.agents.has(id)).length;
+        if (removed > 0) {
+            this.outputChannel.appendLine(`🧠 ${removed} saved agent(s) are no longer known to the swarm and were removed`);
+        }
+
+        // A different swarm started since the session was saved
+        if (this.swarmId !== status.swarm.id) {
+            this.initializedAt = Date.now();
+        }
+
+        this.isInitialized = true;
+        this.swarmId = status.swarm.id;
+        this.maxAgents = status.swarm.maxAgents ?? this.maxAgents;
+        this.swarmStatus.isInitialized = true;
+        this.swarmStatus.isRunning = true;
+        this.swarmStatus.topology = status.swarm.topology;
+        this.swarmStatus.health.status = 'healthy';
+        this.swarmStatus.health.issues = [];
+        this.swarmStatus.health.lastHealthCheck = new Date();
+
+        this.outputChannel.appendLine(`✅ Reconnected to swarm ${status.swarm.id} with ${this.agents.size} agent(s)`);
+        return true;
+    }
+
+    private createAgentRecord(
+        info: SwarmAgentInfo,
+        defaults: { name: string; type: string; capabilities: string[] }
+    ): Agent {
+        return this.mergeAgentInfo({
+            id: info.id,
+            name: defaults.name,
+            type: defaults.type as any,
+            model: 'tcn-pattern-detector', // Default model
+            cognitivePattern: 'convergent',
+            capabilities: defaults.capabilities,
+            status: 'idle',
+            performance: {
+                tasksCompleted: 0,
+                successRate: 0,
+                averageResponseTime: 0,
+                tokenEfficiency: 0,
+                accuracy: 0
+            },
+            createdAt: new Date(),
+            lastActive: new Date()
+        }, info);
+    }
+
+    private mergeAgentInfo(agent: Agent, info: SwarmAgentInfo): Agent {
+        const statuses: AgentStatus[] = ['idle', 'active', 'busy', 'error', 'offline'];
+
+        return {
+            ...agent,
+            name: info.name || agent.name,
+            type: (info.type || agent.type) as any,
+            cognitivePattern: (info.cognitivePattern || agent.cognitivePattern) as any,
+            capabilities: info.capabilities || agent.capabilities,
+            status: statuses.find(status => status === info.status) ?? (agent.status === 'offline' ? 'idle' : agent.status)
+        };
+    }
+
+    private persistSession(): void {
+        this.sessionStore.save({
+            swarmId: this.swarmId,
+            topology: this.swarmStatus.topology,
+            maxAgents: this.maxAgents,
+            initializedAt: this.initializedAt,
+            agents: Array.from(this.agents.values()),
+            tasks: Array.from(this.tasks.values())
+        }).then(undefined, error => {
+            this.outputChannel.appendLine(`⚠️ Failed to save the swarm session: ${error instanceof Error ? error.message : String(error)}`);
+        });
+    }
+
+    private updateAgentCounts(): void {
+        this.swarmStatus.totalAgents = this.agents.size;
+        this.swarmStatus.activeAgents = Array.from(this.agents.values()).filter(a => a.status !== 'offline').length;
+    }
+
+    private updateTaskCounts(): void {
+        const tasks = Array.from(this.tasks.values());
+        this.swarmStatus.activeTasks = tasks.filter(t => t.status === 'running').length;
+        this.swarmStatus.completedTasks = tasks.filter(t => t.status === 'completed').length;
+    }
+
+    /**
+     * Only what the CLI reported, plus what this session measured itself from
+     * finished tasks; anything else stays undefined rather than estimated
+     */
+    private updatePerformance(reported: SwarmMonitorResponse = {}): void {
+        const finished = Array.from(this.tasks.values()).filter(t => t.status === 'completed' || t.status === 'failed');
+        const completed = finished.filter(t => t.status === 'completed');
+        const durations = completed
+            .map(t => t.result?.metrics.duration)
+            .filter((duration): duration is number => duration !== undefined);
+        const elapsedSeconds = this.initializedAt ? (Date.now() - this.initializedAt) / 1000 : 0;
+
+        this.swarmStatus.performance = {
+            tasksPerSecond: reported.tasksPerSecond ?? (elapsedSeconds > 0 ? completed.length / elapsedSeconds : 0),
+            averageResponseTime: reported.averageResponseTime
+                ?? (durations.length > 0 ? durations.reduce((sum, duration) => sum + duration, 0) / durations.length : 0),
+            successRate: reported.successRate ?? (finished.length > 0 ? completed.length / finished.length : 0),
+            tokenEfficiency: reported.tokenEfficiency,
+            cpuUsage: reported.cpuUsage,
+            memoryUsage: reported.memoryUsage
+        };
+
+        this.emitEvent('performance.updated', this.swarmStatus.performance);
+    }
+
+    private async checkRuvSwarmAvailability(cancellationToken?: vscode.CancellationToken): Promise<void> {
         try {
-            await execAsync('npx ruv-swarm --version', { timeout: 10000 });
+            await this.runCLI('version', ['--version'], 'Checking ruv-swarm CLI', { cancellationToken, progress: 'none' }, false);
         } catch (error) {
+            if (error instanceof vscode.CancellationError) {
+                throw error;
+            }
+
             throw new SwarmError(
                 'ruv-swarm CLI not available. Please ensure ruv-swarm is installed.',
                 'CLI_NOT_AVAILABLE',
@@ -300,82 +645,30 @@ export class SwarmManager implements vscode.Disposable {
         return vscode.workspace.workspaceFolders?.[0];
     }
 
-    private parseAgentId(output: string): string | null {
-        // Parse agent ID from ruv-swarm output
-        // This would depend on the actual output format
-        const match = output.match(/Agent ID: ([a-zA-Z0-9-]+)/);
-        return match ? match[1] : null;
-    }
-
     private async updatePerformanceMetrics(): Promise<void> {
         try {
             const workspaceFolder = this.getWorkspaceFolder();
             if (!workspaceFolder) {return;}
 
             // Get performance metrics from ruv-swarm
-            const { stdout, stderr } = await execAsync('npx ruv-swarm monitor --duration 1 --format json', {
-                cwd: workspaceFolder.uri.fsPath,
-                timeout: 5000
-            });
-
-            // Clean the output to remove emojis and non-JSON content
-            let cleanOutput = stdout.trim();
-            
-            // Try to find JSON content in the output
-            const jsonMatch = cleanOutput.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                cleanOutput = jsonMatch[0];
-            } else {
-                // If no JSON found, use fallback metrics
-                this.useFallbackMetrics();
-                return;
-            }
-
-            let metrics;
-            try {
-                metrics = JSON.parse(cleanOutput);
-            } catch (parseError) {
-                // If JSON parsing fails, use fallback metrics
-                this.useFallbackMetrics();
-                return;
-            }
-            
-            this.swarmStatus.performance = {
-                tasksPerSecond: metrics.tasksPerSecond || 0,
-                averageResponseTime: metrics.averageResponseTime || 0,
-                tokenEfficiency: metrics.tokenEfficiency || 0,
-                successRate: metrics.successRate || 0,
-                cpuUsage: metrics.cpuUsage || 0,
-                memoryUsage: metrics.memoryUsage || 0
-            };
+            const { stdout } = await this.runCLI(
+                'monitor',
+                ['monitor', '--duration', '1', '--format', 'json'],
+                'Reading swarm metrics',
+                { progress: 'none' },
+                false
+            );
 
-            this.emitEvent('performance.updated', this.swarmStatus.performance);
+            this.updatePerformance(parseMonitorResponse(stdout));
 
         } catch (error) {
-            // Use fallback metrics on any error
-            this.useFallbackMetrics();
-            // Log error for debugging but don't throw
-            this.outputChannel.appendLine(`⚠️ Performance metrics update failed: ${error instanceof Error ? error.message : String(error)}`);
+            // Metrics the CLI could not report are shown as unavailable
+            this.updatePerformance();
+            const code = error instanceof SwarmError ? ` (${error.code})` : '';
+            this.outputChannel.appendLine(`⚠️ Performance metrics unavailable${code}: ${error instanceof Error ? error.message : String(error)}`);
         }
     }
 
-    private useFallbackMetrics(): void {
-        // Calculate basic metrics from internal state
-        const totalTasks = this.swarmStatus.activeTasks + this.swarmStatus.completedTasks;
-        const completedTasks = this.swarmStatus.completedTasks;
-        
-        this.swarmStatus.performance = {
-            tasksPerSecond: totalTasks > 0 ? completedTasks / 60 : 0, // Rough estimate
-            averageResponseTime: 1500, // Default estimate
-            tokenEfficiency: 0.75, // Default estimate
-            successRate: totalTasks > 0 ? completedTasks / totalTasks : 1.0,
-            cpuUsage: Math.random() * 20 + 10, // Simulated for demo
-            memoryUsage: Math.random() * 30 + 20 // Simulated for demo
-        };
-        
-        this.emitEvent('performance.updated', this.swarmStatus.performance);
-    }
-
     private emitEvent(type: SwarmEventType, data: any): void {
         const event: SwarmEvent = {
             type,
@@ -387,12 +680,13 @@ export class SwarmManager implements vscode.Disposable {
     }
 
     dispose(): void {
-        this.outputChannel.dispose();
-        this.eventEmitter.dispose();
-        
         // Cleanup any running processes
-        if (this.isInitialized) {
-            this.outputChannel.appendLine('🧠 Shutting down RUV-Swarm...');
+        if (this.processRunner.runningCount > 0) {
+            this.outputChannel.appendLine(`🧠 Stopping ${this.processRunner.runningCount} running ruv-swarm process(es)...`);
         }
+        this.processRunner.killAll();
+
+        this.outputChannel.dispose();
+        this.eventEmitter.dispose();
     }
 }
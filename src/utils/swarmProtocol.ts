@@ -0,0 +1,351 @@
+/**
+ * Swarm Protocol - Typed responses of `ruv-swarm <command> --format json`
+ * The CLI (or npx in front of it) may still print notices around the JSON
+ * document, so the document is located first and then validated field by
+ * field. Anything that does not match is a SwarmError with a PROTOCOL_* code
+ * instead of a guess.
+ */
+
+import { SwarmError } from '../types';
+
+export type SwarmProtocolErrorCode =
+    | 'PROTOCOL_EMPTY_OUTPUT'
+    | 'PROTOCOL_INVALID_JSON'
+    | 'PROTOCOL_SCHEMA_MISMATCH'
+    | 'PROTOCOL_CLI_ERROR';
+
+export type SwarmProtocolOperation = 'init' | 'spawn' | 'orchestrate' | 'monitor' | 'status';
+
+export interface SwarmInitResponse {
+    swarmId: string;
+    topology: string;
+    maxAgents?: number;
+    strategy?: string;
+}
+
+export interface SwarmAgentInfo {
+    id: string;
+    name?: string;
+    type?: string;
+    status?: string;
+    cognitivePattern?: string;
+    capabilities?: string[];
+}
+
+export interface SwarmSpawnResponse {
+    agent: SwarmAgentInfo;
+}
+
+export interface SwarmTaskResponse {
+    taskId: string;
+    status: string;
+    /** The task's textual result; structured results are pretty-printed */
+    result?: string;
+    assignedAgents?: string[];
+    metrics?: {
+        durationMs?: number;
+        tokenUsage?: number;
+        tokenSavings?: number;
+        qualityScore?: number;
+        confidenceScore?: number;
+    };
+}
+
+/** Every field is optional: the CLI only reports what it actually measured */
+export interface SwarmMonitorResponse {
+    tasksPerSecond?: number;
+    averageResponseTime?: number;
+    tokenEfficiency?: number;
+    successRate?: number;
+    cpuUsage?: number;
+    memoryUsage?: number;
+}
+
+/** The swarm the CLI is running, if any, and its agents */
+export interface SwarmStatusResponse {
+    swarm?: {
+        id: string;
+        topology: string;
+        maxAgents?: number;
+    };
+    agents: SwarmAgentInfo[];
+}
+
+export interface SwarmProtocolErrorDetails {
+    operation: SwarmProtocolOperation;
+    /** JSON path of the offending field, for schema mismatches */
+    path?: string;
+    /** The start of the raw output, for the log */
+    output: string;
+}
+
+const MAX_OUTPUT_IN_DETAILS = 2000;
+
+/**
+ * Reads typed fields out of a parsed JSON object, reporting the JSON path of
+ * the first field that does not match
+ */
+class SchemaReader {
+    constructor(
+        private readonly _operation: SwarmProtocolOperation,
+        private readonly _stdout: string,
+        private readonly _value: Record<string, unknown>,
+        private readonly _path: string = '$'
+    ) {}
+
+    has(key: string): boolean {
+        return this._value[key] !== undefined && this._value[key] !== null;
+    }
+
+    string(key: string): string {
+        const value = this._value[key];
+        if (typeof value !== 'string' || !value) {
+            throw this._mismatch(key, 'a non-empty string', value);
+        }
+        return value;
+    }
+
+    optionalString(key: string): string | undefined {
+        return this.has(key) ? this.string(key) : undefined;
+    }
+
+    optionalNumber(key: string): number | undefined {
+        if (!this.has(key)) {
+            return undefined;
+        }
+        const value = this._value[key];
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw this._mismatch(key, 'a finite number', value);
+        }
+        return value;
+    }
+
+    optionalStringArray(key: string): string[] | undefined {
+        if (!this.has(key)) {
+            return undefined;
+        }
+        const value = this._value[key];
+        if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+            throw this._mismatch(key, 'an array of strings', value);
+        }
+        return value as string[];
+    }
+
+    object(key: string): SchemaReader {
+        const value = this._value[key];
+        if (!isPlainObject(value)) {
+            throw this._mismatch(key, 'an object', value);
+        }
+        return new SchemaReader(this._operation, this._stdout, value, `${this._path}.${key}`);
+    }
+
+    optionalObject(key: string): SchemaReader | undefined {
+        return this.has(key) ? this.object(key) : undefined;
+    }
+
+    optionalObjectArray(key: string): SchemaReader[] | undefined {
+        if (!this.has(key)) {
+            return undefined;
+        }
+        const value = this._value[key];
+        if (!Array.isArray(value)) {
+            throw this._mismatch(key, 'an array of objects', value);
+        }
+        return value.map((item, index) => {
+            if (!isPlainObject(item)) {
+                throw this._mismatch(`${key}[${index}]`, 'an object', item);
+            }
+            return new SchemaReader(this._operation, this._stdout, item, `${this._path}.${key}[${index}]`);
+        });
+    }
+
+    /** The raw value, for fields whose shape is up to the task */
+    raw(key: string): unknown {
+        return this._value[key];
+    }
+
+    private _mismatch(key: string, expected: string, actual: unknown): SwarmError {
+        const path = `${this._path}.${key}`;
+        const found = actual === undefined ? 'nothing' : Array.isArray(actual) ? 'an array' : typeof actual;
+        return protocolError(
+            this._operation,
+            'PROTOCOL_SCHEMA_MISMATCH',
+            `expected ${path} to be ${expected} but found ${found}`,
+            this._stdout,
+            path
+        );
+    }
+}
+
+export function parseInitResponse(stdout: string): SwarmInitResponse {
+    const reader = readDocument('init', stdout);
+
+    return {
+        swarmId: reader.string('id'),
+        topology: reader.string('topology'),
+        maxAgents: reader.optionalNumber('maxAgents'),
+        strategy: reader.optionalString('strategy')
+    };
+}
+
+export function parseSpawnResponse(stdout: string): SwarmSpawnResponse {
+    return {
+        agent: readAgent(readDocument('spawn', stdout).object('agent'))
+    };
+}
+
+export function parseStatusResponse(stdout: string): SwarmStatusResponse {
+    const reader = readDocument('status', stdout);
+    const swarm = reader.optionalObject('swarm');
+
+    return {
+        swarm: swarm && {
+            id: swarm.string('id'),
+            topology: swarm.string('topology'),
+            maxAgents: swarm.optionalNumber('maxAgents')
+        },
+        agents: (reader.optionalObjectArray('agents') ?? []).map(readAgent)
+    };
+}
+
+export function parseTaskResponse(stdout: string): SwarmTaskResponse {
+    const reader = readDocument('orchestrate', stdout);
+    const metrics = reader.optionalObject('metrics');
+
+    const result = reader.raw('result');
+    return {
+        taskId: reader.string('taskId'),
+        status: reader.string('status'),
+        result: result === undefined || result === null
+            ? undefined
+            : typeof result === 'string' ? result : JSON.stringify(result, null, 2),
+        assignedAgents: reader.optionalStringArray('assignedAgents'),
+        metrics: metrics && {
+            durationMs: metrics.optionalNumber('durationMs'),
+            tokenUsage: metrics.optionalNumber('tokenUsage'),
+            tokenSavings: metrics.optionalNumber('tokenSavings'),
+            qualityScore: metrics.optionalNumber('qualityScore'),
+            confidenceScore: metrics.optionalNumber('confidenceScore')
+        }
+    };
+}
+
+export function parseMonitorResponse(stdout: string): SwarmMonitorResponse {
+    const document = readDocument('monitor', stdout);
+    // Newer CLIs nest the numbers under "metrics"
+    const reader = document.optionalObject('metrics') ?? document;
+
+    return {
+        tasksPerSecond: reader.optionalNumber('tasksPerSecond'),
+        averageResponseTime: reader.optionalNumber('averageResponseTime'),
+        tokenEfficiency: reader.optionalNumber('tokenEfficiency'),
+        successRate: reader.optionalNumber('successRate'),
+        cpuUsage: reader.optionalNumber('cpuUsage'),
+        memoryUsage: reader.optionalNumber('memoryUsage')
+    };
+}
+
+/**
+ * The PROTOCOL_* code of an error, if it came from this module
+ */
+export function getProtocolErrorCode(error: unknown): SwarmProtocolErrorCode | undefined {
+    return error instanceof SwarmError && error.code.startsWith('PROTOCOL_')
+        ? error.code as SwarmProtocolErrorCode
+        : undefined;
+}
+
+function readAgent(agent: SchemaReader): SwarmAgentInfo {
+    return {
+        id: agent.string('id'),
+        name: agent.optionalString('name'),
+        type: agent.optionalString('type'),
+        status: agent.optionalString('status'),
+        cognitivePattern: agent.optionalString('cognitivePattern'),
+        capabilities: agent.optionalStringArray('capabilities')
+    };
+}
+
+/**
+ * Locates the JSON document in the output and checks the CLI did not report a failure
+ */
+function readDocument(operation: SwarmProtocolOperation, stdout: string): SchemaReader {
+    const document = extractJsonDocument(operation, stdout);
+
+    if (!isPlainObject(document)) {
+        throw protocolError(operation, 'PROTOCOL_SCHEMA_MISMATCH', 'expected a JSON object', stdout, '$');
+    }
+
+    if (document.success === false || typeof document.error === 'string') {
+        const reason = typeof document.error === 'string' ? document.error : 'the command reported failure';
+        throw protocolError(operation, 'PROTOCOL_CLI_ERROR', reason, stdout);
+    }
+
+    return new SchemaReader(operation, stdout, document);
+}
+
+/**
+ * The whole output when it is JSON; otherwise the last line that is a JSON
+ * object, or the block from the first line opening one to the end
+ */
+function extractJsonDocument(operation: SwarmProtocolOperation, stdout: string): unknown {
+    const trimmed = stdout.trim();
+    if (!trimmed) {
+        throw protocolError(operation, 'PROTOCOL_EMPTY_OUTPUT', 'the command printed nothing', stdout);
+    }
+
+    const whole = tryParse(trimmed);
+    if (whole.ok) {
+        return whole.value;
+    }
+
+    const lines = trimmed.split(/\r?\n/);
+    for (let i = lines.length - 1; i >= 0; i--) {
+        const line = lines[i].trim();
+        if (line.startsWith('{') && line.endsWith('}')) {
+            const parsed = tryParse(line);
+            if (parsed.ok) {
+                return parsed.value;
+            }
+        }
+    }
+
+    const blockStart = lines.findIndex(line => line.trimStart().startsWith('{'));
+    if (blockStart >= 0) {
+        const parsed = tryParse(lines.slice(blockStart).join('\n'));
+        if (parsed.ok) {
+            return parsed.value;
+        }
+    }
+
+    throw protocolError(operation, 'PROTOCOL_INVALID_JSON', 'the output contains no JSON document', stdout);
+}
+
+function tryParse(text: string): { ok: true; value: unknown } | { ok: false } {
+    try {
+        return { ok: true, value: JSON.parse(text) };
+    } catch {
+        return { ok: false };
+    }
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function protocolError(
+    operation: SwarmProtocolOperation,
+    code: SwarmProtocolErrorCode,
+    reason: string,
+    stdout: string,
+    path?: string
+): SwarmError {
+    const details: SwarmProtocolErrorDetails = {
+        operation,
+        path,
+        output: stdout.slice(0, MAX_OUTPUT_IN_DETAILS)
+    };
+    const message = code === 'PROTOCOL_CLI_ERROR'
+        ? `ruv-swarm ${operation} reported an error: ${reason}`
+        : `Unexpected ruv-swarm ${operation} output: ${reason}`;
+    return new SwarmError(message, code, details);
+}
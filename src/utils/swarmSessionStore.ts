@@ -0,0 +1,110 @@
+/**
+ * Swarm Session Store - Keeps the swarm's topology, agents and task history
+ * in the workspace state so a window reload does not forget a swarm the CLI
+ * is still running. Dates are stored as ISO strings and revived on load.
+ */
+
+import * as vscode from 'vscode';
+import { Agent, Task } from '../types';
+
+export interface SwarmSessionState {
+    swarmId?: string;
+    topology: string;
+    maxAgents?: number;
+    initializedAt?: number;
+    agents: Agent[];
+    tasks: Task[];
+}
+
+interface StoredSession {
+    version: number;
+    swarmId?: string;
+    topology: string;
+    maxAgents?: number;
+    initializedAt?: number;
+    agents: Array<Omit<Agent, 'createdAt' | 'lastActive'> & { createdAt: string; lastActive: string }>;
+    tasks: Array<Omit<Task, 'createdAt' | 'startedAt' | 'completedAt'> & {
+        createdAt: string;
+        startedAt?: string;
+        completedAt?: string;
+    }>;
+}
+
+export class SwarmSessionStore {
+    private static readonly storageKey = 'swarm.session';
+    private static readonly version = 1;
+    private static readonly maxTasks = 100;
+    /** Long task outputs are cut so the workspace state stays small */
+    private static readonly maxOutputChars = 20000;
+
+    private _context: vscode.ExtensionContext;
+    private _writeQueue: Promise<void> = Promise.resolve();
+
+    constructor(context: vscode.ExtensionContext) {
+        this._context = context;
+    }
+
+    /**
+     * The saved session, or undefined when there is none or it was written by
+     * an incompatible version
+     */
+    load(): SwarmSessionState | undefined {
+        const stored = this._context.workspaceState.get<StoredSession>(SwarmSessionStore.storageKey);
+        if (!stored || stored.version !== SwarmSessionStore.version) {
+            return undefined;
+        }
+
+        return {
+            swarmId: stored.swarmId,
+            topology: stored.topology,
+            maxAgents: stored.maxAgents,
+            initializedAt: stored.initializedAt,
+            agents: stored.agents.map(agent => ({
+                ...agent,
+                createdAt: new Date(agent.createdAt),
+                lastActive: new Date(agent.lastActive)
+            })),
+            tasks: stored.tasks.map(task => ({
+                ...task,
+                createdAt: new Date(task.createdAt),
+                startedAt: task.startedAt ? new Date(task.startedAt) : undefined,
+                completedAt: task.completedAt ? new Date(task.completedAt) : undefined
+            }))
+        };
+    }
+
+    /**
+     * Writes the session; writes are queued so a slow one cannot overwrite a newer state
+     */
+    save(state: SwarmSessionState): Promise<void> {
+        const stored: StoredSession = {
+            version: SwarmSessionStore.version,
+            swarmId: state.swarmId,
+            topology: state.topology,
+            maxAgents: state.maxAgents,
+            initializedAt: state.initializedAt,
+            agents: state.agents.map(agent => ({
+                ...agent,
+                createdAt: agent.createdAt.toISOString(),
+                lastActive: agent.lastActive.toISOString()
+            })),
+            tasks: [...state.tasks]
+                .sort((a, b) => b.createdAt.getTime() - a.createdAt.getTime())
+                .slice(0, SwarmSessionStore.maxTasks)
+                .map(task => ({
+                    ...task,
+                    createdAt: task.createdAt.toISOString(),
+                    startedAt: task.startedAt?.toISOString(),
+                    completedAt: task.completedAt?.toISOString(),
+                    result: task.result && {
+                        ...task.result,
+                        output: task.result.output.slice(0, SwarmSessionStore.maxOutputChars)
+                    }
+                }))
+        };
+
+        const write = this._writeQueue.then(() => this._context.workspaceState.update(SwarmSessionStore.storageKey, stored));
+        this._writeQueue = write.catch(() => undefined);
+        return write;
+    }
+}
@@ -6,6 +6,8 @@ import { AnalysisScheduler } from './analysisScheduler';
 import { ChangeDetector } from './changeDetector';
 import { ProgressManager } from '../utils/progressManager';
 import { ErrorHandler } from '../utils/errorHandler';
+import { ComplexityAnalyzer } from '../metrics/complexityAnalyzer';
+import { getAstLanguage } from '../pipelines/astChunker';
 
 export interface WatcherConfig {
     enabled: boolean;
@@ -44,6 +46,7 @@ export class AdvancedFileWatcher implements vscode.Disposable {
     private changeDetector: ChangeDetector;
     private progressManager: ProgressManager;
     private errorHandler: ErrorHandler;
+    private complexityAnalyzer = new ComplexityAnalyzer();
     
     private fileSystemWatchers: Map<string, vscode.FileSystemWatcher> = new Map();
     private analysisQueue: Map<string, AnalysisContext> = new Map();
@@ -493,8 +496,15 @@ export class AdvancedFileWatcher implements vscode.Disposable {
         try {
             const document = await vscode.workspace.openTextDocument(filePath);
             const text = document.getText();
+
+            // Sum of the cognitive complexity of the file's functions, on the same 0-10 scale
+            const astLanguage = getAstLanguage(filePath);
+            if (astLanguage) {
+                const functions = await this.complexityAnalyzer.analyze(filePath, text, astLanguage);
+                return Math.min(functions.reduce((sum, fn) => sum + fn.cognitive, 0) / 10, 10);
+            }
             
-            // Simple complexity estimation based on file size and content
+            // Size-based estimate for languages without a parser
             const lines = text.split('\n').length;
             const functions = (text.match(/function|def|class|interface/g) || []).length;
             const complexity = Math.min(lines / 100 + functions / 10, 10);
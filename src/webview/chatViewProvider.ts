@@ -1,31 +1,72 @@
 import * as vscode from 'vscode';
-import { LMStudioServer } from '../mcp/servers/lmStudioServer';
+import { LLMProvider, LLMChatMessage, LLMTaskType } from '../llm/llmProvider';
 import { SwarmManager } from '../utils/swarmManager';
 import { ChatMessage, ToolCall } from './lmStudioChat';
+import { TokenBudgetService } from '../llm/tokenBudget';
+import { ChatThread, ChatThreadStore } from '../chat/chatThreadStore';
+import { ChatExporter } from '../chat/chatExporter';
+import { ChatEditService, FILE_EDIT_INSTRUCTIONS } from '../chat/chatEditService';
+import { RetrievalIndex } from '../retrieval/retrievalIndex';
+import { CHAT_AGENT_ROLES, ChatMentionKind, MENTION_KINDS, ParsedChatInput, SLASH_COMMANDS, parseChatInput } from '../chat/chatCommands';
+import { ChatAttachment, ChatContextResolver } from '../chat/chatContextResolver';
+import { HiveOrchestrator } from '../hive/hiveOrchestrator';
+import { formatTaskTimeline } from '../hive/taskGraphExecutor';
+import { SpecificationGenerator, convertSpecToMarkdown } from '../specs/specificationGenerator';
+import { AgentType, HiveOrchestrationResult } from '../types';
+
+/** What a slash command or mentions add to a single chat turn */
+interface ChatTurnContext {
+    /** Text sent to the model instead of the message as typed */
+    prompt?: string;
+    attachments?: ChatAttachment[];
+    agentType?: AgentType;
+}
 
 export class ChatViewProvider implements vscode.WebviewViewProvider, vscode.Disposable {
     public static readonly viewType = 'ruv-swarm.chat';
 
     private _view?: vscode.WebviewView;
     private context: vscode.ExtensionContext;
-    private lmStudioServer: LMStudioServer;
+    private llmProvider: LLMProvider;
     private swarmManager: SwarmManager;
-    private chatHistory: ChatMessage[] = [];
+    private threadStore: ChatThreadStore;
+    private exporter: ChatExporter;
+    private editService: ChatEditService;
+    private retrievalIndex: RetrievalIndex;
+    private contextResolver = new ChatContextResolver();
+    private hiveOrchestrator: HiveOrchestrator;
+    private specificationGenerator: SpecificationGenerator;
     private isProcessing = false;
+    private tokenBudget = new TokenBudgetService();
     private outputChannel: vscode.OutputChannel;
 
     constructor(
         context: vscode.ExtensionContext,
-        lmStudioServer: LMStudioServer,
-        swarmManager: SwarmManager
+        llmProvider: LLMProvider,
+        swarmManager: SwarmManager,
+        threadStore: ChatThreadStore,
+        hiveOrchestrator: HiveOrchestrator,
+        specificationGenerator: SpecificationGenerator,
+        editService: ChatEditService,
+        retrievalIndex: RetrievalIndex
     ) {
         this.context = context;
-        this.lmStudioServer = lmStudioServer;
+        this.llmProvider = llmProvider;
         this.swarmManager = swarmManager;
+        this.threadStore = threadStore;
+        this.hiveOrchestrator = hiveOrchestrator;
+        this.specificationGenerator = specificationGenerator;
+        this.editService = editService;
+        this.retrievalIndex = retrievalIndex;
+        this.exporter = new ChatExporter(threadStore);
         this.outputChannel = vscode.window.createOutputChannel('RUV-Swarm Chat');
         
         this.setupEventListeners();
-        this.loadChatHistory();
+    }
+
+    /** Messages of the thread currently shown in the sidebar */
+    private get chatHistory(): ChatMessage[] {
+        return this.threadStore.activeThread.messages;
     }
 
     public resolveWebviewView(
@@ -64,7 +105,11 @@ export class ChatViewProvider implements vscode.WebviewViewProvider, vscode.Disp
             
             switch (data.type) {
                 case 'sendMessage':
-                    await this.handleUserMessage(data.content);
+                    await this.handleChatInput(data.content);
+                    break;
+                    
+                case 'requestCompletions':
+                    await this.sendCompletions(data.requestId, data.kind, data.query);
                     break;
                     
                 case 'clearChat':
@@ -81,10 +126,48 @@ export class ChatViewProvider implements vscode.WebviewViewProvider, vscode.Disp
                     await this.checkConnection();
                     break;
                     
+                case 'selectModel':
+                    await this.llmProvider.setActiveModel(data.model);
+                    break;
+                    
                 case 'retryMessage':
                     await this.retryLastMessage();
                     break;
                     
+                case 'newThread':
+                    await this.threadStore.createThread();
+                    break;
+                    
+                case 'switchThread':
+                    await this.switchThread(data.threadId, data.messageId);
+                    break;
+                    
+                case 'renameThread':
+                    await this.renameThread(data.threadId);
+                    break;
+                    
+                case 'deleteThread':
+                    await this.deleteThread(data.threadId);
+                    break;
+                    
+                case 'searchThreads':
+                    await this.searchThreads(data.query);
+                    break;
+                    
+                case 'exportThread':
+                    await this.exporter.exportThread();
+                    break;
+                    
+                case 'importThread':
+                    await this.exporter.importThread();
+                    break;
+                    
+                case 'previewEdit':
+                case 'applyEdit':
+                case 'applyAllEdits':
+                    await this.handleEditAction(data.type, data.messageId, data.index);
+                    break;
+                    
                 case 'debug':
                     this.outputChannel.appendLine(`🐛 Debug: ${data.message} (${data.timestamp})`);
                     break;
@@ -94,22 +177,88 @@ export class ChatViewProvider implements vscode.WebviewViewProvider, vscode.Disp
             }
         } catch (error) {
             this.outputChannel.appendLine(`Error handling message: ${error}`);
+            if (['exportThread', 'importThread', 'previewEdit', 'applyEdit', 'applyAllEdits'].includes(data.type)) {
+                vscode.window.showErrorMessage(error instanceof Error ? error.message : String(error));
+            }
         }
     }
 
-    private async handleUserMessage(content: string): Promise<void> {
+    /**
+     * Previews or applies file edits proposed in an assistant message of the active thread
+     */
+    private async handleEditAction(action: 'previewEdit' | 'applyEdit' | 'applyAllEdits', messageId: string, index?: number): Promise<void> {
+        const thread = this.threadStore.activeThread;
+        const message = thread.messages.find(candidate => candidate.id === messageId);
+        if (!message) {
+            return;
+        }
+
+        if (action === 'previewEdit') {
+            await this.editService.previewMessageEdit(message, index!);
+            return;
+        }
+
+        const changed = await this.editService.applyMessageEdits(message, action === 'applyEdit' ? [index!] : undefined);
+        await this.threadStore.saveThread(thread);
+        await this.updateChatUI();
+
+        this.outputChannel.appendLine(`✏️ Applied AI edits to ${changed.length} file(s)`);
+        const choice = await vscode.window.showInformationMessage(
+            `Applied edits to ${changed.length} file(s). Use Undo in the editor to revert them.`,
+            'Open'
+        );
+        if (choice === 'Open') {
+            await vscode.window.showTextDocument(changed[0]);
+        }
+    }
+
+    /**
+     * Expands slash commands and @-mentions, then sends the message. /spec and
+     * /hive go through the specification generator instead of plain chat.
+     */
+    private async handleChatInput(content: string): Promise<void> {
+        const parsed = parseChatInput(content);
+
+        if (parsed.command?.name === 'spec' || parsed.command?.name === 'hive') {
+            await this.runSpecificationCommand(content, parsed);
+            return;
+        }
+
+        const resolved = await this.contextResolver.resolve(parsed);
+        if (resolved.warnings.length > 0) {
+            vscode.window.showWarningMessage(resolved.warnings.join('; '));
+        }
+
+        if (parsed.command?.attachActiveCode && resolved.attachments.length === 0) {
+            return;
+        }
+
+        const agentRole = resolved.agentType ? CHAT_AGENT_ROLES[resolved.agentType] : undefined;
+        const prompt = [parsed.command?.instruction, parsed.text].filter(part => part).join('\n\n');
+
+        await this.handleUserMessage(content, parsed.command?.taskType || agentRole?.taskType || 'chat', {
+            prompt: prompt || undefined,
+            attachments: resolved.attachments,
+            agentType: resolved.agentType
+        });
+    }
+
+    private async handleUserMessage(content: string, taskType: LLMTaskType = 'chat', turn: ChatTurnContext = {}): Promise<void> {
         if (this.isProcessing) {
             vscode.window.showWarningMessage('Please wait for the current message to complete');
             return;
         }
 
-        if (!this.lmStudioServer.isConnected) {
-            vscode.window.showErrorMessage('LM Studio is not connected. Please check your configuration.');
+        if (!this.llmProvider.isConnected) {
+            vscode.window.showErrorMessage(`${this.llmProvider.displayName} is not connected. Please check your configuration.`);
             return;
         }
 
         this.isProcessing = true;
 
+        // Replies land in the thread the question was asked in, even if the user switches away
+        const thread = this.threadStore.activeThread;
+
         try {
             // Add user message to history
             const userMessage: ChatMessage = {
@@ -119,28 +268,51 @@ export class ChatViewProvider implements vscode.WebviewViewProvider, vscode.Disp
                 timestamp: new Date()
             };
             
-            this.chatHistory.push(userMessage);
+            if (turn.attachments?.length || turn.agentType) {
+                userMessage.metadata = {
+                    attachments: turn.attachments?.map(attachment => attachment.label),
+                    agent: turn.agentType
+                };
+            }
+            
+            thread.messages.push(userMessage);
             await this.updateChatUI();
+            await this.threadStore.saveThread(thread);
 
             // Get current context
             const context = await this.getCurrentContext();
             
-            // Send to LM Studio and get response
-            const response = await this.sendToLMStudio(content, context);
-            
-            // Add assistant response to history
+            // Add an empty assistant message that streamed tokens are appended to
             const assistantMessage: ChatMessage = {
                 id: this.generateMessageId(),
                 role: 'assistant',
-                content: response.content,
-                timestamp: new Date(),
-                toolCalls: response.toolCalls,
-                metadata: response.metadata
+                content: '',
+                timestamp: new Date()
             };
             
-            this.chatHistory.push(assistantMessage);
+            thread.messages.push(assistantMessage);
             await this.updateChatUI();
-            await this.saveChatHistory();
+
+            try {
+                // Send to LM Studio and stream the response into the placeholder
+                const response = await this.sendToLMStudio(context, thread, userMessage, assistantMessage, taskType, turn);
+                
+                assistantMessage.content = response.content;
+                assistantMessage.toolCalls = response.toolCalls;
+                assistantMessage.metadata = response.metadata;
+
+                const edits = await this.editService.describeEdits(response.content);
+                if (edits.length > 0) {
+                    assistantMessage.metadata = { ...assistantMessage.metadata, edits };
+                }
+            } catch (error) {
+                thread.messages = thread.messages.filter(msg => msg.id !== assistantMessage.id);
+                throw error;
+            }
+            
+            this.isProcessing = false;
+            await this.updateChatUI();
+            await this.threadStore.saveThread(thread);
 
         } catch (error) {
             this.outputChannel.appendLine(`Error processing message: ${error}`);
@@ -153,8 +325,9 @@ export class ChatViewProvider implements vscode.WebviewViewProvider, vscode.Disp
                 timestamp: new Date()
             };
             
-            this.chatHistory.push(errorMessage);
+            thread.messages.push(errorMessage);
             await this.updateChatUI();
+            await this.threadStore.saveThread(thread);
             
         } finally {
             this.isProcessing = false;
@@ -164,9 +337,11 @@ export class ChatViewProvider implements vscode.WebviewViewProvider, vscode.Disp
     private async handleQuickAction(action: string): Promise<void> {
         const activeEditor = vscode.window.activeTextEditor;
         let message = '';
+        let taskType: LLMTaskType = 'chat';
 
         switch (action) {
             case 'analyzeFile':
+                taskType = 'analyze_file';
                 if (activeEditor) {
                     message = `Analyze the current file: ${activeEditor.document.fileName}`;
                 } else {
@@ -175,6 +350,7 @@ export class ChatViewProvider implements vscode.WebviewViewProvider, vscode.Disp
                 break;
                 
             case 'generateTests':
+                taskType = 'generate_tests';
                 if (activeEditor) {
                     message = `Generate comprehensive tests for the current file: ${activeEditor.document.fileName}`;
                 } else {
@@ -184,6 +360,7 @@ export class ChatViewProvider implements vscode.WebviewViewProvider, vscode.Disp
                 break;
                 
             case 'explainCode':
+                taskType = 'explain_code';
                 if (activeEditor && activeEditor.selection && !activeEditor.selection.isEmpty) {
                     const selectedText = activeEditor.document.getText(activeEditor.selection);
                     message = `Explain this code:\n\n\`\`\`\n${selectedText}\n\`\`\``;
@@ -200,6 +377,7 @@ export class ChatViewProvider implements vscode.WebviewViewProvider, vscode.Disp
                 break;
                 
             case 'codeReview':
+                taskType = 'code_review';
                 if (activeEditor) {
                     message = `Perform a comprehensive code review of: ${activeEditor.document.fileName}`;
                 } else {
@@ -213,7 +391,7 @@ export class ChatViewProvider implements vscode.WebviewViewProvider, vscode.Disp
                 return;
         }
 
-        await this.handleUserMessage(message);
+        await this.handleUserMessage(message, taskType);
     }
 
     private async getCurrentContext(): Promise<{
@@ -245,7 +423,14 @@ export class ChatViewProvider implements vscode.WebviewViewProvider, vscode.Disp
         };
     }
 
-    private async sendToLMStudio(userMessage: string, context: any): Promise<{
+    private async sendToLMStudio(
+        context: any,
+        thread: ChatThread,
+        userMessage: ChatMessage,
+        assistantMessage: ChatMessage,
+        taskType: LLMTaskType,
+        turn: ChatTurnContext
+    ): Promise<{
         content: string;
         toolCalls?: ToolCall[];
         metadata?: any;
@@ -253,28 +438,218 @@ export class ChatViewProvider implements vscode.WebviewViewProvider, vscode.Disp
         const startTime = Date.now();
         
         // Build system prompt with context
-        const systemPrompt = this.buildSystemPrompt(context);
+        let systemPrompt = this.buildSystemPrompt(context);
+        if (turn.agentType) {
+            systemPrompt += `\n\nYou are answering as the hive's ${turn.agentType} agent, specialized in ${CHAT_AGENT_ROLES[turn.agentType].focus}.`;
+        }
+        
+        // Get conversation history for context, skipping local error notices and the pending reply
+        const history: LLMChatMessage[] = thread.messages
+            .filter(msg => msg.role !== 'system' && msg.id !== assistantMessage.id)
+            .map(msg => ({
+                role: msg.role,
+                content: msg.id === userMessage.id && turn.prompt ? turn.prompt : msg.content
+            }));
+        
+        // Mentioned code replaces the implicit editor selection
+        const attachedCode = turn.attachments && turn.attachments.length > 0
+            ? turn.attachments
+            : context.selectedText
+                ? [{ label: `Selected code from ${context.activeFile || 'the active editor'}`, content: context.selectedText }]
+                : [];
         
-        // Get conversation history for context
-        const conversationHistory = this.chatHistory.slice(-10);
+        // Related code from the rest of the workspace comes after what the user attached
+        const retrievedCode = await this.retrievalIndex.retrieveContext(turn.prompt || userMessage.content);
+        const codeChunks = [...attachedCode, ...retrievedCode];
         
-        // Simulate LM Studio response (replace with actual API call)
-        const response = await this.simulateLMStudioResponse(systemPrompt, conversationHistory, userMessage, context);
+        // Budget prompt, attached code and history against the model's context window
+        const { messages, breakdown } = this.tokenBudget.fitPrompt({
+            systemPrompt,
+            history,
+            codeChunks,
+            toolDefinitions: this.llmProvider.toolDefinitions,
+            contextWindow: this.llmProvider.contextWindow,
+            reservedForCompletion: this.llmProvider.maxCompletionTokens
+        });
+        
+        if (breakdown.summarizedMessages > 0 || breakdown.droppedMessages > 0) {
+            this.outputChannel.appendLine(`✂️ Context window: summarized ${breakdown.summarizedMessages}, dropped ${breakdown.droppedMessages} older message(s)`);
+        }
+        
+        const toolCalls: ToolCall[] = [];
+        
+        const response = await this.llmProvider.runAgentTurn(messages, {
+            taskType,
+            onDelta: delta => {
+                assistantMessage.content += delta;
+                this._view?.webview.postMessage({
+                    type: 'updateChatDelta',
+                    data: { messageId: assistantMessage.id, delta }
+                });
+            },
+            onToolCall: execution => {
+                if (!toolCalls.includes(execution)) {
+                    toolCalls.push(execution);
+                }
+                assistantMessage.toolCalls = toolCalls;
+                this.updateChatUI().catch(error => {
+                    this.outputChannel.appendLine(`⚠️ Failed to show tool call ${execution.name}: ${error}`);
+                });
+            }
+        });
         
         const endTime = Date.now();
         const responseTime = endTime - startTime;
 
         return {
             content: response.content,
-            toolCalls: response.toolCalls,
+            toolCalls: toolCalls.length > 0 ? toolCalls : undefined,
             metadata: {
-                model: 'LM Studio Model',
-                tokens: response.content.length,
-                responseTime
+                model: response.model,
+                tokens: response.usage.totalTokens,
+                promptTokens: response.usage.promptTokens,
+                completionTokens: response.usage.completionTokens,
+                responseTime,
+                retrievedCode: retrievedCode.length > 0 ? retrievedCode.map(chunk => chunk.label) : undefined,
+                tokenBudget: {
+                    ...breakdown,
+                    toolResults: response.toolResultTokens,
+                    total: breakdown.total + response.toolResultTokens
+                }
             }
         };
     }
 
+    private async runSpecificationCommand(content: string, parsed: ParsedChatInput): Promise<void> {
+        const command = parsed.command!;
+        if (!parsed.text) {
+            vscode.window.showWarningMessage(`Usage: ${command.usage}`);
+            return;
+        }
+
+        if (this.isProcessing) {
+            vscode.window.showWarningMessage('Please wait for the current message to complete');
+            return;
+        }
+
+        if (!this.llmProvider.isConnected) {
+            vscode.window.showErrorMessage(`${this.llmProvider.displayName} is not connected. Please check your configuration.`);
+            return;
+        }
+
+        this.isProcessing = true;
+        const thread = this.threadStore.activeThread;
+        const startTime = Date.now();
+
+        const userMessage: ChatMessage = {
+            id: this.generateMessageId(),
+            role: 'user',
+            content,
+            timestamp: new Date()
+        };
+        const assistantMessage: ChatMessage = {
+            id: this.generateMessageId(),
+            role: 'assistant',
+            content: '📝 Generating specification...',
+            timestamp: new Date()
+        };
+
+        thread.messages.push(userMessage, assistantMessage);
+        await this.updateChatUI();
+        await this.threadStore.saveThread(thread);
+
+        try {
+            const resolved = await this.contextResolver.resolve(parsed);
+            const attachedCode = resolved.attachments
+                .map(attachment => `\n\n${attachment.label}:\n\`\`\`\n${attachment.content}\n\`\`\``)
+                .join('');
+
+            const specification = await this.specificationGenerator.generateSpecification({
+                userRequest: parsed.text + attachedCode,
+                context: {
+                    workspaceFolder: vscode.workspace.workspaceFolders?.[0]?.uri.fsPath,
+                    activeFile: vscode.window.activeTextEditor?.document.fileName,
+                    projectType: 'general'
+                },
+                preferences: {
+                    complexity: 'moderate',
+                    timeline: 'normal',
+                    quality: 'production'
+                }
+            });
+
+            let reply = convertSpecToMarkdown(specification);
+
+            if (command.name === 'hive') {
+                if (!this.hiveOrchestrator.initialized) {
+                    assistantMessage.content = `${reply}\n\n🧠 Initializing hive mind...`;
+                    await this.updateChatUI();
+                    await this.hiveOrchestrator.initializeHive();
+                }
+
+                assistantMessage.content = `${reply}\n\n🚀 Hive mind is executing ${specification.tasks.length} task(s)...`;
+                await this.updateChatUI();
+
+                const result = await this.hiveOrchestrator.orchestrateSpecification(specification);
+                reply += this.formatHiveResult(result);
+            }
+
+            assistantMessage.content = reply;
+            assistantMessage.metadata = {
+                model: this.llmProvider.resolveModel({ taskType: command.taskType }),
+                responseTime: Date.now() - startTime
+            };
+        } catch (error) {
+            this.outputChannel.appendLine(`Error running /${command.name}: ${error}`);
+            thread.messages = thread.messages.filter(msg => msg.id !== assistantMessage.id);
+            thread.messages.push({
+                id: this.generateMessageId(),
+                role: 'system',
+                content: `Error: ${error instanceof Error ? error.message : String(error)}`,
+                timestamp: new Date()
+            });
+        } finally {
+            this.isProcessing = false;
+        }
+
+        await this.updateChatUI();
+        await this.threadStore.saveThread(thread);
+    }
+
+    private formatHiveResult(result: HiveOrchestrationResult): string {
+        let markdown = `\n## Hive Execution\n`;
+        markdown += `- **Status**: ${result.success ? 'SUCCESS' : 'FAILED'}\n`;
+        markdown += `- **Agents Used**: ${result.agentsUsed.length}\n`;
+        markdown += `- **Execution Time**: ${result.executionTime}ms\n\n`;
+
+        result.results.forEach((agentResult, index) => {
+            markdown += `### ${index + 1}. ${agentResult.agentType} ${agentResult.success ? '✅' : '❌'}\n`;
+            markdown += `${agentResult.output || agentResult.error || 'No output'}\n\n`;
+        });
+
+        if (result.timeline && result.timeline.length > 0) {
+            markdown += `### Timeline\n\`\`\`text\n${formatTaskTimeline(result.timeline)}\n\`\`\`\n\n`;
+        }
+
+        if (result.errors && result.errors.length > 0) {
+            markdown += `**Errors**: ${result.errors.join(', ')}\n`;
+        }
+
+        return markdown;
+    }
+
+    private async sendCompletions(requestId: number, kind: string, query: string): Promise<void> {
+        if (!MENTION_KINDS.some(mention => mention.kind === kind)) {
+            return;
+        }
+
+        const items = await this.contextResolver.getCompletions(kind as ChatMentionKind, query || '');
+        this._view?.webview.postMessage({
+            type: 'completions',
+            data: { requestId, items }
+        });
+    }
+
     private buildSystemPrompt(context: any): string {
         return `You are an AI assistant integrated with the RUV-Swarm system. You have access to powerful tools for code analysis, testing, and development assistance.
 
@@ -292,60 +667,17 @@ Available capabilities:
 - Code explanation and documentation
 - Swarm intelligence coordination
 
-Provide helpful, concise responses and use tools when appropriate to assist with development tasks.`;
-    }
+Provide helpful, concise responses and use tools when appropriate to assist with development tasks.
 
-    private async simulateLMStudioResponse(systemPrompt: string, history: ChatMessage[], userMessage: string, context: any): Promise<{
-        content: string;
-        toolCalls?: ToolCall[];
-    }> {
-        // This would be replaced with actual LM Studio API integration
-        const toolCalls: ToolCall[] = [];
-        let content = '';
-
-        // Simple pattern matching for demonstration
-        if (userMessage.toLowerCase().includes('analyze') && context.activeFile) {
-            const toolCall: ToolCall = {
-                id: this.generateMessageId(),
-                name: 'analyze_file',
-                arguments: { filePath: context.activeFile },
-                status: 'completed',
-                startTime: new Date(),
-                endTime: new Date()
-            };
-            
-            toolCalls.push(toolCall);
-            content = `I've analyzed the file ${context.activeFile}. Here are the key findings:\n\n• Code structure looks good\n• No major issues detected\n• Consider adding more comments for clarity`;
-            
-        } else if (userMessage.toLowerCase().includes('test') && context.activeFile) {
-            const toolCall: ToolCall = {
-                id: this.generateMessageId(),
-                name: 'generate_tests',
-                arguments: { filePath: context.activeFile },
-                status: 'completed',
-                startTime: new Date(),
-                endTime: new Date()
-            };
-            
-            toolCalls.push(toolCall);
-            content = `I've generated comprehensive tests for ${context.activeFile}. The tests cover:\n\n• Unit tests for main functions\n• Edge case handling\n• Error scenarios\n• Integration tests`;
-            
-        } else if (userMessage.toLowerCase().includes('swarm status')) {
-            content = `Current Swarm Status:\n\n• Status: ${context.swarmStatus ? 'Active' : 'Inactive'}\n• Agents: ${context.swarmStatus?.activeAgents || 0} active\n• Performance: ${context.swarmStatus?.performance?.successRate ? (context.swarmStatus.performance.successRate * 100).toFixed(1) + '%' : 'N/A'} success rate`;
-            
-        } else {
-            content = `I'm here to help with your development tasks! I can:\n\n• **Analyze code** - Review files for issues and improvements\n• **Generate tests** - Create comprehensive test suites\n• **Explain code** - Provide detailed explanations\n• **Review code** - Perform thorough code reviews\n• **Monitor swarm** - Check swarm intelligence status\n\nWhat would you like me to help you with?`;
-        }
-
-        return { content, toolCalls: toolCalls.length > 0 ? toolCalls : undefined };
+${FILE_EDIT_INSTRUCTIONS}`;
     }
 
     private async clearChat(): Promise<void> {
         this.outputChannel.appendLine(`🗑️ Starting clearChat - current history length: ${this.chatHistory.length}`);
         
         try {
-            // Clear the chat history
-            this.chatHistory = [];
+            // Clear the messages of the active thread; the thread itself is kept
+            this.threadStore.activeThread.messages = [];
             this.outputChannel.appendLine('✅ Chat history array cleared');
             
             // Force UI update with explicit empty state
@@ -353,8 +685,8 @@ Provide helpful, concise responses and use tools when appropriate to assist with
             this.outputChannel.appendLine('✅ UI update sent');
             
             // Save the cleared state
-            await this.saveChatHistory();
-            this.outputChannel.appendLine('✅ Chat history saved to globalState');
+            await this.threadStore.saveThread();
+            this.outputChannel.appendLine('✅ Chat thread saved');
             
             // Send a confirmation message to the webview with force clear flag
             if (this._view) {
@@ -372,7 +704,7 @@ Provide helpful, concise responses and use tools when appropriate to assist with
                     type: 'updateChat',
                     data: {
                         messages: [],
-                        isConnected: this.lmStudioServer.isConnected,
+                        isConnected: this.llmProvider.isConnected,
                         isProcessing: false,
                         timestamp: new Date().toISOString(),
                         forceClear: true
@@ -384,7 +716,7 @@ Provide helpful, concise responses and use tools when appropriate to assist with
             this.outputChannel.appendLine('🎉 clearChat operation completed successfully');
             
             // Show success message to user
-            vscode.window.showInformationMessage('Chat history cleared successfully!');
+            vscode.window.showInformationMessage('Chat thread cleared successfully!');
             
         } catch (error) {
             this.outputChannel.appendLine(`❌ Error during clearChat: ${error}`);
@@ -394,30 +726,45 @@ Provide helpful, concise responses and use tools when appropriate to assist with
 
     private async checkConnection(): Promise<void> {
         try {
-            if (this.lmStudioServer.isConnected) {
-                vscode.window.showInformationMessage('✅ LM Studio is connected and ready!');
+            if (this.llmProvider.isConnected) {
+                vscode.window.showInformationMessage(`✅ ${this.llmProvider.displayName} is connected and ready!`);
             } else {
-                await this.lmStudioServer.connect();
-                vscode.window.showInformationMessage('✅ Connected to LM Studio!');
+                await this.llmProvider.connect();
+                vscode.window.showInformationMessage(`✅ Connected to ${this.llmProvider.displayName}!`);
             }
         } catch (error) {
-            vscode.window.showErrorMessage(`❌ Failed to connect to LM Studio: ${error}`);
+            vscode.window.showErrorMessage(`❌ Failed to connect to ${this.llmProvider.displayName}: ${error}`);
         }
         
         await this.updateChatUI();
     }
 
+    /**
+     * Drops the last question and everything after it, then asks it again with its
+     * command, attachments and agent resolved afresh.
+     */
     private async retryLastMessage(): Promise<void> {
-        const lastUserMessage = [...this.chatHistory].reverse().find(msg => msg.role === 'user');
-        if (lastUserMessage) {
-            // Remove the last assistant response if it exists
-            const lastIndex = this.chatHistory.length - 1;
-            if (this.chatHistory[lastIndex]?.role === 'assistant') {
-                this.chatHistory.pop();
-            }
-            
-            await this.handleUserMessage(lastUserMessage.content);
+        if (this.isProcessing) {
+            vscode.window.showWarningMessage('Please wait for the current message to complete');
+            return;
+        }
+
+        if (!this.llmProvider.isConnected) {
+            vscode.window.showErrorMessage(`${this.llmProvider.displayName} is not connected. Please check your configuration.`);
+            return;
+        }
+
+        const history = this.chatHistory;
+        const lastUserIndex = history.map(msg => msg.role).lastIndexOf('user');
+        if (lastUserIndex === -1) {
+            return;
         }
+
+        const [lastUserMessage] = history.splice(lastUserIndex);
+        await this.threadStore.saveThread();
+        await this.updateChatUI();
+
+        await this.handleChatInput(lastUserMessage.content);
     }
 
     private async updateChatUI(): Promise<void> {
@@ -427,45 +774,89 @@ Provide helpful, concise responses and use tools when appropriate to assist with
             type: 'updateChat',
             data: {
                 messages: this.chatHistory,
-                isConnected: this.lmStudioServer.isConnected,
+                isConnected: this.llmProvider.isConnected,
                 isProcessing: this.isProcessing,
+                models: this.llmProvider.availableModels.map(model => model.id),
+                activeModel: this.llmProvider.activeModel,
+                threads: this.threadStore.threads,
+                activeThreadId: this.threadStore.activeThreadId,
                 timestamp: new Date().toISOString()
             }
         });
     }
 
-    private async loadChatHistory(): Promise<void> {
-        try {
-            const savedHistory = this.context.globalState.get<ChatMessage[]>('chatHistory', []);
-            this.chatHistory = savedHistory;
-        } catch (error) {
-            this.outputChannel.appendLine(`Failed to load chat history: ${error}`);
+    private async switchThread(threadId: string, messageId?: string): Promise<void> {
+        await this.threadStore.switchThread(threadId);
+
+        if (messageId) {
+            await this.updateChatUI();
+            this._view?.webview.postMessage({ type: 'revealMessage', data: { messageId } });
         }
     }
 
-    private async saveChatHistory(): Promise<void> {
-        try {
-            await this.context.globalState.update('chatHistory', this.chatHistory);
-        } catch (error) {
-            this.outputChannel.appendLine(`Failed to save chat history: ${error}`);
+    private async renameThread(threadId: string): Promise<void> {
+        const thread = this.threadStore.threads.find(entry => entry.id === threadId);
+        if (!thread) {
+            return;
+        }
+
+        const title = await vscode.window.showInputBox({
+            prompt: 'Rename chat thread',
+            value: thread.title
+        });
+
+        if (title !== undefined) {
+            await this.threadStore.renameThread(threadId, title);
+        }
+    }
+
+    private async deleteThread(threadId: string): Promise<void> {
+        const thread = this.threadStore.threads.find(entry => entry.id === threadId);
+        if (!thread) {
+            return;
+        }
+
+        const choice = await vscode.window.showWarningMessage(
+            `Delete chat thread "${thread.title}"? This cannot be undone.`,
+            { modal: true },
+            'Delete'
+        );
+
+        if (choice === 'Delete') {
+            await this.threadStore.deleteThread(threadId);
         }
     }
 
+    private async searchThreads(query: string): Promise<void> {
+        const results = await this.threadStore.search(query);
+
+        this._view?.webview.postMessage({
+            type: 'searchResults',
+            data: { query, results }
+        });
+    }
+
     private generateMessageId(): string {
         return `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
     private setupEventListeners(): void {
-        // Listen to LM Studio server events
-        this.lmStudioServer.on('connected', () => {
-            this.outputChannel.appendLine('LM Studio connected');
+        // Listen to LLM provider events
+        this.llmProvider.on('connected', () => {
+            this.outputChannel.appendLine(`${this.llmProvider.displayName} connected`);
             this.updateChatUI();
         });
 
-        this.lmStudioServer.on('disconnected', () => {
-            this.outputChannel.appendLine('LM Studio disconnected');
+        this.llmProvider.on('disconnected', () => {
+            this.outputChannel.appendLine(`${this.llmProvider.displayName} disconnected`);
             this.updateChatUI();
         });
+
+        this.llmProvider.on('modelsChanged', () => this.updateChatUI());
+        this.llmProvider.on('modelChanged', () => this.updateChatUI());
+
+        this.threadStore.on('threadsChanged', () => this.updateChatUI());
+        this.threadStore.on('activeThreadChanged', () => this.updateChatUI());
     }
 
     private getHtmlForWebview(webview: vscode.Webview): string {
@@ -474,6 +865,7 @@ Provide helpful, concise responses and use tools when appropriate to assist with
         <html lang="en">
         <head>
             <meta charset="UTF-8">
+            <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource} 'unsafe-inline'; script-src ${webview.cspSource} 'unsafe-inline';">
             <meta name="viewport" content="width=device-width, initial-scale=1.0">
             <title>AI Chat</title>
             <style>
@@ -571,6 +963,87 @@ Provide helpful, concise responses and use tools when appropriate to assist with
                     background-color: var(--vscode-toolbar-hoverBackground);
                 }
 
+                .model-select {
+                    max-width: 120px;
+                    font-size: 10px;
+                    padding: 1px 2px;
+                    color: var(--vscode-dropdown-foreground);
+                    background-color: var(--vscode-dropdown-background);
+                    border: 1px solid var(--vscode-dropdown-border);
+                    border-radius: 3px;
+                }
+
+                .thread-panel {
+                    display: none;
+                    padding: var(--spacing);
+                    border-bottom: 1px solid var(--vscode-sideBar-border);
+                    background-color: var(--vscode-sideBar-background);
+                    flex-shrink: 0;
+                    max-height: 40vh;
+                    overflow-y: auto;
+                }
+
+                .thread-panel.open {
+                    display: block;
+                }
+
+                .thread-toolbar {
+                    display: flex;
+                    gap: 4px;
+                    margin-bottom: 6px;
+                }
+
+                .thread-search {
+                    flex: 1;
+                    min-width: 0;
+                    font-size: 11px;
+                    padding: 3px 6px;
+                    background-color: var(--vscode-input-background);
+                    color: var(--vscode-input-foreground);
+                    border: 1px solid var(--vscode-input-border);
+                    border-radius: 3px;
+                }
+
+                .thread-item {
+                    display: flex;
+                    align-items: center;
+                    gap: 4px;
+                    padding: 4px 6px;
+                    border-radius: 3px;
+                    cursor: pointer;
+                    font-size: 11px;
+                }
+
+                .thread-item:hover {
+                    background-color: var(--vscode-list-hoverBackground);
+                }
+
+                .thread-item.active {
+                    background-color: var(--vscode-list-activeSelectionBackground);
+                    color: var(--vscode-list-activeSelectionForeground);
+                }
+
+                .thread-info {
+                    flex: 1;
+                    min-width: 0;
+                }
+
+                .thread-title,
+                .thread-preview {
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                }
+
+                .thread-preview {
+                    font-size: 10px;
+                    opacity: 0.7;
+                }
+
+                .message.highlight {
+                    outline: 1px solid var(--vscode-focusBorder);
+                }
+
                 .quick-actions {
                     padding: var(--spacing);
                     border-bottom: 1px solid var(--vscode-sideBar-border);
@@ -733,12 +1206,111 @@ Provide helpful, concise responses and use tools when appropriate to assist with
                 .tool-status.failed { background-color: var(--danger-color); color: white; }
 
                 .chat-input-container {
+                    position: relative;
                     padding: var(--spacing);
                     border-top: 1px solid var(--vscode-sideBar-border);
                     background-color: var(--vscode-sideBar-background);
                     flex-shrink: 0;
                 }
 
+                .suggestions-popup {
+                    display: none;
+                    position: absolute;
+                    left: var(--spacing);
+                    right: var(--spacing);
+                    bottom: 100%;
+                    max-height: 200px;
+                    overflow-y: auto;
+                    background-color: var(--vscode-editorSuggestWidget-background);
+                    border: 1px solid var(--vscode-editorSuggestWidget-border);
+                    border-radius: 3px;
+                    z-index: 10;
+                }
+
+                .suggestions-popup.open {
+                    display: block;
+                }
+
+                .suggestion-item {
+                    display: flex;
+                    gap: 6px;
+                    padding: 3px 6px;
+                    font-size: 11px;
+                    cursor: pointer;
+                    white-space: nowrap;
+                    overflow: hidden;
+                }
+
+                .suggestion-item.selected {
+                    background-color: var(--vscode-editorSuggestWidget-selectedBackground);
+                    color: var(--vscode-editorSuggestWidget-selectedForeground);
+                }
+
+                .suggestion-detail {
+                    opacity: 0.7;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                }
+
+                .message-attachments {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 4px;
+                    margin-top: 4px;
+                    font-size: 10px;
+                    opacity: 0.8;
+                }
+
+                .file-edits {
+                    margin-top: 6px;
+                    padding: 4px 6px;
+                    border-left: 2px solid var(--success-color);
+                    background-color: var(--vscode-editor-inactiveSelectionBackground);
+                    border-radius: 3px;
+                    font-size: 10px;
+                }
+
+                .file-edits-header, .file-edit {
+                    display: flex;
+                    align-items: center;
+                    gap: 4px;
+                }
+
+                .file-edit {
+                    margin-top: 3px;
+                }
+
+                .file-edit-path {
+                    flex: 1;
+                    font-family: var(--vscode-editor-font-family);
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                }
+
+                .file-edit-warning {
+                    color: var(--warning-color);
+                }
+
+                .edit-btn {
+                    padding: 1px 4px;
+                    background-color: var(--vscode-button-secondaryBackground);
+                    color: var(--vscode-button-secondaryForeground);
+                    border: none;
+                    border-radius: 2px;
+                    cursor: pointer;
+                    font-size: 9px;
+                }
+
+                .edit-btn:hover:not(:disabled) {
+                    background-color: var(--vscode-button-secondaryHoverBackground);
+                }
+
+                .edit-btn:disabled {
+                    cursor: default;
+                    opacity: 0.7;
+                }
+
                 .chat-input-wrapper {
                     display: flex;
                     gap: 6px;
@@ -886,10 +1458,22 @@ Provide helpful, concise responses and use tools when appropriate to assist with
                     <span id="statusText">Offline</span>
                 </div>
                 <div class="header-actions">
+                    <select id="modelSelect" class="model-select" title="Active model"></select>
+                    <button id="threadsBtn" class="header-btn" title="Chat Threads" onclick="toggleThreadPanel()">🗂️</button>
                     <button id="clearBtn" class="header-btn" title="Clear Chat">🗑️</button>
                 </div>
             </div>
 
+            <div id="threadPanel" class="thread-panel">
+                <div class="thread-toolbar">
+                    <input id="threadSearch" class="thread-search" type="search" placeholder="Search conversations..." oninput="onThreadSearchInput()">
+                    <button class="header-btn" title="New Thread" onclick="newThread()">➕</button>
+                    <button class="header-btn" title="Export Thread" onclick="vscode.postMessage({ type: 'exportThread' })">📤</button>
+                    <button class="header-btn" title="Import Thread" onclick="vscode.postMessage({ type: 'importThread' })">📥</button>
+                </div>
+                <div id="threadList"></div>
+            </div>
+
             <div class="quick-actions">
                 <div class="quick-actions-grid">
                     <button class="quick-action-btn" onclick="quickAction('analyzeFile')">🔍 Analyze</button>
@@ -908,8 +1492,9 @@ Provide helpful, concise responses and use tools when appropriate to assist with
                 </div>
 
                 <div class="chat-input-container">
+                    <div id="suggestionsPopup" class="suggestions-popup"></div>
                     <div class="chat-input-wrapper">
-                        <textarea id="chatInput" class="chat-input" placeholder="Ask me anything..." rows="1"></textarea>
+                        <textarea id="chatInput" class="chat-input" placeholder="Ask me anything... (/ for commands, @ to mention)" rows="1"></textarea>
                         <button id="sendBtn" class="send-btn">Send</button>
                     </div>
                 </div>
@@ -919,6 +1504,16 @@ Provide helpful, concise responses and use tools when appropriate to assist with
                 const vscode = acquireVsCodeApi();
                 let currentData = null;
                 let isProcessing = false;
+                let threads = [];
+                let activeThreadId = null;
+                let searchResults = null;
+                let searchTimer = null;
+                const slashCommands = ${JSON.stringify(SLASH_COMMANDS.map(({ name, description, usage }) => ({ name, description, usage })))};
+                const mentionKinds = ${JSON.stringify(MENTION_KINDS)};
+                let suggestions = [];
+                let selectedSuggestion = 0;
+                let suggestionToken = null;
+                let completionRequestId = 0;
 
                 // Initialize immediately and also on DOMContentLoaded
                 function initializeChat() {
@@ -1090,6 +1685,9 @@ Provide helpful, concise responses and use tools when appropriate to assist with
 
                                 if (chatInput && sendBtn) {
                                     chatInput.addEventListener('keydown', (e) => {
+                                        if (handleSuggestionKey(e)) {
+                                            return;
+                                        }
                                         if (e.key === 'Enter' && !e.shiftKey) {
                                             e.preventDefault();
                                             sendMessage();
@@ -1099,9 +1697,15 @@ Provide helpful, concise responses and use tools when appropriate to assist with
                                     chatInput.addEventListener('input', () => {
                                         autoResizeTextarea(chatInput);
                                         updateSendButton();
+                                        updateSuggestions();
                                     });
+                                    chatInput.addEventListener('blur', () => setTimeout(closeSuggestions, 150));
 
                                     sendBtn.addEventListener('click', sendMessage);
+                                    
+                                    document.getElementById('modelSelect').addEventListener('change', (e) => {
+                                        vscode.postMessage({ type: 'selectModel', model: e.target.value });
+                                    });
                                     console.log('✅ Chat input event listeners attached');
                                 } else {
                                     console.error('❌ Chat input elements not found!');
@@ -1235,6 +1839,232 @@ Provide helpful, concise responses and use tools when appropriate to assist with
                     vscode.postMessage({ type: 'retryMessage' });
                 }
 
+                function previewEdit(messageId, index) {
+                    vscode.postMessage({ type: 'previewEdit', messageId, index });
+                }
+
+                function applyEdit(messageId, index) {
+                    vscode.postMessage({ type: 'applyEdit', messageId, index });
+                }
+
+                function applyAllEdits(messageId) {
+                    vscode.postMessage({ type: 'applyAllEdits', messageId });
+                }
+
+                // Finds the command or mention being typed just before the caret
+                function currentToken() {
+                    const chatInput = document.getElementById('chatInput');
+                    const beforeCaret = chatInput.value.slice(0, chatInput.selectionStart);
+
+                    const command = /^\\/(\\w*)$/.exec(beforeCaret);
+                    if (command) {
+                        return { type: 'command', query: command[1], start: 0 };
+                    }
+
+                    const mention = /(^|\\s)@(file|symbol|agent):("[^"]*|\\S*)$/.exec(beforeCaret);
+                    if (mention) {
+                        return {
+                            type: mention[2],
+                            query: mention[3].replace(/^"/, ''),
+                            start: beforeCaret.length - mention[0].length + mention[1].length
+                        };
+                    }
+
+                    const trigger = /(^|\\s)@(\\w*)$/.exec(beforeCaret);
+                    if (trigger) {
+                        return { type: 'mention', query: trigger[2], start: beforeCaret.length - trigger[0].length + trigger[1].length };
+                    }
+
+                    return null;
+                }
+
+                function updateSuggestions() {
+                    suggestionToken = currentToken();
+                    if (!suggestionToken) {
+                        closeSuggestions();
+                        return;
+                    }
+
+                    if (suggestionToken.type === 'command') {
+                        showSuggestions(slashCommands
+                            .filter(command => command.name.startsWith(suggestionToken.query.toLowerCase()))
+                            .map(command => ({ label: '/' + command.name, detail: command.description, insertText: '/' + command.name })));
+                    } else if (suggestionToken.type === 'mention') {
+                        showSuggestions(mentionKinds
+                            .filter(kind => kind.trigger.slice(1).startsWith(suggestionToken.query.toLowerCase()))
+                            .map(kind => ({ label: kind.trigger, detail: kind.description, insertText: kind.trigger, keepOpen: kind.trigger.endsWith(':') })));
+                    } else {
+                        // File, symbol and agent candidates come from the extension
+                        completionRequestId++;
+                        vscode.postMessage({
+                            type: 'requestCompletions',
+                            requestId: completionRequestId,
+                            kind: suggestionToken.type,
+                            query: suggestionToken.query
+                        });
+                    }
+                }
+
+                function showSuggestions(items) {
+                    suggestions = items;
+                    selectedSuggestion = 0;
+                    renderSuggestions();
+                }
+
+                function renderSuggestions() {
+                    const popup = document.getElementById('suggestionsPopup');
+                    if (suggestions.length === 0) {
+                        closeSuggestions();
+                        return;
+                    }
+
+                    popup.innerHTML = suggestions.map((item, index) => \`
+                        <div class="suggestion-item \${index === selectedSuggestion ? 'selected' : ''}" onmousedown="event.preventDefault(); acceptSuggestion(\${index})">
+                            <span>\${escapeHtml(item.label)}</span>
+                            <span class="suggestion-detail">\${escapeHtml(item.detail || '')}</span>
+                        </div>
+                    \`).join('');
+                    popup.classList.add('open');
+                    popup.children[selectedSuggestion]?.scrollIntoView({ block: 'nearest' });
+                }
+
+                function closeSuggestions() {
+                    suggestions = [];
+                    document.getElementById('suggestionsPopup').classList.remove('open');
+                }
+
+                function acceptSuggestion(index) {
+                    const item = suggestions[index];
+                    const chatInput = document.getElementById('chatInput');
+                    if (!item || !suggestionToken) {
+                        return;
+                    }
+
+                    const caret = chatInput.selectionStart;
+                    const insert = item.keepOpen ? item.insertText : item.insertText + ' ';
+                    chatInput.value = chatInput.value.slice(0, suggestionToken.start) + insert + chatInput.value.slice(caret);
+                    const position = suggestionToken.start + insert.length;
+                    chatInput.setSelectionRange(position, position);
+                    chatInput.focus();
+
+                    closeSuggestions();
+                    updateSendButton();
+                    if (item.keepOpen) {
+                        updateSuggestions();
+                    }
+                }
+
+                function handleSuggestionKey(e) {
+                    if (suggestions.length === 0) {
+                        return false;
+                    }
+
+                    switch (e.key) {
+                        case 'ArrowDown':
+                            selectedSuggestion = (selectedSuggestion + 1) % suggestions.length;
+                            break;
+                        case 'ArrowUp':
+                            selectedSuggestion = (selectedSuggestion - 1 + suggestions.length) % suggestions.length;
+                            break;
+                        case 'Enter':
+                        case 'Tab':
+                            acceptSuggestion(selectedSuggestion);
+                            break;
+                        case 'Escape':
+                            closeSuggestions();
+                            break;
+                        default:
+                            return false;
+                    }
+
+                    e.preventDefault();
+                    if (suggestions.length > 0) {
+                        renderSuggestions();
+                    }
+                    return true;
+                }
+
+                function toggleThreadPanel() {
+                    document.getElementById('threadPanel').classList.toggle('open');
+                }
+
+                function newThread() {
+                    vscode.postMessage({ type: 'newThread' });
+                }
+
+                function switchThread(threadId, messageId) {
+                    vscode.postMessage({ type: 'switchThread', threadId, messageId });
+                }
+
+                function renameThread(event, threadId) {
+                    event.stopPropagation();
+                    vscode.postMessage({ type: 'renameThread', threadId });
+                }
+
+                function deleteThread(event, threadId) {
+                    event.stopPropagation();
+                    vscode.postMessage({ type: 'deleteThread', threadId });
+                }
+
+                function onThreadSearchInput() {
+                    clearTimeout(searchTimer);
+                    const query = document.getElementById('threadSearch').value.trim();
+                    if (!query) {
+                        searchResults = null;
+                        renderThreadList();
+                        return;
+                    }
+                    searchTimer = setTimeout(() => {
+                        vscode.postMessage({ type: 'searchThreads', query });
+                    }, 250);
+                }
+
+                function escapeHtml(text) {
+                    const div = document.createElement('div');
+                    div.textContent = text;
+                    // Also safe inside attribute values
+                    return div.innerHTML.replace(/"/g, '&quot;');
+                }
+
+                function renderThreadList() {
+                    const threadList = document.getElementById('threadList');
+
+                    if (searchResults) {
+                        threadList.innerHTML = searchResults.length === 0
+                            ? '<div class="thread-preview">No matching messages</div>'
+                            : searchResults.map(result => \`
+                                <div class="thread-item" onclick="switchThread(\${escapeHtml(JSON.stringify(result.threadId))}, \${escapeHtml(JSON.stringify(result.messageId ?? null))})">
+                                    <div class="thread-info">
+                                        <div class="thread-title">\${escapeHtml(result.threadTitle)}</div>
+                                        <div class="thread-preview">\${result.role ? escapeHtml(result.role) + ': ' : ''}\${escapeHtml(result.snippet)}</div>
+                                    </div>
+                                </div>
+                            \`).join('');
+                        return;
+                    }
+
+                    threadList.innerHTML = threads.map(thread => \`
+                        <div class="thread-item \${thread.id === activeThreadId ? 'active' : ''}" onclick="switchThread(\${escapeHtml(JSON.stringify(thread.id))})" title="\${thread.messageCount} message(s), updated \${new Date(thread.updatedAt).toLocaleString()}">
+                            <div class="thread-info">
+                                <div class="thread-title">\${escapeHtml(thread.title)}</div>
+                                <div class="thread-preview">\${escapeHtml(thread.preview || 'No messages yet')}</div>
+                            </div>
+                            <button class="header-btn" title="Rename" onclick="renameThread(event, \${escapeHtml(JSON.stringify(thread.id))})">✏️</button>
+                            <button class="header-btn" title="Delete" onclick="deleteThread(event, \${escapeHtml(JSON.stringify(thread.id))})">🗑️</button>
+                        </div>
+                    \`).join('');
+                }
+
+                function revealMessage(messageId) {
+                    const element = document.querySelector(\`[data-message-id="\${CSS.escape(messageId)}"]\`);
+                    if (!element) {
+                        return;
+                    }
+                    element.scrollIntoView({ block: 'center' });
+                    element.classList.add('highlight');
+                    setTimeout(() => element.classList.remove('highlight'), 2000);
+                }
+
                 // Handle messages from extension
                 window.addEventListener('message', event => {
                     const message = event.data;
@@ -1246,6 +2076,28 @@ Provide helpful, concise responses and use tools when appropriate to assist with
                             updateChatDisplay(message.data);
                             break;
                             
+                        case 'updateChatDelta':
+                            appendMessageDelta(message.data.messageId, message.data.delta);
+                            break;
+                            
+                        case 'searchResults':
+                            if (document.getElementById('threadSearch').value.trim() === message.data.query) {
+                                searchResults = message.data.results;
+                                renderThreadList();
+                            }
+                            break;
+                            
+                        case 'revealMessage':
+                            revealMessage(message.data.messageId);
+                            break;
+                            
+                        case 'completions':
+                            // Ignore answers to queries the user has already typed past
+                            if (message.data.requestId === completionRequestId && suggestionToken) {
+                                showSuggestions(message.data.items);
+                            }
+                            break;
+                            
                         case 'chatCleared':
                             console.log('✅ Received chatCleared confirmation');
                             // Force immediate UI update to empty state
@@ -1281,6 +2133,16 @@ Provide helpful, concise responses and use tools when appropriate to assist with
                         statusText.textContent = 'Offline';
                     }
 
+                    updateModelSelect(data.models || [], data.activeModel);
+
+                    if (data.threads) {
+                        threads = data.threads;
+                        activeThreadId = data.activeThreadId;
+                        const activeThread = threads.find(thread => thread.id === activeThreadId);
+                        document.getElementById('threadsBtn').title = activeThread ? 'Chat Threads - ' + activeThread.title : 'Chat Threads';
+                        renderThreadList();
+                    }
+                    
                     // Update messages
                     updateMessages(data.messages);
                     
@@ -1288,6 +2150,22 @@ Provide helpful, concise responses and use tools when appropriate to assist with
                     updateSendButton();
                 }
 
+                function updateModelSelect(models, activeModel) {
+                    const modelSelect = document.getElementById('modelSelect');
+                    const options = models.includes(activeModel) || !activeModel ? models : [activeModel, ...models];
+                    
+                    modelSelect.innerHTML = options
+                        .map(model => {
+                            const option = document.createElement('option');
+                            option.value = model;
+                            option.textContent = model;
+                            return option.outerHTML;
+                        })
+                        .join('');
+                    modelSelect.value = activeModel || '';
+                    modelSelect.disabled = options.length === 0;
+                }
+                
                 function updateMessages(messages) {
                     console.log('🔄 updateMessages called with', messages.length, 'messages');
                     const chatMessages = document.getElementById('chatMessages');
@@ -1326,6 +2204,17 @@ Provide helpful, concise responses and use tools when appropriate to assist with
                     console.log('✅ Messages updated, DOM innerHTML set');
                 }
 
+                function appendMessageDelta(messageId, delta) {
+                    const chatMessages = document.getElementById('chatMessages');
+                    const contentEl = chatMessages.querySelector(\`[data-message-id="\${CSS.escape(messageId)}"] .message-content\`);
+                    if (!contentEl) {
+                        return;
+                    }
+                    
+                    contentEl.textContent += delta;
+                    chatMessages.scrollTop = chatMessages.scrollHeight;
+                }
+                
                 function forceEmptyState() {
                     console.log('🔄 forceEmptyState called - forcing UI to empty state');
                     const chatMessages = document.getElementById('chatMessages');
@@ -1342,6 +2231,51 @@ Provide helpful, concise responses and use tools when appropriate to assist with
                     }
                 }
 
+                function renderTokenBudget(budget) {
+                    if (!budget) {
+                        return '';
+                    }
+                    const breakdown = [
+                        'System prompt: ' + budget.systemPrompt,
+                        'Tool definitions: ' + budget.tools,
+                        'Code: ' + budget.codeChunks,
+                        'History: ' + budget.history,
+                        'Tool results: ' + budget.toolResults,
+                        'Reserved for reply: ' + budget.reservedForCompletion,
+                        'Summarized turns: ' + budget.summarizedMessages,
+                        'Dropped turns: ' + budget.droppedMessages
+                    ].join('\\n');
+                    const trimmed = budget.summarizedMessages + budget.droppedMessages;
+                    return \`<span title="\${breakdown}">Context: \${budget.total}/\${budget.contextWindow}\${trimmed > 0 ? \` ✂️ \${trimmed}\` : ''}</span>\`;
+                }
+
+                function renderEdits(message) {
+                    const edits = message.metadata && message.metadata.edits;
+                    if (!edits || edits.length === 0) {
+                        return '';
+                    }
+
+                    const pending = edits.filter(edit => !edit.applied).length;
+                    return \`
+                        <div class="file-edits">
+                            <div class="file-edits-header">
+                                <strong>✏️ Edits (\${edits.length})</strong>
+                                \${edits.length > 1 && pending > 0 ? \`<button class="edit-btn" onclick="applyAllEdits(\${escapeHtml(JSON.stringify(message.id))})">Apply all \${pending}</button>\` : ''}
+                            </div>
+                            \${edits.map(edit => \`
+                                <div class="file-edit">
+                                    <span class="file-edit-path" title="\${escapeHtml(edit.path)}">\${edit.isNewFile ? '🆕' : '📄'} \${escapeHtml(edit.path)}\${edit.kind === 'patch' ? ' (diff)' : ''}</span>
+                                    \${edit.warning ? \`<span class="file-edit-warning" title="\${escapeHtml(edit.warning)}">⚠️</span>\` : ''}
+                                    <button class="edit-btn" onclick="previewEdit(\${escapeHtml(JSON.stringify(message.id))}, \${Number(edit.index)})">Diff</button>
+                                    \${edit.applied
+                                        ? '<button class="edit-btn" disabled>✅ Applied</button>'
+                                        : \`<button class="edit-btn" onclick="applyEdit(\${escapeHtml(JSON.stringify(message.id))}, \${Number(edit.index)})">Apply</button>\`}
+                                </div>
+                            \`).join('')}
+                        </div>
+                    \`;
+                }
+
                 function renderMessage(message) {
                     const time = new Date(message.timestamp).toLocaleTimeString();
                     let toolCallsHTML = '';
@@ -1353,28 +2287,43 @@ Provide helpful, concise responses and use tools when appropriate to assist with
                                 \${message.toolCalls.map(tool => \`
                                     <div class="tool-call">
                                         <div class="tool-info">
-                                            <div class="tool-name">\${tool.name}</div>
+                                            <div class="tool-name">\${escapeHtml(tool.name)}</div>
                                         </div>
-                                        <span class="tool-status \${tool.status}">\${tool.status}</span>
+                                        <span class="tool-status \${escapeHtml(tool.status)}">\${escapeHtml(tool.status)}</span>
                                     </div>
                                 \`).join('')}
                             </div>
                         \`;
                     }
 
+                    let attachmentsHTML = '';
+                    if (message.metadata && (message.metadata.attachments?.length || message.metadata.agent || message.metadata.retrievedCode?.length)) {
+                        attachmentsHTML = \`
+                            <div class="message-attachments">
+                                \${message.metadata.agent ? \`<span>🤖 \${escapeHtml(message.metadata.agent)} agent</span>\` : ''}
+                                \${(message.metadata.attachments || []).map(label => \`<span>📎 \${escapeHtml(label)}</span>\`).join('')}
+                                \${(message.metadata.retrievedCode || []).map(label => \`<span title="\${escapeHtml(label)}">🔎 \${escapeHtml(label.replace(/^Relevant code from /, ''))}</span>\`).join('')}
+                            </div>
+                        \`;
+                    }
+
                     let metadataHTML = '';
                     if (message.metadata) {
                         metadataHTML = \`
                             <div class="message-metadata">
-                                \${message.metadata.responseTime ? \`<span>\${message.metadata.responseTime}ms</span>\` : ''}
+                                \${message.metadata.tokens ? \`<span>\${escapeHtml(message.metadata.tokens)} tokens</span>\` : ''}
+                                \${renderTokenBudget(message.metadata.tokenBudget)}
+                                \${message.metadata.responseTime ? \`<span>\${escapeHtml(message.metadata.responseTime)}ms</span>\` : ''}
                             </div>
                         \`;
                     }
 
                     return \`
-                        <div class="message \${message.role}">
-                            <div class="message-content">\${message.content}</div>
+                        <div class="message \${escapeHtml(message.role)}" data-message-id="\${escapeHtml(message.id)}">
+                            <div class="message-content">\${escapeHtml(message.content)}</div>
+                            \${attachmentsHTML}
                             \${toolCallsHTML}
+                            \${renderEdits(message)}
                             <div class="message-meta">
                                 <span class="message-time">\${time}</span>
                                 \${metadataHTML}
@@ -1393,6 +2342,6 @@ Provide helpful, concise responses and use tools when appropriate to assist with
         if (this.outputChannel) {
             this.outputChannel.dispose();
         }
-        this.lmStudioServer.removeAllListeners();
+        this.llmProvider.removeAllListeners();
     }
 }
@@ -42,8 +42,9 @@ export interface DashboardData {
         averageAnalysisTime: number;
     };
     systemMetrics: {
-        cpuUsage: number;
-        memoryUsage: number;
+        /** Undefined when the swarm did not report it */
+        cpuUsage?: number;
+        memoryUsage?: number;
         diskUsage: number;
         networkActivity: number;
     };
@@ -520,6 +521,10 @@ export class DashboardManager implements vscode.Disposable {
                     updateTables(data);
                 }
                 
+                function formatPercent(value) {
+                    return typeof value === 'number' ? value.toFixed(1) + '%' : 'n/a';
+                }
+                
                 function updateMetrics(data) {
                     // Update metric displays
                     const metrics = [
@@ -529,8 +534,8 @@ export class DashboardManager implements vscode.Disposable {
                         { id: 'error-rate', value: (data.swarmMetrics.errorRate * 100).toFixed(1) + '%' },
                         { id: 'watched-files', value: data.fileWatcherMetrics.watchedFiles },
                         { id: 'analysis-queue', value: data.fileWatcherMetrics.analysisQueue },
-                        { id: 'cpu-usage', value: data.systemMetrics.cpuUsage.toFixed(1) + '%' },
-                        { id: 'memory-usage', value: data.systemMetrics.memoryUsage.toFixed(1) + '%' }
+                        { id: 'cpu-usage', value: formatPercent(data.systemMetrics.cpuUsage) },
+                        { id: 'memory-usage', value: formatPercent(data.systemMetrics.memoryUsage) }
                     ];
                     
                     metrics.forEach(metric => {
@@ -800,8 +805,8 @@ export class DashboardManager implements vscode.Disposable {
             data.swarmMetrics.errorRate,
             data.fileWatcherMetrics.watchedFiles,
             data.fileWatcherMetrics.analysisQueue,
-            data.systemMetrics.cpuUsage,
-            data.systemMetrics.memoryUsage
+            data.systemMetrics.cpuUsage ?? '',
+            data.systemMetrics.memoryUsage ?? ''
         ];
         
         return [headers.join(','), row.join(',')].join('\n');
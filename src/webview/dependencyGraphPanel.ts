@@ -0,0 +1,809 @@
+/**
+ * Dependency Graph Panel - Interactive view of the workspace import graph
+ * Modules are laid out with a force simulation; import cycles are drawn in
+ * red, node size grows with fan-in and hovering a module highlights what it
+ * imports and what imports it. Double-click opens the module.
+ */
+
+import * as vscode from 'vscode';
+import { DependencyGraphService } from '../dependencies/dependencyGraph';
+
+export class DependencyGraphPanel implements vscode.Disposable {
+    private graph: DependencyGraphService;
+    private panel?: vscode.WebviewPanel;
+    /** Module to select and centre once the graph is shown */
+    private focusFile?: string;
+    private disposables: vscode.Disposable[] = [];
+
+    constructor(graph: DependencyGraphService) {
+        this.graph = graph;
+        this.disposables.push(graph.onDidChangeGraph(() => this.postGraph()));
+    }
+
+    async show(focusFile?: string): Promise<void> {
+        this.focusFile = focusFile;
+
+        if (this.panel) {
+            this.panel.reveal(vscode.ViewColumn.Two);
+            this.postGraph();
+        } else {
+            this.panel = vscode.window.createWebviewPanel(
+                'ruvSwarmDependencyGraph',
+                '🕸️ Dependency Graph',
+                vscode.ViewColumn.Two,
+                { enableScripts: true, retainContextWhenHidden: true }
+            );
+            this.panel.onDidDispose(() => {
+                this.panel = undefined;
+            }, null, this.disposables);
+            this.panel.webview.onDidReceiveMessage(message => {
+                this.handleMessage(message).catch(error => {
+                    vscode.window.showErrorMessage(`Dependency graph action failed: ${error instanceof Error ? error.message : String(error)}`);
+                });
+            }, null, this.disposables);
+            this.panel.webview.html = this.generateHTML(this.panel.webview);
+        }
+
+        // The graph is posted once built, or right away when it already is
+        await this.graph.ensureBuilt();
+    }
+
+    private async handleMessage(message: any): Promise<void> {
+        switch (message.type) {
+            case 'ready':
+                this.postGraph();
+                break;
+
+            case 'openFile': {
+                const document = await vscode.workspace.openTextDocument(vscode.Uri.file(message.filePath));
+                const position = new vscode.Position(Math.max((message.line ?? 1) - 1, 0), 0);
+                await vscode.window.showTextDocument(document, {
+                    viewColumn: vscode.ViewColumn.One,
+                    selection: new vscode.Range(position, position)
+                });
+                break;
+            }
+
+            case 'rebuild':
+                await this.graph.build();
+                break;
+        }
+    }
+
+    private postGraph(): void {
+        if (!this.panel || !this.graph.isBuilt) {
+            return;
+        }
+
+        this.panel.webview.postMessage({
+            type: 'graph',
+            graph: this.graph.getSnapshot(),
+            focus: this.focusFile
+        });
+        this.focusFile = undefined;
+    }
+
+    private generateHTML(webview: vscode.Webview): string {
+        return `<!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource} 'unsafe-inline'; script-src ${webview.cspSource} 'unsafe-inline';">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Dependency Graph</title>
+            <style>
+                body {
+                    margin: 0;
+                    padding: 0;
+                    display: flex;
+                    height: 100vh;
+                    overflow: hidden;
+                    font-family: var(--vscode-font-family);
+                    font-size: var(--vscode-font-size);
+                    color: var(--vscode-foreground);
+                    background-color: var(--vscode-editor-background);
+                }
+
+                #graph {
+                    flex: 1;
+                    cursor: grab;
+                }
+
+                .sidebar {
+                    width: 300px;
+                    padding: 12px;
+                    overflow-y: auto;
+                    border-left: 1px solid var(--vscode-panel-border);
+                    background-color: var(--vscode-sideBar-background);
+                }
+
+                .sidebar h3 {
+                    margin: 16px 0 8px;
+                    font-size: 12px;
+                    text-transform: uppercase;
+                    color: var(--vscode-descriptionForeground);
+                }
+
+                .toolbar {
+                    display: flex;
+                    gap: 6px;
+                    margin-bottom: 8px;
+                }
+
+                .toolbar button {
+                    flex: 1;
+                    padding: 4px 8px;
+                    border: none;
+                    border-radius: 2px;
+                    cursor: pointer;
+                    color: var(--vscode-button-foreground);
+                    background-color: var(--vscode-button-background);
+                }
+
+                .toolbar button:hover {
+                    background-color: var(--vscode-button-hoverBackground);
+                }
+
+                #filter {
+                    width: 100%;
+                    box-sizing: border-box;
+                    padding: 4px 6px;
+                    margin-bottom: 8px;
+                    border: 1px solid var(--vscode-input-border, transparent);
+                    color: var(--vscode-input-foreground);
+                    background-color: var(--vscode-input-background);
+                }
+
+                label {
+                    display: block;
+                    margin: 4px 0;
+                }
+
+                .stats, .empty, .note {
+                    color: var(--vscode-descriptionForeground);
+                }
+
+                .cycle-item, .module-link {
+                    padding: 4px 6px;
+                    margin: 2px 0;
+                    border-radius: 2px;
+                    cursor: pointer;
+                    word-break: break-all;
+                }
+
+                .cycle-item {
+                    color: var(--vscode-errorForeground);
+                }
+
+                .cycle-item:hover, .module-link:hover {
+                    background-color: var(--vscode-list-hoverBackground);
+                }
+
+                .node circle {
+                    stroke: var(--vscode-editor-background);
+                    stroke-width: 1.5;
+                    cursor: pointer;
+                }
+
+                .node text {
+                    font-size: 10px;
+                    fill: var(--vscode-foreground);
+                    pointer-events: none;
+                }
+
+                .node.lang-typescript circle { fill: var(--vscode-charts-blue, #3794ff); }
+                .node.lang-javascript circle { fill: var(--vscode-charts-yellow, #cca700); }
+                .node.lang-python circle { fill: var(--vscode-charts-green, #89d185); }
+                .node.package circle { fill: var(--vscode-descriptionForeground); }
+                .node.in-cycle circle { fill: var(--vscode-charts-red, #f14c4c); }
+                .node.selected circle { stroke: var(--vscode-focusBorder); stroke-width: 3; }
+                .node.dimmed, .edge.dimmed { opacity: 0.12; }
+
+                .edge {
+                    stroke: var(--vscode-descriptionForeground);
+                    stroke-opacity: 0.5;
+                    stroke-width: 1;
+                }
+
+                .edge.type-only {
+                    stroke-dasharray: 3 3;
+                }
+
+                .edge.cycle {
+                    stroke: var(--vscode-charts-red, #f14c4c);
+                    stroke-opacity: 0.9;
+                    stroke-width: 1.5;
+                }
+
+                .arrow-head { fill: var(--vscode-descriptionForeground); }
+                .arrow-head.cycle { fill: var(--vscode-charts-red, #f14c4c); }
+
+                .legend span {
+                    display: inline-block;
+                    width: 10px;
+                    height: 10px;
+                    margin-right: 4px;
+                    border-radius: 50%;
+                }
+            </style>
+        </head>
+        <body>
+            <svg id="graph">
+                <defs>
+                    <marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+                        <path class="arrow-head" d="M 0 0 L 10 5 L 0 10 z"></path>
+                    </marker>
+                    <marker id="arrow-cycle" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+                        <path class="arrow-head cycle" d="M 0 0 L 10 5 L 0 10 z"></path>
+                    </marker>
+                </defs>
+                <g id="viewport">
+                    <g id="edges"></g>
+                    <g id="nodes"></g>
+                </g>
+            </svg>
+
+            <div class="sidebar">
+                <div class="toolbar">
+                    <button id="fit">Fit</button>
+                    <button id="rebuild">Rebuild</button>
+                </div>
+                <div id="stats" class="stats">Building the dependency graph...</div>
+
+                <h3>Filter</h3>
+                <input id="filter" type="text" placeholder="Path contains...">
+                <label><input id="showPackages" type="checkbox"> Show installed packages</label>
+                <label><input id="cyclesOnly" type="checkbox"> Only modules in cycles</label>
+                <label><input id="hideTypeOnly" type="checkbox"> Hide type-only imports</label>
+
+                <h3>Module</h3>
+                <div id="details" class="empty">Click a module to see its imports</div>
+
+                <h3>Import Cycles (<span id="cycleCount">0</span>)</h3>
+                <div id="cycles"></div>
+
+                <h3>Legend</h3>
+                <div class="legend">
+                    <div><span style="background: var(--vscode-charts-blue, #3794ff)"></span>TypeScript</div>
+                    <div><span style="background: var(--vscode-charts-yellow, #cca700)"></span>JavaScript</div>
+                    <div><span style="background: var(--vscode-charts-green, #89d185)"></span>Python</div>
+                    <div><span style="background: var(--vscode-charts-red, #f14c4c)"></span>In an import cycle</div>
+                    <div><span style="background: var(--vscode-descriptionForeground)"></span>Installed package</div>
+                    <div class="note">Larger modules are imported more often; dashed lines are type-only imports.</div>
+                </div>
+            </div>
+
+            <script>
+                const vscode = acquireVsCodeApi();
+                const SVG_NS = 'http://www.w3.org/2000/svg';
+                const MAX_NODES = 600;
+                const svg = document.getElementById('graph');
+                const viewport = document.getElementById('viewport');
+                const edgeLayer = document.getElementById('edges');
+                const nodeLayer = document.getElementById('nodes');
+
+                let graph = { nodes: [], edges: [], cycles: [], unresolved: [] };
+                let graphNodes = new Map();
+                let positions = new Map();
+                let visibleNodes = [];
+                let visibleEdges = [];
+                let nodeElements = new Map();
+                let edgeElements = [];
+                let selected = null;
+                let hovered = null;
+                let highlightedCycle = null;
+                let pendingCenter = null;
+                let view = { x: 0, y: 0, scale: 1 };
+                let alpha = 0;
+                let animation = null;
+                let drag = null;
+
+                document.getElementById('fit').addEventListener('click', fitView);
+                document.getElementById('rebuild').addEventListener('click', () => vscode.postMessage({ type: 'rebuild' }));
+                document.getElementById('filter').addEventListener('input', () => render());
+                ['showPackages', 'cyclesOnly', 'hideTypeOnly'].forEach(id => {
+                    document.getElementById(id).addEventListener('change', () => render());
+                });
+
+                window.addEventListener('message', event => {
+                    const message = event.data;
+                    if (message.type === 'graph') {
+                        graph = message.graph;
+                        graphNodes = new Map(graph.nodes.map(node => [node.id, node]));
+                        if (message.focus && graphNodes.has(message.focus)) {
+                            selected = message.focus;
+                            pendingCenter = message.focus;
+                        }
+                        if (selected && !graphNodes.has(selected)) {
+                            selected = null;
+                        }
+                        render();
+                    }
+                });
+
+                function element(tag, className, text) {
+                    const created = document.createElement(tag);
+                    if (className) {
+                        created.className = className;
+                    }
+                    if (text !== undefined) {
+                        created.textContent = text;
+                    }
+                    return created;
+                }
+
+                function radius(node) {
+                    return 4 + Math.min(Math.sqrt(node.fanIn) * 2, 14);
+                }
+
+                function shortName(node) {
+                    if (node.external) {
+                        return node.label;
+                    }
+                    const segments = node.label.split('/');
+                    const name = segments[segments.length - 1];
+                    // index.ts and __init__.py are known by their directory
+                    return /^(index[.]|__init__[.]py)/.test(name) && segments.length > 1
+                        ? segments[segments.length - 2] + '/' + name
+                        : name;
+                }
+
+                function computeVisible() {
+                    const filter = document.getElementById('filter').value.trim().toLowerCase();
+                    const showPackages = document.getElementById('showPackages').checked;
+                    const cyclesOnly = document.getElementById('cyclesOnly').checked;
+                    const hideTypeOnly = document.getElementById('hideTypeOnly').checked;
+
+                    let nodes = graph.nodes.filter(node => (showPackages || !node.external) && (!cyclesOnly || node.inCycle));
+                    let ids = new Set(nodes.map(node => node.id));
+                    let edges = graph.edges.filter(edge =>
+                        ids.has(edge.from) && ids.has(edge.to) && !(hideTypeOnly && edge.typeOnly) && (!cyclesOnly || edge.inCycle)
+                    );
+
+                    if (filter) {
+                        // Matching modules together with their direct neighbours
+                        const matches = new Set(nodes.filter(node => node.label.toLowerCase().includes(filter)).map(node => node.id));
+                        const keep = new Set(matches);
+                        edges.forEach(edge => {
+                            if (matches.has(edge.from)) {
+                                keep.add(edge.to);
+                            }
+                            if (matches.has(edge.to)) {
+                                keep.add(edge.from);
+                            }
+                        });
+                        nodes = nodes.filter(node => keep.has(node.id));
+                        edges = edges.filter(edge => keep.has(edge.from) && keep.has(edge.to));
+                    }
+
+                    let hidden = 0;
+                    if (nodes.length > MAX_NODES) {
+                        hidden = nodes.length - MAX_NODES;
+                        nodes = nodes.slice().sort((a, b) => (b.fanIn + b.fanOut) - (a.fanIn + a.fanOut)).slice(0, MAX_NODES);
+                        ids = new Set(nodes.map(node => node.id));
+                        edges = edges.filter(edge => ids.has(edge.from) && ids.has(edge.to));
+                    }
+
+                    visibleNodes = nodes;
+                    visibleEdges = edges;
+                    return hidden;
+                }
+
+                function placeNewNodes() {
+                    let added = 0;
+                    visibleNodes.forEach((node, index) => {
+                        if (positions.has(node.id)) {
+                            return;
+                        }
+                        // New modules start next to a module they are connected to
+                        const neighbour = visibleEdges
+                            .map(edge => edge.from === node.id ? edge.to : edge.to === node.id ? edge.from : null)
+                            .find(id => id && positions.has(id));
+                        const origin = neighbour ? positions.get(neighbour) : { x: 0, y: 0 };
+                        const angle = index * 2.39996;
+                        const distance = neighbour ? 30 : 12 * Math.sqrt(index + 1);
+                        positions.set(node.id, {
+                            x: origin.x + Math.cos(angle) * distance,
+                            y: origin.y + Math.sin(angle) * distance,
+                            vx: 0,
+                            vy: 0,
+                            fixed: false
+                        });
+                        added++;
+                    });
+                    return added;
+                }
+
+                function render() {
+                    const hidden = computeVisible();
+                    const added = placeNewNodes();
+
+                    edgeLayer.textContent = '';
+                    edgeElements = visibleEdges.map(edge => {
+                        const line = document.createElementNS(SVG_NS, 'line');
+                        line.setAttribute('class', 'edge' + (edge.inCycle ? ' cycle' : '') + (edge.typeOnly ? ' type-only' : ''));
+                        line.setAttribute('marker-end', edge.inCycle ? 'url(#arrow-cycle)' : 'url(#arrow)');
+                        edgeLayer.appendChild(line);
+                        return { edge: edge, line: line };
+                    });
+
+                    nodeLayer.textContent = '';
+                    nodeElements = new Map();
+                    visibleNodes.forEach(node => {
+                        const group = document.createElementNS(SVG_NS, 'g');
+                        const classes = ['node', node.external ? 'package' : 'lang-' + node.language];
+                        if (node.inCycle) {
+                            classes.push('in-cycle');
+                        }
+                        group.setAttribute('class', classes.join(' '));
+
+                        const circle = document.createElementNS(SVG_NS, 'circle');
+                        circle.setAttribute('r', String(radius(node)));
+                        const title = document.createElementNS(SVG_NS, 'title');
+                        title.textContent = node.label + ' - imported by ' + node.fanIn + (node.external ? '' : ', imports ' + node.fanOut);
+                        const text = document.createElementNS(SVG_NS, 'text');
+                        text.setAttribute('x', String(radius(node) + 3));
+                        text.setAttribute('y', '3');
+                        text.textContent = shortName(node);
+                        group.append(circle, title, text);
+
+                        group.addEventListener('mousedown', event => startNodeDrag(event, node));
+                        group.addEventListener('click', event => {
+                            event.stopPropagation();
+                            select(node.id);
+                        });
+                        group.addEventListener('dblclick', event => {
+                            event.stopPropagation();
+                            openModule(node.id);
+                        });
+                        group.addEventListener('mouseenter', () => {
+                            hovered = node.id;
+                            updateHighlight();
+                        });
+                        group.addEventListener('mouseleave', () => {
+                            hovered = null;
+                            updateHighlight();
+                        });
+
+                        nodeLayer.appendChild(group);
+                        nodeElements.set(node.id, group);
+                    });
+
+                    updateStats(hidden);
+                    updateCycleList();
+                    showDetails(selected);
+                    updateHighlight();
+                    updatePositions();
+
+                    if (added > 0) {
+                        startLayout(added === visibleNodes.length ? 1 : 0.3);
+                    } else if (pendingCenter) {
+                        centerOn(pendingCenter);
+                        pendingCenter = null;
+                    }
+                }
+
+                function tick() {
+                    const points = visibleNodes.map(node => positions.get(node.id));
+
+                    for (let i = 0; i < points.length; i++) {
+                        const a = points[i];
+                        for (let j = i + 1; j < points.length; j++) {
+                            const b = points[j];
+                            const dx = a.x - b.x;
+                            const dy = a.y - b.y;
+                            const distanceSquared = Math.max(dx * dx + dy * dy, 25);
+                            if (distanceSquared > 250000) {
+                                continue;
+                            }
+                            const force = 900 * alpha / distanceSquared;
+                            a.vx += dx * force;
+                            a.vy += dy * force;
+                            b.vx -= dx * force;
+                            b.vy -= dy * force;
+                        }
+                    }
+
+                    visibleEdges.forEach(edge => {
+                        const a = positions.get(edge.from);
+                        const b = positions.get(edge.to);
+                        const dx = b.x - a.x;
+                        const dy = b.y - a.y;
+                        const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+                        const force = (distance - 80) * 0.03 * alpha / distance;
+                        a.vx += dx * force;
+                        a.vy += dy * force;
+                        b.vx -= dx * force;
+                        b.vy -= dy * force;
+                    });
+
+                    points.forEach(point => {
+                        point.vx -= point.x * 0.005 * alpha;
+                        point.vy -= point.y * 0.005 * alpha;
+                        if (!point.fixed) {
+                            point.x += point.vx;
+                            point.y += point.vy;
+                        }
+                        point.vx *= 0.6;
+                        point.vy *= 0.6;
+                    });
+
+                    alpha *= 0.985;
+                }
+
+                function animate() {
+                    tick();
+                    updatePositions();
+                    if (alpha > 0.02) {
+                        animation = requestAnimationFrame(animate);
+                        return;
+                    }
+                    animation = null;
+                    if (pendingCenter) {
+                        centerOn(pendingCenter);
+                        pendingCenter = null;
+                    }
+                }
+
+                function startLayout(energy) {
+                    alpha = Math.max(alpha, energy);
+                    if (!animation) {
+                        animation = requestAnimationFrame(animate);
+                    }
+                }
+
+                function updatePositions() {
+                    edgeElements.forEach(item => {
+                        const a = positions.get(item.edge.from);
+                        const b = positions.get(item.edge.to);
+                        const dx = b.x - a.x;
+                        const dy = b.y - a.y;
+                        const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+                        // Arrows end at the edge of the imported module's circle
+                        const offset = radius(graphNodes.get(item.edge.to)) + 2;
+                        item.line.setAttribute('x1', String(a.x));
+                        item.line.setAttribute('y1', String(a.y));
+                        item.line.setAttribute('x2', String(b.x - dx / distance * offset));
+                        item.line.setAttribute('y2', String(b.y - dy / distance * offset));
+                    });
+                    nodeElements.forEach((group, id) => {
+                        const point = positions.get(id);
+                        group.setAttribute('transform', 'translate(' + point.x + ',' + point.y + ')');
+                    });
+                }
+
+                function updateHighlight() {
+                    const focus = hovered || selected;
+                    let active = null;
+                    if (highlightedCycle) {
+                        active = new Set(highlightedCycle);
+                    } else if (focus) {
+                        active = new Set([focus]);
+                        visibleEdges.forEach(edge => {
+                            if (edge.from === focus) {
+                                active.add(edge.to);
+                            }
+                            if (edge.to === focus) {
+                                active.add(edge.from);
+                            }
+                        });
+                    }
+
+                    nodeElements.forEach((group, id) => {
+                        group.classList.toggle('dimmed', !!active && !active.has(id));
+                        group.classList.toggle('selected', id === selected);
+                    });
+                    edgeElements.forEach(item => {
+                        const lit = highlightedCycle
+                            ? active.has(item.edge.from) && active.has(item.edge.to)
+                            : item.edge.from === focus || item.edge.to === focus;
+                        item.line.classList.toggle('dimmed', !!active && !lit);
+                    });
+                }
+
+                function updateStats(hidden) {
+                    const modules = graph.nodes.filter(node => !node.external).length;
+                    const packages = graph.nodes.length - modules;
+                    const imports = graph.edges.filter(edge => !edge.to.startsWith('package:')).length;
+                    let text = modules + ' modules, ' + imports + ' imports, ' + packages + ' packages, ' +
+                        graph.cycles.length + ' cycles, ' + graph.unresolved.length + ' unresolved imports';
+                    if (hidden > 0) {
+                        text += '. Showing the ' + MAX_NODES + ' most connected modules; filter to see the rest.';
+                    }
+                    document.getElementById('stats').textContent = text;
+                }
+
+                function updateCycleList() {
+                    const list = document.getElementById('cycles');
+                    list.textContent = '';
+                    document.getElementById('cycleCount').textContent = String(graph.cycles.length);
+                    if (graph.cycles.length === 0) {
+                        list.append(element('div', 'empty', 'No import cycles'));
+                        return;
+                    }
+
+                    graph.cycles.forEach(cycle => {
+                        const names = cycle.path.map(id => shortName(graphNodes.get(id)));
+                        const item = element('div', 'cycle-item', names.join(' → '));
+                        item.title = cycle.path.map(id => graphNodes.get(id).label).join(' → ') +
+                            (cycle.modules.length > cycle.path.length - 1 ? ' (' + cycle.modules.length + ' modules in the cycle)' : '');
+                        item.addEventListener('click', () => {
+                            highlightedCycle = cycle.modules;
+                            selected = null;
+                            showDetails(null);
+                            updateHighlight();
+                            centerOn(cycle.modules[0]);
+                        });
+                        list.append(item);
+                    });
+                }
+
+                function moduleList(title, ids) {
+                    const container = element('div');
+                    container.append(element('h3', '', title + ' (' + ids.length + ')'));
+                    ids.forEach(id => {
+                        const link = element('div', 'module-link', graphNodes.get(id).label);
+                        link.addEventListener('click', () => {
+                            select(id);
+                            centerOn(id);
+                        });
+                        container.append(link);
+                    });
+                    return container;
+                }
+
+                function showDetails(id) {
+                    const details = document.getElementById('details');
+                    details.textContent = '';
+                    const node = id ? graphNodes.get(id) : null;
+                    if (!node) {
+                        details.className = 'empty';
+                        details.textContent = 'Click a module to see its imports';
+                        return;
+                    }
+
+                    details.className = '';
+                    details.append(element('div', '', node.label));
+                    details.append(element('div', 'stats', node.external
+                        ? 'Installed package imported by ' + node.fanIn + ' modules'
+                        : 'Fan-in ' + node.fanIn + ', fan-out ' + node.fanOut + (node.inCycle ? ', in an import cycle' : '')));
+
+                    if (!node.external) {
+                        const toolbar = element('div', 'toolbar');
+                        const open = element('button', '', 'Open');
+                        open.addEventListener('click', () => openModule(node.id));
+                        toolbar.append(open);
+                        details.append(toolbar);
+
+                        const unresolved = graph.unresolved.filter(entry => entry.filePath === node.id);
+                        if (unresolved.length > 0) {
+                            details.append(element('div', 'stats', 'Unresolved: ' + unresolved.map(entry => entry.specifier + ' (line ' + entry.line + ')').join(', ')));
+                        }
+                    }
+
+                    const imports = graph.edges.filter(edge => edge.from === node.id).map(edge => edge.to);
+                    const importedBy = graph.edges.filter(edge => edge.to === node.id).map(edge => edge.from);
+                    if (!node.external) {
+                        details.append(moduleList('Imports', imports));
+                    }
+                    details.append(moduleList('Imported by', importedBy));
+                }
+
+                function select(id) {
+                    selected = id;
+                    highlightedCycle = null;
+                    showDetails(id);
+                    updateHighlight();
+                }
+
+                function openModule(id) {
+                    const node = graphNodes.get(id);
+                    if (node && !node.external) {
+                        vscode.postMessage({ type: 'openFile', filePath: node.id });
+                    }
+                }
+
+                function applyView() {
+                    viewport.setAttribute('transform', 'translate(' + view.x + ',' + view.y + ') scale(' + view.scale + ')');
+                }
+
+                function centerOn(id) {
+                    const point = positions.get(id);
+                    if (!point) {
+                        return;
+                    }
+                    const rect = svg.getBoundingClientRect();
+                    view.x = rect.width / 2 - point.x * view.scale;
+                    view.y = rect.height / 2 - point.y * view.scale;
+                    applyView();
+                }
+
+                function fitView() {
+                    const points = visibleNodes.map(node => positions.get(node.id));
+                    if (points.length === 0) {
+                        return;
+                    }
+                    const xs = points.map(point => point.x);
+                    const ys = points.map(point => point.y);
+                    const minX = Math.min(...xs) - 40;
+                    const minY = Math.min(...ys) - 40;
+                    const width = Math.max(...xs) + 120 - minX;
+                    const height = Math.max(...ys) + 40 - minY;
+                    const rect = svg.getBoundingClientRect();
+                    view.scale = Math.min(rect.width / width, rect.height / height, 2);
+                    view.x = -minX * view.scale + (rect.width - width * view.scale) / 2;
+                    view.y = -minY * view.scale + (rect.height - height * view.scale) / 2;
+                    applyView();
+                }
+
+                function startNodeDrag(event, node) {
+                    event.stopPropagation();
+                    const point = positions.get(node.id);
+                    drag = { type: 'node', id: node.id, x: event.clientX, y: event.clientY, startX: point.x, startY: point.y };
+                }
+
+                svg.addEventListener('mousedown', event => {
+                    drag = { type: 'pan', x: event.clientX, y: event.clientY, startX: view.x, startY: view.y };
+                });
+
+                window.addEventListener('mousemove', event => {
+                    if (!drag) {
+                        return;
+                    }
+                    if (drag.type === 'pan') {
+                        view.x = drag.startX + event.clientX - drag.x;
+                        view.y = drag.startY + event.clientY - drag.y;
+                        applyView();
+                        return;
+                    }
+                    // A dragged module stays where it is dropped
+                    const point = positions.get(drag.id);
+                    point.x = drag.startX + (event.clientX - drag.x) / view.scale;
+                    point.y = drag.startY + (event.clientY - drag.y) / view.scale;
+                    point.fixed = true;
+                    updatePositions();
+                });
+
+                window.addEventListener('mouseup', () => {
+                    if (drag && drag.type === 'node' && positions.get(drag.id).fixed) {
+                        startLayout(0.1);
+                    }
+                    drag = null;
+                });
+
+                svg.addEventListener('click', event => {
+                    if (event.target === svg) {
+                        selected = null;
+                        highlightedCycle = null;
+                        showDetails(null);
+                        updateHighlight();
+                    }
+                });
+
+                svg.addEventListener('wheel', event => {
+                    event.preventDefault();
+                    const rect = svg.getBoundingClientRect();
+                    const factor = Math.exp(-event.deltaY * 0.001);
+                    const mouseX = event.clientX - rect.left;
+                    const mouseY = event.clientY - rect.top;
+                    view.x = mouseX - (mouseX - view.x) * factor;
+                    view.y = mouseY - (mouseY - view.y) * factor;
+                    view.scale *= factor;
+                    applyView();
+                }, { passive: false });
+
+                const initialRect = svg.getBoundingClientRect();
+                view.x = initialRect.width / 2;
+                view.y = initialRect.height / 2;
+                applyView();
+                vscode.postMessage({ type: 'ready' });
+            </script>
+        </body>
+        </html>`;
+    }
+
+    dispose(): void {
+        this.panel?.dispose();
+        this.disposables.forEach(disposable => disposable.dispose());
+    }
+}
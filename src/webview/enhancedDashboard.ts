@@ -7,6 +7,8 @@ import { SQLiteMemoryBank } from '../hive/sqliteMemoryBank';
 import { TopologyManager } from '../hive/topologyManager';
 import { LoadBalancer } from '../hive/loadBalancer';
 import { FaultToleranceManager } from '../hive/faultTolerance';
+import { LLMProvider } from '../llm/llmProvider';
+import { ComplexityMetricsService } from '../metrics/complexityMetricsService';
 
 export interface CommandButton {
     id: string;
@@ -25,6 +27,7 @@ export class EnhancedDashboard implements vscode.Disposable {
     private context: vscode.ExtensionContext;
     private swarmManager: SwarmManager;
     private commandManager: CommandManager;
+    private llmProvider: LLMProvider;
     private dashboardPanel?: vscode.WebviewPanel;
     private updateInterval?: NodeJS.Timeout;
     private isStreaming = false;
@@ -34,6 +37,7 @@ export class EnhancedDashboard implements vscode.Disposable {
     private topologyManager?: TopologyManager;
     private loadBalancer?: LoadBalancer;
     private faultTolerance?: FaultToleranceManager;
+    private complexityMetrics?: ComplexityMetricsService;
 
     private commandButtons: CommandButton[] = [
         // Core Commands
@@ -90,6 +94,15 @@ export class EnhancedDashboard implements vscode.Disposable {
             category: 'analysis',
             enabled: false
         },
+        {
+            id: 'measure-complexity',
+            label: 'Measure Complexity',
+            icon: '📐',
+            description: 'Measure function complexity across the workspace',
+            command: 'ruv-swarm.measureWorkspaceComplexity',
+            category: 'analysis',
+            enabled: true
+        },
         {
             id: 'explain-code',
             label: 'Explain Code',
@@ -164,11 +177,17 @@ export class EnhancedDashboard implements vscode.Disposable {
     constructor(
         context: vscode.ExtensionContext,
         swarmManager: SwarmManager,
-        commandManager: CommandManager
+        commandManager: CommandManager,
+        llmProvider: LLMProvider,
+        complexityMetrics?: ComplexityMetricsService,
+        memoryBank?: SQLiteMemoryBank
     ) {
         this.context = context;
         this.swarmManager = swarmManager;
         this.commandManager = commandManager;
+        this.llmProvider = llmProvider;
+        this.complexityMetrics = complexityMetrics;
+        this.memoryBank = memoryBank;
         this.outputChannel = vscode.window.createOutputChannel('RUV-Swarm Enhanced Dashboard');
         
         this.setupEventListeners();
@@ -177,10 +196,6 @@ export class EnhancedDashboard implements vscode.Disposable {
 
     private async initializeHiveMind(): Promise<void> {
         try {
-            // Initialize SQLite memory bank
-            this.memoryBank = new SQLiteMemoryBank(this.context.globalStorageUri.fsPath);
-            await this.memoryBank.initialize();
-
             // Create default hive config
             const hiveConfig = {
                 maxAgents: 10,
@@ -201,7 +216,7 @@ export class EnhancedDashboard implements vscode.Disposable {
             this.faultTolerance = new FaultToleranceManager(this.topologyManager, this.loadBalancer);
 
             // Initialize hive orchestrator
-            this.hiveOrchestrator = new HiveOrchestrator(this.context, hiveConfig);
+            this.hiveOrchestrator = new HiveOrchestrator(this.context, this.llmProvider, hiveConfig, this.memoryBank);
 
             this.outputChannel.appendLine('✅ Hive Mind components initialized successfully');
         } catch (error) {
@@ -289,6 +304,10 @@ export class EnhancedDashboard implements vscode.Disposable {
                 case 'cancelTask':
                     await this.cancelTask(message.taskId);
                     break;
+
+                case 'openLocation':
+                    await this.openLocation(message.filePath, message.line);
+                    break;
                     
                 default:
                     this.outputChannel.appendLine(`⚠️ Unknown message type: ${message.type}`);
@@ -345,6 +364,15 @@ export class EnhancedDashboard implements vscode.Disposable {
         await this.updateDashboard();
     }
 
+    private async openLocation(filePath: string, line: number): Promise<void> {
+        const document = await vscode.workspace.openTextDocument(vscode.Uri.file(filePath));
+        const position = new vscode.Position(Math.max(line - 1, 0), 0);
+        await vscode.window.showTextDocument(document, {
+            viewColumn: vscode.ViewColumn.One,
+            selection: new vscode.Range(position, position)
+        });
+    }
+
     private updateCommandStates(): void {
         const activeEditor = vscode.window.activeTextEditor;
         const hasFile = !!activeEditor;
@@ -418,13 +446,19 @@ export class EnhancedDashboard implements vscode.Disposable {
         const swarmStatus = await this.swarmManager.getSwarmStatus();
         const agents = this.swarmManager.getAgents();
         const tasks = this.swarmManager.getTasks();
+        const hotspots = await this.complexityMetrics?.getHotspots();
         
         return {
             swarmStatus,
             agents,
             recentTasks: tasks.slice(-10),
             recentAnalysis: [],
-            performance: swarmStatus.performance
+            performance: swarmStatus.performance,
+            hotspots: hotspots?.map(hotspot => ({
+                ...hotspot,
+                displayPath: vscode.workspace.asRelativePath(hotspot.filePath),
+                aboveThreshold: this.complexityMetrics!.isAboveThreshold(hotspot)
+            }))
         };
     }
 
@@ -439,6 +473,13 @@ export class EnhancedDashboard implements vscode.Disposable {
             }
         });
 
+        // Refresh hotspots when files are measured
+        this.complexityMetrics?.onDidChangeMetrics(() => {
+            if (this.dashboardPanel) {
+                this.updateDashboard();
+            }
+        });
+
         // Listen to active editor changes
         vscode.window.onDidChangeActiveTextEditor(() => {
             this.updateCommandStates();
@@ -702,6 +743,27 @@ export class EnhancedDashboard implements vscode.Disposable {
                     margin-bottom: 2px;
                 }
 
+                .hotspot-item {
+                    cursor: pointer;
+                }
+
+                .hotspot-score {
+                    font-weight: bold;
+                    white-space: nowrap;
+                }
+
+                .hotspot-score.above-threshold {
+                    color: var(--danger-color);
+                }
+
+                .trend-up {
+                    color: var(--danger-color);
+                }
+
+                .trend-down {
+                    color: var(--success-color);
+                }
+
                 .agent-details, .task-details {
                     font-size: 10px;
                     color: var(--vscode-descriptionForeground);
@@ -877,6 +939,18 @@ export class EnhancedDashboard implements vscode.Disposable {
                         </div>
                     </div>
                 </div>
+
+                <div class="dashboard-panel">
+                    <div class="panel-header">
+                        <h3 class="panel-title">🔥 Complexity Hotspots</h3>
+                    </div>
+                    <div id="hotspotList" class="task-list">
+                        <div class="loading">
+                            <div class="spinner"></div>
+                            Loading hotspots...
+                        </div>
+                    </div>
+                </div>
             </div>
 
             <div class="last-update">
@@ -943,6 +1017,15 @@ export class EnhancedDashboard implements vscode.Disposable {
                     }
                 }
 
+                function openHotspot(index) {
+                    const hotspot = currentData.hotspots[index];
+                    vscode.postMessage({
+                        type: 'openLocation',
+                        filePath: hotspot.filePath,
+                        line: hotspot.startLine
+                    });
+                }
+
                 // Handle messages from extension
                 window.addEventListener('message', event => {
                     const message = event.data;
@@ -992,6 +1075,7 @@ export class EnhancedDashboard implements vscode.Disposable {
                     // Update agents and tasks
                     updateAgentList(data.agents);
                     updateTaskList(data.recentTasks);
+                    updateHotspotList(data.hotspots);
                 }
 
                 function updateCommandCenter(commands) {
@@ -1071,7 +1155,7 @@ export class EnhancedDashboard implements vscode.Disposable {
                         </div>
                         <div class="metric">
                             <span class="metric-label">Token Efficiency</span>
-                            <span class="metric-value">\${(data.performance.tokenEfficiency * 100).toFixed(1)}%</span>
+                            <span class="metric-value">\${typeof data.performance.tokenEfficiency === 'number' ? (data.performance.tokenEfficiency * 100).toFixed(1) + '%' : 'n/a'}</span>
                         </div>
                     \`;
                 }
@@ -1122,6 +1206,48 @@ export class EnhancedDashboard implements vscode.Disposable {
                     \`).join('');
                 }
 
+                function escapeHtml(text) {
+                    const element = document.createElement('div');
+                    element.textContent = text;
+                    return element.innerHTML;
+                }
+
+                function formatTrend(hotspot) {
+                    if (hotspot.previousCognitive === undefined || hotspot.previousCognitive === hotspot.cognitive) {
+                        return '';
+                    }
+                    const delta = hotspot.cognitive - hotspot.previousCognitive;
+                    return delta > 0
+                        ? \` <span class="trend-up" title="Up from \${hotspot.previousCognitive} in the previous revision">▲\${delta}</span>\`
+                        : \` <span class="trend-down" title="Down from \${hotspot.previousCognitive} in the previous revision">▼\${-delta}</span>\`;
+                }
+
+                function updateHotspotList(hotspots) {
+                    const hotspotList = document.getElementById('hotspotList');
+
+                    if (!hotspots) {
+                        hotspotList.innerHTML = '<div class="empty-state">Code metrics are not available</div>';
+                        return;
+                    }
+
+                    if (hotspots.length === 0) {
+                        hotspotList.innerHTML = '<div class="empty-state">No functions measured yet, run "Measure Complexity"</div>';
+                        return;
+                    }
+
+                    hotspotList.innerHTML = hotspots.map((hotspot, index) => \`
+                        <div class="task-item hotspot-item" onclick="openHotspot(\${index})" title="Cyclomatic \${hotspot.cyclomatic} • Nesting \${hotspot.maxNesting} • \${hotspot.parameters} params • \${hotspot.loc} LOC">
+                            <div class="task-info">
+                                <div class="task-description">\${escapeHtml(hotspot.name)}</div>
+                                <div class="task-details">\${escapeHtml(hotspot.displayPath)}:\${hotspot.startLine}</div>
+                            </div>
+                            <span class="hotspot-score\${hotspot.aboveThreshold ? ' above-threshold' : ''}">
+                                Cognitive \${hotspot.cognitive}\${formatTrend(hotspot)}
+                            </span>
+                        </div>
+                    \`).join('');
+                }
+
                 function handleSwarmEvent(event) {
                     console.log('Swarm event:', event);
                     
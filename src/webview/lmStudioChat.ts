@@ -1,9 +1,14 @@
 import * as vscode from 'vscode';
-import { LMStudioServer } from '../mcp/servers/lmStudioServer';
+import { LLMProvider, LLMChatMessage } from '../llm/llmProvider';
+import { TokenBudgetService, TokenBudgetBreakdown } from '../llm/tokenBudget';
 import { SwarmManager } from '../utils/swarmManager';
 import { HiveOrchestrator } from '../hive/hiveOrchestrator';
 import { SpecificationGenerator, SpecGenerationRequest } from '../specs/specificationGenerator';
 import { SpecificationTask } from '../types';
+import { ChatThreadStore } from '../chat/chatThreadStore';
+import { ChatExporter } from '../chat/chatExporter';
+import { ChatEditService, ChatEditSummary, FILE_EDIT_INSTRUCTIONS } from '../chat/chatEditService';
+import { RetrievalIndex } from '../retrieval/retrievalIndex';
 
 export interface ChatMessage {
     id: string;
@@ -14,7 +19,18 @@ export interface ChatMessage {
     metadata?: {
         model?: string;
         tokens?: number;
+        promptTokens?: number;
+        completionTokens?: number;
         responseTime?: number;
+        tokenBudget?: TokenBudgetBreakdown;
+        /** Labels of code attached with @-mentions or slash commands */
+        attachments?: string[];
+        /** Hive agent type the message was routed to with @agent: */
+        agent?: string;
+        /** Workspace chunks the retrieval index added to the prompt */
+        retrievedCode?: string[];
+        /** File edits found in an assistant reply, offered as Preview/Apply actions */
+        edits?: ChatEditSummary[];
     };
 }
 
@@ -30,26 +46,42 @@ export interface ToolCall {
 
 export class LMStudioChat implements vscode.Disposable {
     private context: vscode.ExtensionContext;
-    private lmStudioServer: LMStudioServer;
+    private llmProvider: LLMProvider;
     private swarmManager: SwarmManager;
     private chatPanel?: vscode.WebviewPanel;
-    private chatHistory: ChatMessage[] = [];
+    private threadStore: ChatThreadStore;
+    private exporter: ChatExporter;
+    private editService: ChatEditService;
+    private retrievalIndex: RetrievalIndex;
     private outputChannel: vscode.OutputChannel;
     private isProcessing = false;
+    private tokenBudget = new TokenBudgetService();
 
     constructor(
         context: vscode.ExtensionContext,
-        lmStudioServer: LMStudioServer,
-        swarmManager: SwarmManager
+        llmProvider: LLMProvider,
+        swarmManager: SwarmManager,
+        threadStore: ChatThreadStore,
+        editService: ChatEditService,
+        retrievalIndex: RetrievalIndex
     ) {
         this.context = context;
-        this.lmStudioServer = lmStudioServer;
+        this.llmProvider = llmProvider;
         this.swarmManager = swarmManager;
+        this.threadStore = threadStore;
+        this.editService = editService;
+        this.retrievalIndex = retrievalIndex;
+        this.exporter = new ChatExporter(threadStore);
         this.outputChannel = vscode.window.createOutputChannel('RUV-Swarm LM Studio Chat');
         
         this.setupEventListeners();
     }
 
+    /** Messages of the active thread, shared with the chat sidebar */
+    private get chatHistory(): ChatMessage[] {
+        return this.threadStore.activeThread.messages;
+    }
+
     async showChat(): Promise<void> {
         try {
             this.outputChannel.appendLine('💬 Opening LM Studio Chat...');
@@ -82,7 +114,7 @@ export class LMStudioChat implements vscode.Disposable {
             });
 
             // Set initial content
-            this.chatPanel.webview.html = this.generateChatHTML();
+            this.chatPanel.webview.html = this.generateChatHTML(this.chatPanel.webview);
             
             // Send initial data
             await this.updateChatUI();
@@ -114,14 +146,36 @@ export class LMStudioChat implements vscode.Disposable {
                     await this.exportChat();
                     break;
                     
+                case 'importChat':
+                    await this.importChat();
+                    break;
+                    
                 case 'checkConnection':
                     await this.checkConnection();
                     break;
                     
+                case 'selectModel':
+                    await this.llmProvider.setActiveModel(message.model);
+                    break;
+                    
                 case 'retryMessage':
                     await this.retryLastMessage();
                     break;
                     
+                case 'newThread':
+                    await this.threadStore.createThread();
+                    break;
+                    
+                case 'switchThread':
+                    await this.threadStore.switchThread(message.threadId);
+                    break;
+                    
+                case 'previewEdit':
+                case 'applyEdit':
+                case 'applyAllEdits':
+                    await this.handleEditAction(message.type, message.messageId, message.index);
+                    break;
+                    
                 default:
                     this.outputChannel.appendLine(`⚠️ Unknown message type: ${message.type}`);
             }
@@ -136,13 +190,16 @@ export class LMStudioChat implements vscode.Disposable {
             return;
         }
 
-        if (!this.lmStudioServer.isConnected) {
-            vscode.window.showErrorMessage('LM Studio is not connected. Please check your configuration.');
+        if (!this.llmProvider.isConnected) {
+            vscode.window.showErrorMessage(`${this.llmProvider.displayName} is not connected. Please check your configuration.`);
             return;
         }
 
         this.isProcessing = true;
 
+        // Replies land in the thread the question was asked in, even if the user switches away
+        const thread = this.threadStore.activeThread;
+
         try {
             // Add user message to history
             const userMessage: ChatMessage = {
@@ -152,11 +209,12 @@ export class LMStudioChat implements vscode.Disposable {
                 timestamp: new Date()
             };
             
-            this.chatHistory.push(userMessage);
+            thread.messages.push(userMessage);
             await this.updateChatUI();
+            await this.threadStore.saveThread(thread);
 
             // Send to LM Studio and get response
-            const response = await this.sendToLMStudio(content);
+            const response = await this.sendToLMStudio(thread.messages);
             
             // Add assistant response to history
             const assistantMessage: ChatMessage = {
@@ -167,9 +225,15 @@ export class LMStudioChat implements vscode.Disposable {
                 toolCalls: response.toolCalls,
                 metadata: response.metadata
             };
+
+            const edits = await this.editService.describeEdits(response.content);
+            if (edits.length > 0) {
+                assistantMessage.metadata = { ...assistantMessage.metadata, edits };
+            }
             
-            this.chatHistory.push(assistantMessage);
+            thread.messages.push(assistantMessage);
             await this.updateChatUI();
+            await this.threadStore.saveThread(thread);
 
         } catch (error) {
             this.outputChannel.appendLine(`❌ Error processing message: ${error}`);
@@ -182,15 +246,47 @@ export class LMStudioChat implements vscode.Disposable {
                 timestamp: new Date()
             };
             
-            this.chatHistory.push(errorMessage);
+            thread.messages.push(errorMessage);
             await this.updateChatUI();
+            await this.threadStore.saveThread(thread);
             
         } finally {
             this.isProcessing = false;
         }
     }
 
-    private async sendToLMStudio(userMessage: string): Promise<{
+    private async handleEditAction(action: 'previewEdit' | 'applyEdit' | 'applyAllEdits', messageId: string, index?: number): Promise<void> {
+        const thread = this.threadStore.activeThread;
+        const message = thread.messages.find(candidate => candidate.id === messageId);
+        if (!message) {
+            return;
+        }
+
+        try {
+            if (action === 'previewEdit') {
+                await this.editService.previewMessageEdit(message, index!);
+                return;
+            }
+
+            const changed = await this.editService.applyMessageEdits(message, action === 'applyEdit' ? [index!] : undefined);
+            await this.threadStore.saveThread(thread);
+            await this.updateChatUI();
+
+            this.outputChannel.appendLine(`✏️ Applied AI edits to ${changed.length} file(s)`);
+            const choice = await vscode.window.showInformationMessage(
+                `Applied edits to ${changed.length} file(s). Use Undo in the editor to revert them.`,
+                'Open'
+            );
+            if (choice === 'Open') {
+                await vscode.window.showTextDocument(changed[0]);
+            }
+        } catch (error) {
+            this.outputChannel.appendLine(`❌ Edit action failed: ${error}`);
+            vscode.window.showErrorMessage(error instanceof Error ? error.message : String(error));
+        }
+    }
+
+    private async sendToLMStudio(chatHistory: ChatMessage[]): Promise<{
         content: string;
         toolCalls?: ToolCall[];
         metadata?: any;
@@ -200,9 +296,6 @@ export class LMStudioChat implements vscode.Disposable {
         // Get current workspace context
         const workspaceContext = await this.getWorkspaceContext();
         
-        // Prepare the conversation context
-        const conversationHistory = this.chatHistory.slice(-10); // Last 10 messages for context
-        
         // Build the prompt with context
         const systemPrompt = `You are an AI assistant integrated with the RUV-Swarm system. You have access to powerful tools that can analyze code, generate tests, perform security scans, and more using swarm intelligence.
 
@@ -221,147 +314,60 @@ Current workspace: ${workspaceContext.name}
 Files in workspace: ${workspaceContext.fileCount}
 Active file: ${workspaceContext.activeFile || 'None'}
 
-Use these tools when appropriate to provide comprehensive assistance.`;
+Use these tools when appropriate to provide comprehensive assistance.
+
+${FILE_EDIT_INSTRUCTIONS}`;
+
+        // Fit as much of the conversation as the model's context window allows
+        const history: LLMChatMessage[] = chatHistory
+            .filter(msg => msg.role !== 'system')
+            .map(msg => ({ role: msg.role, content: msg.content }));
 
-        // Simulate LM Studio API call (this would be replaced with actual API integration)
-        const response = await this.simulateLMStudioResponse(systemPrompt, conversationHistory, userMessage);
+        // Code from across the workspace that relates to the question
+        const latestQuestion = [...chatHistory].reverse().find(msg => msg.role === 'user');
+        const codeChunks = latestQuestion ? await this.retrievalIndex.retrieveContext(latestQuestion.content) : [];
+
+        const { messages, breakdown } = this.tokenBudget.fitPrompt({
+            systemPrompt,
+            history,
+            codeChunks,
+            toolDefinitions: this.llmProvider.toolDefinitions,
+            contextWindow: this.llmProvider.contextWindow,
+            reservedForCompletion: this.llmProvider.maxCompletionTokens
+        });
+
+        // Let the model call swarm tools; each execution is shown as it progresses
+        const toolCalls: ToolCall[] = [];
+        const response = await this.llmProvider.runAgentTurn(messages, {
+            taskType: 'chat',
+            onToolCall: execution => {
+                if (!toolCalls.includes(execution)) {
+                    toolCalls.push(execution);
+                }
+                this.outputChannel.appendLine(`🔧 Tool ${execution.name}: ${execution.status}`);
+            }
+        });
         
         const endTime = Date.now();
         const responseTime = endTime - startTime;
 
         return {
             content: response.content,
-            toolCalls: response.toolCalls,
+            toolCalls: toolCalls.length > 0 ? toolCalls : undefined,
             metadata: {
-                model: 'LM Studio Model',
-                tokens: response.content.length, // Simplified token count
-                responseTime
-            }
-        };
-    }
-
-    private async simulateLMStudioResponse(systemPrompt: string, history: ChatMessage[], userMessage: string): Promise<{
-        content: string;
-        toolCalls?: ToolCall[];
-    }> {
-        // This is a simulation - in real implementation, this would call LM Studio API
-        // For now, we'll detect if the user is asking for tool usage and simulate appropriate responses
-        
-        const toolCalls: ToolCall[] = [];
-        let content = '';
-
-        // Simple pattern matching to determine if tools should be used
-        if (userMessage.toLowerCase().includes('analyze') && userMessage.toLowerCase().includes('file')) {
-            const activeEditor = vscode.window.activeTextEditor;
-            if (activeEditor) {
-                const toolCall: ToolCall = {
-                    id: this.generateMessageId(),
-                    name: 'analyze_file',
-                    arguments: {
-                        filePath: activeEditor.document.fileName,
-                        analysisType: 'all'
-                    },
-                    status: 'running',
-                    startTime: new Date()
-                };
-                
-                toolCalls.push(toolCall);
-                
-                // Execute the tool
-                try {
-                    const result = await this.lmStudioServer.callTool('analyze_file', toolCall.arguments);
-                    toolCall.result = result;
-                    toolCall.status = 'completed';
-                    toolCall.endTime = new Date();
-                    
-                    content = `I've analyzed the file using the swarm intelligence system. Here's what I found:\n\n${JSON.stringify(result.content, null, 2)}`;
-                } catch (error) {
-                    toolCall.status = 'failed';
-                    toolCall.endTime = new Date();
-                    content = `I encountered an error while analyzing the file: ${error}`;
-                }
-            } else {
-                content = "I'd be happy to analyze a file for you! Please open a file in the editor first, then ask me to analyze it.";
-            }
-        } else if (userMessage.toLowerCase().includes('generate') && userMessage.toLowerCase().includes('test')) {
-            const activeEditor = vscode.window.activeTextEditor;
-            if (activeEditor) {
-                const toolCall: ToolCall = {
-                    id: this.generateMessageId(),
-                    name: 'generate_tests',
-                    arguments: {
-                        filePath: activeEditor.document.fileName,
-                        testFramework: 'jest'
-                    },
-                    status: 'running',
-                    startTime: new Date()
-                };
-                
-                toolCalls.push(toolCall);
-                
-                try {
-                    const result = await this.lmStudioServer.callTool('generate_tests', toolCall.arguments);
-                    toolCall.result = result;
-                    toolCall.status = 'completed';
-                    toolCall.endTime = new Date();
-                    
-                    content = `I've generated comprehensive tests for your file using the swarm system:\n\n${JSON.stringify(result.content, null, 2)}`;
-                } catch (error) {
-                    toolCall.status = 'failed';
-                    toolCall.endTime = new Date();
-                    content = `I encountered an error while generating tests: ${error}`;
+                model: response.model,
+                tokens: response.usage.totalTokens,
+                promptTokens: response.usage.promptTokens,
+                completionTokens: response.usage.completionTokens,
+                responseTime,
+                retrievedCode: codeChunks.length > 0 ? codeChunks.map(chunk => chunk.label) : undefined,
+                tokenBudget: {
+                    ...breakdown,
+                    toolResults: response.toolResultTokens,
+                    total: breakdown.total + response.toolResultTokens
                 }
-            } else {
-                content = "I can generate tests for you! Please open a file in the editor first, then ask me to generate tests for it.";
-            }
-        } else if (userMessage.toLowerCase().includes('swarm') && userMessage.toLowerCase().includes('status')) {
-            const toolCall: ToolCall = {
-                id: this.generateMessageId(),
-                name: 'get_swarm_status',
-                arguments: {
-                    includeAgents: true,
-                    includeMetrics: true
-                },
-                status: 'running',
-                startTime: new Date()
-            };
-            
-            toolCalls.push(toolCall);
-            
-            try {
-                const result = await this.lmStudioServer.callTool('get_swarm_status', toolCall.arguments);
-                toolCall.result = result;
-                toolCall.status = 'completed';
-                toolCall.endTime = new Date();
-                
-                content = `Here's the current swarm status:\n\n${JSON.stringify(result.content, null, 2)}`;
-            } catch (error) {
-                toolCall.status = 'failed';
-                toolCall.endTime = new Date();
-                content = `I encountered an error while getting swarm status: ${error}`;
             }
-        } else {
-            // General response without tool usage
-            content = `I'm your AI assistant powered by LM Studio and integrated with the RUV-Swarm system. I can help you with:
-
-• **Code Analysis**: Ask me to analyze files for issues, security vulnerabilities, or performance problems
-• **Test Generation**: I can generate comprehensive unit tests for your code
-• **Code Review**: Get detailed code reviews with suggestions for improvement
-• **Performance Optimization**: Analyze and optimize your code's performance
-• **Code Explanation**: Get detailed explanations of complex code sections
-• **Project Understanding**: I can analyze your entire project structure
-
-Try asking me something like:
-- "Analyze the current file"
-- "Generate tests for this file"
-- "What's the swarm status?"
-- "Explain this code"
-- "Review my code for security issues"
-
-What would you like me to help you with?`;
-        }
-
-        return { content, toolCalls: toolCalls.length > 0 ? toolCalls : undefined };
+        };
     }
 
     private async getWorkspaceContext(): Promise<{
@@ -389,8 +395,9 @@ What would you like me to help you with?`;
         this.outputChannel.appendLine(`🗑️ Starting clearChat - current history length: ${this.chatHistory.length}`);
         
         try {
-            // Clear the chat history
-            this.chatHistory = [];
+            // Clear the messages of the active thread; the thread itself is kept
+            this.threadStore.activeThread.messages = [];
+            await this.threadStore.saveThread();
             this.outputChannel.appendLine('✅ Chat history array cleared');
             
             // Force UI update with explicit empty state
@@ -413,7 +420,7 @@ What would you like me to help you with?`;
                     type: 'updateChat',
                     data: {
                         messages: [],
-                        isConnected: this.lmStudioServer.isConnected,
+                        isConnected: this.llmProvider.isConnected,
                         isProcessing: false,
                         timestamp: new Date().toISOString(),
                         forceClear: true
@@ -425,7 +432,7 @@ What would you like me to help you with?`;
             this.outputChannel.appendLine('🎉 clearChat operation completed successfully');
             
             // Show success message to user
-            vscode.window.showInformationMessage('Chat history cleared successfully!');
+            vscode.window.showInformationMessage('Chat thread cleared successfully!');
             
         } catch (error) {
             this.outputChannel.appendLine(`❌ Error during clearChat: ${error}`);
@@ -434,42 +441,31 @@ What would you like me to help you with?`;
     }
 
     private async exportChat(): Promise<void> {
-        const chatData = {
-            timestamp: new Date().toISOString(),
-            messages: this.chatHistory,
-            metadata: {
-                totalMessages: this.chatHistory.length,
-                exportedBy: 'RUV-Swarm LM Studio Chat'
-            }
-        };
-
-        const chatJson = JSON.stringify(chatData, null, 2);
-        
-        // Show save dialog
-        const uri = await vscode.window.showSaveDialog({
-            defaultUri: vscode.Uri.file(`lm-studio-chat-${Date.now()}.json`),
-            filters: {
-                'JSON Files': ['json'],
-                'All Files': ['*']
-            }
-        });
+        try {
+            await this.exporter.exportThread();
+        } catch (error) {
+            vscode.window.showErrorMessage(error instanceof Error ? error.message : String(error));
+        }
+    }
 
-        if (uri) {
-            await vscode.workspace.fs.writeFile(uri, Buffer.from(chatJson, 'utf8'));
-            vscode.window.showInformationMessage('Chat exported successfully!');
+    private async importChat(): Promise<void> {
+        try {
+            await this.exporter.importThread();
+        } catch (error) {
+            vscode.window.showErrorMessage(error instanceof Error ? error.message : String(error));
         }
     }
 
     private async checkConnection(): Promise<void> {
         try {
-            if (this.lmStudioServer.isConnected) {
-                vscode.window.showInformationMessage('✅ LM Studio is connected and ready!');
+            if (this.llmProvider.isConnected) {
+                vscode.window.showInformationMessage(`✅ ${this.llmProvider.displayName} is connected and ready!`);
             } else {
-                await this.lmStudioServer.connect();
-                vscode.window.showInformationMessage('✅ Connected to LM Studio!');
+                await this.llmProvider.connect();
+                vscode.window.showInformationMessage(`✅ Connected to ${this.llmProvider.displayName}!`);
             }
         } catch (error) {
-            vscode.window.showErrorMessage(`❌ Failed to connect to LM Studio: ${error}`);
+            vscode.window.showErrorMessage(`❌ Failed to connect to ${this.llmProvider.displayName}: ${error}`);
         }
         
         await this.updateChatUI();
@@ -482,6 +478,7 @@ What would you like me to help you with?`;
             const lastIndex = this.chatHistory.length - 1;
             if (this.chatHistory[lastIndex]?.role === 'assistant') {
                 this.chatHistory.pop();
+                await this.threadStore.saveThread();
             }
             
             await this.handleUserMessage(lastUserMessage.content);
@@ -495,8 +492,12 @@ What would you like me to help you with?`;
             type: 'updateChat',
             data: {
                 messages: this.chatHistory,
-                isConnected: this.lmStudioServer.isConnected,
+                isConnected: this.llmProvider.isConnected,
                 isProcessing: this.isProcessing,
+                models: this.llmProvider.availableModels.map(model => model.id),
+                activeModel: this.llmProvider.activeModel,
+                threads: this.threadStore.threads,
+                activeThreadId: this.threadStore.activeThreadId,
                 timestamp: new Date().toISOString()
             }
         });
@@ -507,24 +508,31 @@ What would you like me to help you with?`;
     }
 
     private setupEventListeners(): void {
-        // Listen to LM Studio server events
-        this.lmStudioServer.on('connected', () => {
-            this.outputChannel.appendLine('🔗 LM Studio connected');
+        // Listen to LLM provider events
+        this.llmProvider.on('connected', () => {
+            this.outputChannel.appendLine(`🔗 ${this.llmProvider.displayName} connected`);
             this.updateChatUI();
         });
 
-        this.lmStudioServer.on('disconnected', () => {
-            this.outputChannel.appendLine('🔌 LM Studio disconnected');
+        this.llmProvider.on('disconnected', () => {
+            this.outputChannel.appendLine(`🔌 ${this.llmProvider.displayName} disconnected`);
             this.updateChatUI();
         });
+
+        this.llmProvider.on('modelsChanged', () => this.updateChatUI());
+        this.llmProvider.on('modelChanged', () => this.updateChatUI());
+
+        this.threadStore.on('threadsChanged', () => this.updateChatUI());
+        this.threadStore.on('activeThreadChanged', () => this.updateChatUI());
     }
 
-    private generateChatHTML(): string {
+    private generateChatHTML(webview: vscode.Webview): string {
         return `
         <!DOCTYPE html>
         <html lang="en">
         <head>
             <meta charset="UTF-8">
+            <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource} 'unsafe-inline'; script-src ${webview.cspSource} 'unsafe-inline';">
             <meta name="viewport" content="width=device-width, initial-scale=1.0">
             <title>LM Studio Chat</title>
             <style>
@@ -618,6 +626,15 @@ What would you like me to help you with?`;
                     background-color: var(--vscode-button-secondaryHoverBackground);
                 }
 
+                .model-select {
+                    max-width: 200px;
+                    padding: 4px 6px;
+                    color: var(--vscode-dropdown-foreground);
+                    background-color: var(--vscode-dropdown-background);
+                    border: 1px solid var(--vscode-dropdown-border);
+                    border-radius: 4px;
+                }
+
                 .chat-container {
                     flex: 1;
                     display: flex;
@@ -752,6 +769,56 @@ What would you like me to help you with?`;
                 .tool-status.completed { background-color: var(--success-color); color: white; }
                 .tool-status.failed { background-color: var(--danger-color); color: white; }
 
+                .file-edits {
+                    margin-top: var(--spacing);
+                    padding: var(--spacing);
+                    background-color: var(--vscode-editor-inactiveSelectionBackground);
+                    border-radius: var(--border-radius);
+                    border-left: 3px solid var(--success-color);
+                    font-size: 11px;
+                }
+
+                .file-edits-header, .file-edit {
+                    display: flex;
+                    align-items: center;
+                    gap: 6px;
+                }
+
+                .file-edit {
+                    margin-top: 4px;
+                }
+
+                .file-edit-path {
+                    flex: 1;
+                    font-family: var(--vscode-editor-font-family);
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                }
+
+                .file-edit-warning {
+                    color: var(--warning-color);
+                }
+
+                .edit-btn {
+                    padding: 2px 6px;
+                    background-color: var(--vscode-button-secondaryBackground);
+                    color: var(--vscode-button-secondaryForeground);
+                    border: none;
+                    border-radius: 3px;
+                    cursor: pointer;
+                    font-size: 10px;
+                }
+
+                .edit-btn:hover:not(:disabled) {
+                    background-color: var(--vscode-button-secondaryHoverBackground);
+                }
+
+                .edit-btn:disabled {
+                    cursor: default;
+                    opacity: 0.7;
+                }
+
                 .chat-input-container {
                     padding: var(--spacing);
                     border-top: 1px solid var(--vscode-panel-border);
@@ -907,9 +974,13 @@ What would you like me to help you with?`;
                     <span id="statusText">Disconnected</span>
                 </div>
                 <div class="header-actions">
+                    <select id="threadSelect" class="model-select" title="Conversation thread"></select>
+                    <button id="newThreadBtn" class="header-btn">➕ New</button>
+                    <select id="modelSelect" class="model-select" title="Active model"></select>
                     <button id="checkConnectionBtn" class="header-btn">🔗 Check</button>
                     <button id="clearChatBtn" class="header-btn">🗑️ Clear</button>
                     <button id="exportChatBtn" class="header-btn">📤 Export</button>
+                    <button id="importChatBtn" class="header-btn">📥 Import</button>
                 </div>
             </div>
 
@@ -951,6 +1022,18 @@ What would you like me to help you with?`;
                     document.getElementById('checkConnectionBtn').addEventListener('click', checkConnection);
                     document.getElementById('clearChatBtn').addEventListener('click', clearChat);
                     document.getElementById('exportChatBtn').addEventListener('click', exportChat);
+                    document.getElementById('importChatBtn').addEventListener('click', () => {
+                        vscode.postMessage({ type: 'importChat' });
+                    });
+                    document.getElementById('modelSelect').addEventListener('change', (e) => {
+                        vscode.postMessage({ type: 'selectModel', model: e.target.value });
+                    });
+                    document.getElementById('newThreadBtn').addEventListener('click', () => {
+                        vscode.postMessage({ type: 'newThread' });
+                    });
+                    document.getElementById('threadSelect').addEventListener('change', (e) => {
+                        vscode.postMessage({ type: 'switchThread', threadId: e.target.value });
+                    });
 
                     // Chat input
                     const chatInput = document.getElementById('chatInput');
@@ -1047,6 +1130,53 @@ What would you like me to help you with?`;
                     vscode.postMessage({ type: 'retryMessage' });
                 }
 
+                function previewEdit(messageId, index) {
+                    vscode.postMessage({ type: 'previewEdit', messageId, index });
+                }
+
+                function applyEdit(messageId, index) {
+                    vscode.postMessage({ type: 'applyEdit', messageId, index });
+                }
+
+                function applyAllEdits(messageId) {
+                    vscode.postMessage({ type: 'applyAllEdits', messageId });
+                }
+
+                function escapeHtml(text) {
+                    return String(text)
+                        .replace(/&/g, '&amp;')
+                        .replace(/</g, '&lt;')
+                        .replace(/>/g, '&gt;')
+                        .replace(/"/g, '&quot;');
+                }
+
+                function renderEdits(message) {
+                    const edits = message.metadata && message.metadata.edits;
+                    if (!edits || edits.length === 0) {
+                        return '';
+                    }
+
+                    const pending = edits.filter(edit => !edit.applied).length;
+                    return \`
+                        <div class="file-edits">
+                            <div class="file-edits-header">
+                                <strong>✏️ Proposed edits (\${edits.length})</strong>
+                                \${edits.length > 1 && pending > 0 ? \`<button class="edit-btn" onclick="applyAllEdits(\${escapeHtml(JSON.stringify(message.id))})">Apply all \${pending}</button>\` : ''}
+                            </div>
+                            \${edits.map(edit => \`
+                                <div class="file-edit">
+                                    <span class="file-edit-path" title="\${escapeHtml(edit.path)}">\${edit.isNewFile ? '🆕' : '📄'} \${escapeHtml(edit.path)}\${edit.kind === 'patch' ? ' (diff)' : ''}</span>
+                                    \${edit.warning ? \`<span class="file-edit-warning" title="\${escapeHtml(edit.warning)}">⚠️</span>\` : ''}
+                                    <button class="edit-btn" onclick="previewEdit(\${escapeHtml(JSON.stringify(message.id))}, \${Number(edit.index)})">Preview diff</button>
+                                    \${edit.applied
+                                        ? '<button class="edit-btn" disabled>✅ Applied</button>'
+                                        : \`<button class="edit-btn" onclick="applyEdit(\${escapeHtml(JSON.stringify(message.id))}, \${Number(edit.index)})">Apply</button>\`}
+                                </div>
+                            \`).join('')}
+                        </div>
+                    \`;
+                }
+
                 function requestUpdate() {
                     // Initial update will be sent automatically
                 }
@@ -1078,6 +1208,12 @@ What would you like me to help you with?`;
                         statusText.textContent = 'Disconnected';
                     }
 
+                    updateModelSelect(data.models || [], data.activeModel);
+
+                    if (data.threads) {
+                        updateThreadSelect(data.threads, data.activeThreadId);
+                    }
+
                     // Update messages
                     updateMessages(data.messages);
                     
@@ -1085,6 +1221,36 @@ What would you like me to help you with?`;
                     updateSendButton();
                 }
 
+                function updateModelSelect(models, activeModel) {
+                    const modelSelect = document.getElementById('modelSelect');
+                    const options = models.includes(activeModel) || !activeModel ? models : [activeModel, ...models];
+
+                    modelSelect.innerHTML = options
+                        .map(model => {
+                            const option = document.createElement('option');
+                            option.value = model;
+                            option.textContent = model;
+                            return option.outerHTML;
+                        })
+                        .join('');
+                    modelSelect.value = activeModel || '';
+                    modelSelect.disabled = options.length === 0;
+                }
+
+                function updateThreadSelect(threads, activeThreadId) {
+                    const threadSelect = document.getElementById('threadSelect');
+
+                    threadSelect.innerHTML = threads
+                        .map(thread => {
+                            const option = document.createElement('option');
+                            option.value = thread.id;
+                            option.textContent = thread.title;
+                            return option.outerHTML;
+                        })
+                        .join('');
+                    threadSelect.value = activeThreadId || '';
+                }
+
                 function updateMessages(messages) {
                     const chatMessages = document.getElementById('chatMessages');
                     
@@ -1126,6 +1292,24 @@ What would you like me to help you with?`;
                     chatMessages.scrollTop = chatMessages.scrollHeight;
                 }
 
+                function renderTokenBudget(budget) {
+                    if (!budget) {
+                        return '';
+                    }
+                    const breakdown = [
+                        'System prompt: ' + budget.systemPrompt,
+                        'Tool definitions: ' + budget.tools,
+                        'Code: ' + budget.codeChunks,
+                        'History: ' + budget.history,
+                        'Tool results: ' + budget.toolResults,
+                        'Reserved for reply: ' + budget.reservedForCompletion,
+                        'Summarized turns: ' + budget.summarizedMessages,
+                        'Dropped turns: ' + budget.droppedMessages
+                    ].join('\\n');
+                    const trimmed = budget.summarizedMessages + budget.droppedMessages;
+                    return \`<span title="\${breakdown}">Context: \${budget.total}/\${budget.contextWindow}\${trimmed > 0 ? \` ✂️ \${trimmed}\` : ''}</span>\`;
+                }
+
                 function renderMessage(message) {
                     const time = new Date(message.timestamp).toLocaleTimeString();
                     let toolCallsHTML = '';
@@ -1137,10 +1321,10 @@ What would you like me to help you with?`;
                                 \${message.toolCalls.map(tool => \`
                                     <div class="tool-call">
                                         <div class="tool-info">
-                                            <div class="tool-name">\${tool.name}</div>
-                                            <div class="tool-args">\${JSON.stringify(tool.arguments)}</div>
+                                            <div class="tool-name">\${escapeHtml(tool.name)}</div>
+                                            <div class="tool-args">\${escapeHtml(JSON.stringify(tool.arguments))}</div>
                                         </div>
-                                        <span class="tool-status \${tool.status}">\${tool.status}</span>
+                                        <span class="tool-status \${escapeHtml(tool.status)}">\${escapeHtml(tool.status)}</span>
                                     </div>
                                 \`).join('')}
                             </div>
@@ -1151,17 +1335,19 @@ What would you like me to help you with?`;
                     if (message.metadata) {
                         metadataHTML = \`
                             <div class="message-metadata">
-                                \${message.metadata.model ? \`<span>Model: \${message.metadata.model}</span>\` : ''}
-                                \${message.metadata.tokens ? \`<span>Tokens: \${message.metadata.tokens}</span>\` : ''}
-                                \${message.metadata.responseTime ? \`<span>Time: \${message.metadata.responseTime}ms</span>\` : ''}
+                                \${message.metadata.model ? \`<span>Model: \${escapeHtml(message.metadata.model)}</span>\` : ''}
+                                \${message.metadata.tokens ? \`<span>Tokens: \${escapeHtml(message.metadata.tokens)}</span>\` : ''}
+                                \${renderTokenBudget(message.metadata.tokenBudget)}
+                                \${message.metadata.responseTime ? \`<span>Time: \${escapeHtml(message.metadata.responseTime)}ms</span>\` : ''}
                             </div>
                         \`;
                     }
 
                     return \`
-                        <div class="message \${message.role}">
-                            <div class="message-content">\${message.content}</div>
+                        <div class="message \${escapeHtml(message.role)}">
+                            <div class="message-content">\${escapeHtml(message.content)}</div>
                             \${toolCallsHTML}
+                            \${renderEdits(message)}
                             <div class="message-meta">
                                 <span class="message-time">\${time}</span>
                                 \${metadataHTML}
@@ -1181,6 +1367,6 @@ What would you like me to help you with?`;
             this.chatPanel.dispose();
         }
         this.outputChannel.dispose();
-        this.lmStudioServer.removeAllListeners();
+        this.llmProvider.removeAllListeners();
     }
 }
@@ -432,7 +432,7 @@ export class WebviewProvider implements vscode.WebviewViewProvider, vscode.Dispo
                             </div>
                             <div class="metric">
                                 <span>Token Efficiency:</span>
-                                <span class="metric-value">\${(data.performance.tokenEfficiency * 100).toFixed(1)}%</span>
+                                <span class="metric-value">\${typeof data.performance.tokenEfficiency === 'number' ? (data.performance.tokenEfficiency * 100).toFixed(1) + '%' : 'n/a'}</span>
                             </div>
                         </div>
                         
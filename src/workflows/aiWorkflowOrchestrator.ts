@@ -6,9 +6,10 @@
 import * as vscode from 'vscode';
 import { EventEmitter } from 'events';
 import { SwarmManager } from '../utils/swarmManager';
-import { LMStudioServer } from '../mcp/servers/lmStudioServer';
+import { LLMProvider } from '../llm/llmProvider';
 import { SwarmToolsProvider } from '../mcp/tools/swarmToolsProvider';
 import { MCPManager } from '../mcp/mcpManager';
+import { GitChangeScope, GitFileDiff, GitService, formatFileDiff, loadGitConfig } from '../git/gitService';
 
 export interface WorkflowConfig {
     maxSteps: number;
@@ -63,11 +64,44 @@ export interface AIWorkflowEvents {
     'context-updated': (sessionId: string, context: WorkflowContext) => void;
 }
 
+const CODE_REVIEW_SYSTEM_PROMPT = 'You are a meticulous senior engineer reviewing a diff. Comment only on the changed lines '
+    + 'and the code they affect, and keep each finding short.';
+
+/**
+ * Markdown report of a finished aiCodeReview session
+ */
+export function convertCodeReviewToMarkdown(result: WorkflowResult): string {
+    const changes = result.results.get('get-changes') as { scopes: GitChangeScope[]; files: Array<Record<string, any>> } | undefined;
+    const reviewSteps = result.steps.filter(candidate => candidate.id.startsWith('review-'));
+    const lines = [
+        '# AI Code Review',
+        '',
+        `${changes?.files.length ?? 0} changed files in the ${changes?.scopes.join(' and ') ?? ''} changes, `
+            + `${reviewSteps.length} reviewed in ${Math.round(result.performance.totalTime / 1000)}s`,
+        ''
+    ];
+
+    for (const step of reviewSteps) {
+        const review = result.results.get(step.id) as { file: string; scope: GitChangeScope; review: string } | undefined;
+        if (review) {
+            lines.push(`## ${review.file} (${review.scope})`, '', review.review.trim(), '');
+        }
+    }
+    if (result.insights.length > 0) {
+        lines.push('## Notes', '', ...result.insights.map(insight => `- ${insight}`), '');
+    }
+    if (result.errors?.length) {
+        lines.push('## Errors', '', ...result.errors.map(error => `- ${error}`), '');
+    }
+    return lines.join('\n');
+}
+
 export class AIWorkflowOrchestrator extends EventEmitter {
     private _swarmManager: SwarmManager;
-    private _lmStudioServer: LMStudioServer;
+    private _llmProvider: LLMProvider;
     private _toolsProvider: SwarmToolsProvider;
-    private _mcpManager: MCPManager;
+    private _gitService: GitService;
+    private _mcpManager?: MCPManager;
     private _context: vscode.ExtensionContext;
     private _outputChannel: vscode.OutputChannel;
     private _config: WorkflowConfig;
@@ -77,15 +111,17 @@ export class AIWorkflowOrchestrator extends EventEmitter {
     constructor(
         context: vscode.ExtensionContext,
         swarmManager: SwarmManager,
-        lmStudioServer: LMStudioServer,
+        llmProvider: LLMProvider,
         toolsProvider: SwarmToolsProvider,
-        mcpManager: MCPManager
+        gitService: GitService,
+        mcpManager?: MCPManager
     ) {
         super();
         this._context = context;
         this._swarmManager = swarmManager;
-        this._lmStudioServer = lmStudioServer;
+        this._llmProvider = llmProvider;
         this._toolsProvider = toolsProvider;
+        this._gitService = gitService;
         this._mcpManager = mcpManager;
         this._outputChannel = vscode.window.createOutputChannel('RUV-Swarm AI Workflows');
         
@@ -116,13 +152,13 @@ export class AIWorkflowOrchestrator extends EventEmitter {
     }
 
     private _setupEventListeners(): void {
-        // Listen to LM Studio connection events
-        this._lmStudioServer.on('connected', () => {
-            this._outputChannel.appendLine('🤖 LM Studio connected - AI workflows enabled');
+        // Listen to LLM provider connection events
+        this._llmProvider.on('connected', () => {
+            this._outputChannel.appendLine(`🤖 ${this._llmProvider.displayName} connected - AI workflows enabled`);
         });
 
-        this._lmStudioServer.on('disconnected', () => {
-            this._outputChannel.appendLine('⚠️ LM Studio disconnected - AI workflows paused');
+        this._llmProvider.on('disconnected', () => {
+            this._outputChannel.appendLine(`⚠️ ${this._llmProvider.displayName} disconnected - AI workflows paused`);
         });
 
         // Listen to swarm events
@@ -134,11 +170,13 @@ export class AIWorkflowOrchestrator extends EventEmitter {
     }
 
     /**
-     * Start a comprehensive code understanding workflow
+     * Start a comprehensive code understanding workflow; with changes, each
+     * file is analyzed together with its changed hunks
      */
     async startCodeUnderstandingWorkflow(
         filePaths: string[],
-        analysisType: 'full' | 'focused' | 'security' | 'performance' = 'full'
+        analysisType: 'full' | 'focused' | 'security' | 'performance' = 'full',
+        changes?: GitFileDiff[]
     ): Promise<string> {
         const sessionId = `workflow-${Date.now()}`;
         
@@ -154,8 +192,9 @@ export class AIWorkflowOrchestrator extends EventEmitter {
                 aiInsights: new Map(),
                 metadata: {
                     analysisType,
+                    changes,
                     startTime: Date.now(),
-                    modelName: this._lmStudioServer.isConnected ? 'LM Studio' : 'Swarm Only'
+                    modelName: this._llmProvider.isConnected ? this._llmProvider.displayName : 'Swarm Only'
                 }
             };
 
@@ -180,6 +219,68 @@ export class AIWorkflowOrchestrator extends EventEmitter {
         }
     }
 
+    /**
+     * Run the code understanding workflow on the files changed in the given
+     * scopes, with their hunks
+     */
+    async analyzeChangedFiles(scopes: GitChangeScope[] = ['staged', 'unstaged'], base?: string): Promise<string> {
+        const { changes } = await this._getChangedFileDiffs(scopes, base);
+        const filePaths = [...new Set(changes.filter(change => change.status !== 'deleted' && !change.binary).map(change => change.filePath))];
+        if (filePaths.length === 0) {
+            throw new Error(`No changed files to analyze in the ${scopes.join(' and ')} changes`);
+        }
+
+        return await this.startCodeUnderstandingWorkflow(filePaths, 'full', changes);
+    }
+
+    /**
+     * Review the hunks changed in the given scopes with the LLM, one file at a time
+     */
+    async aiCodeReview(scopes: GitChangeScope[] = ['staged', 'unstaged'], base?: string): Promise<string> {
+        if (!this._llmProvider.isConnected) {
+            throw new Error(`${this._llmProvider.displayName} not connected. Please connect to ${this._llmProvider.displayName} first.`);
+        }
+
+        const sessionId = `ai-review-${Date.now()}`;
+
+        try {
+            this._outputChannel.appendLine(`🔍 Starting AI code review: ${sessionId}`);
+
+            const context: WorkflowContext = {
+                sessionId,
+                workspaceRoot: vscode.workspace.workspaceFolders?.[0]?.uri.fsPath || '',
+                targetFiles: [],
+                analysisResults: new Map(),
+                toolResults: new Map(),
+                aiInsights: new Map(),
+                metadata: {
+                    scopes,
+                    base,
+                    startTime: Date.now(),
+                    sessionType: 'ai-code-review'
+                }
+            };
+
+            this._activeWorkflows.set(sessionId, context);
+            this.emit('workflow-started', sessionId, context);
+
+            const result = await this._executeCodeReviewSteps(context, scopes, base);
+
+            this._workflowHistory.set(sessionId, result);
+            this._activeWorkflows.delete(sessionId);
+
+            this.emit('workflow-completed', sessionId, result);
+
+            return sessionId;
+
+        } catch (error) {
+            this._outputChannel.appendLine(`❌ AI code review failed: ${error}`);
+            this._activeWorkflows.delete(sessionId);
+            this.emit('workflow-failed', sessionId, error as Error);
+            throw error;
+        }
+    }
+
     /**
      * Start an AI-assisted coding session
      */
@@ -188,8 +289,8 @@ export class AIWorkflowOrchestrator extends EventEmitter {
         filePath?: string,
         context?: Record<string, any>
     ): Promise<string> {
-        if (!this._lmStudioServer.isConnected) {
-            throw new Error('LM Studio not connected. Please connect to LM Studio first.');
+        if (!this._llmProvider.isConnected) {
+            throw new Error(`${this._llmProvider.displayName} not connected. Please connect to ${this._llmProvider.displayName} first.`);
         }
 
         const sessionId = `ai-session-${Date.now()}`;
@@ -255,7 +356,6 @@ export class AIWorkflowOrchestrator extends EventEmitter {
                     targetFiles = allFiles.map(file => file.fsPath);
                     break;
                 case 'changed-files':
-                    // Would integrate with Git to get changed files
                     targetFiles = await this._getChangedFiles();
                     break;
                 case 'current-file':
@@ -360,14 +460,16 @@ export class AIWorkflowOrchestrator extends EventEmitter {
             
             this.emit('step-completed', context.sessionId, structureStep, structureResult);
 
-            // Step 2: Analyze each target file
+            // Step 2: Analyze each target file, with its changed hunks when the workflow covers changes
+            const changes: GitFileDiff[] = context.metadata.changes ?? [];
             for (const filePath of context.targetFiles) {
+                const hunks = changes.filter(change => change.filePath === filePath).flatMap(change => change.hunks);
                 const analyzeStep: WorkflowStep = {
                     id: `analyze-${filePath.replace(/[^a-zA-Z0-9]/g, '-')}`,
                     type: 'tool-call',
-                    description: `Analyze file: ${filePath}`,
+                    description: hunks.length > 0 ? `Analyze changes in file: ${filePath}` : `Analyze file: ${filePath}`,
                     dependencies: ['get-structure'],
-                    parameters: { filePath, analysisType }
+                    parameters: hunks.length > 0 ? { filePath, analysisType, hunks } : { filePath, analysisType }
                 };
                 
                 steps.push(analyzeStep);
@@ -381,8 +483,8 @@ export class AIWorkflowOrchestrator extends EventEmitter {
                 this.emit('step-completed', context.sessionId, analyzeStep, analysisResult);
             }
 
-            // Step 3: AI synthesis (if LM Studio is connected)
-            if (this._lmStudioServer.isConnected && analysisType === 'full') {
+            // Step 3: AI synthesis (if the LLM provider is connected)
+            if (this._llmProvider.isConnected && analysisType === 'full') {
                 const synthesisStep: WorkflowStep = {
                     id: 'ai-synthesis',
                     type: 'ai-analysis',
@@ -390,7 +492,8 @@ export class AIWorkflowOrchestrator extends EventEmitter {
                     dependencies: steps.map(s => s.id),
                     parameters: { 
                         analysisResults: Array.from(context.analysisResults.entries()),
-                        projectStructure: results.get('get-structure')
+                        projectStructure: results.get('get-structure'),
+                        changes: changes.map(change => formatFileDiff(change))
                     }
                 };
                 
@@ -458,6 +561,101 @@ export class AIWorkflowOrchestrator extends EventEmitter {
         }
     }
 
+    private async _executeCodeReviewSteps(
+        context: WorkflowContext,
+        scopes: GitChangeScope[],
+        base?: string
+    ): Promise<WorkflowResult> {
+        const startTime = Date.now();
+        const steps: WorkflowStep[] = [];
+        const results = new Map<string, any>();
+        const insights: string[] = [];
+        const recommendations: string[] = [];
+        const errors: string[] = [];
+        let toolCalls = 0;
+
+        // Step 1: Collect the changed hunks
+        const changesStep: WorkflowStep = {
+            id: 'get-changes',
+            type: 'tool-call',
+            description: `Collect ${scopes.join(' and ')} changes`,
+            dependencies: [],
+            parameters: { scopes, base }
+        };
+
+        steps.push(changesStep);
+        this.emit('step-started', context.sessionId, changesStep);
+
+        const { changes, truncated } = await this._getChangedFileDiffs(scopes, base);
+        const changesResult = {
+            scopes,
+            files: changes.map(change => ({
+                file: change.file,
+                scope: change.scope,
+                status: change.status,
+                additions: change.additions,
+                deletions: change.deletions
+            }))
+        };
+        results.set(changesStep.id, changesResult);
+        toolCalls += scopes.length;
+        context.targetFiles = [...new Set(changes.map(change => change.filePath))];
+
+        this.emit('step-completed', context.sessionId, changesStep, changesResult);
+
+        // Step 2: Review each changed file that still has text to review
+        const reviewable = changes.filter(change => !change.binary && change.status !== 'deleted' && change.hunks.length > 0);
+        const maxFiles = loadGitConfig().review.maxFiles;
+        if (reviewable.length > maxFiles) {
+            insights.push(`${reviewable.length - maxFiles} more changed files were not reviewed (ruv-swarm.git.review.maxFiles)`);
+        }
+        if (truncated) {
+            insights.push('Some hunks were left out of the review to stay within ruv-swarm.git.maxDiffLines');
+        }
+
+        for (const change of reviewable.slice(0, maxFiles)) {
+            const reviewStep: WorkflowStep = {
+                id: `review-${change.scope}-${change.file.replace(/[^a-zA-Z0-9]/g, '-')}`,
+                type: 'ai-analysis',
+                description: `Review ${change.scope} changes: ${change.file}`,
+                dependencies: [changesStep.id],
+                parameters: { filePath: change.filePath, scope: change.scope, hunks: change.hunks }
+            };
+
+            steps.push(reviewStep);
+            this.emit('step-started', context.sessionId, reviewStep);
+
+            try {
+                const response = await this._llmProvider.chat([
+                    { role: 'system', content: CODE_REVIEW_SYSTEM_PROMPT },
+                    { role: 'user', content: this._buildCodeReviewPrompt(change) }
+                ], { taskType: 'code_review' });
+                const review = { file: change.file, scope: change.scope, review: response.content };
+                results.set(reviewStep.id, review);
+                context.aiInsights.set(`${change.scope}:${change.filePath}`, response.content);
+
+                this.emit('step-completed', context.sessionId, reviewStep, review);
+            } catch (error) {
+                errors.push(`${change.file}: ${error instanceof Error ? error.message : String(error)}`);
+            }
+        }
+
+        return {
+            success: errors.length === 0,
+            steps,
+            results,
+            insights,
+            recommendations,
+            performance: {
+                totalTime: Date.now() - startTime,
+                toolCalls,
+                swarmTasks: 0,
+                cacheHits: 0
+            },
+            errors: errors.length > 0 ? errors : undefined
+        };
+    }
+
     private async _executeAICodingSteps(
         context: WorkflowContext,
         task: string
@@ -547,6 +745,11 @@ export class AIWorkflowOrchestrator extends EventEmitter {
         for (const [key, result] of results) {
             prompt += `${key}:\n${JSON.stringify(result, null, 2)}\n\n`;
         }
+
+        const changes: GitFileDiff[] = context.metadata.changes ?? [];
+        if (changes.length > 0) {
+            prompt += `Changed lines:\n${changes.map(change => formatFileDiff(change)).join('\n\n')}\n\n`;
+        }
         
         prompt += `Please provide:\n`;
         prompt += `1. Key insights about the codebase\n`;
@@ -557,10 +760,32 @@ export class AIWorkflowOrchestrator extends EventEmitter {
         return prompt;
     }
 
+    private _buildCodeReviewPrompt(change: GitFileDiff): string {
+        let prompt = `Review these ${change.scope} changes to ${change.file}. `;
+        prompt += `Lines starting with + were added and lines starting with - were removed; the other lines are unchanged context.\n\n`;
+        prompt += `\`\`\`diff\n${formatFileDiff(change)}\n\`\`\`\n\n`;
+        prompt += `List the bugs, security issues, performance problems and maintainability concerns the changes introduce, `;
+        prompt += `each with the new line number it refers to and a suggested fix. `;
+        prompt += `Reply "No issues found." when the changes look correct.`;
+
+        return prompt;
+    }
+
+    /** Staged and unstaged workspace files that still exist */
     private async _getChangedFiles(): Promise<string[]> {
-        // Would integrate with Git to get changed files
-        // For now, return empty array
-        return [];
+        const changes = await this._gitService.getChanges(['staged', 'unstaged']);
+        return [...new Set(changes.filter(change => change.status !== 'deleted').map(change => change.filePath))];
+    }
+
+    private async _getChangedFileDiffs(scopes: GitChangeScope[], base?: string): Promise<{ changes: GitFileDiff[]; truncated: boolean }> {
+        const changes: GitFileDiff[] = [];
+        let truncated = false;
+        for (const scope of scopes) {
+            const diff = await this._gitService.getDiff({ scope, base });
+            changes.push(...diff.files);
+            truncated = truncated || diff.truncated;
+        }
+        return { changes, truncated };
     }
 
     private _handleSwarmTaskCompleted(data: any): void {